@@ -3,6 +3,8 @@
 import fs from "fs/promises";
 import { program } from "commander";
 import { Controller } from "../core/Controller.js";
+import { Database } from "../core/Database.js";
+import { ConversationArchive } from "../core/archive/ConversationArchive.js";
 import { Config } from "../utils/Config.js";
 import yaml from 'js-yaml';
 import { DEFAULT_PATHS, ensureDirectories } from "../utils/paths.js";
@@ -95,4 +97,78 @@ program
     }
   });
 
+// Opens the configured database without migrating it, runs `fn` and closes it
+async function withDatabase(fn) {
+  const options = program.opts();
+  let db;
+  try {
+    await ensureDirectories();
+
+    const config = await Config.load(options.config);
+    if (options.db) {
+      config.database.path = options.db;
+    }
+
+    const database = new Database(config.database);
+    await database.connect();
+    db = database;
+
+    await fn(db);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+  } finally {
+    await db?.close();
+  }
+}
+
+const dbCommand = program
+  .command("db")
+  .description("Manage the conversations database");
+
+dbCommand
+  .command("status")
+  .description("Show the schema version and pending migrations")
+  .action(() =>
+    withDatabase(async (db) => {
+      const { current, latest, pending } = await db.migrations.status();
+      console.log(`Schema version ${current} of ${latest}`);
+      for (const migration of pending) {
+        console.log(`  pending ${migration.version}: ${migration.name}`);
+      }
+    })
+  );
+
+dbCommand
+  .command("migrate")
+  .description("Back up the database and apply pending migrations")
+  .action(() =>
+    withDatabase(async (db) => {
+      const { applied, backup } = await db.migrate();
+      if (applied.length === 0) {
+        console.log("Database is up to date");
+        return;
+      }
+      if (backup) {
+        console.log(`Backup written to ${backup}`);
+      }
+      for (const migration of applied) {
+        console.log(`Applied ${migration.version}: ${migration.name}`);
+      }
+    })
+  );
+
+program
+  .command("import <file>")
+  .description("Import conversations from a JSON, JSONL or ChatGPT export")
+  .action((file) =>
+    withDatabase(async (db) => {
+      await db.migrate();
+      const result = await new ConversationArchive(db).import(file);
+      console.log(
+        `Imported ${result.conversations} conversation(s), ${result.messages} message(s)`
+      );
+    })
+  );
+
 program.parse();
@@ -1,239 +1,356 @@
-import OpenAI from "openai";
 import { EventEmitter } from "events";
 import { logger } from "../utils/Logger.js";
-import fs from "fs/promises";
-import path from "path";
+import { ProviderRegistry } from "./providers/ProviderRegistry.js";
+import { tokenizer } from "../utils/Tokenizer.js";
+import { Pricing } from "../utils/Pricing.js";
+import { FileExportParser } from "./exports/FileExportParser.js";
+import { classifyError } from "./providers/errors.js";
+import { ModelCatalog } from "./models/ModelCatalog.js";
+import { modelModalities } from "./models/modelInfo.js";
+
+// Turns parser events into displayable text, collecting exported files in
+// `files`. Files are only queued here; writing them needs approval.
+function renderExportEvents(events, files) {
+  let text = "";
+  for (const event of events) {
+    if (event.type === "text") {
+      text += event.text;
+    } else {
+      const { type, ...file } = event;
+      files.push(file);
+      text += `\n[File pending approval: ${file.name}${
+        file.complete ? "" : " (incomplete)"
+      }]\n`;
+    }
+  }
+  return text;
+}
 
 class AIClient extends EventEmitter {
   constructor(config) {
     super();
     this.config = config;
-    
-    // Get the provider config
-    const provider = config.ai?.defaultProvider || 'openai';
-    const providerConfig = config.ai?.providers?.[provider];
-    
-    if (!providerConfig?.apiKey) {
-      throw new Error(`API key not found for provider: ${provider}. Please set ${provider.toUpperCase()}_API_KEY in your environment variables.`);
-    }
 
-    this.client = new OpenAI({
-      apiKey: providerConfig.apiKey,
-      baseURL: providerConfig.baseUrl || "https://openrouter.ai/api/v1",
-      defaultHeaders: {
-        "HTTP-Referer": config.referer || "https://github.com/your-username/ai-chat-cli",
-      },
+    this.providers = new ProviderRegistry(config.ai, {
+      referer: config.referer,
     });
-    
+    this.defaultProvider = config.ai?.defaultProvider || "openai";
     this.defaultModel = config.ai?.defaultModel || "openai/gpt-3.5-turbo";
+    this.catalog = new ModelCatalog(this.providers, config.ai?.models);
+    this.pricing = new Pricing(config.ai, this.catalog);
+  }
+
+  getProvider(name) {
+    return this.providers.get(name || this.defaultProvider);
+  }
+
+  listProviders() {
+    return this.providers.list();
+  }
+
+  hasProvider(name) {
+    return this.providers.has(name);
   }
 
+  // What `model` reads, e.g. ["text", "image", "pdf"]: `ai.modalities`
+  // first, then the model catalog, then known model families
+  modalities(provider, model) {
+    return (
+      this.config.ai?.modalities?.[model] ||
+      modelModalities(
+        model,
+        this.catalog.find(model, provider || this.defaultProvider)
+      )
+    );
+  }
+
+  // Resolves provider, model, sampling options and tools for a request
+  resolveOptions(options = {}) {
+    const provider = this.getProvider(options.provider);
+    return {
+      provider,
+      model: options.model || provider.defaultModel || this.defaultModel,
+      temperature: options.temperature ?? this.config.ai?.temperature ?? 0.7,
+      maxTokens: options.maxTokens,
+      tools: options.tools,
+      signal: options.signal,
+      onRetry: (retry) => this.emit("retry", retry),
+    };
+  }
+
+  // Options for each of `ai.fallbacks` in turn. An entry names a provider, a
+  // model or both; entries that amount to the original request are skipped.
+  fallbacksFor(options) {
+    return (this.config.ai?.fallbacks || [])
+      .map((fallback) => ({
+        ...options,
+        provider: fallback.provider ?? options.provider,
+        model: fallback.model ?? (fallback.provider ? undefined : options.model),
+      }))
+      .filter(
+        (candidate) =>
+          candidate.provider !== options.provider ||
+          candidate.model !== options.model
+      );
+  }
+
+  // Tries the requested provider and model, then the configured fallbacks
+  // until one answers. Failures are thrown as ProviderErrors listing every
+  // attempt. A stream that already produced text is not retried elsewhere.
   async generateResponse(messages, options = {}) {
+    const candidates = [options, ...this.fallbacksFor(options)];
+    const attempts = [];
+
+    for (let i = 0; ; i++) {
+      try {
+        return candidates[i].stream
+          ? await this.generateStreamingResponse(messages, candidates[i])
+          : await this.generateCompleteResponse(messages, candidates[i]);
+      } catch (error) {
+        attempts.push({
+          provider: error.provider,
+          model: error.model,
+          kind: error.kind,
+          message: error.message,
+          retries: error.retries ?? 0,
+        });
+        error.attempts = attempts;
+
+        const next = candidates[i + 1];
+        if (!next || error.kind === "cancelled" || error.partial) {
+          throw error;
+        }
+
+        const to = {
+          provider: next.provider || this.defaultProvider,
+          model: next.model || null,
+        };
+        logger.warn("Falling back to another model", {
+          from: `${error.provider}/${error.model}`,
+          to,
+          kind: error.kind,
+        });
+        this.emit("fallback", { from: attempts[attempts.length - 1], to, error });
+      }
+    }
+  }
+
+  // Streams each of `requests` ({ messages, provider, model }) at once, to
+  // compare models on the same prompt. Fallbacks are not used, since each
+  // model is asked on purpose. Resolves with one result per request holding
+  // its response or error and timings; `onChunk(index, chunk)` gets the text.
+  async compareResponses(requests, options = {}) {
+    const { onChunk, ...requestOptions } = options;
+
+    return Promise.all(
+      requests.map(async ({ messages, ...request }, index) => {
+        const started = Date.now();
+        let firstTokenMs = null;
+        const result = {
+          provider: request.provider || this.defaultProvider,
+          model: request.model || null,
+        };
+
+        try {
+          result.response = await this.generateStreamingResponse(messages, {
+            ...requestOptions,
+            ...request,
+            onChunk: (chunk) => {
+              if (firstTokenMs === null && chunk.content) {
+                firstTokenMs = Date.now() - started;
+              }
+              onChunk?.(index, chunk);
+            },
+          });
+          result.provider = result.response.provider;
+          result.model = result.response.model;
+        } catch (error) {
+          result.error = error;
+          result.provider = error.provider ?? result.provider;
+          result.model = error.model ?? result.model;
+        }
+
+        result.latencyMs = Date.now() - started;
+        result.firstTokenMs = firstTokenMs;
+        return result;
+      })
+    );
+  }
+
+  async generateCompleteResponse(messages, options = {}) {
+    let provider = null;
+    let model = options.model || null;
     try {
-      const model = options.model || this.defaultModel;
+      const { provider: resolved, ...requestOptions } =
+        this.resolveOptions(options);
+      provider = resolved;
+      model = requestOptions.model;
       logger.debug("Generating response", {
+        provider: provider.name,
         model,
         messageCount: messages.length,
       });
 
-      if (options.stream) {
-        return this.generateStreamingResponse(messages, options);
-      }
+      const response = await provider.chat(messages, requestOptions);
 
-      const response = await this.client.chat.completions.create({
-        messages: messages.map((m) => ({
-          role: m.role,
-          content: m.content,
-        })),
-        model: model,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens,
-        stream: false,
-      });
-
-      // Handle file exports in the response
-      const { content, files } = this.processFileExports(
-        response.choices[0].message.content,
-        options.conversationId
+      const files = [];
+      const content = renderExportEvents(
+        FileExportParser.parse(response.content),
+        files
       );
 
+      const tokenUsage = response.usage
+        ? { ...response.usage, estimated: false }
+        : await this.estimateUsage(messages, response.content, model);
+
       logger.info("Response generated", {
+        provider: provider.name,
         model: response.model,
-        tokens: response.usage.total_tokens,
+        tokens: tokenUsage.total,
         files: files.length,
       });
 
       return {
         content,
         files,
-        tokenUsage: {
-          total: response.usage.total_tokens,
-          prompt: response.usage.prompt_tokens,
-          completion: response.usage.completion_tokens,
-        },
+        toolCalls: response.toolCalls || [],
+        tokenUsage,
+        cost: this.pricing.costOf(tokenUsage, provider.name, response.model),
         model: response.model,
+        provider: provider.name,
       };
-    } catch (error) {
+    } catch (caught) {
+      const error = classifyError(caught, {
+        provider: provider?.name || options.provider || this.defaultProvider,
+        model,
+      });
       logger.error("AI generation error:", error);
-      throw new Error(`AI generation failed: ${error.message}`);
+      throw error;
     }
   }
 
   async generateStreamingResponse(messages, options = {}) {
+    let provider = null;
+    let model = options.model || null;
+    let rawContent = "";
     try {
-      const model = options.model || this.defaultModel;
-      logger.debug("Starting streaming response", { model });
-
-      const stream = await this.client.chat.completions.create({
-        messages: messages.map((m) => ({
-          role: m.role,
-          content: m.content,
-        })),
-        model: model,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens,
-        stream: true,
+      const { provider: resolved, ...requestOptions } =
+        this.resolveOptions(options);
+      provider = resolved;
+      model = requestOptions.model;
+      logger.debug("Starting streaming response", {
+        provider: provider.name,
+        model,
       });
 
+      const stream = provider.stream(messages, requestOptions);
+      // Chunks go to options.onChunk when given, else to "chunk" listeners
+      const emitChunk =
+        options.onChunk || ((chunk) => this.emit("chunk", chunk));
+
+      const parser = new FileExportParser();
+      const files = [];
+      const toolCalls = [];
       let fullContent = "";
-      let tokenCount = 0;
-      let currentFileExport = null;
-      let fileContent = "";
-
-      for await (const part of stream) {
-        const content = part.choices[0]?.delta?.content || "";
-
-        // Check for file export tags
-        if (content.includes("<FileExport")) {
-          const match = content.match(/<FileExport name="([^"]+)">/);
-          if (match) {
-            currentFileExport = match[1];
-            // Don't add the opening tag to the displayed content
-            fullContent += content.split("<FileExport")[0];
-            fileContent = "";
+      let usage = null;
+
+      // Aborting options.signal stops the stream but keeps what arrived
+      let truncated = false;
+      try {
+        for await (const part of stream) {
+          if (options.signal?.aborted) {
+            truncated = true;
+            break;
+          }
+          if (part.usage) {
+            usage = part.usage;
             continue;
           }
-        }
-
-        if (currentFileExport && content.includes("</FileExport>")) {
-          // Save the file
-          const filePath = await this.saveExportedFile(
-            currentFileExport,
-            fileContent,
-            options.conversationId
-          );
-
-          // Emit file saved event
-          this.emit("fileSaved", {
-            filename: currentFileExport,
-            path: filePath,
-          });
-
-          // Add a nice message about the saved file
-          fullContent += `\n[File saved: ${currentFileExport}]\n`;
-
-          currentFileExport = null;
-          fileContent = "";
-          // Don't add the closing tag to the displayed content
-          if (content.split("</FileExport>")[1]) {
-            fullContent += content.split("</FileExport>")[1];
+          if (part.toolCall) {
+            toolCalls.push(part.toolCall);
+            continue;
           }
-        } else if (currentFileExport) {
-          // Accumulate file content
-          fileContent += content;
-        } else {
-          // Regular content
-          fullContent += content;
-        }
 
-        tokenCount++;
+          rawContent += part.content || "";
+          const text = renderExportEvents(parser.feed(part.content || ""), files);
+          if (!text) continue;
 
-        // Emit chunk event for real-time UI updates
-        this.emit("chunk", {
-          content: currentFileExport ? "" : content,
-          done: false,
+          fullContent += text;
+          // Emit chunk event for real-time UI updates
+          emitChunk({ content: text, done: false });
+        }
+      } catch (error) {
+        if (!options.signal?.aborted) throw error;
+        truncated = true;
+      }
+      if (truncated) {
+        logger.info("Streaming response cancelled", {
+          model,
+          characters: rawContent.length,
         });
       }
 
+      // Flush held-back text and any file left open by a cut-off reply
+      const rest = renderExportEvents(parser.end(), files);
+      if (rest) {
+        fullContent += rest;
+        emitChunk({ content: rest, done: false });
+      }
+
+      // Prefer the provider's own usage report over a local estimate
+      const tokenUsage = usage
+        ? { ...usage, estimated: false }
+        : await this.estimateUsage(messages, rawContent, model);
+
       logger.info("Streaming response completed", {
         model: model,
-        estimatedTokens: tokenCount,
+        tokens: tokenUsage.total,
+        estimated: tokenUsage.estimated,
+        files: files.length,
+        toolCalls: toolCalls.length,
       });
 
       // Emit final chunk
-      this.emit("chunk", {
+      emitChunk({
         content: "",
         done: true,
       });
 
       return {
         content: fullContent,
-        tokenUsage: {
-          total: tokenCount,
-          prompt: messages.reduce((acc, m) => acc + m.content.length / 4, 0),
-          completion: tokenCount,
-        },
+        files,
+        toolCalls,
+        truncated,
+        tokenUsage,
+        cost: this.pricing.costOf(tokenUsage, provider.name, model),
         model: model,
+        provider: provider.name,
       };
-    } catch (error) {
+    } catch (caught) {
+      const error = classifyError(caught, {
+        provider: provider?.name || options.provider || this.defaultProvider,
+        model,
+      });
+      // Text already on screen can't be swapped for another model's
+      error.partial = rawContent.length > 0;
       logger.error("AI streaming error:", error);
-      throw new Error(`AI streaming failed: ${error.message}`);
+      throw error;
     }
   }
 
-  async saveExportedFile(filename, content, conversationId) {
-    try {
-      // Create exports directory for the conversation
-      const exportDir = path.join("exports", conversationId.toString());
-      await fs.mkdir(exportDir, { recursive: true });
-
-      // Sanitize filename
-      const sanitizedFilename = filename.replace(/[^a-zA-Z0-9.-]/g, "_");
-      const filePath = path.join(exportDir, sanitizedFilename);
-
-      // Save the file
-      await fs.writeFile(filePath, content);
-
-      logger.info("File exported successfully", {
-        filename: sanitizedFilename,
-        path: filePath,
-      });
-
-      return filePath;
-    } catch (error) {
-      logger.error("Failed to save exported file:", error);
-      throw new Error(`Failed to save file ${filename}: ${error.message}`);
-    }
+  async estimateUsage(messages, completion, model) {
+    const prompt = await tokenizer.countMessages(messages, model);
+    const completionTokens = await tokenizer.count(completion, model);
+    return {
+      prompt,
+      completion: completionTokens,
+      total: prompt + completionTokens,
+      estimated: true,
+    };
   }
 
-  processFileExports(content, conversationId) {
-    const files = [];
-    let processedContent = content;
-
-    // Find all file exports in the content
-    const regex = /<FileExport name="([^"]+)">([\s\S]*?)<\/FileExport>/g;
-    let match;
-
-    while ((match = regex.exec(content)) !== null) {
-      const [fullMatch, filename, fileContent] = match;
-
-      // Save the file
-      const filePath = this.saveExportedFile(
-        filename,
-        fileContent,
-        conversationId
-      );
-
-      files.push({ filename, path: filePath });
-
-      // Replace the file export tag with a nice message
-      processedContent = processedContent.replace(
-        fullMatch,
-        `\n[File saved: ${filename}]\n`
-      );
-    }
-
-    return { content: processedContent, files };
+  async cleanup() {
+    await this.providers.cleanup();
   }
 }
 
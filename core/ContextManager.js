@@ -0,0 +1,221 @@
+import { tokenizer } from "../utils/Tokenizer.js";
+import { logger } from "../utils/Logger.js";
+
+const STRATEGIES = ["truncate-oldest", "sliding-window", "summarize"];
+
+const SUMMARY_PROMPT =
+  "Summarize the conversation below so it can replace the original messages " +
+  "as context for continuing it. Keep decisions, facts, names, code " +
+  "identifiers and open questions. Be concise and do not add commentary.";
+
+// Keeps the history sent to the model inside the model's context window,
+// using the strategy configured under `ai.context`. System prompts, pinned
+// messages and the newest message are never dropped.
+class ContextManager {
+  constructor(ai, db, config = {}) {
+    this.ai = ai;
+    this.db = db;
+    this.config = config;
+    this.strategy = config.strategy || "truncate-oldest";
+    this.reserveTokens = config.reserveTokens ?? 1024;
+    this.windowSize = config.windowSize ?? 20;
+
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(
+        `Unknown context strategy: ${this.strategy}. Use one of: ${STRATEGIES.join(", ")}`
+      );
+    }
+  }
+
+  // Configured limits win over the context length the catalog reports
+  limitFor(model) {
+    const limits = this.config.limits || {};
+    if (model) {
+      for (const name of [model, model.split("/").pop()]) {
+        if (limits[name]) return limits[name];
+      }
+    }
+    return (
+      this.ai.catalog?.find(model)?.contextLength ||
+      this.config.defaultLimit ||
+      8192
+    );
+  }
+
+  async measure(messages, model) {
+    return tokenizer.countMessages(messages, model);
+  }
+
+  isProtected(message, index, messages) {
+    return (
+      Boolean(message.pinned) ||
+      message.role === "system" ||
+      index === messages.length - 1
+    );
+  }
+
+  async fit(messages, { conversationId, provider, model } = {}) {
+    const limit = this.limitFor(model);
+    const budget = limit - this.reserveTokens;
+
+    let fitted = messages;
+    if (this.strategy === "sliding-window") {
+      fitted = this.slidingWindow(fitted);
+    } else if (this.strategy === "summarize") {
+      fitted = await this.summarize(fitted, {
+        budget,
+        conversationId,
+        provider,
+        model,
+      });
+    }
+
+    // Whatever the strategy, never send more than fits
+    fitted = await this.truncateOldest(fitted, budget, model);
+
+    const used = await this.measure(fitted, model);
+    if (fitted.length !== messages.length) {
+      logger.info("Trimmed conversation context", {
+        strategy: this.strategy,
+        before: messages.length,
+        after: fitted.length,
+        used,
+        limit,
+      });
+    }
+
+    return { messages: fitted, used, limit };
+  }
+
+  slidingWindow(messages) {
+    const start = Math.max(0, messages.length - this.windowSize);
+    return messages.filter(
+      (message, i) => i >= start || this.isProtected(message, i, messages)
+    );
+  }
+
+  async truncateOldest(messages, budget, model) {
+    const counts = await Promise.all(
+      messages.map((message) => tokenizer.countMessage(message, model))
+    );
+    // Start from the 3 tokens that prime the reply
+    let total = counts.reduce((sum, count) => sum + count, 3);
+
+    const keep = messages.map(() => true);
+    for (let i = 0; i < messages.length && total > budget; i++) {
+      if (this.isProtected(messages[i], i, messages)) continue;
+      keep[i] = false;
+      total -= counts[i];
+    }
+
+    return messages.filter((_, i) => keep[i]);
+  }
+
+  async summarize(messages, { budget, conversationId, provider, model }) {
+    if ((await this.measure(messages, model)) <= budget) return messages;
+
+    const ids = messages.map((message) => message.id);
+    const protectedBefore = (end) =>
+      messages
+        .slice(0, end)
+        .filter((message, i) => this.isProtected(message, i, messages));
+
+    // Reuse the newest stored summary that covers part of this history
+    const previous = conversationId
+      ? await this.db.getLatestSummary(conversationId, ids.filter(Boolean))
+      : null;
+    const coveredUntil = previous ? ids.indexOf(previous.up_to_message_id) + 1 : 0;
+
+    if (previous) {
+      const withSummary = [
+        ...protectedBefore(coveredUntil),
+        summaryMessage(previous.content),
+        ...messages.slice(coveredUntil),
+      ];
+      if ((await this.measure(withSummary, model)) <= budget) {
+        return withSummary;
+      }
+    }
+
+    // Keep as many recent messages as fit in half the budget and fold the
+    // rest, after what is already summarized, into a new summary
+    let recentStart = messages.length;
+    let recentTokens = 0;
+    while (recentStart > coveredUntil) {
+      const count = await tokenizer.countMessage(messages[recentStart - 1], model);
+      if (recentTokens + count > budget / 2 && recentStart < messages.length) break;
+      recentTokens += count;
+      recentStart--;
+    }
+
+    const toSummarize = messages
+      .slice(coveredUntil, recentStart)
+      .filter((message, i) => !this.isProtected(message, coveredUntil + i, messages));
+    if (toSummarize.length === 0) return messages;
+
+    const response = await this.generateSummary(
+      previous?.content,
+      toSummarize,
+      { provider, model }
+    );
+    const { content } = response;
+    const upToMessageId = toSummarize[toSummarize.length - 1].id;
+    if (conversationId && upToMessageId) {
+      // Saved with what it cost, for cost reports and budgets
+      await this.db.saveSummary({
+        conversationId,
+        upToMessageId,
+        content,
+        tokenCount: await tokenizer.count(content, model),
+        provider: response.provider,
+        model: response.model,
+        promptTokens: response.tokenUsage.prompt,
+        completionTokens: response.tokenUsage.completion,
+        cost: response.cost,
+      });
+    }
+
+    return [
+      ...protectedBefore(recentStart),
+      summaryMessage(content),
+      ...messages.slice(recentStart),
+    ];
+  }
+
+  async generateSummary(previousSummary, messages, { provider, model }) {
+    const transcript = [
+      previousSummary && `Earlier summary:\n${previousSummary}`,
+      ...messages.map((message) => `${message.role}: ${message.content}`),
+    ]
+      .filter(Boolean)
+      .join("\n\n");
+
+    const response = await this.ai.generateResponse(
+      [
+        { role: "system", content: SUMMARY_PROMPT },
+        { role: "user", content: transcript },
+      ],
+      {
+        provider: this.config.summaryProvider || provider,
+        model: this.config.summaryModel || model,
+      }
+    );
+
+    logger.info("Summarized conversation context", {
+      messages: messages.length,
+      tokens: response.tokenUsage.total,
+    });
+
+    return response;
+  }
+}
+
+function summaryMessage(content) {
+  return {
+    id: null,
+    role: "system",
+    content: `Summary of the earlier conversation:\n${content}`,
+  };
+}
+
+export { ContextManager, STRATEGIES };
@@ -1,10 +1,38 @@
 import { EventEmitter } from "events";
-import { Database } from "./Database.js";
+import { Database, parseMetadata } from "./Database.js";
 import { AIClient } from "./AIClient.js";
+import { PluginManager } from "./PluginManager.js";
+import { ContextManager } from "./ContextManager.js";
+import { ExportQueue } from "./exports/ExportQueue.js";
+import { ConversationArchive } from "./archive/ConversationArchive.js";
+import { parseSearchQuery, highlightPattern } from "./search/SearchQuery.js";
+import { ProviderError } from "./providers/errors.js";
+import { filterModels } from "./models/modelInfo.js";
+import {
+  FileAttachments,
+  findMentions,
+  includeAttachments,
+} from "./attachments/FileAttachments.js";
+import { MediaStore } from "./attachments/MediaStore.js";
+import { ToolRegistry } from "./tools/ToolRegistry.js";
+import { builtinTools } from "./tools/builtinTools.js";
+import {
+  replayToolMessages,
+  pairToolMessages,
+  flattenToolMessages,
+} from "./tools/toolMessages.js";
+import { CodeSandbox } from "./execution/CodeSandbox.js";
+import { formatRunForModel } from "./execution/runOutput.js";
+import { extractCodeBlocks } from "./ui/markdown.js";
 import { Screen } from "./ui/Screen.js";
 import { VimHandler } from "./ui/VimHandler.js";
 import { CommandHandler } from "../utils/Commands.js";
 import { logger } from "../utils/Logger.js";
+import { formatCost } from "../utils/Pricing.js";
+
+// Sent after a cut-off reply to have the model resume it
+const CONTINUE_PROMPT =
+  "Your previous reply was cut off. Continue exactly where it stopped, without repeating anything or adding a preamble.";
 
 class Controller extends EventEmitter {
   constructor(config) {
@@ -13,6 +41,19 @@ class Controller extends EventEmitter {
     this.currentConversationId = null;
     this.currentMode = "normal";
     this.isProcessingMessage = false;
+    this.abortController = null;
+    this.pendingEdit = null;
+    // [{ provider, model }] while compare mode is on
+    this.compareModels = null;
+    // Files attached with :attach, sent with the next message
+    this.pendingAttachments = [];
+    // Whether the model is offered tools, and the side-effecting tools the
+    // user allowed for the rest of the session
+    this.toolsEnabled = this.config.tools?.enabled !== false;
+    this.allowedTools = new Set();
+    // The latest code block run this session, for :run send
+    this.lastCodeRun = null;
+    this.isRunningCode = false;
   }
 
   async initialize() {
@@ -20,6 +61,20 @@ class Controller extends EventEmitter {
       // Initialize core components in the correct order
       this.db = new Database(this.config.database);
       this.ai = new AIClient(this.config);
+      this.context = new ContextManager(this.ai, this.db, this.config.ai?.context);
+      this.exports = new ExportQueue(this.db, this.config.exports);
+      this.archive = new ConversationArchive(this.db);
+      this.attachments = new FileAttachments(this.config.attachments);
+      this.media = new MediaStore(this.config.attachments?.mediaDirectory);
+      this.tools = new ToolRegistry(this.config.tools);
+      for (const tool of builtinTools({
+        files: this.attachments,
+        db: this.db,
+        config: this.config.tools,
+      })) {
+        this.tools.register(tool);
+      }
+      this.sandbox = new CodeSandbox(this.config.execution);
       
       // Initialize screen first
       this.screen = new Screen(this.config.ui);
@@ -30,10 +85,15 @@ class Controller extends EventEmitter {
       await this.vim.initialize();
       
       this.commands = new CommandHandler(this);
+      this.vim.completer = (buffer) => this.commands.getCompletions(buffer);
 
       // Initialize database
       await this.db.initialize();
 
+      // Load plugins once everything they can extend exists
+      this.plugins = new PluginManager(this, this.config.plugins);
+      await this.plugins.loadAll();
+
       // Setup event handlers
       this.setupEventHandlers();
 
@@ -65,31 +125,129 @@ class Controller extends EventEmitter {
       await this.handleMessage(content);
     });
 
-    // Thread navigation
+    // Thread navigation follows the visible (unfolded) thread tree
     this.vim.on("previousThread", async () => {
-      const threads = await this.db.getRecentConversations();
-      const currentIndex = threads.findIndex(
-        (t) => t.id === this.currentConversationId
-      );
-      if (currentIndex > 0) {
-        await this.loadThread(threads[currentIndex - 1].id);
-      }
+      await this.moveThread(-1);
     });
 
     this.vim.on("nextThread", async () => {
-      const threads = await this.db.getRecentConversations();
-      const currentIndex = threads.findIndex(
-        (t) => t.id === this.currentConversationId
-      );
-      if (currentIndex < threads.length - 1) {
-        await this.loadThread(threads[currentIndex + 1].id);
+      await this.moveThread(1);
+    });
+
+    this.vim.on("fold", (action) => {
+      this.screen.foldThread(action);
+    });
+
+    this.screen.on("threadSelect", async (threadId) => {
+      if (threadId !== this.currentConversationId) {
+        await this.loadThread(threadId);
+      }
+    });
+
+    // Branching
+    this.vim.on("branch", async () => {
+      try {
+        await this.branchConversation();
+      } catch (error) {
+        this.screen.showError(`Branch failed: ${error.message}`);
+      }
+    });
+
+    // Edits and alternative replies
+    this.vim.on("edit", async () => {
+      try {
+        await this.editMessage();
+      } catch (error) {
+        this.screen.showError(error.message);
+      }
+    });
+
+    this.screen.on("inputCancel", () => {
+      this.cancelEdit();
+    });
+
+    // Ctrl-C or Esc Esc while a reply is streaming
+    const cancel = () => {
+      if (this.cancelGeneration()) {
+        this.screen.showMessage("Stopping reply…");
+      }
+    };
+    this.vim.on("cancel", cancel);
+    this.screen.on("cancel", cancel);
+
+    this.vim.on("resend", async () => {
+      try {
+        await this.resend();
+      } catch (error) {
+        this.screen.showError(error.message);
+      }
+    });
+
+    this.vim.on("regenerate", async () => {
+      try {
+        await this.regenerate();
+      } catch (error) {
+        this.screen.showError(error.message);
+      }
+    });
+
+    this.vim.on("alternative", async (delta) => {
+      try {
+        await this.cycleAlternative(delta);
+      } catch (error) {
+        this.screen.showError(error.message);
+      }
+    });
+
+    this.vim.on("rawView", async () => {
+      try {
+        await this.toggleRawView();
+      } catch (error) {
+        logger.error("Failed to toggle raw view:", error);
+        this.screen.showError("Failed to toggle raw view");
+      }
+    });
+
+    this.vim.on("runCode", async () => {
+      try {
+        await this.runCode();
+      } catch (error) {
+        this.screen.showError(error.message);
+      }
+    });
+
+    this.vim.on("pin", async () => {
+      try {
+        await this.togglePin();
+      } catch (error) {
+        this.screen.showError(error.message);
       }
     });
 
     // Search functionality
     this.vim.on("search", async (query) => {
-      const results = await this.db.searchConversations(query);
-      this.screen.updateThreadList(results);
+      try {
+        await this.search(query);
+      } catch (error) {
+        this.screen.showError(error.message);
+      }
+    });
+
+    this.vim.on("searchHit", (delta) => {
+      this.screen.jumpToSearchHit(delta);
+    });
+
+    // Provider retries and fallbacks
+    this.ai.on("retry", ({ provider, attempt, maxRetries, delay, error }) => {
+      this.screen.showMessage(
+        `${error.title} (${provider}) · retry ${attempt}/${maxRetries} in ${Math.ceil(delay / 1000)}s`
+      );
+    });
+
+    this.ai.on("fallback", ({ from, to, error }) => {
+      this.screen.showMessage(
+        `${error.title} (${from.provider}/${from.model}) · trying ${to.provider}${to.model ? `/${to.model}` : ""}`
+      );
     });
 
     // Handle streaming responses
@@ -105,15 +263,24 @@ class Controller extends EventEmitter {
   async start() {
     try {
       logger.info("Starting controller...");
+
+      // Cached models are enough to start; stale lists refresh in the background
+      await this.ai.catalog.load();
+      this.ai.catalog.refresh().catch((error) => {
+        logger.error("Failed to refresh model catalog:", error);
+      });
       
       // Load initial conversations
-      const conversations = await this.db.getRecentConversations();
-      this.screen.updateThreadList(conversations);
+      const conversations = await this.refreshThreadList();
 
       // If there are conversations, load the most recent one
       if (conversations.length > 0) {
         await this.loadThread(conversations[0].id);
+      } else {
+        this.updateModelStatus(await this.getConversationSettings());
+        await this.updateCostStatus();
       }
+      await this.updateExportStatus();
 
       // Show startup animation
       await this.screen.showStartupAnimation();
@@ -148,83 +315,1356 @@ class Controller extends EventEmitter {
     }
   }
 
-  async handleMessage(content) {
-    if (this.isProcessingMessage) return;
+  // Shows budget warnings; returns false when a hard limit blocks sending
+  async confirmBudget() {
+    let warnings;
+    try {
+      warnings = await this.checkBudget();
+    } catch (error) {
+      this.screen.showError(error.message);
+      return false;
+    }
+    if (warnings.length) {
+      this.screen.showMessage(warnings.join(" · "));
+    }
+    return true;
+  }
+
+  // Runs `fn` as the one request in flight, with the loading indicator.
+  // Provider failures open the error panel, where R calls `retry`.
+  async runRequest(errorMessage, fn, retry = () => this.resend()) {
+    if (this.isProcessingMessage) {
+      this.screen.showMessage("Still replying · Ctrl-C or Esc Esc to stop it");
+      return;
+    }
+    if (!(await this.confirmBudget())) return;
 
     try {
       this.isProcessingMessage = true;
       this.screen.startLoading();
+      await fn();
+    } catch (error) {
+      logger.error(`${errorMessage}:`, error);
+      if (!(error instanceof ProviderError)) {
+        this.screen.showError(errorMessage);
+      } else if (error.kind === "cancelled") {
+        this.screen.showMessage("Request cancelled");
+      } else {
+        // Drop text that streamed in before the failure; it was not saved
+        if (error.partial) {
+          await this.loadThread(this.currentConversationId);
+        }
+        this.screen.showErrorPanel(error, {
+          onResend: () =>
+            retry().catch((retryError) =>
+              this.screen.showError(retryError.message)
+            ),
+        });
+      }
+    } finally {
+      this.isProcessingMessage = false;
+      this.screen.endStreamingMessage();
+      this.screen.stopLoading();
+    }
+  }
+
+  async handleMessage(content) {
+    // Attached files are read and checked against the model before anything
+    // is saved; a refused message goes back to the composer
+    let attachments;
+    try {
+      attachments = await this.collectAttachments(content);
+      await this.checkMediaSupport(attachments);
+    } catch (error) {
+      this.screen.setInput(content);
+      this.screen.showError(error.message);
+      return;
+    }
 
+    await this.runRequest("Failed to process message", async () => {
       // Create new conversation if needed
       if (!this.currentConversationId) {
         this.currentConversationId = await this.db.createConversation();
-        const conversations = await this.db.getRecentConversations();
-        this.screen.updateThreadList(conversations);
+        await this.refreshThreadList();
       }
 
+      this.clearAttachments();
+      const files = attachments.filter((attachment) => !attachment.mediaType);
+      const media = await this.storeMedia(
+        attachments.filter((attachment) => attachment.mediaType)
+      );
+
+      // An edit becomes an alternative of the message it replaces; anything
+      // else follows the end of the thread
+      const edit = this.pendingEdit;
+      this.pendingEdit = null;
+
       // Save user message
-      await this.db.saveMessage({
+      const userMessageId = await this.db.saveMessage({
         conversationId: this.currentConversationId,
         role: "user",
         content,
+        parentId: edit?.parentId,
+        metadata: media.length ? { media } : null,
       });
-      this.screen.appendMessage("user", content);
+      if (files.length) {
+        await this.db.saveAttachments(userMessageId, files);
+      }
+      if (edit) {
+        await this.loadThread(this.currentConversationId);
+      } else {
+        this.screen.appendMessage("user", content, false, {
+          id: userMessageId,
+          attachments: files.map((file) => file.path),
+          media,
+        });
+      }
 
-      // Generate AI response
-      const response = await this.ai.generateResponse(
-        await this.db.getConversationHistory(this.currentConversationId),
-        { stream: true }
+      if (this.compareModels) {
+        await this.compareReplies(userMessageId);
+        await this.loadThread(this.currentConversationId);
+        return;
+      }
+
+      const assistantMessageId = await this.generateReply(userMessageId);
+      if (edit || !assistantMessageId) {
+        await this.loadThread(this.currentConversationId);
+      } else {
+        const reply = await this.db.getMessage(assistantMessageId);
+        this.screen.finishStreamingMessage(reply.content, {
+          id: assistantMessageId,
+          truncated: Boolean(reply.truncated),
+        });
+      }
+    });
+  }
+
+  // Sends `messages` to the conversation's model (with `overrides` for model,
+  // temperature and the tools it may call) through the context window and
+  // plugin hooks. The request can be stopped with cancelGeneration(), which
+  // returns whatever arrived so far marked as truncated.
+  async requestResponse(messages, overrides = {}) {
+    const conversationSettings = await this.getConversationSettings();
+    const settings = {
+      ...conversationSettings,
+      model: overrides.model ?? conversationSettings.model,
+      temperature: overrides.temperature ?? conversationSettings.temperature,
+    };
+    const hookContext = {
+      conversationId: this.currentConversationId,
+      ...settings,
+    };
+    const tools = overrides.tools || [];
+    const history = await this.prepareHistory(
+      messages,
+      settings,
+      hookContext,
+      tools
+    );
+
+    // A reply working through tool calls shares one controller across its
+    // requests, so cancelling stops the whole reply
+    const ownsController = !this.abortController;
+    if (ownsController) this.abortController = new AbortController();
+    try {
+      return await this.plugins.runHook(
+        "afterResponse",
+        await this.ai.generateResponse(history, {
+          stream: true,
+          conversationId: this.currentConversationId,
+          provider: settings.provider,
+          model: settings.model,
+          temperature: settings.temperature,
+          tools,
+          signal: this.abortController.signal,
+        }),
+        hookContext
       );
+    } finally {
+      if (ownsController) this.abortController = null;
+    }
+  }
 
-      // Save AI response
-      await this.db.saveMessage({
+  // Fits `messages` with their attached files, tool calls and the persona
+  // into the model's context window and runs the beforeSend hook. Tool calls
+  // are sent as text when the request offers no `tools`.
+  async prepareHistory(messages, settings, hookContext, tools = []) {
+    const withFiles = await this.withMedia(
+      includeAttachments(messages, await this.attachmentsOf(messages)),
+      settings
+    );
+    const fitted = await this.context.fit(
+      this.withSystemPrompt(replayToolMessages(withFiles), settings),
+      {
         conversationId: this.currentConversationId,
-        role: "assistant",
-        content: response.content,
-        model: response.model,
-        tokenCount: response.tokenUsage.total,
+        provider: settings.provider,
+        model: this.resolveModel(settings),
+      }
+    );
+    this.screen.updateStatus({
+      context: { used: fitted.used, limit: fitted.limit },
+    });
+    return this.plugins.runHook(
+      "beforeSend",
+      tools.length
+        ? pairToolMessages(fitted.messages)
+        : flattenToolMessages(fitted.messages),
+      hookContext
+    );
+  }
+
+  // Files attached to `messages`, as a Map of message id to attachments
+  attachmentsOf(messages) {
+    return this.db.getAttachments(
+      messages.filter((m) => m.id != null).map((m) => m.id)
+    );
+  }
+
+  // Code runs from `messages`, as a Map of message id to runs
+  codeRunsOf(messages) {
+    return this.db.getCodeRuns(
+      messages.filter((m) => m.id != null).map((m) => m.id)
+    );
+  }
+
+  // Adds the files `patterns` name (paths, directories or globs) to the
+  // next message
+  async attachFiles(patterns) {
+    const { attachments, skipped } = await this.attachments.collect(patterns, {
+      existing: this.pendingAttachments,
+    });
+    this.pendingAttachments.push(...attachments);
+    this.screen.setAttachments(this.pendingAttachments);
+    this.reportSkippedFiles(skipped, `Attached ${attachments.length} file(s)`);
+  }
+
+  // Drops a pending attachment by its number in the bar or its path
+  detachFile(target) {
+    const index = /^\d+$/.test(target)
+      ? Number(target) - 1
+      : this.pendingAttachments.findIndex((a) => a.path === target);
+    if (!this.pendingAttachments[index]) {
+      throw new Error(`No attachment ${target}`);
+    }
+
+    const [removed] = this.pendingAttachments.splice(index, 1);
+    this.screen.setAttachments(this.pendingAttachments);
+    this.screen.showMessage(`Removed ${removed.path}`);
+  }
+
+  clearAttachments() {
+    this.pendingAttachments = [];
+    this.screen.setAttachments([]);
+  }
+
+  // The files going with a message being sent: those attached with
+  // :attach plus any it @mentions. Mentions that aren't files are left
+  // as text, and only files under the working directory are attached.
+  async collectAttachments(content) {
+    const { attachments, skipped } = await this.attachments.collect(
+      findMentions(content),
+      { existing: this.pendingAttachments, optional: true, underRoot: true }
+    );
+    this.reportSkippedFiles(skipped);
+    return [...this.pendingAttachments, ...attachments];
+  }
+
+  // Refuses images and PDFs that the conversation's model, or any model
+  // being compared, can't read
+  async checkMediaSupport(attachments) {
+    const kinds = new Set(
+      attachments.filter((a) => a.mediaType).map((a) => a.kind)
+    );
+    if (!kinds.size) return;
+
+    const settings = await this.getConversationSettings();
+    const targets = this.compareModels || [
+      { provider: settings.provider, model: this.resolveModel(settings) },
+    ];
+    for (const { provider, model } of targets) {
+      const accepts = this.ai.modalities(provider, model);
+      for (const kind of kinds) {
+        if (!accepts.includes(kind)) {
+          throw new Error(
+            `${model} can't read ${kind === "image" ? "images" : "PDFs"} · switch with :model or drop the file with :attach rm`
+          );
+        }
+      }
+    }
+  }
+
+  // Stores media attachments by content hash and returns the references
+  // kept in the message's metadata
+  async storeMedia(items) {
+    const references = [];
+    for (const { data, ...reference } of items) {
+      // Data is absent for media already stored, e.g. kept by an edit
+      if (data) {
+        await this.media.save(reference.hash, reference.mediaType, data);
+      }
+      references.push(reference);
+    }
+    return references;
+  }
+
+  // Loads the images and PDFs referenced by `messages` as base64 `media`
+  // for a request to the model in `settings`. Ones it can't read, or that
+  // are gone from the media directory, are noted in the text instead.
+  async withMedia(messages, settings) {
+    const accepts = this.ai.modalities(
+      settings.provider,
+      this.resolveModel(settings)
+    );
+
+    const loaded = [];
+    for (const message of messages) {
+      const references = parseMetadata(message.metadata).media;
+      if (!references?.length) {
+        loaded.push(message);
+        continue;
+      }
+
+      const media = [];
+      const notes = [];
+      for (const reference of references) {
+        const label = `${reference.kind}: ${reference.path}`;
+        if (!accepts.includes(reference.kind)) {
+          notes.push(`[${label} omitted, this model can't read it]`);
+          continue;
+        }
+        try {
+          const data = await this.media.read(
+            reference.hash,
+            reference.mediaType
+          );
+          media.push({ ...reference, data: data.toString("base64") });
+        } catch (error) {
+          if (error.code !== "ENOENT") throw error;
+          notes.push(`[${label} missing]`);
+        }
+      }
+      loaded.push({
+        ...message,
+        content: [...notes, message.content].join("\n"),
+        media,
       });
+    }
+    return loaded;
+  }
 
-      // Update UI
-      this.screen.appendMessage("assistant", response.content);
-      this.screen.updateStatus({
-        mode: this.currentMode,
-        tokens: response.tokenUsage.total,
+  reportSkippedFiles(skipped, summary = null) {
+    const parts = skipped.map(({ path, reason }) => `${path} (${reason})`);
+    if (parts.length) {
+      this.screen.showMessage(
+        `${summary ? `${summary} · ` : ""}Skipped ${parts.join(", ")}`
+      );
+    } else if (summary) {
+      this.screen.showMessage(summary);
+    }
+  }
+
+  // Stops the reply being generated, keeping what has arrived
+  cancelGeneration() {
+    if (!this.abortController) return false;
+    this.abortController.abort();
+    return true;
+  }
+
+  // Updates the status bar and export queue once a reply is saved
+  async afterReply(response, messageId) {
+    this.screen.updateStatus({
+      mode: this.currentMode,
+      tokens: response.tokenUsage,
+      provider: response.provider,
+      model: response.model,
+    });
+    await this.updateCostStatus();
+
+    if (response.files?.length) {
+      await this.exports.enqueue(response.files, {
+        conversationId: this.currentConversationId,
+        messageId,
       });
-    } catch (error) {
-      logger.error("Error handling message:", error);
-      this.screen.showError("Failed to process message");
+      await this.updateExportStatus();
+      this.screen.showMessage(
+        `${response.files.length} file(s) awaiting approval · :exports to review`
+      );
+    }
+    if (response.truncated) {
+      this.screen.showMessage("Reply stopped · :continue to resume it");
+    }
+  }
+
+  // Generates a reply to `parentId` from the lineage leading up to it and
+  // saves it as that message's newest child. `overrides` may change the
+  // model and temperature for this reply only. Tool calls the model makes
+  // are run and answered until it replies in text, for up to
+  // `tools.maxSteps` rounds, each call and result saved as a message of its
+  // own. Returns null when the request was cancelled before a reply arrived.
+  async generateReply(parentId, overrides = {}) {
+    const tools = this.toolsEnabled ? this.tools.definitions() : [];
+    const maxSteps = this.config.tools?.maxSteps ?? 8;
+
+    this.abortController = new AbortController();
+    const { signal } = this.abortController;
+    try {
+      for (let step = 0; ; step++) {
+        // Only this branch's lineage, up to the message being answered
+        const lineage = await this.db.getConversationLineage(
+          this.currentConversationId
+        );
+        const end = lineage.findIndex((m) => m.id === parentId);
+        // Out of rounds, the model has to answer with what it has
+        const response = await this.requestResponse(
+          lineage.slice(0, end + 1),
+          { ...overrides, tools: step < maxSteps ? tools : [] }
+        );
+
+        if (response.truncated && !response.content.trim()) {
+          this.screen.showMessage("Request cancelled");
+          return null;
+        }
+
+        if (response.toolCalls?.length && !response.truncated) {
+          parentId = await this.runToolCalls(response, parentId, signal);
+          if (signal.aborted) {
+            this.screen.showMessage("Request cancelled");
+            return null;
+          }
+          continue;
+        }
+
+        // Save AI response
+        const assistantMessageId = await this.saveReply(
+          response,
+          "assistant",
+          parentId
+        );
+        await this.afterReply(response, assistantMessageId);
+        return assistantMessageId;
+      }
     } finally {
-      this.isProcessingMessage = false;
-      this.screen.stopLoading();
+      this.abortController = null;
+    }
+  }
+
+  saveReply(response, role, parentId, metadata = null) {
+    return this.db.saveMessage({
+      conversationId: this.currentConversationId,
+      role,
+      content: response.content,
+      model: response.model,
+      tokenCount: response.tokenUsage.total,
+      promptTokens: response.tokenUsage.prompt,
+      completionTokens: response.tokenUsage.completion,
+      cost: response.cost,
+      provider: response.provider,
+      truncated: response.truncated,
+      parentId,
+      metadata,
+    });
+  }
+
+  // Saves the tool calls in `response` after `parentId`, runs them one by
+  // one (asking first for tools with side effects) and saves each result
+  // after them. Returns the id of the last message saved.
+  async runToolCalls(response, parentId, signal) {
+    const { toolCalls } = response;
+    let lastId = await this.saveReply(response, "tool_call", parentId, {
+      toolCalls,
+    });
+    await this.afterReply(response, lastId);
+    this.screen.endStreamingMessage();
+    await this.loadThread(this.currentConversationId);
+
+    for (const call of toolCalls) {
+      // Calls after a cancel still get a result, so the history stays valid
+      let result;
+      if (signal.aborted) {
+        result = { content: "Cancelled by the user.", isError: true };
+      } else {
+        this.screen.startLoading(`Running ${call.name}`);
+        result = await this.tools.run(call, {
+          confirm: (tool, args) => this.confirmToolCall(tool, args),
+        });
+        this.screen.stopLoading();
+      }
+
+      lastId = await this.db.saveMessage({
+        conversationId: this.currentConversationId,
+        role: "tool",
+        content: result.content,
+        parentId: lastId,
+        metadata: {
+          toolCallId: call.id,
+          name: call.name,
+          isError: result.isError,
+        },
+      });
     }
+
+    await this.loadThread(this.currentConversationId);
+    this.screen.startLoading();
+    return lastId;
+  }
+
+  // Asks before running a tool with side effects, unless the user allowed
+  // it for the session
+  async confirmToolCall(tool, args) {
+    if (this.allowedTools.has(tool.name)) return true;
+
+    const answer = await this.screen.confirmTool(tool, args);
+    if (answer === "always") this.allowedTools.add(tool.name);
+    return answer !== "no";
+  }
+
+  // Turns offering tools to the model on or off for this session
+  setToolsEnabled(enabled) {
+    this.toolsEnabled = enabled;
+    this.screen.showMessage(enabled ? "Tools enabled" : "Tools disabled");
+  }
+
+  // Sends the lineage up to `parentId` to every model in compare mode at
+  // once, streaming into side-by-side columns. Answers are saved as
+  // alternative replies with their timings; the first one stays active
+  // until another is picked in the columns.
+  async compareReplies(parentId) {
+    const lineage = await this.db.getConversationLineage(
+      this.currentConversationId
+    );
+    const end = lineage.findIndex((m) => m.id === parentId);
+    const messages = lineage.slice(0, end + 1);
+    const settings = await this.getConversationSettings();
+
+    const requests = [];
+    for (const candidate of this.compareModels) {
+      const candidateSettings = { ...settings, ...candidate };
+      const hookContext = {
+        conversationId: this.currentConversationId,
+        ...candidateSettings,
+      };
+      requests.push({
+        ...candidate,
+        hookContext,
+        messages: await this.prepareHistory(
+          messages,
+          candidateSettings,
+          hookContext
+        ),
+      });
+    }
+
+    const view = this.screen.showComparison(
+      this.compareModels.map(
+        (candidate) => `${candidate.provider}:${candidate.model}`
+      ),
+      { onCancel: () => this.cancelGeneration() }
+    );
+
+    this.abortController = new AbortController();
+    let results;
+    try {
+      results = await this.ai.compareResponses(
+        requests.map(({ hookContext, ...request }) => request),
+        {
+          conversationId: this.currentConversationId,
+          temperature: settings.temperature,
+          signal: this.abortController.signal,
+          onChunk: (index, chunk) => view.append(index, chunk.content),
+        }
+      );
+    } finally {
+      this.abortController = null;
+    }
+
+    const saved = [];
+    for (const [index, result] of results.entries()) {
+      let messageId = null;
+      let response = result.response;
+      if (response?.content.trim()) {
+        response = await this.plugins.runHook(
+          "afterResponse",
+          response,
+          requests[index].hookContext
+        );
+        messageId = await this.db.saveMessage({
+          conversationId: this.currentConversationId,
+          role: "assistant",
+          content: response.content,
+          model: response.model,
+          tokenCount: response.tokenUsage.total,
+          promptTokens: response.tokenUsage.prompt,
+          completionTokens: response.tokenUsage.completion,
+          cost: response.cost,
+          provider: response.provider,
+          truncated: response.truncated,
+          parentId,
+        });
+        if (response.files?.length) {
+          await this.exports.enqueue(response.files, {
+            conversationId: this.currentConversationId,
+            messageId,
+          });
+        }
+      }
+
+      saved.push({
+        provider: result.provider,
+        model: result.model,
+        messageId,
+        latencyMs: result.latencyMs,
+        firstTokenMs: result.firstTokenMs,
+        error: result.error?.message ?? null,
+      });
+      view.finish(index, {
+        content: response?.content,
+        latencyMs: result.latencyMs,
+        tokens: response?.tokenUsage,
+        cost: response?.cost,
+        truncated: response?.truncated,
+        error: result.error,
+      });
+    }
+
+    const comparisonId = await this.db.saveComparison({
+      conversationId: this.currentConversationId,
+      promptMessageId: parentId,
+      results: saved,
+    });
+    await this.updateCostStatus();
+    await this.updateExportStatus();
+
+    const answered = saved.filter((result) => result.messageId);
+    if (answered.length === 0) {
+      view.close();
+      const failure = results.find((result) => result.error)?.error;
+      if (failure) throw failure;
+      this.screen.showMessage("Request cancelled");
+      return;
+    }
+    await this.db.activateMessage(answered[0].messageId);
+
+    view.ready(async (index) => {
+      const { messageId, provider, model } = saved[index] || {};
+      if (!messageId) {
+        this.screen.showError("That model has no answer to keep");
+        return false;
+      }
+      try {
+        await this.db.activateMessage(messageId);
+        await this.db.setComparisonWinner(comparisonId, messageId);
+        await this.loadThread(this.currentConversationId);
+        this.screen.showMessage(`Continuing with ${provider}:${model}`);
+        return true;
+      } catch (error) {
+        logger.error("Failed to pick comparison answer:", error);
+        this.screen.showError("Failed to pick the answer");
+        return false;
+      }
+    });
+  }
+
+  // Turns compare mode on for `names` (at least two models) or off with
+  // an empty list
+  async setCompareModels(names) {
+    if (names.length === 0) {
+      this.compareModels = null;
+      this.screen.updateStatus({ compare: null });
+      return null;
+    }
+    if (names.length < 2) {
+      throw new Error("Compare needs at least two models");
+    }
+
+    const { provider } = await this.getConversationSettings();
+    this.compareModels = names.map((name) => this.lookupModel(name, provider));
+    this.screen.updateStatus({
+      compare: this.compareModels.map(({ model }) => model),
+    });
+    return this.compareModels;
+  }
+
+  // Asks the model to carry on with the last reply, which was cut off, and
+  // adds what it writes to that reply
+  async continueReply() {
+    if (!this.currentConversationId) {
+      throw new Error("No active conversation");
+    }
+
+    const lineage = await this.db.getConversationLineage(
+      this.currentConversationId
+    );
+    const last = lineage[lineage.length - 1];
+    if (last?.role !== "assistant" || last.inherited) {
+      throw new Error("The last message is not a reply to continue");
+    }
+
+    await this.runRequest(
+      "Failed to continue reply",
+      async () => {
+        // The continuation streams onto the end of the reply
+        this.screen.resumeStreamingMessage(last.id);
+        const response = await this.requestResponse([
+          ...lineage,
+          { id: null, role: "user", content: CONTINUE_PROMPT },
+        ]);
+
+        if (response.content) {
+          await this.db.appendToMessage(last.id, {
+            content: response.content,
+            tokenCount: response.tokenUsage.total,
+            promptTokens: response.tokenUsage.prompt,
+            completionTokens: response.tokenUsage.completion,
+            cost: response.cost,
+            truncated: response.truncated,
+          });
+        }
+        await this.loadThread(this.currentConversationId);
+        this.screen.focusMessageById(last.id);
+        await this.afterReply(response, last.id);
+      },
+      () => this.continueReply()
+    );
+  }
+
+  // Generates another reply in place of the last one (or answers a trailing
+  // message that has none). The previous reply is kept as an alternative.
+  async regenerate(overrides = {}) {
+    if (!this.currentConversationId) {
+      throw new Error("No active conversation");
+    }
+
+    const lineage = await this.db.getConversationLineage(
+      this.currentConversationId
+    );
+    const last = lineage[lineage.length - 1];
+    if (!last) {
+      throw new Error("Conversation has no messages");
+    }
+    if (last.inherited) {
+      throw new Error("The last reply belongs to the parent thread");
+    }
+    const parentId = last.role === "assistant" ? last.parent_id : last.id;
+    if (parentId == null) {
+      throw new Error("Nothing to regenerate a reply to");
+    }
+
+    await this.runRequest(
+      "Failed to regenerate reply",
+      async () => {
+        // Stream the new reply where the old one was
+        const end = lineage.findIndex((m) => m.id === parentId);
+        const kept = lineage.slice(0, end + 1);
+        this.renderMessages(
+          kept,
+          await this.attachmentsOf(kept),
+          await this.codeRunsOf(kept)
+        );
+        const replyId = await this.generateReply(parentId, overrides);
+        await this.loadThread(this.currentConversationId);
+        if (replyId) this.screen.focusMessageById(replyId);
+      },
+      () => this.regenerate(overrides)
+    );
+  }
+
+  // Answers the last message again after its request failed. The message
+  // itself was saved before sending, so nothing needs to be retyped.
+  async resend() {
+    const lineage = this.currentConversationId
+      ? await this.db.getConversationLineage(this.currentConversationId)
+      : [];
+    const last = lineage[lineage.length - 1];
+    // A reply stopped between tool calls carries on from their results
+    if (!["user", "tool"].includes(last?.role) || last.inherited) {
+      throw new Error("No unanswered message to resend");
+    }
+    await this.regenerate();
+  }
+
+  // Puts the focused message in the input box. Sending it saves the edit as
+  // an alternative of the original and continues the thread from there.
+  async editMessage() {
+    const focused = this.screen.getFocusedMessage();
+    if (!focused?.id || focused.role !== "user") {
+      throw new Error("Focus one of your messages with { or } to edit it");
+    }
+    if (focused.inherited) {
+      throw new Error("This message belongs to the parent thread");
+    }
+
+    const message = await this.db.getMessage(focused.id);
+    this.pendingEdit = { id: message.id, parentId: message.parent_id };
+    // The edit keeps the original's files unless they are removed
+    this.pendingAttachments = [
+      ...((await this.db.getAttachments([message.id])).get(message.id) || []),
+      ...(parseMetadata(message.metadata).media || []),
+    ];
+    this.screen.setAttachments(this.pendingAttachments);
+    this.screen.setInput(message.content);
+    this.screen.showMessage(
+      `Editing message · ${this.screen.composer.sendKey} resends, Esc cancels`
+    );
+  }
+
+  cancelEdit() {
+    if (!this.pendingEdit) return;
+    this.pendingEdit = null;
+    this.clearAttachments();
+    this.screen.showMessage("Edit cancelled");
+  }
+
+  // Shows the previous (delta -1) or next (delta 1) alternative of the
+  // focused message, or of the last message with alternatives
+  async cycleAlternative(delta) {
+    const focused = this.screen.getFocusedMessage();
+    const target =
+      focused?.alternatives?.count > 1
+        ? focused
+        : [...this.screen.messages]
+            .reverse()
+            .find((message) => message.alternatives?.count > 1);
+    if (!target?.id) {
+      throw new Error("No alternatives to switch between");
+    }
+
+    const alternatives = await this.db.getAlternatives(target.id);
+    const index = alternatives.findIndex((m) => m.id === target.id);
+    const next =
+      alternatives[(index + delta + alternatives.length) % alternatives.length];
+
+    await this.db.activateMessage(next.id);
+    await this.loadThread(this.currentConversationId);
+    this.screen.focusMessageById(next.id);
+  }
+
+  renderMessages(messages, attachments = new Map(), runs = new Map()) {
+    this.screen.clearChat();
+    messages.forEach((msg) => {
+      const metadata = parseMetadata(msg.metadata);
+      this.screen.appendMessage(msg.role, msg.content, false, {
+        id: msg.id,
+        attachments: (attachments.get(msg.id) || []).map((a) => a.path),
+        media: metadata.media || [],
+        toolCalls: metadata.toolCalls || [],
+        toolName: metadata.name,
+        isError: Boolean(metadata.isError),
+        runs: runs.get(msg.id) || [],
+        createdAt: msg.created_at,
+        inherited: msg.inherited,
+        pinned: Boolean(msg.pinned),
+        truncated: Boolean(msg.truncated),
+        alternatives: msg.inherited
+          ? null
+          : { index: msg.alternative_index, count: msg.alternative_count },
+      });
+    });
   }
 
   async loadThread(threadId) {
     try {
+      if (threadId !== this.currentConversationId) {
+        await this.saveDraft();
+        this.cancelEdit();
+        this.screen.setDraft(await this.db.getDraft(threadId));
+      }
       this.currentConversationId = threadId;
-      const messages = await this.db.getConversationHistory(threadId);
+      const messages = await this.db.getConversationLineage(threadId);
       const conversation = await this.db.getConversation(threadId);
+      const attachments = await this.attachmentsOf(messages);
+      const runs = await this.codeRunsOf(messages);
+
+      this.renderMessages(messages, attachments, runs);
 
-      this.screen.clearChat();
-      messages.forEach((msg) => {
-        this.screen.appendMessage(msg.role, msg.content);
+      // How full the model's context window is with this lineage
+      const settings = await this.getConversationSettings();
+      const model = this.resolveModel(settings);
+      this.screen.updateStatus({
+        context: {
+          used: await this.context.measure(
+            this.withSystemPrompt(
+              includeAttachments(messages, attachments),
+              settings
+            ),
+            model
+          ),
+          limit: this.context.limitFor(model),
+        },
       });
 
       this.screen.updateTitle(conversation.title);
+      await this.updateCostStatus();
+
+      // Show the usage of the latest reply in this lineage
+      const lastReply = messages.filter((m) => m.role === "assistant").pop();
+      this.screen.updateStatus({
+        tokens: lastReply
+          ? {
+              prompt: lastReply.prompt_tokens ?? 0,
+              completion: lastReply.completion_tokens ?? 0,
+              total: lastReply.token_count ?? 0,
+            }
+          : 0,
+      });
+      this.updateModelStatus(settings);
 
       // Update thread list with current selection
-      const conversations = await this.db.getRecentConversations();
-      this.screen.updateThreadList(conversations, threadId);
+      await this.refreshThreadList();
     } catch (error) {
       logger.error("Error loading thread:", error);
       this.screen.showError("Failed to load conversation");
     }
   }
 
+  // Keeps the composer's unsent text with the conversation it was typed
+  // in. A message being edited is not a draft.
+  async saveDraft() {
+    if (!this.currentConversationId || this.pendingEdit) return;
+    await this.db.saveDraft(this.currentConversationId, this.screen.getDraft());
+  }
+
+  // Provider, model and persona for the current conversation. Without an
+  // explicit choice (`persona: null` opts out) the configured default
+  // persona applies, and its model and temperature back the conversation's.
+  async getConversationSettings() {
+    const conversation = this.currentConversationId
+      ? await this.db.getConversation(this.currentConversationId)
+      : null;
+    const metadata = parseMetadata(conversation?.metadata);
+
+    const personaName =
+      metadata.persona === undefined
+        ? this.config.ai?.defaultPersona
+        : metadata.persona;
+    let persona = null;
+    if (personaName) {
+      persona = await this.db.getPersona(personaName);
+      if (!persona) {
+        logger.warn(`Persona not found: ${personaName}`);
+      }
+    }
+
+    return {
+      provider: metadata.provider,
+      model: metadata.model || persona?.model || undefined,
+      temperature: persona?.temperature ?? undefined,
+      persona,
+    };
+  }
+
+  withSystemPrompt(messages, { persona } = {}) {
+    if (!persona) return messages;
+    return [{ id: null, role: "system", content: persona.prompt }, ...messages];
+  }
+
+  async setConversationPersona(name) {
+    let persona = null;
+    if (name) {
+      persona = await this.db.getPersona(name);
+      if (!persona) {
+        throw new Error(`Unknown persona: ${name}`);
+      }
+    }
+
+    if (!this.currentConversationId) {
+      this.currentConversationId = await this.db.createConversation();
+      await this.refreshThreadList();
+    }
+
+    await this.db.updateConversationMetadata(this.currentConversationId, {
+      persona: persona ? persona.name : null,
+    });
+    this.updateModelStatus(await this.getConversationSettings());
+    return persona;
+  }
+
+  // The model a conversation's requests go to, given its settings
+  resolveModel({ provider, model } = {}) {
+    const providerConfig =
+      this.config.ai?.providers?.[provider || this.ai.defaultProvider];
+    return model || providerConfig?.defaultModel || this.ai.defaultModel;
+  }
+
+  updateModelStatus(settings = {}) {
+    this.screen.updateStatus({
+      provider: settings.provider || this.ai.defaultProvider,
+      model: this.resolveModel(settings),
+      persona: settings.persona?.name || null,
+    });
+  }
+
+  // Switches replies between rendered Markdown and their source, which is
+  // easier to copy from
+  async toggleRawView() {
+    this.screen.setRawView(!this.screen.rawView);
+    if (this.currentConversationId && !this.isProcessingMessage) {
+      const focused = this.screen.getFocusedMessage();
+      await this.loadThread(this.currentConversationId);
+      if (focused?.id) this.screen.focusMessageById(focused.id);
+    }
+    this.screen.showMessage(
+      this.screen.rawView ? "Showing raw Markdown" : "Showing rendered Markdown"
+    );
+  }
+
+  // Runs code block `number` (from 1) of the focused reply, or of the last
+  // one. Without a number a reply's only block runs straight away; with
+  // several, a picker asks which.
+  async runCode(number = null) {
+    const focused = this.screen.getFocusedMessage();
+    const isReply = (message) =>
+      message?.id && ["assistant", "tool_call"].includes(message.role);
+    const message = isReply(focused)
+      ? focused
+      : [...this.screen.messages].reverse().find(isReply);
+    if (!message) {
+      throw new Error("No reply to run code from");
+    }
+
+    const blocks = extractCodeBlocks(message.content);
+    if (!blocks.length) {
+      throw new Error("The reply has no code blocks");
+    }
+    if (number !== null) {
+      const block = blocks[number - 1];
+      if (!block) {
+        throw new Error(`The reply has ${blocks.length} code block(s)`);
+      }
+      return this.runCodeBlock(message, block);
+    }
+    if (blocks.length === 1) {
+      return this.runCodeBlock(message, blocks[0]);
+    }
+
+    this.screen.showCodeBlockPicker(blocks, {
+      onSelect: (block) =>
+        this.runCodeBlock(message, block).catch((error) =>
+          this.screen.showError(error.message)
+        ),
+    });
+  }
+
+  // Runs `block` in the sandbox and logs the run under `message`, whose
+  // output then shows below it
+  async runCodeBlock(message, block) {
+    if (this.isRunningCode) {
+      throw new Error("Already running code");
+    }
+
+    this.isRunningCode = true;
+    this.screen.startLoading(`Running ${block.language || "code"}`);
+    let run;
+    try {
+      run = await this.sandbox.run(block.language, block.code);
+    } finally {
+      this.isRunningCode = false;
+      this.screen.stopLoading();
+    }
+
+    await this.db.saveCodeRun({
+      conversationId: this.currentConversationId,
+      messageId: message.id,
+      code: block.code,
+      ...run,
+    });
+    this.lastCodeRun = run;
+    logger.info("Ran code block", {
+      language: run.language,
+      exitCode: run.exitCode,
+      timedOut: run.timedOut,
+    });
+
+    if (!this.isProcessingMessage) {
+      await this.loadThread(this.currentConversationId);
+      this.screen.focusMessageById(message.id);
+    }
+    this.screen.showMessage(
+      `Ran ${run.language} · :run send shares the output with the model`
+    );
+  }
+
+  // Sends the latest run's output to the model as the next message
+  async sendCodeRun() {
+    if (!this.lastCodeRun) {
+      throw new Error("No code run to send · run a code block with x first");
+    }
+    const run = this.lastCodeRun;
+    this.lastCodeRun = null;
+    await this.handleMessage(formatRunForModel(run));
+  }
+
+  async togglePin() {
+    const focused = this.screen.getFocusedMessage();
+    if (!focused?.id) {
+      throw new Error("Focus a message with { or } to pin it");
+    }
+
+    const pinned = !focused.pinned;
+    await this.db.setMessagePinned(focused.id, pinned);
+    this.screen.setMessagePinned(focused, pinned);
+    this.screen.showMessage(pinned ? "Message pinned" : "Message unpinned");
+  }
+
+  async setConversationProvider(name, model = null) {
+    if (!this.ai.hasProvider(name)) {
+      throw new Error(
+        `Unknown provider: ${name}. Available providers: ${this.ai
+          .listProviders()
+          .join(", ")}`
+      );
+    }
+
+    // Instantiate now so a missing API key is reported immediately
+    this.ai.getProvider(name);
+
+    if (!this.currentConversationId) {
+      this.currentConversationId = await this.db.createConversation();
+      await this.refreshThreadList();
+    }
+
+    await this.db.updateConversationMetadata(this.currentConversationId, {
+      provider: name,
+      model,
+    });
+    this.updateModelStatus(await this.getConversationSettings());
+  }
+
+  // Finds `name` ("model" or "provider:model") in the model catalog,
+  // preferring the provider in use. Unknown names are refused when the
+  // provider's model list is known.
+  lookupModel(name, provider = null) {
+    const separator = name.indexOf(":");
+    if (separator > 0 && this.ai.hasProvider(name.slice(0, separator))) {
+      provider = name.slice(0, separator);
+      name = name.slice(separator + 1);
+    }
+
+    const current = provider || this.ai.defaultProvider;
+    const { catalog } = this.ai;
+    const entry = catalog.find(name, current) || catalog.find(name);
+
+    if (!entry && catalog.models(current).length) {
+      const suggestions = filterModels(catalog.models(current), name)
+        .slice(0, 5)
+        .map((model) => model.id);
+      throw new Error(
+        `Unknown model: ${name}` +
+          (suggestions.length ? `. Did you mean ${suggestions.join(", ")}?` : "")
+      );
+    }
+
+    return { provider: entry?.provider || current, model: entry?.id || name };
+  }
+
+  // Saves `name` as this conversation's model. Catalog models switch to
+  // the provider offering them.
+  async setConversationModel(name) {
+    const settings = await this.getConversationSettings();
+    const { provider, model } = this.lookupModel(name, settings.provider);
+    await this.setConversationProvider(provider, model);
+    return model;
+  }
+
+  async openModelPicker(query = "") {
+    const { catalog } = this.ai;
+    if (catalog.models().length === 0) {
+      this.screen.showMessage("Fetching models...");
+      const failed = await catalog.refresh({ force: true });
+      if (failed.length) {
+        this.screen.showError(`Could not fetch models from ${failed.join(", ")}`);
+      }
+    }
+
+    const models = catalog.models();
+    if (models.length === 0) {
+      throw new Error("No models available; check your providers and :models refresh");
+    }
+
+    this.screen.showModelPicker(models, {
+      query,
+      onSelect: (model) =>
+        this.setConversationProvider(model.provider, model.id)
+          .then(() =>
+            this.screen.showMessage(`Switched to model: ${model.provider}:${model.id}`)
+          )
+          .catch((error) => {
+            logger.error("Failed to switch model:", error);
+            this.screen.showError(error.message);
+          }),
+    });
+  }
+
+  // Compares today's and this thread's spend with `ai.budgets`. Throws when
+  // a hard limit is reached and returns warnings for soft limits.
+  async checkBudget() {
+    const budgets = this.config.ai?.budgets || {};
+    const scopes = [
+      { label: "Daily", limits: budgets.daily, filter: { period: "today" } },
+      {
+        label: "Thread",
+        limits: this.currentConversationId ? budgets.thread : null,
+        filter: { conversationId: this.currentConversationId },
+      },
+    ];
+
+    const warnings = [];
+    for (const { label, limits, filter } of scopes) {
+      if (!limits) continue;
+
+      const { cost } = await this.db.getCostReport(filter);
+      if (limits.hard != null && cost >= limits.hard) {
+        throw new Error(
+          `${label} budget of ${formatCost(limits.hard)} reached (spent ${formatCost(cost)})`
+        );
+      }
+      if (limits.soft != null && cost >= limits.soft) {
+        warnings.push(
+          `${label} spend ${formatCost(cost)} is over the ${formatCost(limits.soft)} soft limit`
+        );
+      }
+    }
+
+    return warnings;
+  }
+
+  async updateCostStatus() {
+    const today = await this.db.getCostReport({ period: "today" });
+    const thread = this.currentConversationId
+      ? await this.db.getCostReport({
+          conversationId: this.currentConversationId,
+        })
+      : null;
+
+    this.screen.updateStatus({
+      cost: { today: today.cost, thread: thread?.cost ?? 0 },
+    });
+  }
+
+  async search(input) {
+    const query = parseSearchQuery(input);
+    if (!query.match && Object.keys(query.filters).length === 0) {
+      throw new Error("Search query required");
+    }
+
+    const results = await this.db.searchMessages(query);
+    this.screen.showSearchResults(results, {
+      query: input,
+      onSelect: (result) =>
+        this.openSearchResult(result, highlightPattern(query.terms)).catch(
+          (error) => {
+            logger.error("Failed to open search result:", error);
+            this.screen.showError("Failed to open search result");
+          }
+        ),
+    });
+  }
+
+  async openSearchResult(result, pattern) {
+    this.screen.setSearchPattern(pattern);
+    await this.loadThread(result.conversation_id);
+    this.screen.focusMessageById(result.id);
+  }
+
+  // Drops search highlighting, like vim's :nohlsearch
+  async clearSearch() {
+    this.screen.setSearchPattern(null);
+    if (this.currentConversationId) {
+      await this.loadThread(this.currentConversationId);
+    }
+  }
+
+  async importConversations(filename) {
+    const result = await this.archive.import(filename);
+    await this.refreshThreadList();
+    if (result.conversationIds.length) {
+      await this.loadThread(result.conversationIds[0]);
+    }
+    this.screen.showMessage(
+      `Imported ${result.conversations} conversation(s), ${result.messages} message(s)`
+    );
+  }
+
+  async updateExportStatus() {
+    this.screen.updateStatus({
+      pendingExports: await this.exports.countPending(),
+    });
+  }
+
+  // Opens the review panel for exported files of the current thread, or
+  // every pending export when no thread is open
+  async openExportsPanel() {
+    this.screen.showExportsPanel({
+      load: () => this.exports.list(this.currentConversationId),
+      preview: (id) => this.exports.preview(id),
+      approve: async (id, force) => {
+        const target = await this.exports.approve(id, { force });
+        await this.updateExportStatus();
+        return target;
+      },
+      reject: async (id) => {
+        await this.exports.reject(id);
+        await this.updateExportStatus();
+      },
+    });
+  }
+
+  async refreshStatus() {
+    this.screen.updateStatus();
+  }
+
+  async refreshThreadList() {
+    const threads = await this.db.getThreadTree();
+    this.screen.updateThreadList(threads, this.currentConversationId);
+    return threads;
+  }
+
+  async moveThread(offset) {
+    const threads = this.screen.getVisibleThreads();
+    const currentIndex = threads.findIndex(
+      (t) => t.id === this.currentConversationId
+    );
+    const target = threads[currentIndex + offset];
+    if (currentIndex !== -1 && target) {
+      await this.loadThread(target.id);
+    }
+  }
+
+  async branchConversation(title = null) {
+    if (!this.currentConversationId) {
+      throw new Error("No active conversation to branch");
+    }
+
+    // Fork at the focused message, or at the latest one if none is focused
+    const focused = this.screen.getFocusedMessage();
+    const lineage = await this.db.getConversationLineage(
+      this.currentConversationId
+    );
+    const forkMessageId = focused?.id ?? lineage[lineage.length - 1]?.id;
+    if (!forkMessageId) {
+      throw new Error("Conversation has no messages to branch from");
+    }
+
+    const branchId = await this.db.createBranch(
+      this.currentConversationId,
+      forkMessageId,
+      title
+    );
+    await this.loadThread(branchId);
+    this.screen.showMessage(`Branched into thread ${branchId}`);
+
+    return branchId;
+  }
+
   async shutdown() {
     logger.info("Beginning shutdown sequence");
     try {
+      // Let plugins release their resources first
+      await this.plugins?.shutdown();
+
+      // Unsent text is restored with its thread next time. A failure is
+      // already logged and shouldn't stop the shutdown.
+      await this.saveDraft().catch(() => {});
+
       // Close database connection
       await this.db.close();
 
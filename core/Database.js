@@ -1,8 +1,28 @@
-import sqlite3 from "sqlite3";
-import { open } from "sqlite";
 import { logger } from "../utils/Logger.js";
+import { HIGHLIGHT_START, HIGHLIGHT_END } from "./search/SearchQuery.js";
+import { MigrationRunner } from "./storage/MigrationRunner.js";
+import { openDriver } from "./storage/drivers/index.js";
+import { activePath } from "./storage/messageTree.js";
 
-sqlite3.verbose();
+// Conditions selecting the messages that fall into a cost report period
+const COST_PERIODS = {
+  today: "date(m.created_at, 'localtime') = date('now', 'localtime')",
+  month:
+    "strftime('%Y-%m', m.created_at, 'localtime') = strftime('%Y-%m', 'now', 'localtime')",
+};
+
+const MESSAGE_COLUMNS = `id, role, content, model, provider, token_count,
+  prompt_tokens, completion_tokens, cost, pinned, truncated, parent_id, active,
+  metadata, created_at`;
+
+function parseMetadata(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
 
 class Database {
   constructor(config) {
@@ -12,84 +32,52 @@ class Database {
 
   async initialize() {
     try {
-      // Open database with promises wrapper
-      this.db = await open({
-        filename: this.config.path,
-        driver: sqlite3.Database,
-      });
-
-      // Enable WAL mode for better concurrency
-      if (this.config.enableWAL) {
-        await this.db.run("PRAGMA journal_mode = WAL");
-      }
+      await this.connect();
+      await this.migrate();
 
-      // Create schema
-      await this.initializeSchema();
-
-      logger.info("Database initialized successfully");
+      logger.info("Database initialized successfully", {
+        driver: this.db.name,
+      });
     } catch (error) {
       logger.error("Failed to initialize database:", error);
       throw error;
     }
   }
 
-  async initializeSchema() {
-    await this.db.exec(`
-      -- Conversations table
-      CREATE TABLE IF NOT EXISTS conversations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        parent_id INTEGER,
-        thread_path TEXT,
-        metadata TEXT,
-        FOREIGN KEY(parent_id) REFERENCES conversations(id)
-      );
-
-      -- Messages table
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        conversation_id INTEGER NOT NULL,
-        role TEXT NOT NULL,
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        token_count INTEGER,
-        model TEXT,
-        metadata TEXT,
-        FOREIGN KEY(conversation_id) REFERENCES conversations(id)
-      );
-
-      -- Triggers for updated_at
-      CREATE TRIGGER IF NOT EXISTS conversations_update_trigger
-      AFTER UPDATE ON conversations
-      BEGIN
-        UPDATE conversations 
-        SET updated_at = CURRENT_TIMESTAMP 
-        WHERE id = NEW.id;
-      END;
-
-      -- Indexes
-      CREATE INDEX IF NOT EXISTS idx_conversations_thread_path 
-      ON conversations(thread_path);
-      
-      CREATE INDEX IF NOT EXISTS idx_messages_conversation_id 
-      ON messages(conversation_id);
-      
-      CREATE INDEX IF NOT EXISTS idx_conversations_parent_id 
-      ON conversations(parent_id);
-    `);
+  // Opens the database without touching its schema
+  async connect() {
+    this.db = await openDriver({
+      driver: this.config.driver,
+      path: this.config.path,
+    });
+
+    // Enable WAL mode for better concurrency
+    if (this.config.enableWAL) {
+      await this.db.exec("PRAGMA journal_mode = WAL");
+    }
+
+    this.migrations = new MigrationRunner(this.db, {
+      path: this.config.path,
+      backup: this.config.backupBeforeMigrate !== false,
+    });
+  }
+
+  async migrate() {
+    return this.migrations.migrate();
+  }
+
+  // Branches record the ids of all their ancestors, root first
+  async threadPathFor(parentId) {
+    if (!parentId) return null;
+    const parent = await this.getConversation(parentId);
+    return parent.thread_path
+      ? `${parent.thread_path}.${parentId}`
+      : parentId.toString();
   }
 
   async createConversation(title = null, parentId = null) {
     try {
-      let threadPath;
-      if (parentId) {
-        const parent = await this.getConversation(parentId);
-        threadPath = parent.thread_path
-          ? `${parent.thread_path}.${parentId}`
-          : parentId.toString();
-      }
+      const threadPath = await this.threadPathFor(parentId);
 
       const result = await this.db.run(
         `INSERT INTO conversations (title, parent_id, thread_path)
@@ -119,12 +107,47 @@ class Database {
     content,
     model = null,
     tokenCount = null,
+    promptTokens = null,
+    completionTokens = null,
+    cost = null,
+    provider = null,
+    truncated = false,
+    parentId,
+    metadata = null,
   }) {
     try {
+      // Without an explicit parent the message continues the thread
+      if (parentId === undefined) {
+        const lineage = await this.getConversationLineage(conversationId);
+        parentId = lineage[lineage.length - 1]?.id ?? null;
+      }
+
       const result = await this.db.run(
-        `INSERT INTO messages (conversation_id, role, content, model, token_count)
-         VALUES (?, ?, ?, ?, ?)`,
-        [conversationId, role, content, model, tokenCount]
+        `INSERT INTO messages (conversation_id, role, content, model,
+                               token_count, prompt_tokens, completion_tokens,
+                               cost, provider, truncated, parent_id, metadata)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          conversationId,
+          role,
+          content,
+          model,
+          tokenCount,
+          promptTokens,
+          completionTokens,
+          cost,
+          provider,
+          truncated ? 1 : 0,
+          parentId,
+          metadata ? JSON.stringify(metadata) : null,
+        ]
+      );
+
+      // A new message replaces any alternatives it has in the thread
+      await this.db.run(
+        `UPDATE messages SET active = 0
+         WHERE conversation_id = ? AND parent_id IS ? AND id != ?`,
+        [conversationId, parentId, result.lastID]
       );
 
       // Update conversation's updated_at timestamp
@@ -146,6 +169,491 @@ class Database {
     }
   }
 
+  // Adds a continuation to a reply that was cut off, with its usage
+  async appendToMessage(
+    id,
+    {
+      content,
+      tokenCount = null,
+      promptTokens = null,
+      completionTokens = null,
+      cost = null,
+      truncated = false,
+    }
+  ) {
+    try {
+      await this.db.run(
+        `UPDATE messages
+         SET content = content || ?,
+             token_count = COALESCE(token_count, 0) + COALESCE(?, 0),
+             prompt_tokens = COALESCE(prompt_tokens, 0) + COALESCE(?, 0),
+             completion_tokens = COALESCE(completion_tokens, 0) + COALESCE(?, 0),
+             cost = CASE WHEN cost IS NULL AND ? IS NULL THEN NULL
+                         ELSE COALESCE(cost, 0) + COALESCE(?, 0) END,
+             truncated = ?
+         WHERE id = ?`,
+        [
+          content,
+          tokenCount,
+          promptTokens,
+          completionTokens,
+          cost,
+          cost,
+          truncated ? 1 : 0,
+          id,
+        ]
+      );
+    } catch (error) {
+      logger.error("Failed to append to message:", error);
+      throw error;
+    }
+  }
+
+  async setMessagePinned(id, pinned) {
+    try {
+      await this.db.run("UPDATE messages SET pinned = ? WHERE id = ?", [
+        pinned ? 1 : 0,
+        id,
+      ]);
+    } catch (error) {
+      logger.error("Failed to update pinned message:", error);
+      throw error;
+    }
+  }
+
+  async saveSummary({
+    conversationId,
+    upToMessageId,
+    content,
+    tokenCount = null,
+    provider = null,
+    model = null,
+    promptTokens = null,
+    completionTokens = null,
+    cost = null,
+  }) {
+    try {
+      const result = await this.db.run(
+        `INSERT INTO summaries (conversation_id, up_to_message_id, content,
+                               token_count, provider, model, prompt_tokens,
+                               completion_tokens, cost)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          conversationId,
+          upToMessageId,
+          content,
+          tokenCount,
+          provider,
+          model,
+          promptTokens,
+          completionTokens,
+          cost,
+        ]
+      );
+      return result.lastID;
+    } catch (error) {
+      logger.error("Failed to save summary:", error);
+      throw error;
+    }
+  }
+
+  // Newest summary of the conversation that ends at one of `messageIds`
+  async getLatestSummary(conversationId, messageIds) {
+    try {
+      if (messageIds.length === 0) return null;
+
+      return await this.db.get(
+        `SELECT * FROM summaries
+         WHERE conversation_id = ?
+           AND up_to_message_id IN (${messageIds.map(() => "?").join(", ")})
+         ORDER BY up_to_message_id DESC, id DESC
+         LIMIT 1`,
+        [conversationId, ...messageIds]
+      );
+    } catch (error) {
+      logger.error("Failed to get summary:", error);
+      throw error;
+    }
+  }
+
+  async saveExport({
+    conversationId,
+    messageId = null,
+    name,
+    path,
+    mode = "create",
+    content,
+    complete = true,
+  }) {
+    try {
+      const result = await this.db.run(
+        `INSERT INTO exports (conversation_id, message_id, name, path, mode, content, complete)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [conversationId, messageId, name, path, mode, content, complete ? 1 : 0]
+      );
+      return result.lastID;
+    } catch (error) {
+      logger.error("Failed to save export:", error);
+      throw error;
+    }
+  }
+
+  async getExport(id) {
+    try {
+      return await this.db.get("SELECT * FROM exports WHERE id = ?", [id]);
+    } catch (error) {
+      logger.error("Failed to get export:", error);
+      throw error;
+    }
+  }
+
+  async getExports({ conversationId = null, status = null } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+      if (conversationId !== null) {
+        conditions.push("conversation_id = ?");
+        params.push(conversationId);
+      }
+      if (status !== null) {
+        conditions.push("status = ?");
+        params.push(status);
+      }
+
+      return await this.db.all(
+        `SELECT * FROM exports
+         ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY id DESC`,
+        params
+      );
+    } catch (error) {
+      logger.error("Failed to get exports:", error);
+      throw error;
+    }
+  }
+
+  async updateExportStatus(id, status, error = null) {
+    try {
+      await this.db.run(
+        `UPDATE exports SET status = ?, error = ?, resolved_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, error, id]
+      );
+    } catch (err) {
+      logger.error("Failed to update export:", err);
+      throw err;
+    }
+  }
+
+  // Records a prompt sent to several models. `results` are in column order:
+  // [{ provider, model, messageId, latencyMs, firstTokenMs, error }]
+  async saveComparison({ conversationId, promptMessageId, results }) {
+    try {
+      return await this.transaction(async () => {
+        const { lastID } = await this.db.run(
+          `INSERT INTO comparisons (conversation_id, prompt_message_id)
+           VALUES (?, ?)`,
+          [conversationId, promptMessageId]
+        );
+        for (const [position, result] of results.entries()) {
+          await this.db.run(
+            `INSERT INTO comparison_results (comparison_id, position, provider,
+                                             model, message_id, latency_ms,
+                                             first_token_ms, error)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              lastID,
+              position,
+              result.provider ?? null,
+              result.model ?? null,
+              result.messageId ?? null,
+              result.latencyMs ?? null,
+              result.firstTokenMs ?? null,
+              result.error ?? null,
+            ]
+          );
+        }
+        return lastID;
+      });
+    } catch (error) {
+      logger.error("Failed to save comparison:", error);
+      throw error;
+    }
+  }
+
+  async setComparisonWinner(id, messageId) {
+    try {
+      await this.db.run(
+        "UPDATE comparisons SET winner_message_id = ? WHERE id = ?",
+        [messageId, id]
+      );
+    } catch (error) {
+      logger.error("Failed to set comparison winner:", error);
+      throw error;
+    }
+  }
+
+  // A conversation's comparisons, newest first, each with its results and
+  // their usage
+  async getComparisons(conversationId) {
+    try {
+      const rows = await this.db.all(
+        `SELECT c.id AS comparison_id, c.prompt_message_id, c.winner_message_id,
+                c.created_at, r.position, r.provider, r.model, r.message_id,
+                r.latency_ms, r.first_token_ms, r.error, m.prompt_tokens,
+                m.completion_tokens, m.cost, m.truncated
+         FROM comparisons c
+         JOIN comparison_results r ON r.comparison_id = c.id
+         LEFT JOIN messages m ON m.id = r.message_id
+         WHERE c.conversation_id = ?
+         ORDER BY c.id DESC, r.position ASC`,
+        [conversationId]
+      );
+
+      const comparisons = new Map();
+      for (const {
+        comparison_id: id,
+        prompt_message_id,
+        winner_message_id,
+        created_at,
+        ...result
+      } of rows) {
+        if (!comparisons.has(id)) {
+          comparisons.set(id, {
+            id,
+            prompt_message_id,
+            winner_message_id,
+            created_at,
+            results: [],
+          });
+        }
+        comparisons.get(id).results.push(result);
+      }
+      return [...comparisons.values()];
+    } catch (error) {
+      logger.error("Failed to get comparisons:", error);
+      throw error;
+    }
+  }
+
+  // Files attached to a message, in order: [{ path, hash, size, content }]
+  async saveAttachments(messageId, attachments) {
+    try {
+      await this.transaction(() =>
+        this.insertAttachments(messageId, attachments)
+      );
+    } catch (error) {
+      logger.error("Failed to save attachments:", error);
+      throw error;
+    }
+  }
+
+  // Without a transaction of its own, so imports can run it inside theirs
+  async insertAttachments(messageId, attachments) {
+    for (const [position, attachment] of attachments.entries()) {
+      await this.db.run(
+        `INSERT INTO attachment_contents (hash, content, size)
+         VALUES (?, ?, ?)
+         ON CONFLICT(hash) DO NOTHING`,
+        [attachment.hash, attachment.content, attachment.size]
+      );
+      await this.db.run(
+        `INSERT INTO attachments (message_id, position, path, hash)
+         VALUES (?, ?, ?, ?)`,
+        [messageId, position, attachment.path, attachment.hash]
+      );
+    }
+  }
+
+  // Attachments of the given messages with their contents, as a Map of
+  // message id to attachments in order
+  async getAttachments(messageIds) {
+    try {
+      const attachments = new Map();
+      if (messageIds.length === 0) return attachments;
+
+      const rows = await this.db.all(
+        `SELECT a.message_id, a.path, a.hash, c.size, c.content
+         FROM attachments a
+         JOIN attachment_contents c ON c.hash = a.hash
+         WHERE a.message_id IN (${messageIds.map(() => "?").join(", ")})
+         ORDER BY a.message_id, a.position`,
+        messageIds
+      );
+      for (const { message_id: messageId, ...attachment } of rows) {
+        if (!attachments.has(messageId)) attachments.set(messageId, []);
+        attachments.get(messageId).push(attachment);
+      }
+      return attachments;
+    } catch (error) {
+      logger.error("Failed to get attachments:", error);
+      throw error;
+    }
+  }
+
+  // Records a code block run from message `messageId`, with its output.
+  // Returns the run's id.
+  async saveCodeRun({
+    conversationId,
+    messageId,
+    language,
+    code,
+    stdout,
+    stderr,
+    exitCode,
+    timedOut,
+    durationMs,
+  }) {
+    try {
+      const result = await this.db.run(
+        `INSERT INTO code_runs (conversation_id, message_id, language, code,
+                                stdout, stderr, exit_code, timed_out,
+                                duration_ms)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          conversationId,
+          messageId,
+          language,
+          code,
+          stdout,
+          stderr,
+          exitCode,
+          timedOut ? 1 : 0,
+          durationMs,
+        ]
+      );
+      return result.lastID;
+    } catch (error) {
+      logger.error("Failed to save code run:", error);
+      throw error;
+    }
+  }
+
+  // Runs of code from the given messages, oldest first, as a Map of
+  // message id to runs
+  async getCodeRuns(messageIds) {
+    try {
+      const runs = new Map();
+      if (messageIds.length === 0) return runs;
+
+      const rows = await this.db.all(
+        `SELECT id, message_id, language, code, stdout, stderr, exit_code,
+                timed_out, duration_ms, created_at
+         FROM code_runs
+         WHERE message_id IN (${messageIds.map(() => "?").join(", ")})
+         ORDER BY id`,
+        messageIds
+      );
+      for (const row of rows) {
+        if (!runs.has(row.message_id)) runs.set(row.message_id, []);
+        runs.get(row.message_id).push({
+          id: row.id,
+          language: row.language,
+          code: row.code,
+          stdout: row.stdout,
+          stderr: row.stderr,
+          exitCode: row.exit_code,
+          timedOut: Boolean(row.timed_out),
+          durationMs: row.duration_ms,
+          createdAt: row.created_at,
+        });
+      }
+      return runs;
+    } catch (error) {
+      logger.error("Failed to get code runs:", error);
+      throw error;
+    }
+  }
+
+  // The unsent text of a conversation's composer, or "" without one
+  async getDraft(conversationId) {
+    try {
+      const row = await this.db.get(
+        "SELECT content FROM drafts WHERE conversation_id = ?",
+        [conversationId]
+      );
+      return row?.content ?? "";
+    } catch (error) {
+      logger.error("Failed to get draft:", error);
+      throw error;
+    }
+  }
+
+  // Saving blank text drops the draft
+  async saveDraft(conversationId, content) {
+    try {
+      if (!content.trim()) {
+        await this.db.run("DELETE FROM drafts WHERE conversation_id = ?", [
+          conversationId,
+        ]);
+        return;
+      }
+
+      await this.db.run(
+        `INSERT INTO drafts (conversation_id, content)
+         VALUES (?, ?)
+         ON CONFLICT(conversation_id) DO UPDATE SET
+           content = excluded.content,
+           updated_at = CURRENT_TIMESTAMP`,
+        [conversationId, content]
+      );
+    } catch (error) {
+      logger.error("Failed to save draft:", error);
+      throw error;
+    }
+  }
+
+  async listPersonas() {
+    try {
+      return await this.db.all("SELECT * FROM personas ORDER BY name ASC");
+    } catch (error) {
+      logger.error("Failed to list personas:", error);
+      throw error;
+    }
+  }
+
+  async getPersona(name) {
+    try {
+      return await this.db.get("SELECT * FROM personas WHERE name = ?", [name]);
+    } catch (error) {
+      logger.error("Failed to get persona:", error);
+      throw error;
+    }
+  }
+
+  async savePersona({ name, prompt, model = null, temperature = null }) {
+    try {
+      await this.db.run(
+        `INSERT INTO personas (name, prompt, model, temperature)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(name) DO UPDATE SET
+           prompt = excluded.prompt,
+           model = excluded.model,
+           temperature = excluded.temperature,
+           updated_at = CURRENT_TIMESTAMP`,
+        [name, prompt, model, temperature]
+      );
+
+      logger.info("Saved persona", { name });
+      return await this.getPersona(name);
+    } catch (error) {
+      logger.error("Failed to save persona:", error);
+      throw error;
+    }
+  }
+
+  async deletePersona(name) {
+    try {
+      const result = await this.db.run("DELETE FROM personas WHERE name = ?", [
+        name,
+      ]);
+      return result.changes > 0;
+    } catch (error) {
+      logger.error("Failed to delete persona:", error);
+      throw error;
+    }
+  }
+
   async getConversation(id) {
     try {
       return await this.db.get("SELECT * FROM conversations WHERE id = ?", [
@@ -157,17 +665,308 @@ class Database {
     }
   }
 
-  async getConversationHistory(id) {
+  // Ancestors of a conversation, the conversation itself and every branch
+  // beneath it, parents before children
+  async getConversationFamily(id) {
+    try {
+      const conversation = await this.getConversation(id);
+      if (!conversation) return [];
+
+      const ancestorIds = conversation.thread_path
+        ? conversation.thread_path.split(".").map(Number)
+        : [];
+      const ownPath = conversation.thread_path
+        ? `${conversation.thread_path}.${id}`
+        : String(id);
+
+      const ancestors = ancestorIds.length
+        ? await this.db.all(
+            `SELECT * FROM conversations
+             WHERE id IN (${ancestorIds.map(() => "?").join(", ")})`,
+            ancestorIds
+          )
+        : [];
+      const descendants = await this.db.all(
+        `SELECT * FROM conversations
+         WHERE thread_path = ? OR thread_path LIKE ?
+         ORDER BY length(thread_path) ASC, id ASC`,
+        [ownPath, `${ownPath}.%`]
+      );
+
+      return [
+        ...ancestorIds.map((ancestorId) =>
+          ancestors.find((a) => a.id === ancestorId)
+        ).filter(Boolean),
+        conversation,
+        ...descendants,
+      ];
+    } catch (error) {
+      logger.error("Failed to get conversation family:", error);
+      throw error;
+    }
+  }
+
+  // Inserts a conversation as it was, keeping its timestamps and metadata
+  async importConversation({
+    title,
+    parentId = null,
+    metadata = {},
+    createdAt = null,
+    updatedAt = null,
+  }) {
+    try {
+      const result = await this.db.run(
+        `INSERT INTO conversations (title, parent_id, thread_path, metadata,
+                                    created_at, updated_at)
+         VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP),
+                 COALESCE(?, ?, CURRENT_TIMESTAMP))`,
+        [
+          title,
+          parentId,
+          await this.threadPathFor(parentId),
+          JSON.stringify(metadata),
+          createdAt,
+          updatedAt,
+          createdAt,
+        ]
+      );
+      return result.lastID;
+    } catch (error) {
+      logger.error("Failed to import conversation:", error);
+      throw error;
+    }
+  }
+
+  async importMessage({
+    conversationId,
+    role,
+    content,
+    model = null,
+    provider = null,
+    tokenCount = null,
+    promptTokens = null,
+    completionTokens = null,
+    cost = null,
+    pinned = false,
+    truncated = false,
+    parentId = null,
+    active = true,
+    metadata = null,
+    attachments = [],
+    createdAt = null,
+  }) {
+    try {
+      const result = await this.db.run(
+        `INSERT INTO messages (conversation_id, role, content, model, provider,
+                               token_count, prompt_tokens, completion_tokens,
+                               cost, pinned, truncated, parent_id, active,
+                               metadata, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?,
+                 COALESCE(?, CURRENT_TIMESTAMP))`,
+        [
+          conversationId,
+          role,
+          content,
+          model,
+          provider,
+          tokenCount,
+          promptTokens,
+          completionTokens,
+          cost,
+          pinned ? 1 : 0,
+          truncated ? 1 : 0,
+          parentId,
+          active ? 1 : 0,
+          metadata && typeof metadata === "object" && Object.keys(metadata).length
+            ? JSON.stringify(metadata)
+            : null,
+          createdAt,
+        ]
+      );
+      await this.insertAttachments(result.lastID, attachments);
+      return result.lastID;
+    } catch (error) {
+      logger.error("Failed to import message:", error);
+      throw error;
+    }
+  }
+
+  // Runs `fn` inside a transaction, rolling back if it throws
+  async transaction(fn) {
+    await this.db.exec("BEGIN");
+    try {
+      const result = await fn();
+      await this.db.exec("COMMIT");
+      return result;
+    } catch (error) {
+      await this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  // Every message of a conversation, including inactive alternatives
+  async getConversationMessages(id) {
     try {
       return await this.db.all(
-        `SELECT role, content, model, token_count, created_at
+        `SELECT ${MESSAGE_COLUMNS}
          FROM messages
          WHERE conversation_id = ?
-         ORDER BY created_at ASC`,
+         ORDER BY created_at ASC, id ASC`,
         [id]
       );
     } catch (error) {
-      logger.error("Failed to get conversation history:", error);
+      logger.error("Failed to get conversation messages:", error);
+      throw error;
+    }
+  }
+
+  // The conversation's active path, each message annotated with its
+  // position among its alternatives
+  async getConversationHistory(id) {
+    return activePath(await this.getConversationMessages(id));
+  }
+
+  // A message and everything before it, following parents across branches
+  async getMessagePath(messageId) {
+    try {
+      return await this.db.all(
+        `WITH RECURSIVE path(message_id, depth) AS (
+           SELECT ?, 0
+           UNION ALL
+           SELECT m.parent_id, path.depth + 1
+           FROM messages m JOIN path ON m.id = path.message_id
+           WHERE m.parent_id IS NOT NULL
+         )
+         SELECT ${MESSAGE_COLUMNS}
+         FROM path JOIN messages ON messages.id = path.message_id
+         ORDER BY path.depth DESC`,
+        [messageId]
+      );
+    } catch (error) {
+      logger.error("Failed to get message path:", error);
+      throw error;
+    }
+  }
+
+  async getConversationLineage(id) {
+    try {
+      const conversation = await this.getConversation(id);
+      if (!conversation) return [];
+
+      const own = await this.getConversationHistory(id);
+      const { branchPoint } = parseMetadata(conversation.metadata);
+      if (!conversation.parent_id || !branchPoint) return own;
+
+      // A branch inherits everything up to and including the fork, even if
+      // the parent has since switched to another alternative
+      const inherited = await this.getMessagePath(branchPoint);
+      if (!inherited.length) {
+        logger.warn("Branch point missing from parent lineage", {
+          conversationId: id,
+          branchPoint,
+        });
+        return own;
+      }
+
+      return [...inherited.map((m) => ({ ...m, inherited: true })), ...own];
+    } catch (error) {
+      logger.error("Failed to get conversation lineage:", error);
+      throw error;
+    }
+  }
+
+  async getMessage(id) {
+    try {
+      return await this.db.get(
+        `SELECT ${MESSAGE_COLUMNS}, conversation_id FROM messages WHERE id = ?`,
+        [id]
+      );
+    } catch (error) {
+      logger.error("Failed to get message:", error);
+      throw error;
+    }
+  }
+
+  // The message and its siblings: edits and regenerations of the same turn
+  async getAlternatives(id) {
+    try {
+      return await this.db.all(
+        `SELECT ${MESSAGE_COLUMNS}
+         FROM messages
+         WHERE (conversation_id, parent_id) IS
+               (SELECT conversation_id, parent_id FROM messages WHERE id = ?)
+         ORDER BY created_at ASC, id ASC`,
+        [id]
+      );
+    } catch (error) {
+      logger.error("Failed to get message alternatives:", error);
+      throw error;
+    }
+  }
+
+  // Makes the message the one shown among its alternatives
+  async activateMessage(id) {
+    try {
+      await this.transaction(async () => {
+        await this.db.run(
+          `UPDATE messages SET active = 0
+           WHERE (conversation_id, parent_id) IS
+                 (SELECT conversation_id, parent_id FROM messages WHERE id = ?)`,
+          [id]
+        );
+        await this.db.run("UPDATE messages SET active = 1 WHERE id = ?", [id]);
+      });
+    } catch (error) {
+      logger.error("Failed to activate message:", error);
+      throw error;
+    }
+  }
+
+  async createBranch(conversationId, messageId, title = null) {
+    try {
+      const parent = await this.getConversation(conversationId);
+      if (!parent) {
+        throw new Error(`Conversation ${conversationId} not found`);
+      }
+
+      const lineage = await this.getConversationLineage(conversationId);
+      if (!lineage.some((m) => m.id === messageId)) {
+        throw new Error(
+          `Message ${messageId} is not part of conversation ${conversationId}`
+        );
+      }
+
+      const branchId = await this.createConversation(
+        title || `${parent.title} (branch)`,
+        conversationId
+      );
+      await this.updateConversationMetadata(branchId, {
+        branchPoint: messageId,
+      });
+
+      return branchId;
+    } catch (error) {
+      logger.error("Failed to create branch:", error);
+      throw error;
+    }
+  }
+
+  async updateConversationMetadata(id, patch) {
+    try {
+      const conversation = await this.getConversation(id);
+      if (!conversation) {
+        throw new Error(`Conversation ${id} not found`);
+      }
+
+      const metadata = { ...parseMetadata(conversation.metadata), ...patch };
+      await this.db.run("UPDATE conversations SET metadata = ? WHERE id = ?", [
+        JSON.stringify(metadata),
+        id,
+      ]);
+
+      return metadata;
+    } catch (error) {
+      logger.error("Failed to update conversation metadata:", error);
       throw error;
     }
   }
@@ -192,6 +991,106 @@ class Database {
     }
   }
 
+  async getThreadTree(limit = 50) {
+    try {
+      // The most recent root conversations plus every branch beneath them;
+      // the first thread_path segment of a branch is its root's id
+      return await this.db.all(
+        `WITH roots AS (
+           SELECT id FROM conversations
+           WHERE parent_id IS NULL
+           ORDER BY updated_at DESC
+           LIMIT ?
+         )
+         SELECT c.*,
+                COUNT(DISTINCT m.id) as message_count,
+                MAX(m.created_at) as last_message_at
+         FROM conversations c
+         LEFT JOIN messages m ON c.id = m.conversation_id
+         WHERE c.id IN roots
+            OR CAST(substr(c.thread_path || '.', 1,
+                    instr(c.thread_path || '.', '.') - 1) AS INTEGER) IN roots
+         GROUP BY c.id
+         ORDER BY c.updated_at DESC`,
+        [limit]
+      );
+    } catch (error) {
+      logger.error("Failed to get thread tree:", error);
+      throw error;
+    }
+  }
+
+  // Spend for a period ("today", "month" or all time) and/or a single
+  // conversation, with per-model and per-day breakdowns
+  async getCostReport({ period = null, conversationId = null } = {}) {
+    try {
+      const conditions = [];
+      const params = [];
+
+      if (period) {
+        if (!COST_PERIODS[period]) {
+          throw new Error(`Unknown cost period: ${period}`);
+        }
+        conditions.push(COST_PERIODS[period]);
+      }
+      if (conversationId) {
+        conditions.push("m.conversation_id = ?");
+        params.push(conversationId);
+      }
+      const where = conditions.length
+        ? `WHERE ${conditions.join(" AND ")}`
+        : "";
+      // Rounds of tool calls and context summaries are paid for like replies
+      const from = `FROM (
+        SELECT conversation_id, provider, model, prompt_tokens,
+               completion_tokens, cost, created_at
+        FROM messages
+        WHERE role IN ('assistant', 'tool_call')
+        UNION ALL
+        SELECT conversation_id, provider, model, prompt_tokens,
+               completion_tokens, cost, created_at
+        FROM summaries
+      ) m`;
+
+      const totals = await this.db.get(
+        `SELECT COALESCE(SUM(m.cost), 0) as cost,
+                COALESCE(SUM(m.prompt_tokens), 0) as prompt_tokens,
+                COALESCE(SUM(m.completion_tokens), 0) as completion_tokens,
+                COUNT(*) as messages,
+                SUM(m.cost IS NULL) as unpriced
+         ${from} ${where}`,
+        params
+      );
+
+      const byModel = await this.db.all(
+        `SELECT m.provider, m.model,
+                COALESCE(SUM(m.cost), 0) as cost,
+                COALESCE(SUM(m.prompt_tokens), 0) as prompt_tokens,
+                COALESCE(SUM(m.completion_tokens), 0) as completion_tokens,
+                COUNT(*) as messages
+         ${from} ${where}
+         GROUP BY m.provider, m.model
+         ORDER BY cost DESC`,
+        params
+      );
+
+      const byDay = await this.db.all(
+        `SELECT date(m.created_at, 'localtime') as day,
+                COALESCE(SUM(m.cost), 0) as cost,
+                COUNT(*) as messages
+         ${from} ${where}
+         GROUP BY day
+         ORDER BY day DESC`,
+        params
+      );
+
+      return { ...totals, unpriced: totals.unpriced || 0, byModel, byDay };
+    } catch (error) {
+      logger.error("Failed to get cost report:", error);
+      throw error;
+    }
+  }
+
   async getConversationThread(id) {
     try {
       const conversation = await this.getConversation(id);
@@ -213,27 +1112,64 @@ class Database {
     }
   }
 
-  async searchConversations(query) {
+  // Messages matching a parsed search query (see core/search/SearchQuery.js),
+  // best matches first, with the matching terms marked in `snippet`
+  async searchMessages({ match, filters = {} }, limit = 100) {
     try {
+      const conditions = [];
+      const params = [];
+
+      if (match) {
+        conditions.push("messages_fts MATCH ?");
+        params.push(match);
+      }
+      if (filters.model) {
+        conditions.push("m.model LIKE ?");
+        params.push(`%${filters.model}%`);
+      }
+      if (filters.role) {
+        conditions.push("m.role = ?");
+        params.push(filters.role);
+      }
+      if (filters.before) {
+        conditions.push("date(m.created_at, 'localtime') < ?");
+        params.push(filters.before);
+      }
+      if (filters.after) {
+        conditions.push("date(m.created_at, 'localtime') > ?");
+        params.push(filters.after);
+      }
+
+      const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+      const columns = `m.id, m.conversation_id, m.role, m.model, m.created_at,
+                       c.title`;
+
+      if (match) {
+        return await this.db.all(
+          `SELECT ${columns},
+                  snippet(messages_fts, 0, ?, ?, '…', 16) as snippet
+           FROM messages_fts
+           JOIN messages m ON m.id = messages_fts.rowid
+           JOIN conversations c ON c.id = m.conversation_id
+           ${where}
+           ORDER BY bm25(messages_fts) ASC
+           LIMIT ?`,
+          [HIGHLIGHT_START, HIGHLIGHT_END, ...params, limit]
+        );
+      }
+
+      // Filters alone: newest matching messages first
       return await this.db.all(
-        `SELECT c.*, 
-                COUNT(DISTINCT m.id) as message_count,
-                MAX(m.created_at) as last_message_at
-         FROM conversations c
-         LEFT JOIN messages m ON c.id = m.conversation_id
-         WHERE c.title LIKE ?
-            OR c.id IN (
-              SELECT DISTINCT conversation_id 
-              FROM messages 
-              WHERE content LIKE ?
-            )
-         GROUP BY c.id
-         ORDER BY c.updated_at DESC
-         LIMIT 50`,
-        [`%${query}%`, `%${query}%`]
+        `SELECT ${columns}, substr(m.content, 1, 120) as snippet
+         FROM messages m
+         JOIN conversations c ON c.id = m.conversation_id
+         ${where}
+         ORDER BY m.created_at DESC, m.id DESC
+         LIMIT ?`,
+        [...params, limit]
       );
     } catch (error) {
-      logger.error("Failed to search conversations:", error);
+      logger.error("Failed to search messages:", error);
       throw error;
     }
   }
@@ -250,4 +1186,4 @@ class Database {
 }
 
 // module.exports = { Database };
-export { Database };
+export { Database, parseMetadata };
@@ -0,0 +1,240 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { logger } from "../utils/Logger.js";
+import { DEFAULT_PATHS } from "../utils/paths.js";
+
+const BUNDLED_PLUGINS_DIR = fileURLToPath(new URL("../plugins/", import.meta.url));
+
+const HOOKS = ["beforeSend", "afterResponse"];
+
+function validatePlugin(plugin, source) {
+  if (!plugin || typeof plugin !== "object") {
+    throw new Error(`Plugin ${source} must export an object`);
+  }
+  if (typeof plugin.name !== "string" || !plugin.name.trim()) {
+    throw new Error(`Plugin ${source} must have a name`);
+  }
+  for (const fn of ["init", "destroy"]) {
+    if (plugin[fn] !== undefined && typeof plugin[fn] !== "function") {
+      throw new Error(`Plugin ${plugin.name}: ${fn} must be a function`);
+    }
+  }
+}
+
+// Discovers plugins in the bundled plugins/ directory and the user's plugin
+// directory, and gives each one an API for registering providers, commands,
+// tools, message hooks and status bar segments. Everything a plugin registers is
+// tracked so that disabling it removes its contributions again.
+class PluginManager {
+  constructor(controller, config = {}) {
+    this.controller = controller;
+    this.config = config;
+    this.directories = [
+      BUNDLED_PLUGINS_DIR,
+      config.directory || DEFAULT_PATHS.PLUGINS_DIR,
+    ];
+    this.plugins = new Map();
+    this.hooks = new Map(HOOKS.map((hook) => [hook, []]));
+  }
+
+  async loadAll() {
+    for (const directory of this.directories) {
+      for (const file of await this.discover(directory)) {
+        await this.load(file);
+      }
+    }
+
+    for (const entry of this.plugins.values()) {
+      if (!this.isEnabledInConfig(entry.plugin.name)) continue;
+      try {
+        await this.enable(entry.plugin.name);
+      } catch {
+        // Already logged and marked failed; the other plugins still load
+      }
+    }
+
+    logger.info("Plugins loaded", {
+      plugins: [...this.plugins.values()].map((entry) => ({
+        name: entry.plugin.name,
+        status: entry.status,
+      })),
+    });
+  }
+
+  async discover(directory) {
+    try {
+      const entries = await fs.readdir(directory, { withFileTypes: true });
+      const files = [];
+
+      for (const entry of entries) {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isFile() && /\.m?js$/.test(entry.name)) {
+          files.push(fullPath);
+        } else if (entry.isDirectory()) {
+          const index = path.join(fullPath, "index.js");
+          if (await fs.access(index).then(() => true).catch(() => false)) {
+            files.push(index);
+          }
+        }
+      }
+
+      return files.sort();
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      logger.error("Failed to read plugin directory:", error);
+      return [];
+    }
+  }
+
+  async load(file) {
+    try {
+      const module = await import(pathToFileURL(file).href);
+      const plugin = module.default || module.plugin;
+      validatePlugin(plugin, file);
+
+      if (this.plugins.has(plugin.name)) {
+        logger.warn(`Plugin ${plugin.name} from ${file} overrides an earlier one`);
+        await this.disable(plugin.name);
+      }
+
+      this.plugins.set(plugin.name, {
+        plugin,
+        source: file,
+        status: "disabled",
+        registrations: [],
+      });
+    } catch (error) {
+      logger.error(`Failed to load plugin ${file}:`, error);
+    }
+  }
+
+  isEnabledInConfig(name) {
+    return this.config[name]?.enabled !== false;
+  }
+
+  getPluginConfig(name) {
+    const { enabled, ...pluginConfig } = this.config[name] || {};
+    return pluginConfig;
+  }
+
+  async enable(name) {
+    const entry = this.plugins.get(name);
+    if (!entry) {
+      throw new Error(`Unknown plugin: ${name}`);
+    }
+    if (entry.status === "enabled") return;
+
+    try {
+      await entry.plugin.init?.(this.getPluginConfig(name), this.createApi(entry));
+      entry.status = "enabled";
+      logger.info("Plugin enabled", { name });
+    } catch (error) {
+      this.unregisterAll(entry);
+      entry.status = "failed";
+      entry.error = error.message;
+      logger.error(`Plugin ${name} failed to initialize:`, error);
+      throw new Error(`Plugin ${name} failed to initialize: ${error.message}`);
+    }
+  }
+
+  async disable(name) {
+    const entry = this.plugins.get(name);
+    if (!entry) {
+      throw new Error(`Unknown plugin: ${name}`);
+    }
+    if (entry.status !== "enabled") return;
+
+    try {
+      await entry.plugin.destroy?.();
+    } catch (error) {
+      logger.error(`Plugin ${name} failed to shut down cleanly:`, error);
+    }
+
+    this.unregisterAll(entry);
+    entry.status = "disabled";
+    logger.info("Plugin disabled", { name });
+  }
+
+  list() {
+    return [...this.plugins.values()].map((entry) => ({
+      name: entry.plugin.name,
+      description: entry.plugin.description || "",
+      source: entry.source,
+      status: entry.status,
+      error: entry.error,
+    }));
+  }
+
+  createApi(entry) {
+    const { controller } = this;
+    const track = (undo) => entry.registrations.push(undo);
+
+    return {
+      logger,
+
+      registerProvider: (type, ProviderClass) => {
+        controller.ai.providers.registerType(type, ProviderClass);
+        track(() => controller.ai.providers.unregisterType(type));
+      },
+
+      registerCommand: (name, spec) => {
+        controller.commands.registerCommand(name, spec);
+        track(() => controller.commands.unregisterCommand(name));
+      },
+
+      registerTool: (tool) => {
+        controller.tools.register(tool);
+        track(() => controller.tools.unregister(tool.name));
+      },
+
+      addHook: (hook, fn) => {
+        if (!this.hooks.has(hook)) {
+          throw new Error(
+            `Unknown hook: ${hook}. Available hooks: ${HOOKS.join(", ")}`
+          );
+        }
+        this.hooks.get(hook).push(fn);
+        track(() => {
+          const fns = this.hooks.get(hook);
+          fns.splice(fns.indexOf(fn), 1);
+        });
+      },
+
+      registerStatusSegment: (name, render) => {
+        controller.screen.registerStatusSegment(name, render);
+        track(() => controller.screen.removeStatusSegment(name));
+      },
+    };
+  }
+
+  unregisterAll(entry) {
+    for (const undo of entry.registrations.reverse()) {
+      undo();
+    }
+    entry.registrations = [];
+  }
+
+  // Passes a value through every hook registered for `hook`. A hook returns
+  // the replacement value, or nothing to leave it unchanged.
+  async runHook(hook, value, context = {}) {
+    let result = value;
+    for (const fn of this.hooks.get(hook) || []) {
+      try {
+        const next = await fn(result, context);
+        if (next !== undefined) result = next;
+      } catch (error) {
+        logger.error(`Plugin hook ${hook} failed:`, error);
+      }
+    }
+    return result;
+  }
+
+  async shutdown() {
+    for (const name of this.plugins.keys()) {
+      await this.disable(name);
+    }
+  }
+}
+
+export { PluginManager };
@@ -0,0 +1,181 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { logger } from "../../utils/Logger.js";
+import { parseMetadata } from "../Database.js";
+import { hashContent } from "../attachments/FileAttachments.js";
+import {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  formatFromFilename,
+  bundleParents,
+  serialize,
+  parseArchive,
+} from "./formats.js";
+
+// Paths typed in the command line may start with ~
+function resolvePath(filename) {
+  return path.resolve(filename.replace(/^~(?=$|[\\/])/, os.homedir()));
+}
+
+// Media in metadata refer to the media store by hash; their bytes stay
+// there. Attached text files travel with the message.
+function toBundleMessage(row, attachments = []) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    model: row.model,
+    provider: row.provider,
+    tokenCount: row.token_count,
+    promptTokens: row.prompt_tokens,
+    completionTokens: row.completion_tokens,
+    cost: row.cost,
+    pinned: Boolean(row.pinned),
+    truncated: Boolean(row.truncated),
+    parentId: row.parent_id,
+    active: Boolean(row.active),
+    metadata: parseMetadata(row.metadata),
+    attachments: attachments.map(({ path, hash, size, content }) => ({
+      path,
+      hash,
+      size,
+      content,
+    })),
+    createdAt: row.created_at,
+  };
+}
+
+// Attachments from an archive, hashed again so a hand-edited file can't
+// attach its content under another file's hash
+function fromBundleAttachments(attachments = []) {
+  return attachments
+    .filter((attachment) => typeof attachment?.content === "string")
+    .map(({ path, content }) => ({
+      path: String(path),
+      content,
+      hash: hashContent(content),
+      size: Buffer.byteLength(content),
+    }));
+}
+
+// Writes conversations to Markdown, JSON or JSONL files and re-creates
+// conversations from archives, including ChatGPT exports
+class ConversationArchive {
+  constructor(db) {
+    this.db = db;
+  }
+
+  // The conversation with its ancestors (needed to rebuild its lineage) and
+  // every branch beneath it
+  async bundle(conversationId) {
+    const family = await this.db.getConversationFamily(conversationId);
+    if (family.length === 0) {
+      throw new Error(`Conversation ${conversationId} not found`);
+    }
+
+    const conversations = [];
+    for (const conversation of family) {
+      const messages = await this.db.getConversationMessages(conversation.id);
+      const attachments = await this.db.getAttachments(
+        messages.map((message) => message.id)
+      );
+      conversations.push({
+        id: conversation.id,
+        parentId: conversation.parent_id,
+        title: conversation.title,
+        metadata: parseMetadata(conversation.metadata),
+        createdAt: conversation.created_at,
+        updatedAt: conversation.updated_at,
+        messages: messages.map((message) =>
+          toBundleMessage(message, attachments.get(message.id))
+        ),
+      });
+    }
+
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversationId,
+      conversations,
+    };
+  }
+
+  async write(conversationId, filename, { format = null } = {}) {
+    const resolvedFormat = format || formatFromFilename(filename) || "markdown";
+    const target = resolvePath(filename);
+    const content = serialize(await this.bundle(conversationId), resolvedFormat);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, content);
+
+    logger.info("Conversation exported", {
+      conversationId,
+      path: target,
+      format: resolvedFormat,
+    });
+    return { path: target, format: resolvedFormat };
+  }
+
+  // Imports every conversation in the file and returns the new ids of the
+  // top-level ones. The whole file is imported or nothing is.
+  async import(filename) {
+    const source = resolvePath(filename);
+    const text = await fs.readFile(source, "utf8");
+    const bundle = parseArchive(text, path.basename(filename));
+    const parents = bundleParents(bundle);
+
+    const conversationIds = new Map();
+    const messageIds = new Map();
+    const imported = [];
+
+    await this.db.transaction(async () => {
+      for (const conversation of bundle.conversations) {
+        const parentId = conversation.parentId == null
+          ? null
+          : conversationIds.get(conversation.parentId) ?? null;
+        const metadata = { ...(conversation.metadata || {}) };
+        if (metadata.branchPoint !== undefined) {
+          // Branch points refer to messages that were just re-created
+          metadata.branchPoint = messageIds.get(metadata.branchPoint) ?? null;
+        }
+
+        const id = await this.db.importConversation({
+          title: conversation.title || "Imported conversation",
+          parentId,
+          metadata,
+          createdAt: conversation.createdAt,
+          updatedAt: conversation.updatedAt,
+        });
+        conversationIds.set(conversation.id, id);
+        if (parentId === null) imported.push(id);
+
+        for (const message of conversation.messages || []) {
+          const messageId = await this.db.importMessage({
+            ...message,
+            conversationId: id,
+            parentId: messageIds.get(parents.get(message.id)) ?? null,
+            active: message.active ?? true,
+            attachments: fromBundleAttachments(message.attachments),
+            createdAt: message.createdAt || conversation.createdAt,
+          });
+          messageIds.set(message.id, messageId);
+        }
+      }
+    });
+
+    logger.info("Conversations imported", {
+      file: source,
+      conversations: conversationIds.size,
+      messages: messageIds.size,
+    });
+    return {
+      conversationIds: imported,
+      conversations: conversationIds.size,
+      messages: messageIds.size,
+    };
+  }
+}
+
+export { ConversationArchive };
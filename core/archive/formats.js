@@ -0,0 +1,330 @@
+// Conversion between conversation bundles and archive files. A bundle is
+// the lossless representation written as JSON:
+//   { format, version, exportedAt, conversationId,
+//     conversations: [{ id, parentId, title, metadata, createdAt, updatedAt,
+//                       messages: [{ id, role, content, model, provider,
+//                                    tokenCount, promptTokens,
+//                                    completionTokens, cost, pinned,
+//                                    truncated, parentId, active,
+//                                    metadata, attachments: [{ path, hash,
+//                                    size, content }], createdAt }] }] }
+// Parents always come before their branches, and a branch's
+// metadata.branchPoint refers to a message id within the bundle. A message's
+// parentId is the message it follows; edits and regenerations share a parent
+// and only the `active` one is part of the conversation.
+
+import { activePath } from "../storage/messageTree.js";
+
+const ARCHIVE_FORMAT = "connect-cli";
+const ARCHIVE_VERSION = 1;
+const FORMATS = ["markdown", "json", "jsonl"];
+
+const EXTENSIONS = {
+  ".md": "markdown",
+  ".markdown": "markdown",
+  ".json": "json",
+  ".jsonl": "jsonl",
+};
+
+const ROLE_TITLES = {
+  user: "User",
+  assistant: "Assistant",
+  system: "System",
+};
+
+function formatFromFilename(filename) {
+  const match = /\.[^./\\]+$/.exec(filename.toLowerCase());
+  return (match && EXTENSIONS[match[0]]) || null;
+}
+
+// The parent of every message in the bundle. Messages without a parentId
+// (older archives, JSONL and ChatGPT imports) follow the previous message,
+// and a branch's first message follows its branch point.
+function bundleParents(bundle) {
+  const parents = new Map();
+  for (const conversation of bundle.conversations) {
+    let previous = conversation.metadata?.branchPoint ?? null;
+    for (const message of conversation.messages || []) {
+      parents.set(
+        message.id,
+        message.parentId !== undefined ? message.parentId : previous
+      );
+      previous = message.id;
+    }
+  }
+  return parents;
+}
+
+// A conversation's own active messages
+function bundleMessages(conversation, parents) {
+  return activePath(conversation.messages || [], (m) => parents.get(m.id));
+}
+
+// Messages a conversation sees: everything up to its branch point followed
+// by its own messages, as in Database#getConversationLineage
+function bundleLineage(bundle, id, parents = bundleParents(bundle)) {
+  const conversation = bundle.conversations.find((c) => c.id === id);
+  if (!conversation) return [];
+
+  const own = bundleMessages(conversation, parents);
+  const { branchPoint } = conversation.metadata || {};
+  if (conversation.parentId == null || !branchPoint) return own;
+
+  const messages = new Map(
+    bundle.conversations.flatMap((c) => (c.messages || []).map((m) => [m.id, m]))
+  );
+  const inherited = [];
+  for (let messageId = branchPoint; messages.has(messageId); ) {
+    inherited.unshift(messages.get(messageId));
+    messageId = parents.get(messageId);
+  }
+
+  return [...inherited, ...own];
+}
+
+// The exported conversation followed by every branch beneath it
+function exportedConversations(bundle) {
+  const ids = new Set([bundle.conversationId]);
+  return bundle.conversations.filter((c) => {
+    if (ids.has(c.id) || ids.has(c.parentId)) {
+      ids.add(c.id);
+      return true;
+    }
+    return false;
+  });
+}
+
+function formatMessageMarkdown(message) {
+  const details = [message.model, message.createdAt].filter(Boolean);
+  if (message.alternative_count > 1) {
+    details.push(`alternative ${message.alternative_index}/${message.alternative_count}`);
+  }
+  const title = ROLE_TITLES[message.role] || message.role;
+  return [
+    `### ${title}${details.length ? ` · ${details.join(" · ")}` : ""}${
+      message.pinned ? " · pinned" : ""
+    }${message.truncated ? " · truncated" : ""}`,
+    "",
+    message.content,
+    "",
+  ].join("\n");
+}
+
+function toMarkdown(bundle) {
+  const [main, ...branches] = exportedConversations(bundle);
+  const parents = bundleParents(bundle);
+  const lines = [`# ${main.title}`, ""];
+
+  if (main.metadata?.persona) {
+    lines.push(`_Persona: ${main.metadata.persona}_`, "");
+  }
+  for (const message of bundleLineage(bundle, main.id, parents)) {
+    lines.push(formatMessageMarkdown(message));
+  }
+
+  for (const branch of branches) {
+    const parent = bundle.conversations.find((c) => c.id === branch.parentId);
+    lines.push(`## Branch: ${branch.title}`, "");
+    lines.push(`_Branched from "${parent.title}"_`, "");
+    for (const message of bundleMessages(branch, parents)) {
+      lines.push(formatMessageMarkdown(message));
+    }
+  }
+
+  return lines.join("\n");
+}
+
+function toJSON(bundle) {
+  return `${JSON.stringify(bundle, null, 2)}\n`;
+}
+
+// One training example per conversation lineage, in the OpenAI chat
+// fine-tuning format. Lineages without an assistant reply are skipped.
+function toJSONL(bundle) {
+  const parents = bundleParents(bundle);
+  return exportedConversations(bundle)
+    .map((conversation) =>
+      bundleLineage(bundle, conversation.id, parents)
+        .filter((m) => ["system", "user", "assistant"].includes(m.role))
+        .map(({ role, content }) => ({ role, content }))
+    )
+    .filter((messages) => messages.some((m) => m.role === "assistant"))
+    .map((messages) => `${JSON.stringify({ messages })}\n`)
+    .join("");
+}
+
+function serialize(bundle, format) {
+  switch (format) {
+    case "markdown":
+      return toMarkdown(bundle);
+    case "json":
+      return toJSON(bundle);
+    case "jsonl":
+      return toJSONL(bundle);
+    default:
+      throw new Error(
+        `Unknown format: ${format}. Available formats: ${FORMATS.join(", ")}`
+      );
+  }
+}
+
+// ChatGPT exports use unix seconds; the database stores UTC
+// "YYYY-MM-DD HH:MM:SS" like CURRENT_TIMESTAMP
+function fromUnixTime(seconds) {
+  if (!seconds) return null;
+  return new Date(seconds * 1000).toISOString().slice(0, 19).replace("T", " ");
+}
+
+function chatGPTMessage(node) {
+  const message = node.message;
+  const role = message?.author?.role;
+  if (!ROLE_TITLES[role] || message.metadata?.is_visually_hidden_from_conversation) {
+    return null;
+  }
+
+  const { content = {} } = message;
+  const text =
+    content.content_type === "code"
+      ? content.text
+      : (content.parts || []).filter((part) => typeof part === "string").join("\n");
+  if (!text?.trim()) return null;
+
+  return {
+    role,
+    content: text,
+    model: message.metadata?.model_slug || null,
+    createdAt: fromUnixTime(message.create_time),
+  };
+}
+
+// A ChatGPT conversation is a tree of message nodes. The path to
+// current_node becomes the conversation and every other path becomes a
+// branch forking at the last message before it.
+function fromChatGPTConversation(entry, index) {
+  const mapping = entry.mapping || {};
+  const base = `chatgpt-${entry.id || entry.conversation_id || index}`;
+  const title = entry.title || `ChatGPT conversation ${index + 1}`;
+  const rootId = Object.keys(mapping).find(
+    (id) => !mapping[id].parent || !mapping[mapping[id].parent]
+  );
+
+  const preferred = new Set();
+  for (let id = entry.current_node; id && mapping[id]; id = mapping[id].parent) {
+    preferred.add(id);
+  }
+
+  const conversations = [];
+  const walk = (startId, parentId, branchPoint, conversationTitle) => {
+    const conversation = {
+      id: `${base}-${conversations.length}`,
+      parentId,
+      title: conversationTitle,
+      metadata: branchPoint ? { branchPoint } : {},
+      createdAt: fromUnixTime(entry.create_time),
+      updatedAt: fromUnixTime(entry.update_time),
+      messages: [],
+    };
+    conversations.push(conversation);
+
+    let lastMessageId = branchPoint;
+    for (let nodeId = startId; nodeId; ) {
+      const message = chatGPTMessage(mapping[nodeId]);
+      if (message) {
+        message.id = `${base}-${nodeId}`;
+        conversation.messages.push(message);
+        lastMessageId = message.id;
+      }
+
+      const children = (mapping[nodeId].children || []).filter((id) => mapping[id]);
+      const next =
+        children.find((id) => preferred.has(id)) ?? children[children.length - 1];
+      for (const child of children) {
+        if (child !== next) {
+          walk(child, conversation.id, lastMessageId, `${title} (branch)`);
+        }
+      }
+      nodeId = next;
+    }
+  };
+
+  if (rootId) walk(rootId, null, null, title);
+  return conversations;
+}
+
+function fromJSONL(text, title) {
+  const conversations = text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line, i) => {
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${i + 1}: ${error.message}`);
+      }
+      if (!Array.isArray(record.messages)) {
+        throw new Error(`Line ${i + 1} has no "messages" array`);
+      }
+
+      return {
+        id: `jsonl-${i}`,
+        parentId: null,
+        title: `${title} #${i + 1}`,
+        metadata: {},
+        messages: record.messages.map((message, j) => ({
+          id: `jsonl-${i}-${j}`,
+          role: message.role,
+          content:
+            typeof message.content === "string"
+              ? message.content
+              : JSON.stringify(message.content),
+        })),
+      };
+    });
+
+  return { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, conversations };
+}
+
+// Reads a connect-cli JSON archive, a ChatGPT export (conversations.json) or
+// chat JSONL into a bundle
+function parseArchive(text, filename = "import") {
+  if (formatFromFilename(filename) === "jsonl") {
+    return fromJSONL(text, filename.replace(/^.*[\\/]/, ""));
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${filename} is not valid JSON: ${error.message}`);
+  }
+
+  if (data?.format === ARCHIVE_FORMAT) {
+    if (data.version > ARCHIVE_VERSION) {
+      throw new Error(`Unsupported archive version: ${data.version}`);
+    }
+    return data;
+  }
+
+  const entries = Array.isArray(data) ? data : [data];
+  if (entries.length && entries.every((entry) => entry?.mapping)) {
+    return {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      conversations: entries.flatMap(fromChatGPTConversation),
+    };
+  }
+
+  throw new Error(`${filename} is not a connect-cli archive or ChatGPT export`);
+}
+
+export {
+  ARCHIVE_FORMAT,
+  ARCHIVE_VERSION,
+  FORMATS,
+  formatFromFilename,
+  bundleParents,
+  bundleLineage,
+  serialize,
+  parseArchive,
+};
@@ -0,0 +1,338 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+import {
+  globToRegExp,
+  hasGlob,
+  parseGitignore,
+  matchesIgnore,
+  isIgnored,
+} from "./patterns.js";
+
+const DEFAULT_LIMITS = {
+  maxFileBytes: 100 * 1024,
+  maxTotalBytes: 512 * 1024,
+  maxMediaBytes: 5 * 1024 * 1024,
+  maxFiles: 50,
+};
+
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// Why a mention of a file outside the working directory was skipped
+const OUTSIDE_ROOT = "outside the working directory, use :attach";
+
+// Never attached, whatever .gitignore says
+const ALWAYS_IGNORED = parseGitignore(".git/");
+
+// `@path` mentions in a message: an @ starting a word, up to the next
+// whitespace, without trailing punctuation
+function findMentions(text) {
+  const mentions = [];
+  for (const match of text.matchAll(/(?:^|\s)@([^\s@]+)/g)) {
+    const mention = match[1].replace(/[.,;:!?)'"]+$/, "");
+    if (mention && !mentions.includes(mention)) mentions.push(mention);
+  }
+  return mentions;
+}
+
+// The media type of an image or PDF the models can read, from the first
+// bytes of the file, or null for anything else
+function detectMediaType(header) {
+  if (header.subarray(0, 8).equals(PNG_SIGNATURE)) return "image/png";
+  if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (
+    header.toString("latin1", 0, 4) === "RIFF" &&
+    header.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  if (header.toString("latin1", 0, 5) === "%PDF-") return "application/pdf";
+  return null;
+}
+
+async function readHeader(file) {
+  const handle = await fs.open(file, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(16), 0, 16, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function hashContent(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+// 245760 -> "240KB"
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes}B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${+(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+// How an attached file is shown to the model
+function formatAttachment({ path: filePath, content }) {
+  return `<file path="${filePath}">\n${content.replace(/\n$/, "")}\n</file>`;
+}
+
+// `messages` with the files attached to each (a Map of message id to
+// attachments) placed before its text
+function includeAttachments(messages, attachments) {
+  return messages.map((message) => {
+    const files = attachments.get(message.id);
+    if (!files?.length) return message;
+    return {
+      ...message,
+      content: `${files.map(formatAttachment).join("\n\n")}\n\n${message.content}`,
+    };
+  });
+}
+
+// Reads files to attach to a message. Paths are relative to `root` (the
+// working directory), may be globs or directories, and skip whatever the
+// root's .gitignore ignores. PNG, JPEG and WebP images and PDFs become
+// media attachments; other binary files, and files over the size limits,
+// are skipped with a reason rather than failing the whole request.
+class FileAttachments {
+  constructor(config = {}, root = process.cwd()) {
+    this.root = root;
+    this.limits = { ...DEFAULT_LIMITS, ...config };
+  }
+
+  async ignoreRules() {
+    try {
+      const text = await fs.readFile(path.join(this.root, ".gitignore"), "utf8");
+      return [...ALWAYS_IGNORED, ...parseGitignore(text)];
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      return ALWAYS_IGNORED;
+    }
+  }
+
+  // Path relative to the root, with "/" separators, or null outside it
+  relativePath(absolute) {
+    const relative = path.relative(this.root, absolute);
+    if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+      return null;
+    }
+    return relative.split(path.sep).join("/");
+  }
+
+  // Whether `absolute` is under the root once symlinks are resolved, so a
+  // link can't lead out of it
+  async isUnderRoot(absolute) {
+    const [real, root] = await Promise.all([
+      fs.realpath(absolute),
+      fs.realpath(this.root),
+    ]);
+    const relative = path.relative(root, real);
+    return (
+      relative === "" ||
+      (!relative.startsWith("..") && !path.isAbsolute(relative))
+    );
+  }
+
+  // Whether `absolute` is outside the root as written, before any symlinks
+  // are resolved
+  isOutsideRoot(absolute) {
+    const relative = path.relative(this.root, absolute);
+    return relative.startsWith("..") || path.isAbsolute(relative);
+  }
+
+  displayPath(absolute) {
+    return this.relativePath(absolute) ?? absolute;
+  }
+
+  absolutePath(pattern) {
+    const expanded = pattern.startsWith("~/")
+      ? path.join(os.homedir(), pattern.slice(2))
+      : pattern;
+    return path.resolve(this.root, expanded);
+  }
+
+  ignored(rules, absolute, isDirectory = false) {
+    const relative = this.relativePath(absolute);
+    return relative !== null && isIgnored(rules, relative, isDirectory);
+  }
+
+  // Files under `directory` (those passing `match`, if given), not
+  // descending into ignored directories or following symlinks. Stops early
+  // past `limit` files.
+  async walk(directory, rules, limit, { match = null, files = [] } = {}) {
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      if (files.length > limit) break;
+      const full = path.join(directory, entry.name);
+      const relative = this.relativePath(full);
+      const isDirectory = entry.isDirectory();
+      if (relative !== null && matchesIgnore(rules, relative, isDirectory)) {
+        continue;
+      }
+
+      if (isDirectory) {
+        await this.walk(full, rules, limit, { match, files });
+      } else if (entry.isFile() && (!match || match(full))) {
+        files.push(full);
+      }
+    }
+    return files;
+  }
+
+  // Absolute paths of the files `pattern` names, and whether it named
+  // anything that .gitignore excludes
+  async resolve(pattern, rules) {
+    const absolute = this.absolutePath(pattern);
+    const limit = this.limits.maxFiles;
+
+    if (hasGlob(pattern)) {
+      const segments = absolute.split(path.sep);
+      const base = segments.slice(0, segments.findIndex(hasGlob)).join(path.sep);
+      const regex = globToRegExp(absolute.split(path.sep).join("/"));
+      if (this.ignored(rules, base, true)) return { files: [], ignored: true };
+
+      const files = await this.walk(base || path.sep, rules, limit, {
+        match: (file) => regex.test(file.split(path.sep).join("/")),
+      });
+      return { files, ignored: false };
+    }
+
+    const stats = await fs.stat(absolute);
+    if (this.ignored(rules, absolute, stats.isDirectory())) {
+      return { files: [], ignored: true };
+    }
+    return {
+      files: stats.isDirectory()
+        ? await this.walk(absolute, rules, limit)
+        : [absolute],
+      ignored: false,
+    };
+  }
+
+  // Reads the files named by `patterns`, after the `existing` attachments
+  // of the same message. Resolves with the new attachments, text as
+  // { path, hash, size, content } and media as { path, hash, size, kind,
+  // mediaType, data } with kind "image" or "pdf", and the paths skipped
+  // with their reasons. With `optional`, patterns that match nothing are
+  // passed over silently, as for @mentions that may not be paths at all.
+  // With `underRoot`, files outside the root (through `~/`, absolute paths,
+  // ".." or symlinks) are skipped, so a pasted @mention can't send them.
+  async collect(
+    patterns,
+    { existing = [], optional = false, underRoot = false } = {}
+  ) {
+    const rules = await this.ignoreRules();
+    const { maxFileBytes, maxTotalBytes, maxMediaBytes, maxFiles } =
+      this.limits;
+    const attachments = [];
+    const skipped = [];
+    const seen = new Set(existing.map((attachment) => attachment.path));
+    // Media have their own limit and don't count towards the text total
+    let total = existing
+      .filter((attachment) => !attachment.mediaType)
+      .reduce((sum, attachment) => sum + attachment.size, 0);
+
+    for (const pattern of patterns) {
+      if (underRoot && this.isOutsideRoot(this.absolutePath(pattern))) {
+        skipped.push({ path: pattern, reason: OUTSIDE_ROOT });
+        continue;
+      }
+
+      let resolved;
+      try {
+        resolved = await this.resolve(pattern, rules);
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        resolved = { files: [], ignored: false };
+      }
+
+      if (resolved.ignored) {
+        skipped.push({ path: pattern, reason: "ignored by .gitignore" });
+      } else if (!resolved.files.length && !optional) {
+        skipped.push({ path: pattern, reason: "no such file" });
+      }
+
+      for (const file of resolved.files) {
+        const displayPath = this.displayPath(file);
+        if (seen.has(displayPath)) continue;
+        seen.add(displayPath);
+
+        if (underRoot && !(await this.isUnderRoot(file))) {
+          skipped.push({ path: displayPath, reason: OUTSIDE_ROOT });
+          continue;
+        }
+
+        if (existing.length + attachments.length >= maxFiles) {
+          skipped.push({ path: displayPath, reason: `over ${maxFiles} files` });
+          continue;
+        }
+
+        const { size } = await fs.stat(file);
+        const mediaType = detectMediaType(await readHeader(file));
+        const limit = mediaType ? maxMediaBytes : maxFileBytes;
+        if (size > limit) {
+          skipped.push({
+            path: displayPath,
+            reason: `larger than ${formatBytes(limit)}`,
+          });
+          continue;
+        }
+
+        if (mediaType) {
+          const data = await fs.readFile(file);
+          attachments.push({
+            path: displayPath,
+            hash: hashContent(data),
+            size,
+            kind: mediaType === "application/pdf" ? "pdf" : "image",
+            mediaType,
+            data,
+          });
+          continue;
+        }
+
+        if (total + size > maxTotalBytes) {
+          skipped.push({
+            path: displayPath,
+            reason: `over ${formatBytes(maxTotalBytes)} in total`,
+          });
+          continue;
+        }
+
+        const buffer = await fs.readFile(file);
+        if (buffer.subarray(0, 8000).includes(0)) {
+          skipped.push({ path: displayPath, reason: "binary file" });
+          continue;
+        }
+
+        const content = buffer.toString("utf8");
+        attachments.push({
+          path: displayPath,
+          hash: hashContent(content),
+          size,
+          content,
+        });
+        total += size;
+      }
+    }
+
+    return { attachments, skipped };
+  }
+}
+
+export {
+  FileAttachments,
+  detectMediaType,
+  findMentions,
+  formatAttachment,
+  formatBytes,
+  hashContent,
+  includeAttachments,
+};
@@ -0,0 +1,50 @@
+import fs from "fs/promises";
+import path from "path";
+import { DEFAULT_PATHS } from "../../utils/paths.js";
+
+const EXTENSIONS = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/webp": ".webp",
+  "application/pdf": ".pdf",
+};
+
+// Images and PDFs attached to messages, stored once per SHA-256 hash of
+// their content. Messages keep { hash, mediaType } references in their
+// metadata rather than the data itself.
+class MediaStore {
+  constructor(directory = DEFAULT_PATHS.MEDIA_DIR) {
+    this.directory = directory;
+  }
+
+  pathFor(hash, mediaType) {
+    return path.join(
+      this.directory,
+      hash.slice(0, 2),
+      `${hash}${EXTENSIONS[mediaType] || ""}`
+    );
+  }
+
+  async save(hash, mediaType, data) {
+    const file = this.pathFor(hash, mediaType);
+    try {
+      await fs.access(file);
+      return file;
+    } catch {
+      // Not stored yet
+    }
+
+    // Renamed into place so a half-written file is never read
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const partial = `${file}.${process.pid}.partial`;
+    await fs.writeFile(partial, data);
+    await fs.rename(partial, file);
+    return file;
+  }
+
+  async read(hash, mediaType) {
+    return fs.readFile(this.pathFor(hash, mediaType));
+  }
+}
+
+export { MediaStore };
@@ -0,0 +1,102 @@
+const GLOB_CHARS = /[*?[]/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.+^${}()|\\]/g, "\\$&");
+}
+
+// Regular expression source for a glob over "/"-separated paths: `*` and
+// `?` stay within a path segment, `**` crosses segments and `[abc]` or
+// `[!abc]` match one character
+function globSource(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      i++;
+      if (glob[i + 1] === "/") {
+        // "**/" matches any number of whole directories, including none
+        i++;
+        source += "(?:[^/]*/)*";
+      } else {
+        source += ".*";
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i + 2);
+      if (end === -1) {
+        source += "\\[";
+        continue;
+      }
+      const set = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += `[${set.startsWith("!") ? `^${set.slice(1)}` : set}]`;
+      i = end;
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  return source;
+}
+
+function globToRegExp(glob) {
+  return new RegExp(`^${globSource(glob)}$`);
+}
+
+function hasGlob(pattern) {
+  return GLOB_CHARS.test(pattern);
+}
+
+// Rules from a .gitignore file. Patterns without a slash match a name at
+// any depth; others are anchored to the file's directory. Nested
+// .gitignore files and escaped trailing spaces are not supported.
+function parseGitignore(text) {
+  const rules = [];
+  for (const rawLine of text.split(/\r?\n/)) {
+    let line = rawLine.trimEnd();
+    if (!line || line.startsWith("#")) continue;
+
+    const negate = line.startsWith("!");
+    if (negate) line = line.slice(1);
+    if (line.startsWith("\\")) line = line.slice(1);
+
+    const directoryOnly = line.endsWith("/");
+    if (directoryOnly) line = line.slice(0, -1);
+    if (!line) continue;
+
+    const anchored = line.includes("/");
+    if (line.startsWith("/")) line = line.slice(1);
+
+    rules.push({
+      negate,
+      directoryOnly,
+      regex: new RegExp(`${anchored ? "^" : "(?:^|/)"}${globSource(line)}$`),
+    });
+  }
+  return rules;
+}
+
+// Whether the last rule matching `relativePath` ignores it. Callers check
+// each directory on the way, since git doesn't look inside ignored ones.
+function matchesIgnore(rules, relativePath, isDirectory = false) {
+  let ignored = false;
+  for (const rule of rules) {
+    if (rule.directoryOnly && !isDirectory) continue;
+    if (rule.regex.test(relativePath)) ignored = !rule.negate;
+  }
+  return ignored;
+}
+
+// Whether `relativePath` or any directory above it is ignored
+function isIgnored(rules, relativePath, isDirectory = false) {
+  const segments = relativePath.split("/");
+  for (let i = 1; i < segments.length; i++) {
+    if (matchesIgnore(rules, segments.slice(0, i).join("/"), true)) {
+      return true;
+    }
+  }
+  return matchesIgnore(rules, relativePath, isDirectory);
+}
+
+export { globToRegExp, hasGlob, parseGitignore, matchesIgnore, isIgnored };
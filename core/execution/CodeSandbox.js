@@ -0,0 +1,213 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { spawn, execFile } from "child_process";
+import { truncateOutput } from "../tools/ToolRegistry.js";
+
+const DEFAULT_LIMITS = {
+  timeout: 10000,
+  memoryMb: 256,
+  network: false,
+  maxOutputChars: 16 * 1024,
+};
+
+// Code block languages and what runs them
+const LANGUAGES = {
+  js: "javascript",
+  javascript: "javascript",
+  node: "javascript",
+  mjs: "javascript",
+  py: "python",
+  python: "python",
+  python3: "python",
+  sh: "sh",
+  shell: "sh",
+  bash: "bash",
+  zsh: "zsh",
+};
+
+const INTERPRETERS = {
+  javascript: process.execPath,
+  python: "python3",
+  sh: "sh",
+  bash: "bash",
+  zsh: "zsh",
+};
+
+const FILES = {
+  javascript: "main.mjs",
+  python: "main.py",
+};
+
+// Caps the data segment, which on Linux covers what the process allocates,
+// before starting the interpreter. (ulimit -v would also count the address
+// space V8 reserves up front, and Node couldn't start.) Where ulimit -d
+// isn't supported the code runs without a memory cap.
+const LIMIT_SCRIPT = 'ulimit -d "$1" 2>/dev/null; shift; exec "$@"';
+
+const NO_NETWORK_PROFILE = "(version 1)(allow default)(deny network*)";
+
+// The language a code block's info string names, or null when it can't run
+function languageOf(tag) {
+  return LANGUAGES[(tag || "").toLowerCase()] || null;
+}
+
+function probe(file, args) {
+  return new Promise((resolve) => {
+    execFile(file, args, { timeout: 5000 }, (error) => resolve(!error));
+  });
+}
+
+// Runs code blocks from the conversation away from the rest of the
+// system, each as a child process in an empty temporary directory with a
+// memory cap, a minimal environment and, unless `network` is set, no
+// network (a new network namespace on Linux, sandbox-exec on macOS).
+// JavaScript runs under Node's permission model with nothing granted: no
+// file system, child processes, workers or addons. Every run is stopped
+// after `timeout` ms.
+class CodeSandbox {
+  constructor(config = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...config };
+    this.interpreters = { ...INTERPRETERS, ...config.interpreters };
+    this.isolation = null;
+  }
+
+  // Resolves with { language, stdout, stderr, exitCode, timedOut,
+  // durationMs }; exitCode is null when the run was killed
+  async run(tag, code) {
+    const language = languageOf(tag);
+    if (!language) {
+      throw new Error(
+        tag
+          ? `Can't run ${tag} code; supported: JavaScript, Python and shell`
+          : "The code block has no language to run it with"
+      );
+    }
+
+    const result = await this.runProcess(language, code);
+    const limit = this.limits.maxOutputChars;
+    return {
+      language,
+      ...result,
+      stdout: truncateOutput(result.stdout, limit),
+      stderr: truncateOutput(result.stderr, limit),
+    };
+  }
+
+  async runProcess(language, code) {
+    const prefix = await this.isolationPrefix();
+    const directory = await fs.mkdtemp(
+      path.join(os.tmpdir(), "connect-cli-run-")
+    );
+    try {
+      const file = path.join(directory, FILES[language] || "main.sh");
+      await fs.writeFile(file, code);
+      return await this.spawn(
+        [
+          ...prefix,
+          "sh",
+          "-c",
+          LIMIT_SCRIPT,
+          "sandbox",
+          String(this.limits.memoryMb * 1024),
+          ...this.command(language, file),
+        ],
+        directory
+      );
+    } finally {
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
+  command(language, file) {
+    const interpreter = this.interpreters[language];
+    if (language !== "javascript") return [interpreter, file];
+    return [
+      interpreter,
+      "--permission",
+      `--max-old-space-size=${this.limits.memoryMb}`,
+      file,
+    ];
+  }
+
+  // The command that cuts a process off the network, checked once
+  async isolationPrefix() {
+    if (this.limits.network) return [];
+
+    this.isolation ??= (async () => {
+      if (process.platform === "linux") {
+        const prefix = ["unshare", "--user", "--map-root-user", "--net"];
+        if (await probe(prefix[0], [...prefix.slice(1), "true"])) return prefix;
+      } else if (process.platform === "darwin") {
+        const prefix = ["sandbox-exec", "-p", NO_NETWORK_PROFILE];
+        if (await probe(prefix[0], [...prefix.slice(1), "true"])) return prefix;
+      }
+      return null;
+    })();
+
+    const prefix = await this.isolation;
+    if (!prefix) {
+      throw new Error(
+        "Can't run code without network access here · set execution.network: true to allow it"
+      );
+    }
+    return prefix;
+  }
+
+  spawn(command, directory) {
+    const { timeout, maxOutputChars } = this.limits;
+    const started = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(command[0], command.slice(1), {
+        cwd: directory,
+        env: {
+          PATH: process.env.PATH,
+          LANG: process.env.LANG || "C.UTF-8",
+          HOME: directory,
+          TMPDIR: directory,
+        },
+        stdio: ["ignore", "pipe", "pipe"],
+        // Its own process group, so a timeout kills whatever it started
+        detached: true,
+      });
+
+      const output = { stdout: "", stderr: "" };
+      for (const stream of ["stdout", "stderr"]) {
+        child[stream].on("data", (chunk) => {
+          // Keep a little over the limit so truncation can say so
+          if (output[stream].length <= maxOutputChars) {
+            output[stream] += chunk.toString();
+          }
+        });
+      }
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        try {
+          process.kill(-child.pid, "SIGKILL");
+        } catch {
+          // Already gone
+        }
+      }, timeout);
+
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        resolve({
+          stdout: output.stdout,
+          stderr: output.stderr,
+          exitCode: code,
+          timedOut,
+          durationMs: Date.now() - started,
+        });
+      });
+    });
+  }
+}
+
+export { CodeSandbox, languageOf };
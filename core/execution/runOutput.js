@@ -0,0 +1,24 @@
+// How a code run ended, e.g. "exit 0 · 0.3s" or "timed out after 10.0s"
+function describeRun({ exitCode, timedOut, durationMs }) {
+  const seconds = `${(durationMs / 1000).toFixed(1)}s`;
+  if (timedOut) return `timed out after ${seconds}`;
+  if (exitCode === null) return `killed after ${seconds}`;
+  return `exit ${exitCode} · ${seconds}`;
+}
+
+// A run's output as a message to the model
+function formatRunForModel(run) {
+  const sections = [
+    `Output of running the ${run.language} code block (${describeRun(run)}):`,
+  ];
+  if (run.stdout.trim()) {
+    sections.push(`stdout:\n\`\`\`text\n${run.stdout.replace(/\n$/, "")}\n\`\`\``);
+  }
+  if (run.stderr.trim()) {
+    sections.push(`stderr:\n\`\`\`text\n${run.stderr.replace(/\n$/, "")}\n\`\`\``);
+  }
+  if (sections.length === 1) sections.push("(no output)");
+  return sections.join("\n\n");
+}
+
+export { describeRun, formatRunForModel };
@@ -0,0 +1,148 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "../../utils/Logger.js";
+import { DEFAULT_PATHS } from "../../utils/paths.js";
+import { diffLines } from "../../utils/diff.js";
+
+const MODES = ["create", "overwrite", "append"];
+
+// Turns a path suggested by the model into a safe relative path: no
+// absolute paths, no "..", and only unremarkable characters per segment
+function sanitizeRelativePath(suggested) {
+  const segments = String(suggested)
+    .split(/[\\/]+/)
+    .filter((segment) => segment && segment !== "." && segment !== "..")
+    .map((segment) => segment.replace(/[^a-zA-Z0-9._-]/g, "_"));
+
+  return segments.length ? path.join(...segments) : "untitled.txt";
+}
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Files exported by the model wait here until they are approved or
+// rejected. Every export is recorded in the database; nothing is written to
+// disk without approval, and replacing an existing file needs `force`
+// unless the model asked to overwrite it.
+class ExportQueue {
+  constructor(db, config = {}) {
+    this.db = db;
+    this.directory = config.directory || DEFAULT_PATHS.EXPORTS_DIR;
+  }
+
+  resolveTarget(conversationId, file) {
+    return path.join(
+      this.directory,
+      String(conversationId),
+      sanitizeRelativePath(file.path || file.name)
+    );
+  }
+
+  async enqueue(files, { conversationId, messageId = null }) {
+    const ids = [];
+
+    for (const file of files) {
+      const mode = MODES.includes(file.mode) ? file.mode : "create";
+      const id = await this.db.saveExport({
+        conversationId,
+        messageId,
+        name: file.name,
+        path: this.resolveTarget(conversationId, file),
+        mode,
+        content: file.content,
+        complete: file.complete !== false,
+      });
+      ids.push(id);
+    }
+
+    logger.info("Queued file exports", { conversationId, count: ids.length });
+    return ids;
+  }
+
+  async list(conversationId = null) {
+    return conversationId
+      ? this.db.getExports({ conversationId })
+      : this.db.getExports({ status: "pending" });
+  }
+
+  async countPending() {
+    return (await this.db.getExports({ status: "pending" })).length;
+  }
+
+  async get(id) {
+    const record = await this.db.getExport(id);
+    if (!record) {
+      throw new Error(`Unknown export: ${id}`);
+    }
+    return record;
+  }
+
+  async preview(id) {
+    const record = await this.get(id);
+    const existing = await readIfExists(record.path);
+    const result =
+      record.mode === "append" && existing !== null
+        ? existing + record.content
+        : record.content;
+
+    return {
+      export: record,
+      exists: existing !== null,
+      diff: existing === null ? null : diffLines(existing, result),
+    };
+  }
+
+  async approve(id, { force = false } = {}) {
+    const record = await this.get(id);
+    if (record.status !== "pending") {
+      throw new Error(`Export ${id} is already ${record.status}`);
+    }
+
+    // "create" never replaces a file unless the user forces it
+    const flag =
+      record.mode === "append"
+        ? "a"
+        : record.mode === "create" && !force
+        ? "wx"
+        : "w";
+
+    try {
+      await fs.mkdir(path.dirname(record.path), { recursive: true });
+      await fs.writeFile(record.path, record.content, { flag });
+    } catch (error) {
+      if (error.code === "EEXIST") {
+        throw new Error(
+          `${record.path} already exists; approve with overwrite to replace it`
+        );
+      }
+      await this.db.updateExportStatus(id, "failed", error.message);
+      logger.error("Failed to write exported file:", error);
+      throw new Error(`Failed to save file ${record.name}: ${error.message}`);
+    }
+
+    await this.db.updateExportStatus(id, "approved");
+    logger.info("File exported successfully", {
+      id,
+      path: record.path,
+      mode: record.mode,
+    });
+    return record.path;
+  }
+
+  async reject(id) {
+    const record = await this.get(id);
+    if (record.status !== "pending") {
+      throw new Error(`Export ${id} is already ${record.status}`);
+    }
+    await this.db.updateExportStatus(id, "rejected");
+    logger.info("File export rejected", { id, name: record.name });
+  }
+}
+
+export { ExportQueue, sanitizeRelativePath };
@@ -0,0 +1,125 @@
+const OPEN_TAG = "<FileExport";
+const CLOSE_TAG = "</FileExport>";
+// The tag name must be followed by whitespace or ">" (or more input)
+const OPEN_TAG_PATTERN = /<FileExport(?=[\s>]|$)/;
+
+function parseAttributes(source) {
+  const attributes = {};
+  const regex = /([a-zA-Z_-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = regex.exec(source)) !== null) {
+    attributes[match[1]] = match[2] ?? match[3];
+  }
+  return attributes;
+}
+
+// Length of the longest suffix of `text` that could be the start of `tag`,
+// i.e. how much must be held back until the next chunk arrives
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (tag.startsWith(text.slice(-length))) return length;
+  }
+  return 0;
+}
+
+// Incrementally splits a reply into text and <FileExport> blocks. Tags may
+// be split across chunks and a reply may contain any number of files.
+// feed() and end() return events:
+//   { type: "text", text }
+//   { type: "file", name, path, mode, content, complete }
+class FileExportParser {
+  constructor() {
+    this.buffer = "";
+    this.current = null;
+    this.atContentStart = false;
+  }
+
+  feed(chunk) {
+    this.buffer += chunk;
+    const events = [];
+
+    for (;;) {
+      if (!this.current) {
+        const start = this.buffer.search(OPEN_TAG_PATTERN);
+        if (start === -1) {
+          const hold = partialTagLength(this.buffer, OPEN_TAG);
+          pushText(events, this.buffer.slice(0, this.buffer.length - hold));
+          this.buffer = this.buffer.slice(this.buffer.length - hold);
+          break;
+        }
+
+        const end = this.buffer.indexOf(">", start);
+        if (end === -1) {
+          // Opening tag is still arriving
+          pushText(events, this.buffer.slice(0, start));
+          this.buffer = this.buffer.slice(start);
+          break;
+        }
+
+        pushText(events, this.buffer.slice(0, start));
+        const attributes = parseAttributes(
+          this.buffer.slice(start + OPEN_TAG.length, end)
+        );
+        this.current = {
+          name: attributes.name || attributes.path || "untitled.txt",
+          path: attributes.path || attributes.name || null,
+          mode: attributes.mode || "create",
+          content: "",
+        };
+        this.buffer = this.buffer.slice(end + 1);
+        this.atContentStart = true;
+        continue;
+      }
+
+      // The content conventionally starts on the line after the tag
+      if (this.atContentStart) {
+        if (this.buffer === "" || this.buffer === "\r") break;
+        this.buffer = this.buffer.replace(/^\r?\n/, "");
+        this.atContentStart = false;
+      }
+
+      const close = this.buffer.indexOf(CLOSE_TAG);
+      if (close === -1) {
+        const hold = partialTagLength(this.buffer, CLOSE_TAG);
+        this.current.content += this.buffer.slice(0, this.buffer.length - hold);
+        this.buffer = this.buffer.slice(this.buffer.length - hold);
+        break;
+      }
+
+      this.current.content += this.buffer.slice(0, close);
+      events.push({ type: "file", ...this.current, complete: true });
+      this.current = null;
+      this.buffer = this.buffer.slice(close + CLOSE_TAG.length);
+    }
+
+    return events;
+  }
+
+  // Flushes what is left when the reply ends. A file whose closing tag never
+  // arrived is still reported, flagged as incomplete.
+  end() {
+    const events = [];
+
+    if (this.current) {
+      this.current.content += this.buffer.replace(/^\r?\n/, "");
+      events.push({ type: "file", ...this.current, complete: false });
+      this.current = null;
+    } else {
+      pushText(events, this.buffer);
+    }
+
+    this.buffer = "";
+    return events;
+  }
+
+  static parse(content) {
+    const parser = new FileExportParser();
+    return [...parser.feed(content), ...parser.end()];
+  }
+}
+
+function pushText(events, text) {
+  if (text) events.push({ type: "text", text });
+}
+
+export { FileExportParser };
@@ -0,0 +1,104 @@
+import fs from "fs/promises";
+import path from "path";
+import { logger } from "../../utils/Logger.js";
+import { DEFAULT_PATHS } from "../../utils/paths.js";
+import { normalizeModel } from "./modelInfo.js";
+
+// Models offered by each configured provider, fetched from its /models
+// endpoint and cached on disk. A provider's list is refetched once it is
+// older than `refreshHours`; when that fails (offline, no key) the cached
+// list keeps being used.
+class ModelCatalog {
+  constructor(providers, config = {}) {
+    this.providers = providers;
+    this.path = config.cachePath || DEFAULT_PATHS.MODELS_CACHE;
+    this.ttl = (config.refreshHours ?? 24) * 60 * 60 * 1000;
+    // provider name -> { fetchedAt, models }
+    this.cache = {};
+  }
+
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.path, "utf8"));
+      this.cache = data.providers || {};
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        logger.warn("Ignoring unreadable model cache", {
+          path: this.path,
+          error: error.message,
+        });
+      }
+      this.cache = {};
+    }
+  }
+
+  async save() {
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+    await fs.writeFile(
+      this.path,
+      `${JSON.stringify({ providers: this.cache }, null, 2)}\n`
+    );
+  }
+
+  isFresh(provider) {
+    const fetchedAt = Date.parse(this.cache[provider]?.fetchedAt);
+    return !isNaN(fetchedAt) && Date.now() - fetchedAt < this.ttl;
+  }
+
+  // Refetches stale providers (or all with `force`) and returns the names
+  // of those that could not be fetched
+  async refresh({ force = false } = {}) {
+    const failed = [];
+    let changed = false;
+
+    for (const name of this.providers.list()) {
+      if (!force && this.isFresh(name)) continue;
+
+      try {
+        const models = await this.providers.get(name).listModels();
+        this.cache[name] = {
+          fetchedAt: new Date().toISOString(),
+          models: models.map((model) => normalizeModel(model, name)),
+        };
+        changed = true;
+      } catch (error) {
+        logger.warn("Could not fetch models", {
+          provider: name,
+          error: error.message,
+        });
+        failed.push(name);
+      }
+    }
+
+    if (changed) {
+      try {
+        await this.save();
+      } catch (error) {
+        logger.error("Failed to write model cache:", error);
+      }
+    }
+    return failed;
+  }
+
+  // Every known model, or a single provider's
+  models(provider = null) {
+    const names = provider ? [provider] : Object.keys(this.cache);
+    return names.flatMap((name) => this.cache[name]?.models || []);
+  }
+
+  // The entry for `model`, looked up in `provider` or else in every
+  // provider. "gpt-4o" also finds a router's "openai/gpt-4o".
+  find(model, provider = null) {
+    if (!model) return null;
+
+    const candidates = this.models(provider);
+    const bare = model.split("/").pop();
+    return (
+      candidates.find((entry) => entry.id === model) ||
+      candidates.find((entry) => entry.id.split("/").pop() === bare) ||
+      null
+    );
+  }
+}
+
+export { ModelCatalog };
@@ -0,0 +1,121 @@
+// Model catalog entries and fuzzy matching for the model picker. An entry is
+//   { id, provider, name, contextLength, pricing: { prompt, completion } }
+// with prices in USD per million tokens, like the `ai.pricing` table, and
+// `modalities` (e.g. ["text", "image", "pdf"]) when the provider says.
+
+// OpenRouter prices are USD per token as strings; negative means variable
+function perMillion(value) {
+  const price = parseFloat(value);
+  if (isNaN(price) || price < 0) return null;
+  return Math.round(price * 1e12) / 1e6;
+}
+
+// Inputs from OpenRouter's architecture block: `input_modalities`, or the
+// older "text+image->text" form. Files are PDFs there.
+function inputModalities(architecture) {
+  const inputs =
+    architecture?.input_modalities ||
+    architecture?.modality?.split("->")[0].split("+");
+  if (!inputs?.length) return null;
+  return inputs.map((input) => (input === "file" ? "pdf" : input));
+}
+
+// Model families known to read images or PDFs, for providers whose model
+// lists don't say; the first match wins
+const KNOWN_MODALITIES = [
+  [/claude-3-[57]|claude-[a-z]+-4/, ["text", "image", "pdf"]],
+  [/claude-3-(opus|sonnet|haiku)/, ["text", "image"]],
+  [
+    /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|(^|\/)(o1|o3|o4-mini)(-\d{4}-\d{2}-\d{2})?$/,
+    ["text", "image", "pdf"],
+  ],
+  [/gemini/, ["text", "image", "pdf"]],
+  [/llava|pixtral|vision|-vl\b/, ["text", "image"]],
+];
+
+// What `model` reads, from its catalog entry or else its name
+function modelModalities(model, entry = null) {
+  if (entry?.modalities) return entry.modalities;
+  const known = KNOWN_MODALITIES.find(([pattern]) => pattern.test(model));
+  return known ? known[1] : ["text"];
+}
+
+// Normalizes a model from a provider's /models endpoint. OpenAI only sends
+// ids; OpenRouter adds context length and pricing, Anthropic a display name
+// and local servers sometimes their loaded context size.
+function normalizeModel(raw, provider) {
+  const prompt = perMillion(raw.pricing?.prompt);
+  const completion = perMillion(raw.pricing?.completion);
+  const modalities = inputModalities(raw.architecture);
+
+  return {
+    id: raw.id,
+    provider,
+    name: raw.name || raw.display_name || raw.id,
+    contextLength:
+      raw.context_length ??
+      raw.top_provider?.context_length ??
+      raw.context_window ??
+      raw.max_context_length ??
+      null,
+    pricing:
+      prompt === null && completion === null ? null : { prompt, completion },
+    ...(modalities && { modalities }),
+  };
+}
+
+// Scores `text` against a fuzzy `query` whose characters must appear in
+// order. Consecutive characters and ones starting a word ("gpt-4o" after
+// "openai/") score higher. Returns null when the query does not match.
+function fuzzyScore(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  if (!needle) return 0;
+
+  let score = 0;
+  let previous = -2;
+  let position = 0;
+  for (const ch of needle) {
+    if (ch === " ") continue;
+    const index = haystack.indexOf(ch, position);
+    if (index === -1) return null;
+
+    score += 1;
+    if (index === previous + 1) score += 2;
+    if (index === 0 || /[\s/:._-]/.test(haystack[index - 1])) score += 3;
+    previous = index;
+    position = index + 1;
+  }
+
+  // Prefer shorter names when the match is otherwise as good
+  return score - haystack.length / 100;
+}
+
+// Models matching `query`, best first
+function filterModels(models, query = "") {
+  if (!query.trim()) return models;
+
+  return models
+    .map((model) => ({
+      model,
+      score: fuzzyScore(query, `${model.provider}:${model.id}`),
+    }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score || a.model.id.localeCompare(b.model.id))
+    .map(({ model }) => model);
+}
+
+// 128000 -> "128k", 1048576 -> "1M"
+function formatContextLength(tokens) {
+  if (!tokens) return "?";
+  if (tokens >= 1_000_000) return `${+(tokens / 1_000_000).toFixed(1)}M`;
+  return `${Math.round(tokens / 1000)}k`;
+}
+
+export {
+  normalizeModel,
+  modelModalities,
+  fuzzyScore,
+  filterModels,
+  formatContextLength,
+};
@@ -0,0 +1,192 @@
+import axios from "axios";
+import { BaseProvider } from "./BaseProvider.js";
+import { parseSSE } from "./sse.js";
+import { parseToolArguments } from "./toolCalls.js";
+
+const ANTHROPIC_VERSION = "2023-06-01";
+
+// A message's content: its text, or content blocks when it carries images
+// or PDFs ({ kind, mediaType, data } with base64 data)
+function anthropicContent(message) {
+  if (!message.media?.length) return message.content;
+
+  return [
+    ...message.media.map((item) => ({
+      type: item.kind === "image" ? "image" : "document",
+      source: { type: "base64", media_type: item.mediaType, data: item.data },
+    })),
+    ...(message.content ? [{ type: "text", text: message.content }] : []),
+  ];
+}
+
+// Messages in Anthropic form. Tool calls become tool_use blocks after the
+// text written with them, and consecutive results one user message of
+// tool_result blocks, since user and assistant turns must alternate.
+function anthropicMessages(messages) {
+  const converted = [];
+  for (const message of messages) {
+    if (message.role === "tool") {
+      const result = {
+        type: "tool_result",
+        tool_use_id: message.toolCallId,
+        content: message.content,
+        ...(message.isError && { is_error: true }),
+      };
+      const previous = converted[converted.length - 1];
+      if (previous?.content[0]?.type === "tool_result") {
+        previous.content.push(result);
+      } else {
+        converted.push({ role: "user", content: [result] });
+      }
+    } else if (message.toolCalls?.length) {
+      converted.push({
+        role: "assistant",
+        content: [
+          ...(message.content ? [{ type: "text", text: message.content }] : []),
+          ...message.toolCalls.map((call) => ({
+            type: "tool_use",
+            id: call.id,
+            name: call.name,
+            // Arguments that weren't valid JSON were refused anyway
+            input: typeof call.arguments === "object" ? call.arguments : {},
+          })),
+        ],
+      });
+    } else {
+      converted.push({ role: message.role, content: anthropicContent(message) });
+    }
+  }
+  return converted;
+}
+
+// Native Anthropic Messages API
+class AnthropicProvider extends BaseProvider {
+  constructor(name, config = {}) {
+    super(name, config);
+
+    if (!config.apiKey) {
+      throw new Error(
+        `API key not found for provider: ${name}. Please set ${name.toUpperCase()}_API_KEY in your environment variables.`
+      );
+    }
+
+    this.http = axios.create({
+      baseURL: config.baseUrl || "https://api.anthropic.com",
+      timeout: this.timeout,
+      headers: {
+        "x-api-key": config.apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+        "content-type": "application/json",
+      },
+    });
+  }
+
+  buildRequest(messages, options) {
+    // System prompts are a top-level field rather than a message role
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+
+    return {
+      model: options.model,
+      max_tokens: options.maxTokens || 4096,
+      temperature: options.temperature,
+      ...(system && { system }),
+      ...(options.tools?.length && {
+        tools: options.tools.map(({ name, description, parameters }) => ({
+          name,
+          description,
+          input_schema: parameters,
+        })),
+      }),
+      messages: anthropicMessages(messages.filter((m) => m.role !== "system")),
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const { data } = await this.withRetries(
+      () =>
+        this.http.post("/v1/messages", this.buildRequest(messages, options), {
+          signal: options.signal,
+        }),
+      options
+    );
+
+    return {
+      content: data.content
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      toolCalls: data.content
+        .filter((block) => block.type === "tool_use")
+        .map((block) => ({
+          id: block.id,
+          name: block.name,
+          arguments: block.input,
+        })),
+      model: data.model,
+      usage: {
+        prompt: data.usage.input_tokens,
+        completion: data.usage.output_tokens,
+        total: data.usage.input_tokens + data.usage.output_tokens,
+      },
+    };
+  }
+
+  async listModels() {
+    const { data } = await this.withRetries(() =>
+      this.http.get("/v1/models", { params: { limit: 1000 } })
+    );
+    return data.data;
+  }
+
+  async *stream(messages, options = {}) {
+    const response = await this.withRetries(
+      () =>
+        this.http.post(
+          "/v1/messages",
+          { ...this.buildRequest(messages, options), stream: true },
+          { responseType: "stream", signal: options.signal }
+        ),
+      options
+    );
+
+    // Input tokens arrive with message_start, output tokens with message_delta
+    const usage = { prompt: 0, completion: 0 };
+    // tool_use blocks being streamed, by index, with their JSON so far
+    const toolUses = new Map();
+
+    for await (const event of parseSSE(response.data)) {
+      if (event.type === "content_block_delta" && event.delta?.type === "text_delta") {
+        yield { content: event.delta.text };
+      } else if (
+        event.type === "content_block_start" &&
+        event.content_block?.type === "tool_use"
+      ) {
+        const { id, name } = event.content_block;
+        toolUses.set(event.index, { id, name, json: "" });
+      } else if (
+        event.type === "content_block_delta" &&
+        event.delta?.type === "input_json_delta"
+      ) {
+        const toolUse = toolUses.get(event.index);
+        if (toolUse) toolUse.json += event.delta.partial_json;
+      } else if (event.type === "content_block_stop" && toolUses.has(event.index)) {
+        const { id, name, json } = toolUses.get(event.index);
+        toolUses.delete(event.index);
+        yield { toolCall: { id, name, arguments: parseToolArguments(json) } };
+      } else if (event.type === "message_start") {
+        usage.prompt = event.message?.usage?.input_tokens ?? 0;
+      } else if (event.type === "message_delta" && event.usage) {
+        usage.completion = event.usage.output_tokens ?? 0;
+      } else if (event.type === "error") {
+        throw new Error(event.error?.message || "Anthropic stream error");
+      }
+    }
+
+    yield { usage: { ...usage, total: usage.prompt + usage.completion } };
+  }
+}
+
+export { AnthropicProvider, anthropicContent, anthropicMessages };
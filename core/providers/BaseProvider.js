@@ -0,0 +1,82 @@
+import { setTimeout as sleep } from "timers/promises";
+import { logger } from "../../utils/Logger.js";
+import { classifyError } from "./errors.js";
+
+// Every provider implements chat() for a complete reply and stream() as an
+// async iterator of { content } deltas, both taking the same messages and
+// options ({ model, temperature, maxTokens, tools, signal, onRetry }).
+// Aborting `signal` cancels the request; onRetry is told about every retry.
+// With `tools` ({ name, description, parameters }) the model may call them:
+// chat() returns the calls as `toolCalls` and stream() yields each finished
+// one as { toolCall: { id, name, arguments } }. Messages may carry earlier
+// calls (`toolCalls` on an assistant message) and results (role "tool"
+// with `toolCallId`).
+class BaseProvider {
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.timeout = config.timeout ?? 30000;
+    this.maxRetries = config.maxRetries ?? 3;
+    // Longest Retry-After worth waiting for; longer waits fail right away
+    this.maxRetryDelay = config.maxRetryDelay ?? 60000;
+    this.defaultModel = config.defaultModel || null;
+  }
+
+  async chat(messages, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement chat()`);
+  }
+
+  async *stream(messages, options = {}) {
+    throw new Error(`Provider ${this.name} does not implement stream()`);
+  }
+
+  // Raw entries from the provider's /models endpoint
+  async listModels() {
+    throw new Error(`Provider ${this.name} does not list its models`);
+  }
+
+  // Runs `operation`, retrying rate limits, network and server errors up to
+  // maxRetries times. Waits follow the provider's Retry-After when given and
+  // back off exponentially otherwise. Failures are thrown as ProviderErrors
+  // carrying the number of retries made.
+  async withRetries(operation, { model = null, signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await operation();
+      } catch (caught) {
+        const error = classifyError(caught, { provider: this.name, model });
+        error.retries = attempt;
+
+        const delay = error.retryAfter ?? Math.min(1000 * 2 ** attempt, 8000);
+        if (
+          attempt >= this.maxRetries ||
+          !error.retryable ||
+          delay > this.maxRetryDelay ||
+          signal?.aborted
+        ) {
+          throw error;
+        }
+
+        logger.warn(`Provider ${this.name} request failed, retrying`, {
+          attempt: attempt + 1,
+          delay,
+          kind: error.kind,
+          error: error.message,
+        });
+        onRetry?.({
+          provider: this.name,
+          model,
+          attempt: attempt + 1,
+          maxRetries: this.maxRetries,
+          delay,
+          error,
+        });
+        await sleep(delay, undefined, { signal });
+      }
+    }
+  }
+
+  async cleanup() {}
+}
+
+export { BaseProvider };
@@ -0,0 +1,91 @@
+import axios from "axios";
+import { BaseProvider } from "./BaseProvider.js";
+import { parseSSE } from "./sse.js";
+import {
+  openAIUsage,
+  openAIMessage,
+  openAITools,
+  openAIToolCalls,
+  collectToolCallDeltas,
+  finishToolCalls,
+} from "./OpenAIProvider.js";
+
+// A local OpenAI-compatible server (LM Studio, llama.cpp, Ollama, ...).
+// The API key is optional.
+class LocalProvider extends BaseProvider {
+  constructor(name, config = {}) {
+    super(name, config);
+    this.defaultModel = this.defaultModel || "local-model";
+
+    this.http = axios.create({
+      baseURL: config.baseUrl || "http://localhost:1234/v1",
+      timeout: this.timeout,
+      headers: config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {},
+    });
+  }
+
+  buildRequest(messages, options) {
+    return {
+      model: options.model,
+      messages: messages.map(openAIMessage),
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      ...openAITools(options.tools),
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const { data } = await this.withRetries(
+      () =>
+        this.http.post(
+          "/chat/completions",
+          { ...this.buildRequest(messages, options), stream: false },
+          { signal: options.signal }
+        ),
+      options
+    );
+
+    const { message } = data.choices[0];
+    return {
+      content: message.content ?? "",
+      toolCalls: openAIToolCalls(message.tool_calls),
+      model: data.model || options.model,
+      usage: openAIUsage(data.usage),
+    };
+  }
+
+  async listModels() {
+    const { data } = await this.withRetries(() => this.http.get("/models"));
+    return data.data || [];
+  }
+
+  async *stream(messages, options = {}) {
+    const response = await this.withRetries(
+      () =>
+        this.http.post(
+          "/chat/completions",
+          {
+            ...this.buildRequest(messages, options),
+            stream: true,
+            // Not every local server understands stream_options, so opt in
+            ...(this.config.streamUsage && {
+              stream_options: { include_usage: true },
+            }),
+          },
+          { responseType: "stream", signal: options.signal }
+        ),
+      options
+    );
+
+    const toolCalls = [];
+    for await (const event of parseSSE(response.data)) {
+      const delta = event.choices?.[0]?.delta;
+      if (delta?.content) yield { content: delta.content };
+      collectToolCallDeltas(toolCalls, delta?.tool_calls);
+      if (event.usage) yield { usage: openAIUsage(event.usage) };
+    }
+    for (const toolCall of finishToolCalls(toolCalls)) yield { toolCall };
+  }
+}
+
+export { LocalProvider };
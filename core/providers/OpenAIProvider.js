@@ -0,0 +1,204 @@
+import OpenAI from "openai";
+import path from "path";
+import { BaseProvider } from "./BaseProvider.js";
+import { parseToolArguments, stringifyToolArguments } from "./toolCalls.js";
+
+// Normalises an OpenAI-style usage object
+function openAIUsage(usage) {
+  if (!usage) return null;
+  return {
+    prompt: usage.prompt_tokens,
+    completion: usage.completion_tokens,
+    total: usage.total_tokens ?? usage.prompt_tokens + usage.completion_tokens,
+  };
+}
+
+// A message's content: its text, or content parts when it carries images
+// or PDFs ({ kind, mediaType, path, data } with base64 data)
+function openAIContent(message) {
+  if (!message.media?.length) return message.content;
+
+  return [
+    ...message.media.map((item) => {
+      const url = `data:${item.mediaType};base64,${item.data}`;
+      return item.kind === "image"
+        ? { type: "image_url", image_url: { url } }
+        : {
+            type: "file",
+            file: { filename: path.basename(item.path), file_data: url },
+          };
+    }),
+    ...(message.content ? [{ type: "text", text: message.content }] : []),
+  ];
+}
+
+// A message in chat completions form. Tool calls are assistant messages
+// with `tool_calls` and each result is a "tool" message.
+function openAIMessage(message) {
+  if (message.role === "tool") {
+    return {
+      role: "tool",
+      tool_call_id: message.toolCallId,
+      content: message.content,
+    };
+  }
+  if (message.toolCalls?.length) {
+    return {
+      role: "assistant",
+      content: message.content || null,
+      tool_calls: message.toolCalls.map((call) => ({
+        id: call.id,
+        type: "function",
+        function: {
+          name: call.name,
+          arguments: stringifyToolArguments(call.arguments),
+        },
+      })),
+    };
+  }
+  return { role: message.role, content: openAIContent(message) };
+}
+
+// The `tools` request field for tool definitions ({ name, description,
+// parameters }), left out when there are none
+function openAITools(tools) {
+  if (!tools?.length) return {};
+  return {
+    tools: tools.map(({ name, description, parameters }) => ({
+      type: "function",
+      function: { name, description, parameters },
+    })),
+  };
+}
+
+function openAIToolCalls(toolCalls = []) {
+  return toolCalls.map((call) => ({
+    id: call.id,
+    name: call.function.name,
+    arguments: parseToolArguments(call.function.arguments),
+  }));
+}
+
+// Streamed tool calls arrive in pieces keyed by their index: the id and
+// name first, then the arguments a fragment at a time. `calls` collects
+// them until finishToolCalls() turns them into { id, name, arguments }.
+function collectToolCallDeltas(calls, deltas = []) {
+  for (const delta of deltas) {
+    calls[delta.index ?? 0] ??= { id: "", name: "", arguments: "" };
+    const call = calls[delta.index ?? 0];
+    if (delta.id) call.id = delta.id;
+    if (delta.function?.name) call.name ||= delta.function.name;
+    if (delta.function?.arguments) call.arguments += delta.function.arguments;
+  }
+}
+
+// Some local servers leave out the ids; results only need them to match
+function finishToolCalls(calls) {
+  return calls.filter(Boolean).map((call, index) => ({
+    id: call.id || `call_${index}`,
+    name: call.name,
+    arguments: parseToolArguments(call.arguments),
+  }));
+}
+
+// Any OpenAI-compatible chat completions API (OpenAI, OpenRouter, ...)
+class OpenAIProvider extends BaseProvider {
+  constructor(name, config = {}) {
+    super(name, config);
+
+    if (!config.apiKey) {
+      throw new Error(
+        `API key not found for provider: ${name}. Please set ${name.toUpperCase()}_API_KEY in your environment variables.`
+      );
+    }
+
+    // Retries go through withRetries() like every other provider's
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseUrl || "https://openrouter.ai/api/v1",
+      timeout: this.timeout,
+      maxRetries: 0,
+      defaultHeaders: {
+        "HTTP-Referer":
+          config.referer || "https://github.com/your-username/ai-chat-cli",
+      },
+    });
+  }
+
+  buildRequest(messages, options) {
+    return {
+      messages: messages.map(openAIMessage),
+      model: options.model,
+      temperature: options.temperature,
+      max_tokens: options.maxTokens,
+      ...openAITools(options.tools),
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.withRetries(
+      () =>
+        this.client.chat.completions.create(
+          { ...this.buildRequest(messages, options), stream: false },
+          { signal: options.signal }
+        ),
+      options
+    );
+
+    const { message } = response.choices[0];
+    return {
+      content: message.content ?? "",
+      toolCalls: openAIToolCalls(message.tool_calls),
+      model: response.model,
+      usage: openAIUsage(response.usage),
+    };
+  }
+
+  // OpenRouter's entries also carry context_length and pricing
+  async listModels() {
+    const page = await this.withRetries(() => this.client.models.list());
+    const models = [];
+    for await (const model of page) {
+      models.push(model);
+    }
+    return models;
+  }
+
+  async *stream(messages, options = {}) {
+    const stream = await this.withRetries(
+      () =>
+        this.client.chat.completions.create(
+          {
+            ...this.buildRequest(messages, options),
+            stream: true,
+            // Ask for a final usage chunk; disable for servers that reject it
+            ...(this.config.streamUsage !== false && {
+              stream_options: { include_usage: true },
+            }),
+          },
+          { signal: options.signal }
+        ),
+      options
+    );
+
+    const toolCalls = [];
+    for await (const part of stream) {
+      const delta = part.choices[0]?.delta;
+      if (delta?.content) yield { content: delta.content };
+      collectToolCallDeltas(toolCalls, delta?.tool_calls);
+      if (part.usage) yield { usage: openAIUsage(part.usage) };
+    }
+    for (const toolCall of finishToolCalls(toolCalls)) yield { toolCall };
+  }
+}
+
+export {
+  OpenAIProvider,
+  openAIUsage,
+  openAIContent,
+  openAIMessage,
+  openAITools,
+  openAIToolCalls,
+  collectToolCallDeltas,
+  finishToolCalls,
+};
@@ -0,0 +1,92 @@
+import { OpenAIProvider } from "./OpenAIProvider.js";
+import { AnthropicProvider } from "./AnthropicProvider.js";
+import { LocalProvider } from "./LocalProvider.js";
+import { logger } from "../../utils/Logger.js";
+
+const BUILTIN_TYPES = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: LocalProvider,
+};
+
+// Maps the provider blocks under `ai.providers` to provider instances. A
+// block's `type` picks the implementation; without one, a block named after
+// a known type uses it and anything else is treated as OpenAI-compatible.
+class ProviderRegistry {
+  constructor(aiConfig = {}, defaults = {}) {
+    this.config = aiConfig;
+    this.defaults = defaults;
+    this.types = new Map(Object.entries(BUILTIN_TYPES));
+    this.instances = new Map();
+  }
+
+  registerType(type, ProviderClass) {
+    this.types.set(type, ProviderClass);
+    logger.debug("Registered provider type", { type });
+  }
+
+  // Built-in types a plugin replaced come back rather than disappearing
+  unregisterType(type) {
+    if (BUILTIN_TYPES[type]) {
+      this.types.set(type, BUILTIN_TYPES[type]);
+    } else {
+      this.types.delete(type);
+    }
+
+    // Drop cached instances built from the removed implementation
+    for (const [name, provider] of this.instances) {
+      if (provider.type === type) {
+        this.instances.delete(name);
+      }
+    }
+  }
+
+  list() {
+    return Object.keys(this.config.providers || {});
+  }
+
+  has(name) {
+    return Boolean(this.config.providers?.[name]);
+  }
+
+  get(name) {
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
+    }
+
+    const providerConfig = this.config.providers?.[name];
+    if (!providerConfig) {
+      throw new Error(`Unknown provider: ${name}`);
+    }
+
+    const type =
+      providerConfig.type || (this.types.has(name) ? name : "openai");
+    const ProviderClass = this.types.get(type);
+    if (!ProviderClass) {
+      throw new Error(
+        `Unknown provider type "${type}" for provider: ${name}. Known types: ${[
+          ...this.types.keys(),
+        ].join(", ")} (a plugin that adds "${type}" may be disabled)`
+      );
+    }
+
+    const provider = new ProviderClass(name, {
+      ...this.defaults,
+      ...providerConfig,
+    });
+    provider.type = type;
+    this.instances.set(name, provider);
+
+    logger.info("Provider initialized", { name, type });
+    return provider;
+  }
+
+  async cleanup() {
+    for (const provider of this.instances.values()) {
+      await provider.cleanup();
+    }
+    this.instances.clear();
+  }
+}
+
+export { ProviderRegistry };
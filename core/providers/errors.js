@@ -0,0 +1,179 @@
+// Provider failures are classified so callers can decide whether to retry,
+// fall back to another model or tell the user what to fix.
+
+const ERROR_KINDS = {
+  rate_limit: {
+    title: "Rate limited",
+    hint:
+      "The provider is throttling requests. Wait a moment or configure ai.fallbacks.",
+    retryable: true,
+  },
+  auth: {
+    title: "Authentication failed",
+    hint: "Check the provider's API key in your config or environment.",
+    retryable: false,
+  },
+  context_length: {
+    title: "Context too long",
+    hint:
+      "The conversation does not fit this model. Branch, unpin messages or pick a model with a larger context.",
+    retryable: false,
+  },
+  network: {
+    title: "Network error",
+    hint:
+      "The provider could not be reached. Check your connection or the provider's baseUrl.",
+    retryable: true,
+  },
+  server: {
+    title: "Provider error",
+    hint: "The provider failed to answer. It is usually temporary.",
+    retryable: true,
+  },
+  cancelled: {
+    title: "Cancelled",
+    hint: "The request was stopped.",
+    retryable: false,
+  },
+  unknown: {
+    title: "Request failed",
+    hint: "See the log for details.",
+    retryable: false,
+  },
+};
+
+const NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ERR_NETWORK",
+];
+
+const CONTEXT_LENGTH_PATTERN =
+  /context[_ ]length|maximum context|context window|too many tokens|prompt is too long|input is too long/i;
+
+class ProviderError extends Error {
+  constructor(
+    message,
+    {
+      kind = "unknown",
+      status = null,
+      retryAfter = null,
+      provider = null,
+      model = null,
+      cause = null,
+    } = {}
+  ) {
+    super(message, { cause });
+    this.name = "ProviderError";
+    this.kind = kind;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.provider = provider;
+    this.model = model;
+    // Providers and models tried before giving up:
+    // [{ provider, model, kind, message, retries }]
+    this.attempts = [];
+  }
+
+  get retryable() {
+    return ERROR_KINDS[this.kind].retryable;
+  }
+
+  get title() {
+    return ERROR_KINDS[this.kind].title;
+  }
+
+  get hint() {
+    return ERROR_KINDS[this.kind].hint;
+  }
+}
+
+function header(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+// Milliseconds to wait according to retry-after-ms or Retry-After (seconds
+// or an HTTP date), or null without either
+function parseRetryAfter(headers, now = Date.now()) {
+  const ms = parseFloat(header(headers, "retry-after-ms"));
+  if (!isNaN(ms)) return Math.max(0, ms);
+
+  const value = header(headers, "retry-after");
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// The error's own message, or the one in the provider's response body
+function errorMessage(error) {
+  const body = error.response?.data;
+  return (
+    body?.error?.message ||
+    (typeof body?.error === "string" ? body.error : null) ||
+    error.error?.message ||
+    error.message ||
+    String(error)
+  );
+}
+
+function errorKind(error, status, message) {
+  if (
+    error.name === "AbortError" ||
+    error.name === "APIUserAbortError" ||
+    error.code === "ERR_CANCELED"
+  ) {
+    return "cancelled";
+  }
+
+  const code =
+    error.code || error.error?.code || error.response?.data?.error?.code;
+  if (
+    code === "context_length_exceeded" ||
+    status === 413 ||
+    CONTEXT_LENGTH_PATTERN.test(message)
+  ) {
+    return "context_length";
+  }
+  if (status === 401 || status === 403) return "auth";
+  // Raised before any request when a provider has no key configured
+  if (!status && /api key/i.test(message)) return "auth";
+  if (status === 429) return "rate_limit";
+  if (status >= 500) return "server";
+  if (
+    NETWORK_CODES.includes(error.code) ||
+    error.name === "APIConnectionError" ||
+    error.name === "APIConnectionTimeoutError"
+  ) {
+    return "network";
+  }
+  return "unknown";
+}
+
+// Wraps an error from an SDK, axios or fetch in a ProviderError
+function classifyError(error, { provider = null, model = null } = {}) {
+  if (error instanceof ProviderError) return error;
+
+  const status = error.status ?? error.response?.status ?? null;
+  const message = errorMessage(error);
+  return new ProviderError(message, {
+    kind: errorKind(error, status, message),
+    status,
+    retryAfter: parseRetryAfter(error.headers ?? error.response?.headers),
+    provider,
+    model,
+    cause: error,
+  });
+}
+
+export { ERROR_KINDS, ProviderError, classifyError, parseRetryAfter };
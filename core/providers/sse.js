@@ -0,0 +1,45 @@
+const DONE = Symbol("done");
+
+// The JSON payload of one `data:` line, DONE for `data: [DONE]` and
+// undefined for anything else
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith("data:")) return undefined;
+
+  const data = trimmed.slice(5).trim();
+  if (data === "[DONE]") return DONE;
+
+  try {
+    return JSON.parse(data);
+  } catch {
+    // Ignore keep-alives and other non-JSON payloads
+    return undefined;
+  }
+}
+
+// Yields the JSON payload of every `data:` line in a server-sent event
+// stream. Lines split across network chunks are buffered until complete, and
+// so are multi-byte characters split between chunks. A last line without a
+// trailing newline still counts.
+async function* parseSSE(stream) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of stream) {
+    buffer +=
+      typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const event = parseLine(line);
+      if (event === DONE) return;
+      if (event !== undefined) yield event;
+    }
+  }
+
+  const event = parseLine(buffer + decoder.decode());
+  if (event !== undefined && event !== DONE) yield event;
+}
+
+export { parseSSE };
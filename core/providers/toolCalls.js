@@ -0,0 +1,18 @@
+// Tool call arguments arrive as JSON text. Text that isn't valid JSON is
+// kept as it is, for the tool registry to refuse with a reason the model
+// can act on.
+function parseToolArguments(text) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Arguments as the JSON text the APIs expect when a call is replayed
+function stringifyToolArguments(args) {
+  return typeof args === "string" ? args : JSON.stringify(args ?? {});
+}
+
+export { parseToolArguments, stringifyToolArguments };
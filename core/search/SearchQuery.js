@@ -0,0 +1,85 @@
+// Parses search input such as
+//   retry backoff "exponential delay" model:gpt-4o role:assistant after:2024-05-01
+// into an FTS5 match expression plus column filters.
+
+const ROLES = ["user", "assistant", "system", "tool_call", "tool"];
+
+// Control characters around matched terms in search snippets; they survive
+// escaping and are turned into highlight tags by the UI
+const HIGHLIGHT_START = "\u0001";
+const HIGHLIGHT_END = "\u0002";
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TOKEN_PATTERN = /([a-z]+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/gi;
+
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, "$1");
+}
+
+function parseFilter(key, value, filters) {
+  switch (key) {
+    case "model":
+      filters.model = value;
+      return true;
+    case "role":
+      if (!ROLES.includes(value)) {
+        throw new Error(`role: must be one of ${ROLES.join(", ")}`);
+      }
+      filters.role = value;
+      return true;
+    case "before":
+    case "after":
+      if (!DATE_PATTERN.test(value)) {
+        throw new Error(`${key}: dates must be written as YYYY-MM-DD`);
+      }
+      filters[key] = value;
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Every term is quoted so user input can never be read as FTS5 syntax;
+// a trailing * keeps working as a prefix search
+function toMatchExpression(terms) {
+  return terms
+    .map(({ text, prefix }) => `"${text.replace(/"/g, '""')}"${prefix ? "*" : ""}`)
+    .join(" ");
+}
+
+function parseSearchQuery(input) {
+  const terms = [];
+  const filters = {};
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(input)) !== null) {
+    const [token, key, value, phrase, word] = match;
+    if (key && parseFilter(key.toLowerCase(), unquote(value), filters)) {
+      continue;
+    }
+
+    if (phrase !== undefined) {
+      if (phrase.trim()) terms.push({ text: phrase, prefix: false });
+    } else {
+      const text = (word ?? token).replace(/\*+$/, "");
+      if (text) terms.push({ text, prefix: /\*$/.test(word ?? token) });
+    }
+  }
+
+  return {
+    terms,
+    filters,
+    match: terms.length ? toMatchExpression(terms) : null,
+  };
+}
+
+// Case-insensitive pattern matching any of the terms, for highlighting
+function highlightPattern(terms) {
+  if (!terms.length) return null;
+  const alternatives = terms
+    .map(({ text }) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .sort((a, b) => b.length - a.length);
+  return new RegExp(alternatives.join("|"), "gi");
+}
+
+export { parseSearchQuery, highlightPattern, HIGHLIGHT_START, HIGHLIGHT_END };
@@ -0,0 +1,130 @@
+import fs from "fs/promises";
+import { logger } from "../../utils/Logger.js";
+import { MIGRATIONS } from "./migrations.js";
+
+function timestamp() {
+  return new Date().toISOString().replace(/[-:]/g, "").replace(/\..*$/, "");
+}
+
+// Brings a database up to the latest schema version. `db` needs async (or
+// synchronous) exec(sql), get(sql) and all(sql); use
+// MigrationRunner.forSync() to wrap a node:sqlite DatabaseSync.
+class MigrationRunner {
+  constructor(db, { path = null, backup = true, migrations = MIGRATIONS } = {}) {
+    this.db = db;
+    this.path = path;
+    this.backupEnabled = backup;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+  }
+
+  static forSync(database) {
+    return {
+      exec: (sql) => database.exec(sql),
+      get: (sql) => database.prepare(sql).get(),
+      all: (sql) => database.prepare(sql).all(),
+    };
+  }
+
+  get latestVersion() {
+    return this.migrations.at(-1)?.version ?? 0;
+  }
+
+  async currentVersion() {
+    const row = await this.db.get("PRAGMA user_version");
+    return row.user_version;
+  }
+
+  async status() {
+    const current = await this.currentVersion();
+    return {
+      current,
+      latest: this.latestVersion,
+      applied: this.migrations.filter((m) => m.version <= current),
+      pending: this.migrations.filter((m) => m.version > current),
+    };
+  }
+
+  // Copies the database before it is changed. VACUUM INTO gives a
+  // consistent copy even with WAL enabled.
+  async backup(version) {
+    if (!this.path || this.path === ":memory:") return null;
+
+    const isEmpty = await fs
+      .stat(this.path)
+      .then((stats) => stats.size === 0)
+      .catch(() => true);
+    if (isEmpty) return null;
+
+    const target = `${this.path}.v${version}-${timestamp()}.bak`;
+    await this.db.exec(`VACUUM INTO '${target.replace(/'/g, "''")}'`);
+    logger.info("Database backed up before migrating", { path: target });
+    return target;
+  }
+
+  // Runs one migration in a transaction. Migrations that rebuild tables set
+  // `foreignKeys: false`; following SQLite's procedure for schema changes,
+  // enforcement is switched off outside the transaction and the migration
+  // must not add violations.
+  async apply(migration) {
+    const { foreign_keys: foreignKeys } = await this.db.get("PRAGMA foreign_keys");
+    const suspendForeignKeys = migration.foreignKeys === false && foreignKeys;
+    const violations = async () =>
+      (await this.db.all("PRAGMA foreign_key_check")).length;
+
+    if (suspendForeignKeys) {
+      await this.db.exec("PRAGMA foreign_keys = OFF");
+    }
+
+    try {
+      const before = suspendForeignKeys ? await violations() : 0;
+      await this.db.exec("BEGIN");
+      try {
+        await migration.up(this.db);
+        if (suspendForeignKeys && (await violations()) > before) {
+          throw new Error("the migration broke foreign key references");
+        }
+        await this.db.exec(`PRAGMA user_version = ${migration.version}`);
+        await this.db.exec("COMMIT");
+      } catch (error) {
+        await this.db.exec("ROLLBACK");
+        logger.error(`Migration ${migration.version} failed:`, error);
+        throw new Error(
+          `Migration ${migration.version} (${migration.name}) failed: ${error.message}`
+        );
+      }
+    } finally {
+      if (suspendForeignKeys) {
+        await this.db.exec("PRAGMA foreign_keys = ON");
+      }
+    }
+  }
+
+  // Applies pending migrations, each in its own transaction, and returns
+  // them along with the backup path
+  async migrate() {
+    const current = await this.currentVersion();
+    if (current > this.latestVersion) {
+      throw new Error(
+        `Database schema version ${current} is newer than this version of connect-cli supports (${this.latestVersion})`
+      );
+    }
+
+    const pending = this.migrations.filter((m) => m.version > current);
+    if (pending.length === 0) return { applied: [], backup: null };
+
+    const backup = this.backupEnabled ? await this.backup(current) : null;
+
+    for (const migration of pending) {
+      await this.apply(migration);
+
+      logger.info("Applied database migration", {
+        version: migration.version,
+        name: migration.name,
+      });
+    }
+
+    return { applied: pending, backup };
+  }
+}
+
+export { MigrationRunner };
@@ -0,0 +1,51 @@
+import { DatabaseSync } from "node:sqlite";
+
+// node:sqlite rejects undefined and booleans as parameters; sqlite3 binds
+// them as NULL and 0/1, which is what the storage code relies on
+function toParameter(value) {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+}
+
+function toParameters(params) {
+  return params.map(toParameter);
+}
+
+// Built-in SQLite driver (node >= 23.4). Calls are synchronous underneath
+// but exposed through the same promise API as the sqlite3 driver.
+class NativeDriver {
+  constructor(path) {
+    this.name = "native";
+    this.db = new DatabaseSync(path, {
+      enableForeignKeyConstraints: true,
+      enableDoubleQuotedStringLiterals: false,
+    });
+  }
+
+  async exec(sql) {
+    this.db.exec(sql);
+  }
+
+  async run(sql, params = []) {
+    const result = this.db.prepare(sql).run(...toParameters(params));
+    return {
+      lastID: Number(result.lastInsertRowid),
+      changes: Number(result.changes),
+    };
+  }
+
+  async get(sql, params = []) {
+    return this.db.prepare(sql).get(...toParameters(params));
+  }
+
+  async all(sql, params = []) {
+    return this.db.prepare(sql).all(...toParameters(params));
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+export { NativeDriver };
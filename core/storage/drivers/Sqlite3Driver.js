@@ -0,0 +1,50 @@
+// Driver for the sqlite3 npm package, kept for Node versions without
+// node:sqlite. The package is an optional dependency and only loaded when
+// this driver is selected.
+class Sqlite3Driver {
+  constructor(db) {
+    this.name = "sqlite3";
+    this.db = db;
+  }
+
+  static async open(path) {
+    let sqlite3;
+    let open;
+    try {
+      ({ default: sqlite3 } = await import("sqlite3"));
+      ({ open } = await import("sqlite"));
+    } catch (error) {
+      throw new Error(
+        `The sqlite3 database driver needs the "sqlite3" and "sqlite" packages: ${error.message}`
+      );
+    }
+
+    const db = await open({ filename: path, driver: sqlite3.Database });
+    // Match node:sqlite, which enforces foreign keys by default
+    await db.exec("PRAGMA foreign_keys = ON");
+    return new Sqlite3Driver(db);
+  }
+
+  async exec(sql) {
+    await this.db.exec(sql);
+  }
+
+  async run(sql, params = []) {
+    const { lastID, changes } = await this.db.run(sql, params);
+    return { lastID, changes };
+  }
+
+  async get(sql, params = []) {
+    return this.db.get(sql, params);
+  }
+
+  async all(sql, params = []) {
+    return this.db.all(sql, params);
+  }
+
+  async close() {
+    await this.db.close();
+  }
+}
+
+export { Sqlite3Driver };
@@ -0,0 +1,34 @@
+// Storage drivers share one promise API:
+//   exec(sql), run(sql, params) -> { lastID, changes },
+//   get(sql, params) -> row | undefined, all(sql, params) -> rows, close()
+const DRIVERS = {
+  native: async (path) => {
+    let NativeDriver;
+    try {
+      ({ NativeDriver } = await import("./NativeDriver.js"));
+    } catch (error) {
+      throw new Error(
+        `node:sqlite is not available in Node ${process.version}; use Node >= 23.4.0 or set database.driver to "sqlite3" (${error.message})`
+      );
+    }
+    return new NativeDriver(path);
+  },
+  sqlite3: async (path) => {
+    const { Sqlite3Driver } = await import("./Sqlite3Driver.js");
+    return Sqlite3Driver.open(path);
+  },
+};
+
+const DEFAULT_DRIVER = "native";
+
+async function openDriver({ driver = DEFAULT_DRIVER, path }) {
+  const open = DRIVERS[driver];
+  if (!open) {
+    throw new Error(
+      `Unknown database driver: ${driver}. Available drivers: ${Object.keys(DRIVERS).join(", ")}`
+    );
+  }
+  return open(path);
+}
+
+export { openDriver, DRIVERS, DEFAULT_DRIVER };
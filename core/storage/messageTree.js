@@ -0,0 +1,37 @@
+// Messages form a tree: each one records the message it follows, and edited
+// or regenerated messages are siblings of the one they replace. A
+// conversation shows one path through the tree, following the active
+// sibling at every step.
+//
+// `parentOf` reads the parent id, so the same walk works for database rows
+// (parent_id) and archive bundles (parentId). Messages whose parent is not
+// in the list (such as a branch's first message) start the path.
+function activePath(messages, parentOf = (message) => message.parent_id) {
+  const ids = new Set(messages.map((message) => message.id));
+  const children = new Map();
+
+  for (const message of messages) {
+    const parent = ids.has(parentOf(message)) ? parentOf(message) : null;
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(message);
+  }
+
+  const path = [];
+  let siblings = children.get(null) || [];
+  while (siblings.length) {
+    const chosen =
+      siblings.findLast((message) => message.active !== 0 && message.active !== false) ||
+      siblings[siblings.length - 1];
+
+    path.push({
+      ...chosen,
+      alternative_index: siblings.indexOf(chosen) + 1,
+      alternative_count: siblings.length,
+    });
+    siblings = children.get(chosen.id) || [];
+  }
+
+  return path;
+}
+
+export { activePath };
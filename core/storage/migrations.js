@@ -0,0 +1,457 @@
+// Schema migrations, applied in order and tracked in PRAGMA user_version.
+// Never edit a migration that has shipped; add a new one instead.
+//
+// Databases created before migrations existed are at version 0 but may
+// already contain some of these tables and columns, so the early migrations
+// only create what is missing.
+
+// Adds the columns a table does not have yet
+async function addColumns(db, table, columns) {
+  const existing = new Set(
+    (await db.all(`PRAGMA table_info(${table})`)).map((c) => c.name)
+  );
+
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
+// Recreates a table as STRICT with the given column definitions, copying
+// every column the old and new tables share. Row ids are kept, so foreign
+// keys and the full-text index stay valid.
+async function rebuildTable(db, table, definition) {
+  const temporary = `${table}_rebuild`;
+  await db.exec(`CREATE TABLE ${temporary} (${definition}) STRICT`);
+
+  const oldColumns = new Set(
+    (await db.all(`PRAGMA table_info(${table})`)).map((c) => c.name)
+  );
+  const shared = (await db.all(`PRAGMA table_info(${temporary})`))
+    .map((c) => c.name)
+    .filter((name) => oldColumns.has(name))
+    .join(", ");
+
+  await db.exec(`
+    INSERT INTO ${temporary} (${shared}) SELECT ${shared} FROM ${table};
+    DROP TABLE ${table};
+    ALTER TABLE ${temporary} RENAME TO ${table};
+  `);
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "initial schema",
+    up: (db) =>
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          parent_id INTEGER,
+          thread_path TEXT,
+          metadata TEXT,
+          FOREIGN KEY(parent_id) REFERENCES conversations(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          role TEXT NOT NULL,
+          content TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          token_count INTEGER,
+          model TEXT,
+          metadata TEXT,
+          FOREIGN KEY(conversation_id) REFERENCES conversations(id)
+        );
+
+        CREATE TRIGGER IF NOT EXISTS conversations_update_trigger
+        AFTER UPDATE ON conversations
+        BEGIN
+          UPDATE conversations
+          SET updated_at = CURRENT_TIMESTAMP
+          WHERE id = NEW.id;
+        END;
+
+        CREATE INDEX IF NOT EXISTS idx_conversations_thread_path
+        ON conversations(thread_path);
+
+        CREATE INDEX IF NOT EXISTS idx_messages_conversation_id
+        ON messages(conversation_id);
+
+        CREATE INDEX IF NOT EXISTS idx_conversations_parent_id
+        ON conversations(parent_id);
+      `),
+  },
+  {
+    version: 2,
+    name: "message usage, cost and pins",
+    up: (db) =>
+      addColumns(db, "messages", {
+        prompt_tokens: "INTEGER",
+        completion_tokens: "INTEGER",
+        cost: "REAL",
+        provider: "TEXT",
+        pinned: "INTEGER NOT NULL DEFAULT 0",
+      }),
+  },
+  {
+    version: 3,
+    name: "personas and context summaries",
+    up: (db) =>
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS personas (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          prompt TEXT NOT NULL,
+          model TEXT,
+          temperature REAL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS summaries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          up_to_message_id INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          token_count INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(conversation_id) REFERENCES conversations(id),
+          FOREIGN KEY(up_to_message_id) REFERENCES messages(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_summaries_conversation_id
+        ON summaries(conversation_id);
+      `),
+  },
+  {
+    version: 4,
+    name: "file export queue",
+    up: (db) =>
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS exports (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          message_id INTEGER,
+          name TEXT NOT NULL,
+          path TEXT NOT NULL,
+          mode TEXT NOT NULL DEFAULT 'create',
+          content TEXT NOT NULL,
+          complete INTEGER NOT NULL DEFAULT 1,
+          status TEXT NOT NULL DEFAULT 'pending',
+          error TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          resolved_at TIMESTAMP,
+          FOREIGN KEY(conversation_id) REFERENCES conversations(id),
+          FOREIGN KEY(message_id) REFERENCES messages(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_exports_status
+        ON exports(status);
+      `),
+  },
+  {
+    version: 5,
+    name: "full-text message search",
+    up: (db) =>
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+          content,
+          content='messages',
+          content_rowid='id',
+          tokenize='porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_insert
+        AFTER INSERT ON messages
+        BEGIN
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_delete
+        AFTER DELETE ON messages
+        BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS messages_fts_update
+        AFTER UPDATE OF content ON messages
+        BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+
+        -- Index messages written before the search index existed
+        INSERT INTO messages_fts(messages_fts) VALUES ('rebuild');
+      `),
+  },
+  {
+    version: 6,
+    name: "strict tables",
+    // Tables are rebuilt, so foreign keys are checked afterwards instead
+    foreignKeys: false,
+    up: async (db) => {
+      await rebuildTable(db, "conversations", `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        parent_id INTEGER,
+        thread_path TEXT,
+        metadata TEXT,
+        FOREIGN KEY(parent_id) REFERENCES conversations(id)
+      `);
+      await rebuildTable(db, "messages", `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        token_count INTEGER,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        cost REAL,
+        model TEXT,
+        provider TEXT,
+        pinned INTEGER NOT NULL DEFAULT 0,
+        metadata TEXT,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id)
+      `);
+      await rebuildTable(db, "personas", `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        prompt TEXT NOT NULL,
+        model TEXT,
+        temperature REAL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+      `);
+      await rebuildTable(db, "summaries", `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        up_to_message_id INTEGER NOT NULL,
+        content TEXT NOT NULL,
+        token_count INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id),
+        FOREIGN KEY(up_to_message_id) REFERENCES messages(id)
+      `);
+      await rebuildTable(db, "exports", `
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        message_id INTEGER,
+        name TEXT NOT NULL,
+        path TEXT NOT NULL,
+        mode TEXT NOT NULL DEFAULT 'create',
+        content TEXT NOT NULL,
+        complete INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL DEFAULT 'pending',
+        error TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        resolved_at TEXT,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id),
+        FOREIGN KEY(message_id) REFERENCES messages(id)
+      `);
+
+      // Dropping the old tables dropped their triggers and indexes
+      await db.exec(`
+        CREATE TRIGGER conversations_update_trigger
+        AFTER UPDATE ON conversations
+        BEGIN
+          UPDATE conversations
+          SET updated_at = CURRENT_TIMESTAMP
+          WHERE id = NEW.id;
+        END;
+
+        CREATE TRIGGER messages_fts_insert
+        AFTER INSERT ON messages
+        BEGIN
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+
+        CREATE TRIGGER messages_fts_delete
+        AFTER DELETE ON messages
+        BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+        END;
+
+        CREATE TRIGGER messages_fts_update
+        AFTER UPDATE OF content ON messages
+        BEGIN
+          INSERT INTO messages_fts(messages_fts, rowid, content)
+          VALUES ('delete', old.id, old.content);
+          INSERT INTO messages_fts(rowid, content) VALUES (new.id, new.content);
+        END;
+
+        CREATE INDEX idx_conversations_thread_path ON conversations(thread_path);
+        CREATE INDEX idx_conversations_parent_id ON conversations(parent_id);
+        CREATE INDEX idx_messages_conversation_id ON messages(conversation_id);
+        CREATE INDEX idx_summaries_conversation_id ON summaries(conversation_id);
+        CREATE INDEX idx_exports_status ON exports(status);
+      `);
+    },
+  },
+  {
+    version: 7,
+    name: "message alternatives",
+    up: (db) =>
+      db.exec(`
+        ALTER TABLE messages ADD COLUMN parent_id INTEGER REFERENCES messages(id);
+        ALTER TABLE messages ADD COLUMN active INTEGER NOT NULL DEFAULT 1;
+
+        -- Existing messages follow the previous message of their conversation
+        UPDATE messages SET parent_id = (
+          SELECT p.id FROM messages p
+          WHERE p.conversation_id = messages.conversation_id
+            AND (p.created_at < messages.created_at
+                 OR (p.created_at = messages.created_at AND p.id < messages.id))
+          ORDER BY p.created_at DESC, p.id DESC
+          LIMIT 1
+        );
+
+        -- and the first message of a branch follows its branch point
+        UPDATE messages SET parent_id = (
+          SELECT p.id FROM conversations c
+          JOIN messages p ON p.id = json_extract(c.metadata, '$.branchPoint')
+          WHERE c.id = messages.conversation_id
+        )
+        WHERE parent_id IS NULL;
+
+        CREATE INDEX idx_messages_parent_id ON messages(conversation_id, parent_id);
+      `),
+  },
+  {
+    version: 8,
+    name: "truncated messages",
+    up: (db) =>
+      addColumns(db, "messages", {
+        truncated: "INTEGER NOT NULL DEFAULT 0",
+      }),
+  },
+  {
+    version: 9,
+    name: "model comparisons",
+    up: (db) =>
+      db.exec(`
+        CREATE TABLE comparisons (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          prompt_message_id INTEGER NOT NULL,
+          winner_message_id INTEGER,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(conversation_id) REFERENCES conversations(id),
+          FOREIGN KEY(prompt_message_id) REFERENCES messages(id),
+          FOREIGN KEY(winner_message_id) REFERENCES messages(id)
+        ) STRICT;
+
+        -- One row per model; answers are saved as alternative replies to
+        -- the prompt, failures only here
+        CREATE TABLE comparison_results (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          comparison_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          provider TEXT,
+          model TEXT,
+          message_id INTEGER,
+          latency_ms INTEGER,
+          first_token_ms INTEGER,
+          error TEXT,
+          FOREIGN KEY(comparison_id) REFERENCES comparisons(id),
+          FOREIGN KEY(message_id) REFERENCES messages(id)
+        ) STRICT;
+
+        CREATE INDEX idx_comparisons_conversation_id ON comparisons(conversation_id);
+        CREATE INDEX idx_comparison_results_comparison_id
+          ON comparison_results(comparison_id);
+      `),
+  },
+  {
+    version: 10,
+    name: "drafts",
+    // Kept apart from conversations so saving a draft doesn't bump the
+    // thread's updated_at
+    up: (db) =>
+      db.exec(`
+        CREATE TABLE drafts (
+          conversation_id INTEGER PRIMARY KEY,
+          content TEXT NOT NULL,
+          updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(conversation_id) REFERENCES conversations(id)
+        ) STRICT;
+      `),
+  },
+  {
+    version: 11,
+    name: "attachments",
+    up: (db) =>
+      db.exec(`
+        -- File contents are stored once per hash, however often attached
+        CREATE TABLE attachment_contents (
+          hash TEXT PRIMARY KEY,
+          content TEXT NOT NULL,
+          size INTEGER NOT NULL
+        ) STRICT;
+
+        CREATE TABLE attachments (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          message_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          path TEXT NOT NULL,
+          hash TEXT NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(message_id) REFERENCES messages(id),
+          FOREIGN KEY(hash) REFERENCES attachment_contents(hash)
+        ) STRICT;
+
+        CREATE INDEX idx_attachments_message_id ON attachments(message_id);
+      `),
+  },
+  {
+    version: 12,
+    name: "code block runs",
+    // Every code block run from the conversation, with what it printed
+    up: (db) =>
+      db.exec(`
+        CREATE TABLE code_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          conversation_id INTEGER NOT NULL,
+          message_id INTEGER,
+          language TEXT NOT NULL,
+          code TEXT NOT NULL,
+          stdout TEXT NOT NULL,
+          stderr TEXT NOT NULL,
+          exit_code INTEGER,
+          timed_out INTEGER NOT NULL DEFAULT 0,
+          duration_ms INTEGER NOT NULL,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(conversation_id) REFERENCES conversations(id),
+          FOREIGN KEY(message_id) REFERENCES messages(id)
+        ) STRICT;
+
+        CREATE INDEX idx_code_runs_message_id ON code_runs(message_id);
+      `),
+  },
+  {
+    version: 13,
+    name: "summary usage and cost",
+    // Summaries are paid for like replies and count towards budgets
+    up: (db) =>
+      addColumns(db, "summaries", {
+        provider: "TEXT",
+        model: "TEXT",
+        prompt_tokens: "INTEGER",
+        completion_tokens: "INTEGER",
+        cost: "REAL",
+      }),
+  },
+];
+
+export { MIGRATIONS, addColumns };
@@ -0,0 +1,110 @@
+import { logger } from "../../utils/Logger.js";
+
+const DEFAULT_MAX_OUTPUT = 16 * 1024;
+
+function validateTool(tool) {
+  if (!tool || typeof tool !== "object") {
+    throw new Error("A tool must be an object");
+  }
+  if (!/^[a-zA-Z0-9_-]{1,64}$/.test(tool.name || "")) {
+    throw new Error(
+      `Tool name ${tool.name} must be 1-64 letters, digits, _ or -`
+    );
+  }
+  if (typeof tool.run !== "function") {
+    throw new Error(`Tool ${tool.name}: run must be a function`);
+  }
+}
+
+// Cuts a tool's output to `limit` characters, saying how much was left out
+function truncateOutput(text, limit) {
+  if (text.length <= limit) return text;
+  return `${text.slice(0, limit)}\n[… ${text.length - limit} more characters]`;
+}
+
+// One line describing a call, e.g. read_file {"path":"README.md"}
+function formatToolCall(call) {
+  const args =
+    typeof call.arguments === "string"
+      ? call.arguments
+      : JSON.stringify(call.arguments ?? {});
+  return `${call.name} ${args}`;
+}
+
+// The tools the model may call. A tool is { name, description, parameters,
+// sideEffects, run(args) }: `parameters` is the JSON schema of its
+// arguments and `run` resolves with its output as text. Tools with side
+// effects only run once `confirm(tool, args)` agrees.
+class ToolRegistry {
+  constructor({ maxOutputChars = DEFAULT_MAX_OUTPUT } = {}) {
+    this.tools = new Map();
+    this.maxOutputChars = maxOutputChars;
+  }
+
+  register(tool) {
+    validateTool(tool);
+    if (this.tools.has(tool.name)) {
+      logger.warn(`Tool ${tool.name} replaces an earlier one`);
+    }
+    this.tools.set(tool.name, tool);
+  }
+
+  unregister(name) {
+    this.tools.delete(name);
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  list() {
+    return [...this.tools.values()];
+  }
+
+  // What the model is told about each tool
+  definitions() {
+    return this.list().map((tool) => ({
+      name: tool.name,
+      description: tool.description || "",
+      parameters: tool.parameters || { type: "object", properties: {} },
+    }));
+  }
+
+  // Runs the tool `call` ({ id, name, arguments }) asks for. Resolves with
+  // { content, isError, declined }; failures are reported back to the model
+  // as results rather than thrown.
+  async run(call, { confirm } = {}) {
+    const tool = this.get(call.name);
+    if (!tool) {
+      return { content: `Unknown tool: ${call.name}`, isError: true };
+    }
+    const args = call.arguments;
+    if (!args || typeof args !== "object" || Array.isArray(args)) {
+      return {
+        content: `Arguments for ${call.name} must be a JSON object`,
+        isError: true,
+      };
+    }
+
+    if (tool.sideEffects && !(await confirm?.(tool, args))) {
+      return {
+        content: "The user declined to run this tool call.",
+        isError: true,
+        declined: true,
+      };
+    }
+
+    try {
+      const output = await tool.run(args);
+      return {
+        content: truncateOutput(String(output ?? ""), this.maxOutputChars),
+        isError: false,
+      };
+    } catch (error) {
+      logger.warn(`Tool ${call.name} failed`, { error: error.message });
+      return { content: `Error: ${error.message}`, isError: true };
+    }
+  }
+}
+
+export { ToolRegistry, formatToolCall, truncateOutput };
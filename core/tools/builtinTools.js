@@ -0,0 +1,393 @@
+import fs from "fs/promises";
+import path from "path";
+import { execFile } from "child_process";
+import { matchesIgnore } from "../attachments/patterns.js";
+import {
+  parseSearchQuery,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+} from "../search/SearchQuery.js";
+
+const DEFAULT_COMMANDS = ["ls", "pwd", "git status", "git diff", "git log"];
+const MAX_ENTRIES = 500;
+const MAX_MATCHES = 100;
+const MAX_SEARCHED_FILES = 5000;
+
+// Options that write files, run other programs or point a command at
+// another repository, e.g. git diff --output=FILE or git -c core.pager=…
+const REFUSED_OPTIONS = [
+  "--output",
+  "--config",
+  "--exec",
+  "--exec-path",
+  "--ext-diff",
+  "--upload-pack",
+  "--receive-pack",
+  "--git-dir",
+  "--work-tree",
+  "--open-files-in-pager",
+];
+const REFUSED_FLAGS = ["o", "O", "c", "C"];
+
+// Splits a command line into words the way a shell would for quotes and
+// backslashes. Nothing else is special: there are no pipes, redirections,
+// globs or variables, since commands run without a shell.
+function splitCommand(line) {
+  const words = [];
+  let word = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === "\\" && quote === '"' && /["\\]/.test(line[i + 1])) {
+        word += line[++i];
+      } else {
+        word += char;
+      }
+    } else if (/\s/.test(char)) {
+      if (word !== null) words.push(word);
+      word = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+      word ??= "";
+    } else if (char === "\\" && i + 1 < line.length) {
+      word = (word ?? "") + line[++i];
+    } else {
+      word = (word ?? "") + char;
+    }
+  }
+
+  if (quote) throw new Error("Unterminated quote in command");
+  if (word !== null) words.push(word);
+  return words;
+}
+
+// Whether `words` start with every word of one of the `allowed` commands,
+// so "git status" allows "git status --short" but not "git push"
+function isAllowedCommand(words, allowed) {
+  return allowed.some((command) => {
+    const prefix = splitCommand(command);
+    return (
+      prefix.length > 0 && prefix.every((word, index) => words[index] === word)
+    );
+  });
+}
+
+// Whether `value`, as a path from the root, stays under it. Paths that
+// don't exist can't lead anywhere; ones that do may be symlinks.
+async function staysUnderRoot(value, files) {
+  const absolute = path.resolve(files.root, value);
+  if (absolute !== files.root && files.relativePath(absolute) === null) {
+    return false;
+  }
+  try {
+    return await files.isUnderRoot(absolute);
+  } catch (error) {
+    if (error.code === "ENOENT" || error.code === "ENOTDIR") return true;
+    throw error;
+  }
+}
+
+// Throws unless the arguments after an allowed command are safe to run:
+// no options that write files or run other programs, and no paths (or
+// option values) outside the root
+async function checkArguments(args, files) {
+  for (const arg of args) {
+    if (/^-[^-]/.test(arg)) {
+      // Short options, possibly several after one dash as in -lo
+      const flag = REFUSED_FLAGS.find((letter) => arg.slice(1).includes(letter));
+      if (flag) throw new Error(`-${flag} is not allowed`);
+      continue;
+    }
+
+    let value = arg;
+    if (arg.startsWith("--")) {
+      const [option, ...rest] = arg.split("=");
+      if (REFUSED_OPTIONS.includes(option)) {
+        throw new Error(`${option} is not allowed`);
+      }
+      if (!rest.length) continue;
+      value = rest.join("=");
+    }
+    if (!(await staysUnderRoot(value, files))) {
+      throw new Error(`${value} is outside ${files.root}`);
+    }
+  }
+}
+
+function runProcess(file, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(file, args, options, (error, stdout, stderr) => {
+      if (error && typeof error.code !== "number") {
+        reject(
+          error.killed
+            ? new Error(`Command timed out after ${options.timeout}ms`)
+            : error
+        );
+        return;
+      }
+      resolve({ code: error?.code ?? 0, stdout, stderr });
+    });
+  });
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// The built-in tools. Files are read through `files` (a FileAttachments),
+// so only paths under its root that .gitignore doesn't exclude are seen.
+// `config` is the `tools` section: `commands` lists the command prefixes
+// run_command may start.
+function builtinTools({ files, db, config = {} }) {
+  const maxFileBytes = files.limits.maxFileBytes;
+  const allowed = config.commands || DEFAULT_COMMANDS;
+  const commandTimeout = config.commandTimeout ?? 10000;
+
+  // Absolute path of `target`, refused outside the root or when ignored
+  async function resolvePath(target = ".", rules = null) {
+    const absolute = files.absolutePath(target);
+    if (absolute !== files.root && files.relativePath(absolute) === null) {
+      throw new Error(`${target} is outside ${files.root}`);
+    }
+    const stats = await fs.stat(absolute);
+    // fs.stat follows symlinks, which may point out of the root
+    if (!(await files.isUnderRoot(absolute))) {
+      throw new Error(`${target} links outside ${files.root}`);
+    }
+    rules ??= await files.ignoreRules();
+    if (files.ignored(rules, absolute, stats.isDirectory())) {
+      throw new Error(`${target} is excluded by .gitignore`);
+    }
+    return { absolute, stats };
+  }
+
+  return [
+    {
+      name: "read_file",
+      description:
+        "Read a text file in the working directory, optionally only lines start_line to end_line (1-based, inclusive)",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string", description: "Path relative to the working directory" },
+          start_line: { type: "integer", minimum: 1 },
+          end_line: { type: "integer", minimum: 1 },
+        },
+        required: ["path"],
+      },
+      sideEffects: false,
+      async run({ path: target, start_line: start, end_line: end }) {
+        const { absolute, stats } = await resolvePath(target);
+        if (stats.isDirectory()) {
+          throw new Error(`${target} is a directory; use list_directory`);
+        }
+
+        const buffer = await fs.readFile(absolute);
+        if (isBinary(buffer)) throw new Error(`${target} is a binary file`);
+
+        const text = buffer.toString("utf8");
+        if (start == null && end == null) {
+          if (stats.size > maxFileBytes) {
+            throw new Error(
+              `${target} is ${stats.size} bytes, over the ${maxFileBytes} byte limit; read it in ranges with start_line and end_line`
+            );
+          }
+          return text;
+        }
+
+        const lines = text.split("\n");
+        const from = Math.max(1, start ?? 1);
+        const to = Math.min(lines.length, end ?? lines.length);
+        return lines
+          .slice(from - 1, to)
+          .map((line, index) => `${from + index}: ${line}`)
+          .join("\n");
+      },
+    },
+    {
+      name: "list_directory",
+      description:
+        "List a directory in the working directory; subdirectories end in /",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string", description: "Defaults to the working directory" },
+        },
+      },
+      sideEffects: false,
+      async run({ path: target = "." }) {
+        const rules = await files.ignoreRules();
+        const { absolute, stats } = await resolvePath(target, rules);
+        if (!stats.isDirectory()) throw new Error(`${target} is not a directory`);
+
+        const entries = await fs.readdir(absolute, { withFileTypes: true });
+        const names = entries
+          .filter((entry) => {
+            const relative = files.relativePath(path.join(absolute, entry.name));
+            return !matchesIgnore(rules, relative, entry.isDirectory());
+          })
+          .map((entry) => `${entry.name}${entry.isDirectory() ? "/" : ""}`)
+          .sort((a, b) => a.localeCompare(b));
+
+        if (!names.length) return "(empty)";
+        const shown = names.slice(0, MAX_ENTRIES);
+        if (names.length > MAX_ENTRIES) {
+          shown.push(`[… ${names.length - MAX_ENTRIES} more entries]`);
+        }
+        return shown.join("\n");
+      },
+    },
+    {
+      name: "grep",
+      description:
+        "Search text files under a path in the working directory for a regular expression; returns path:line: text for each match",
+      parameters: {
+        type: "object",
+        properties: {
+          pattern: { type: "string", description: "JavaScript regular expression" },
+          path: { type: "string", description: "File or directory, defaults to the working directory" },
+          ignore_case: { type: "boolean" },
+        },
+        required: ["pattern"],
+      },
+      sideEffects: false,
+      async run({ pattern, path: target = ".", ignore_case: ignoreCase }) {
+        let regex;
+        try {
+          regex = new RegExp(pattern, ignoreCase ? "i" : "");
+        } catch (error) {
+          throw new Error(`Invalid pattern: ${error.message}`);
+        }
+
+        const rules = await files.ignoreRules();
+        const { absolute, stats } = await resolvePath(target, rules);
+        const candidates = stats.isDirectory()
+          ? await files.walk(absolute, rules, MAX_SEARCHED_FILES)
+          : [absolute];
+
+        const matches = [];
+        for (const file of candidates) {
+          const { size } = await fs.stat(file);
+          if (size > maxFileBytes) continue;
+          const buffer = await fs.readFile(file);
+          if (isBinary(buffer)) continue;
+
+          const lines = buffer.toString("utf8").split("\n");
+          for (const [index, line] of lines.entries()) {
+            if (!regex.test(line)) continue;
+            matches.push(
+              `${files.displayPath(file)}:${index + 1}: ${line.trim().slice(0, 200)}`
+            );
+            if (matches.length > MAX_MATCHES) break;
+          }
+          if (matches.length > MAX_MATCHES) break;
+        }
+
+        if (!matches.length) return "No matches";
+        if (matches.length > MAX_MATCHES) {
+          matches.splice(
+            MAX_MATCHES,
+            Infinity,
+            `[more than ${MAX_MATCHES} matches, narrow the search]`
+          );
+        }
+        return matches.join("\n");
+      },
+    },
+    {
+      name: "run_command",
+      description: `Run a command in the working directory, without a shell (no pipes or redirections). Only commands starting with one of these are allowed: ${allowed.join(", ")}. Paths outside the working directory and options that write files or run other programs are refused`,
+      parameters: {
+        type: "object",
+        properties: {
+          command: { type: "string", description: "The command line, e.g. git status --short" },
+        },
+        required: ["command"],
+      },
+      sideEffects: true,
+      summary: ({ command }) => `$ ${command}`,
+      async run({ command }) {
+        const words = splitCommand(String(command ?? ""));
+        if (!words.length) throw new Error("No command given");
+        if (!isAllowedCommand(words, allowed)) {
+          throw new Error(
+            `${words[0]} is not an allowed command; allowed: ${allowed.join(", ")}`
+          );
+        }
+        await checkArguments(words.slice(1), files);
+
+        const { code, stdout, stderr } = await runProcess(
+          words[0],
+          words.slice(1),
+          { cwd: files.root, timeout: commandTimeout, maxBuffer: 1024 * 1024 }
+        );
+        const output = [
+          stdout.trimEnd(),
+          stderr.trim() ? `[stderr]\n${stderr.trimEnd()}` : "",
+          code !== 0 ? `[exit code ${code}]` : "",
+        ].filter(Boolean);
+        return output.length ? output.join("\n") : "(no output)";
+      },
+    },
+    {
+      name: "search_conversations",
+      description:
+        "Full-text search over past conversations. Supports \"phrases\", prefix* and the filters model:, role:, before:YYYY-MM-DD and after:YYYY-MM-DD",
+      parameters: {
+        type: "object",
+        properties: {
+          query: { type: "string" },
+          limit: { type: "integer", minimum: 1, maximum: 50 },
+        },
+        required: ["query"],
+      },
+      sideEffects: false,
+      async run({ query, limit = 10 }) {
+        const results = await db.searchMessages(
+          parseSearchQuery(String(query ?? "")),
+          Math.min(50, Math.max(1, limit))
+        );
+        if (!results.length) return "No matching messages";
+
+        return results
+          .map((result) => {
+            const snippet = result.snippet
+              .replace(/\s+/g, " ")
+              .replaceAll(HIGHLIGHT_START, "")
+              .replaceAll(HIGHLIGHT_END, "");
+            return `[conversation ${result.conversation_id}: ${result.title || "Untitled"}] ${result.role} · ${result.created_at}: ${snippet}`;
+          })
+          .join("\n");
+      },
+    },
+    {
+      name: "read_conversation",
+      description:
+        "Read the messages of a past conversation, by the id search_conversations reports",
+      parameters: {
+        type: "object",
+        properties: {
+          conversation_id: { type: "integer" },
+        },
+        required: ["conversation_id"],
+      },
+      sideEffects: false,
+      async run({ conversation_id: id }) {
+        const conversation = await db.getConversation(id);
+        if (!conversation) throw new Error(`No conversation ${id}`);
+
+        const messages = await db.getConversationLineage(id);
+        return [
+          `# ${conversation.title || "Untitled"}`,
+          ...messages.map((message) => `## ${message.role}\n${message.content}`),
+        ].join("\n\n");
+      },
+    },
+  ];
+}
+
+export { builtinTools, splitCommand, isAllowedCommand, DEFAULT_COMMANDS };
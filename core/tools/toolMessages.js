@@ -0,0 +1,86 @@
+import { parseMetadata } from "../Database.js";
+import { formatToolCall } from "./ToolRegistry.js";
+
+// Tool calls and their results are stored as messages of their own roles:
+// "tool_call" holds any text the model wrote with metadata.toolCalls
+// ([{ id, name, arguments }]), and each "tool" message holds one result
+// with metadata { toolCallId, name, isError }.
+
+// Stored messages as providers take them: a tool_call becomes an assistant
+// message with `toolCalls`, a result a "tool" message with `toolCallId`
+function replayToolMessages(messages) {
+  return messages.map((message) => {
+    if (message.role === "tool_call") {
+      return {
+        ...message,
+        role: "assistant",
+        toolCalls: parseMetadata(message.metadata).toolCalls || [],
+      };
+    }
+    if (message.role === "tool") {
+      const { toolCallId, name, isError } = parseMetadata(message.metadata);
+      return { ...message, toolCallId, name, isError: Boolean(isError) };
+    }
+    return message;
+  });
+}
+
+// Providers refuse calls without results and results without their call,
+// which trimming the history to the context window can leave behind. Each
+// call keeps only the results that directly follow it, and calls left
+// without any are dropped (keeping the text written with them).
+function pairToolMessages(messages) {
+  const paired = [];
+  for (let i = 0; i < messages.length; i++) {
+    const message = messages[i];
+    if (message.role === "tool") continue; // Not after its call
+
+    if (!message.toolCalls?.length) {
+      paired.push(message);
+      continue;
+    }
+
+    const results = [];
+    while (messages[i + 1]?.role === "tool") results.push(messages[++i]);
+    const ids = new Set(message.toolCalls.map((call) => call.id));
+    const answered = results.filter((result) => ids.has(result.toolCallId));
+    const answeredIds = new Set(answered.map((result) => result.toolCallId));
+    const toolCalls = message.toolCalls.filter((call) =>
+      answeredIds.has(call.id)
+    );
+
+    if (toolCalls.length) {
+      paired.push({ ...message, toolCalls }, ...answered);
+    } else if (message.content) {
+      paired.push({ ...message, toolCalls: [] });
+    }
+  }
+  return paired;
+}
+
+// Tool calls and results written out as plain text, for requests sent
+// without tools: providers refuse tool messages when no tools are defined
+function flattenToolMessages(messages) {
+  return messages.map((message) => {
+    if (message.toolCalls?.length) {
+      const calls = message.toolCalls.map(
+        (call) => `[Called ${formatToolCall(call)}]`
+      );
+      return {
+        ...message,
+        toolCalls: [],
+        content: [message.content, ...calls].filter(Boolean).join("\n"),
+      };
+    }
+    if (message.role === "tool") {
+      return {
+        ...message,
+        role: "user",
+        content: `[Result of ${message.name}]\n${message.content}`,
+      };
+    }
+    return message;
+  });
+}
+
+export { replayToolMessages, pairToolMessages, flattenToolMessages };
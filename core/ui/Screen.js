@@ -1,6 +1,223 @@
 import blessed from "neo-blessed";
 import { EventEmitter } from "events";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
 import { logger } from "../../utils/Logger.js";
+import { ThreadTree } from "./ThreadTree.js";
+import { StreamingMessage } from "./StreamingMessage.js";
+import { renderMarkdown } from "./markdown.js";
+import {
+  BracketedPaste,
+  composerHeight,
+  ENABLE_BRACKETED_PASTE,
+  DISABLE_BRACKETED_PASTE,
+} from "./composer.js";
+import { formatCost } from "../../utils/Pricing.js";
+import { HIGHLIGHT_START, HIGHLIGHT_END } from "../search/SearchQuery.js";
+import { ERROR_KINDS } from "../providers/errors.js";
+import { filterModels, formatContextLength } from "../models/modelInfo.js";
+import { formatBytes } from "../attachments/FileAttachments.js";
+import { formatToolCall } from "../tools/ToolRegistry.js";
+import { describeRun } from "../execution/runOutput.js";
+
+const HIGHLIGHT_OPEN = "{black-fg}{yellow-bg}";
+const HIGHLIGHT_CLOSE = "{/yellow-bg}{/black-fg}";
+
+// Escapes text for a tagged widget, highlighting everything `pattern`
+// matches. Matching happens on the raw text so tags are never split.
+function highlightText(text, pattern) {
+  if (!pattern) return blessed.escape(text);
+
+  let result = "";
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (!match[0]) continue;
+    result += blessed.escape(text.slice(last, match.index));
+    result += `${HIGHLIGHT_OPEN}${blessed.escape(match[0])}${HIGHLIGHT_CLOSE}`;
+    last = match.index + match[0].length;
+  }
+  return result + blessed.escape(text.slice(last));
+}
+
+function formatSearchResult(result) {
+  const snippet = blessed
+    .escape(result.snippet.replace(/\s+/g, " "))
+    .replaceAll(HIGHLIGHT_START, HIGHLIGHT_OPEN)
+    .replaceAll(HIGHLIGHT_END, HIGHLIGHT_CLOSE);
+  const details = [result.role, result.model, formatRelativeTime(result.created_at)]
+    .filter(Boolean)
+    .join(" · ");
+
+  return `{bold}${blessed.escape(result.title)}{/bold} {#666666-fg}${details}{/} ${snippet}`;
+}
+
+// Id, context length, USD per million prompt/completion tokens and provider
+function formatModelItem(model) {
+  const price = (value) => (value === null ? "?" : `$${+value.toFixed(3)}`);
+  const pricing = model.pricing
+    ? `${price(model.pricing.prompt)}/${price(model.pricing.completion)}`
+    : "";
+  const details = [formatContextLength(model.contextLength), pricing, model.provider]
+    .filter(Boolean)
+    .join(" · ");
+
+  return `${blessed.escape(model.id)} {#666666-fg}${details}{/}`;
+}
+
+// Latency, tokens and cost of one compared answer, for its column label
+function formatComparisonSummary({ latencyMs, tokens, cost, truncated, error }) {
+  if (error && !tokens) return `{red-fg}${blessed.escape(error.title || "Failed")}{/}`;
+
+  return [
+    `${(latencyMs / 1000).toFixed(1)}s`,
+    tokens ? formatTokens(tokens) : null,
+    cost != null ? formatCost(cost) : null,
+    truncated ? "truncated" : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+}
+
+// What went wrong, what to do about it and every provider and model tried
+function formatProviderError(error) {
+  const lines = [
+    `{red-fg}{bold}${blessed.escape(error.title)}{/bold}{/red-fg}`,
+    "",
+    blessed.escape(error.message),
+    "",
+    `{#666666-fg}${blessed.escape(error.hint)}{/}`,
+  ];
+
+  if (error.attempts?.length) {
+    lines.push("", "{bold}Tried{/bold}");
+    for (const attempt of error.attempts) {
+      const retries = attempt.retries
+        ? ` after ${attempt.retries} ${attempt.retries === 1 ? "retry" : "retries"}`
+        : "";
+      const title = ERROR_KINDS[attempt.kind]?.title || attempt.kind;
+      lines.push(
+        `  ${blessed.escape(`${attempt.provider}/${attempt.model}`)}: ${blessed.escape(title)}${retries}`
+      );
+    }
+  }
+
+  lines.push(
+    "",
+    "Your message is saved.",
+    "{#666666-fg}R resend · q close{/}"
+  );
+  return lines.join("\n");
+}
+
+const EXPORT_STATUS_COLORS = {
+  pending: "yellow",
+  approved: "green",
+  rejected: "#666666",
+  failed: "red",
+};
+
+function formatExportItem(record) {
+  const color = EXPORT_STATUS_COLORS[record.status] || "white";
+  return `{${color}-fg}${record.status.padEnd(8)}{/} ${blessed.escape(record.name)}`;
+}
+
+// Header plus either the file content or, when the target already exists
+// and `diff` is given, the changes approving it would make
+function formatExportPreview(record, exists, diff) {
+  const lines = [
+    `{bold}${blessed.escape(record.name)}{/bold} (${record.mode})`,
+    `{#666666-fg}${blessed.escape(record.path)}{/}`,
+  ];
+  if (!record.complete) {
+    lines.push("{red-fg}The reply ended before this file was closed; content may be truncated{/}");
+  }
+  if (exists && record.mode !== "append") {
+    lines.push(
+      record.mode === "overwrite"
+        ? "{yellow-fg}Approving replaces the existing file{/}"
+        : "{yellow-fg}File exists: approve with O to overwrite it{/}"
+    );
+  }
+  if (record.error) {
+    lines.push(`{red-fg}${blessed.escape(record.error)}{/}`);
+  }
+  lines.push("");
+
+  if (diff) {
+    const colors = { "+": "green", "-": "red" };
+    for (const { type, line } of diff) {
+      const text = blessed.escape(`${type} ${line}`);
+      lines.push(colors[type] ? `{${colors[type]}-fg}${text}{/}` : text);
+    }
+  } else {
+    lines.push(blessed.escape(record.content));
+  }
+
+  return lines.join("\n");
+}
+
+// Tool results are long; the conversation shows their start
+const TOOL_RESULT_LINES = 12;
+
+function clipLines(text, limit) {
+  const lines = text.split("\n");
+  if (lines.length <= limit) return text;
+  return [
+    ...lines.slice(0, limit),
+    `[… ${lines.length - limit} more lines]`,
+  ].join("\n");
+}
+
+// Code runs show this much of each stream under the reply
+const RUN_OUTPUT_LINES = 20;
+
+// The output of running one of a reply's code blocks, as a boxed block
+function formatCodeRun(run) {
+  const edge = run.timedOut || run.exitCode !== 0 ? "red" : "gray";
+  const bar = `{${edge}-fg}│{/${edge}-fg}`;
+  const lines = [
+    `{${edge}-fg}┌─ ran ${blessed.escape(run.language)} · ${describeRun(run)}{/${edge}-fg}`,
+  ];
+  for (const [text, color] of [
+    [run.stdout, "white"],
+    [run.stderr, "red"],
+  ]) {
+    if (!text.trim()) continue;
+    const clipped = clipLines(text.replace(/\n$/, ""), RUN_OUTPUT_LINES);
+    for (const line of clipped.split("\n")) {
+      lines.push(`${bar} {${color}-fg}${blessed.escape(line)}{/${color}-fg}`);
+    }
+  }
+  if (lines.length === 1) lines.push(`${bar} {gray-fg}(no output){/gray-fg}`);
+  lines.push(`{${edge}-fg}└─{/${edge}-fg}`);
+  return lines.join("\n");
+}
+
+// What the model wants to run, for the confirmation prompt
+function formatToolConfirmation(tool, args) {
+  const details = tool.summary
+    ? tool.summary(args)
+    : JSON.stringify(args, null, 2);
+  return [
+    `{bold}${blessed.escape(tool.name)}{/bold}`,
+    `{#666666-fg}${blessed.escape(tool.description || "")}{/}`,
+    "",
+    blessed.escape(details),
+    "",
+    `{#666666-fg}y run · a always allow ${blessed.escape(tool.name)} this session · n skip{/}`,
+  ].join("\n");
+}
+
+// How a message's header starts
+function roleLabel(role, { toolName, isError } = {}) {
+  if (role === "user") return "┌── User";
+  if (role === "tool_call") return "└── AI · tool call";
+  if (role === "tool") {
+    return `└── ${toolName || "Tool"} result${isError ? " · error" : ""}`;
+  }
+  return "└── AI";
+}
 
 const ASCII_LOGO = `
 ╔═══════════════════════════════════════╗
@@ -9,16 +226,69 @@ const ASCII_LOGO = `
 ║ └─┘└─┘┘└┘┘└┘└─┘└─┘ ┴ ╚═╝╩═╝╚═╝╩ ╩╩  ║
 ╚═══════════════════════════════════════╝`;
 
+function formatRelativeTime(timestamp) {
+  if (!timestamp) return "";
+
+  // SQLite CURRENT_TIMESTAMP values are UTC without a zone designator
+  const date = new Date(
+    /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(timestamp)
+      ? `${timestamp.replace(" ", "T")}Z`
+      : timestamp
+  );
+  const seconds = Math.max(0, (Date.now() - date.getTime()) / 1000);
+
+  if (seconds < 60) return "now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  if (seconds < 86400 * 30) return `${Math.floor(seconds / 86400)}d`;
+  return date.toLocaleDateString();
+}
+
+// Token usage is either a plain count or { prompt, completion, estimated }
+function formatTokens(tokens) {
+  if (typeof tokens !== "object" || tokens === null) return `${tokens}`;
+  const approx = tokens.estimated ? "~" : "";
+  return `${approx}${tokens.prompt ?? 0} in / ${approx}${tokens.completion ?? 0} out`;
+}
+
 const LOADING_FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
 
 class Screen extends EventEmitter {
-  constructor(config) {
+  // `terminal` is the { input, output } streams to draw on, the process's
+  // own by default
+  constructor(config, terminal = {}) {
     super();
     this.config = config;
+    this.terminal = {
+      input: terminal.input || process.stdin,
+      output: terminal.output || process.stdout,
+    };
     this.loadingInterval = null;
     this.loadingFrame = 0;
     this.screen = null;
     this.selectedThread = 0;
+    this.currentThreadId = null;
+    this.threadTree = new ThreadTree();
+    this.visibleThreads = [];
+    this.messages = [];
+    this.focusedMessage = -1;
+    this.status = {};
+    this.statusSegments = new Map();
+    this.activePanel = null;
+    this.searchPattern = null;
+    // The reply being streamed into the conversation pane, if any
+    this.streaming = null;
+    // Shows assistant messages as their Markdown source instead of rendered
+    this.rawView = false;
+    this.frameMs = 1000 / (config?.streaming?.frameRate || 30);
+    this.composer = {
+      sendKey: config?.composer?.sendKey || "C-s",
+      maxHeight: config?.composer?.maxHeight || 10,
+      bracketedPaste: config?.composer?.bracketedPaste !== false,
+    };
+    this.paste = new BracketedPaste();
+    // Set after Ctrl-x, waiting for the Ctrl-e that opens the editor
+    this.editorPrefix = false;
   }
 
   async initialize() {
@@ -26,8 +296,8 @@ class Screen extends EventEmitter {
       // Create screen with minimal options first
       this.screen = blessed.screen({
         smartCSR: true,
-        input: process.stdin,
-        output: process.stdout,
+        input: this.terminal.input,
+        output: this.terminal.output,
         terminal: 'xterm',
         fullUnicode: true,
         autoPadding: true,
@@ -36,14 +306,6 @@ class Screen extends EventEmitter {
         warnings: false  // Disable warnings
       });
 
-      // Handle Ctrl+C properly
-      this.screen.program.on('keypress', (ch, key) => {
-        if (key && key.ctrl && key.name === 'c') {
-          this.emit('quit');
-          return;
-        }
-      });
-
       // Prevent blessed from taking over error handling
       this.screen.program.on('error', (err) => {
         logger.error('Terminal error:', err);
@@ -55,6 +317,15 @@ class Screen extends EventEmitter {
       // Set up key bindings
       this.setupKeys();
 
+      // Pastes are marked so their newlines never send the message. Raw
+      // input is seen here before blessed splits it into keypresses.
+      if (this.composer.bracketedPaste) {
+        this.screen.program.input.prependListener('data', (data) => {
+          this.paste.feed(data.toString());
+        });
+        this.screen.program.write(ENABLE_BRACKETED_PASTE);
+      }
+
       // Initial render
       this.screen.render();
 
@@ -88,9 +359,15 @@ class Screen extends EventEmitter {
       keys: true,
       vi: true,
       mouse: true,
+      tags: true,
       label: ' Threads '
     });
 
+    this.threadList.on('select', (item, index) => {
+      const row = this.visibleThreads[index];
+      if (row) this.emit('threadSelect', row.conversation.id);
+    });
+
     // Main chat area
     this.chatBox = blessed.box({
       parent: this.screen,
@@ -104,6 +381,7 @@ class Screen extends EventEmitter {
       scrollable: true,
       alwaysScroll: true,
       mouse: true,
+      tags: true,
       label: ' Conversation ',
       scrollbar: {
         style: {
@@ -120,13 +398,29 @@ class Screen extends EventEmitter {
       width: "100%",
       height: 1,
       content: ' NORMAL ',
+      tags: true,
       style: {
         fg: 'white',
         bg: 'blue'
       }
     });
 
-    // Input box
+    // Files to attach to the next message, over the composer
+    this.attachmentBar = blessed.box({
+      parent: this.screen,
+      bottom: 2,
+      left: 0,
+      width: "100%",
+      height: 1,
+      hidden: true,
+      tags: true,
+      style: {
+        fg: 'white',
+        bg: 'black'
+      }
+    });
+
+    // Message composer; it grows with its text, see resizeComposer
     this.inputBox = blessed.textarea({
       parent: this.screen,
       bottom: 1,
@@ -141,24 +435,37 @@ class Screen extends EventEmitter {
   }
 
   setupKeys() {
-    // Quit on Ctrl+C
+    // Ctrl+C stops a reply while one is loading and quits otherwise. This
+    // is the only Ctrl+C handler, so a cancel never also quits.
     this.screen.key(['C-c'], () => {
-      this.emit('quit');
+      this.emit(this.loadingInterval ? 'cancel' : 'quit');
     });
 
-    // Input handling
-    this.inputBox.key('enter', async () => {
-      const message = this.inputBox.getValue();
-      if (message.trim()) {
-        this.inputBox.clearValue();
-        this.screen.render();
-        this.emit('message', message.trim());
+    // Enter inserts a newline and the send key sends. A paste never sends,
+    // even when the send key is Enter.
+    this.inputBox.key(this.composer.sendKey, () => {
+      if (!this.paste.pasting) this.sendInput();
+    });
+
+    this.inputBox.on('keypress', (ch, key) => {
+      // Ctrl-x Ctrl-e composes in $EDITOR
+      if (this.editorPrefix && key.full === 'C-e') {
+        this.editorPrefix = false;
+        this.composeInEditor();
+        return;
       }
+      this.editorPrefix = key.full === 'C-x';
+
+      // The textarea changes its value after this listener
+      setImmediate(() => this.resizeComposer());
     });
 
+    this.screen.on('resize', () => this.resizeComposer());
+
     // Focus handling
     this.inputBox.key(['escape'], () => {
       this.threadList.focus();
+      this.emit('inputCancel');
     });
   }
 
@@ -201,15 +508,48 @@ class Screen extends EventEmitter {
     }
   }
 
-  appendMessage(role, content, isStreaming = false) {
-    const timestamp = new Date().toLocaleTimeString();
-    const roleColor = role === "user" ? "#00ff00" : "#4d94ff";
-    const prefix = role === "user" ? "┌── User" : "└── AI";
+  appendMessage(role, content, isStreaming = false, meta = {}) {
+    const timestamp = meta.createdAt
+      ? new Date(meta.createdAt).toLocaleTimeString()
+      : new Date().toLocaleTimeString();
+
+    const message = {
+      id: meta.id ?? null,
+      role,
+      content,
+      inherited: Boolean(meta.inherited),
+      pinned: Boolean(meta.pinned),
+      truncated: Boolean(meta.truncated),
+      alternatives: meta.alternatives || null,
+      attachments: meta.attachments || [],
+      isError: Boolean(meta.isError),
+      header: `${roleLabel(role, meta)} (${timestamp})`,
+      line: this.chatBox.getLines().length,
+    };
+    this.messages.push(message);
 
-    this.chatBox.pushLine(`{${roleColor}-fg}${prefix} (${timestamp}){/}`);
+    this.chatBox.pushLine(this.formatMessageHeader(message));
+
+    // Images and PDFs can't be shown, only named
+    for (const item of meta.media || []) {
+      this.chatBox.pushLine(
+        `{gray-fg}[${item.kind}: ${blessed.escape(path.basename(item.path))} ${formatBytes(item.size)}]{/gray-fg}`
+      );
+    }
 
     if (!isStreaming) {
-      this.chatBox.pushLine(content);
+      const toolCalls = meta.toolCalls || [];
+      if (content || !toolCalls.length) {
+        this.chatBox.pushLine(this.formatBody(role, content));
+      }
+      for (const call of toolCalls) {
+        this.chatBox.pushLine(
+          `{gray-fg}→ ${blessed.escape(formatToolCall(call).slice(0, 200))}{/gray-fg}`
+        );
+      }
+      for (const run of meta.runs || []) {
+        this.chatBox.pushLine(formatCodeRun(run));
+      }
       this.chatBox.pushLine(""); // Add spacing
     }
 
@@ -217,15 +557,219 @@ class Screen extends EventEmitter {
     this.screen.render();
   }
 
-  updateStreamingMessage(content) {
-    // Find the last message and update it
-    const lines = this.chatBox.getLines();
-    if (lines.length > 0) {
-      lines[lines.length - 1] = content;
-      this.chatBox.setContent(lines.join("\n"));
-      this.chatBox.setScrollPerc(100);
-      this.screen.render();
+  // Assistant replies are rendered as Markdown unless the raw view is on;
+  // search hits are highlighted either way. Tool results are cut short.
+  formatBody(role, content) {
+    const text = (plain) => highlightText(plain, this.searchPattern);
+    if (role === "tool") {
+      return `{gray-fg}${text(clipLines(content, TOOL_RESULT_LINES))}{/gray-fg}`;
+    }
+    if (!["assistant", "tool_call"].includes(role) || this.rawView) {
+      return text(content);
     }
+
+    // Inside the borders and scrollbar
+    const width = Math.max(10, (this.chatBox.width || 80) - 4);
+    return renderMarkdown(content, { width, text });
+  }
+
+  setRawView(raw) {
+    this.rawView = raw;
+  }
+
+  formatMessageHeader(message, focused = false) {
+    const roleColor = message.inherited
+      ? "#666666"
+      : message.role === "user"
+      ? "#00ff00"
+      : message.role === "tool"
+      ? message.isError
+        ? "red"
+        : "#d7af5f"
+      : "#4d94ff";
+    const marker = focused ? "▶ " : "";
+    const pin = message.pinned ? " ⚑" : "";
+    const truncated = message.truncated ? " [truncated]" : "";
+    const { alternatives } = message;
+    const position =
+      alternatives?.count > 1
+        ? ` ‹${alternatives.index}/${alternatives.count}›`
+        : "";
+    const files = message.attachments.length
+      ? ` {gray-fg}· files: ${blessed.escape(message.attachments.join(", "))}{/gray-fg}`
+      : "";
+    const header = `{${roleColor}-fg}${marker}${message.header}${pin}${truncated}${position}{/}${files}`;
+    return focused ? `{inverse}${header}{/inverse}` : header;
+  }
+
+  focusMessage(delta) {
+    const start =
+      this.focusedMessage === -1 ? this.messages.length : this.focusedMessage;
+    return this.focusMessageAt(start + delta);
+  }
+
+  focusMessageAt(index) {
+    if (this.messages.length === 0) return null;
+
+    const previous = this.messages[this.focusedMessage];
+    this.focusedMessage = Math.max(0, Math.min(this.messages.length - 1, index));
+
+    if (previous) {
+      this.chatBox.setLine(previous.line, this.formatMessageHeader(previous));
+    }
+
+    const current = this.messages[this.focusedMessage];
+    this.chatBox.setLine(current.line, this.formatMessageHeader(current, true));
+    this.chatBox.scrollTo(current.line);
+    this.screen.render();
+
+    return current;
+  }
+
+  focusMessageById(id) {
+    const index = this.messages.findIndex((message) => message.id === id);
+    return index === -1 ? null : this.focusMessageAt(index);
+  }
+
+  // Highlights matches of `pattern` in messages appended from now on and
+  // makes them the targets of jumpToSearchHit()
+  setSearchPattern(pattern) {
+    this.searchPattern = pattern;
+    this.updateStatus({ search: null });
+  }
+
+  searchHits() {
+    if (!this.searchPattern) return [];
+    return this.messages
+      .map((message, index) => ({ message, index }))
+      .filter(({ message }) => {
+        this.searchPattern.lastIndex = 0;
+        return message.content && this.searchPattern.test(message.content);
+      })
+      .map(({ index }) => index);
+  }
+
+  // Focuses the next (delta 1) or previous (delta -1) message containing a
+  // search match, wrapping around the thread
+  jumpToSearchHit(delta) {
+    const hits = this.searchHits();
+    if (hits.length === 0) {
+      this.showMessage(
+        this.searchPattern ? "No search hits in this thread" : "No active search"
+      );
+      return null;
+    }
+
+    const current = this.focusedMessage;
+    const target =
+      delta > 0
+        ? hits.find((index) => index > current) ?? hits[0]
+        : [...hits].reverse().find((index) => index < current) ??
+          hits[hits.length - 1];
+
+    const message = this.focusMessageAt(target);
+    this.updateStatus({
+      search: { index: hits.indexOf(target) + 1, total: hits.length },
+    });
+    return message;
+  }
+
+  setMessagePinned(message, pinned) {
+    message.pinned = pinned;
+    this.chatBox.setLine(
+      message.line,
+      this.formatMessageHeader(message, message === this.getFocusedMessage())
+    );
+    this.screen.render();
+  }
+
+  getFocusedMessage() {
+    return this.messages[this.focusedMessage] || null;
+  }
+
+  // Starts a live assistant message that streamed text is appended to
+  beginStreamingMessage(meta = {}) {
+    this.endStreamingMessage();
+    this.appendMessage("assistant", "", true, meta);
+
+    const message = this.messages[this.messages.length - 1];
+    this.streaming = {
+      message,
+      view: new StreamingMessage(this.chatBox, {
+        line: message.line + 1,
+        render: () => this.screen.render(),
+        frameMs: this.frameMs,
+        format: (text) => this.formatBody("assistant", text),
+      }),
+    };
+    return message;
+  }
+
+  // Streams further text onto the end of message `id` when it is the last
+  // one shown, or else into a new message
+  resumeStreamingMessage(id) {
+    this.endStreamingMessage();
+    const message = this.messages[this.messages.length - 1];
+    if (message?.id == null || message.id !== id) {
+      return this.beginStreamingMessage();
+    }
+
+    const view = new StreamingMessage(this.chatBox, {
+      line: message.line + 1,
+      render: () => this.screen.render(),
+      frameMs: this.frameMs,
+      format: (text) => this.formatBody("assistant", text),
+      content: message.content,
+    });
+    // The spacing line goes back after the message once it is finished
+    this.chatBox.deleteLine(view.start + view.written);
+    this.streaming = { message, view };
+    return message;
+  }
+
+  // Adds a chunk of the reply being streamed, starting one if needed
+  updateStreamingMessage(delta) {
+    if (!delta) return;
+    if (!this.streaming) this.beginStreamingMessage();
+    this.streaming.view.append(delta);
+  }
+
+  // Turns the streamed reply into the saved message `content` in place. A
+  // reply that never streamed is appended instead.
+  finishStreamingMessage(content, meta = {}) {
+    if (!this.streaming) {
+      this.appendMessage("assistant", content, false, meta);
+      return;
+    }
+
+    const { message, view } = this.streaming;
+    this.streaming = null;
+    Object.assign(message, {
+      id: meta.id ?? null,
+      content,
+      truncated: Boolean(meta.truncated),
+    });
+    this.settleStreamingMessage(message, view, content);
+  }
+
+  // Stops streaming into the live message, keeping the text it has
+  endStreamingMessage() {
+    if (!this.streaming) return;
+
+    const { message, view } = this.streaming;
+    this.streaming = null;
+    message.content = view.content;
+    this.settleStreamingMessage(message, view, view.content);
+  }
+
+  settleStreamingMessage(message, view, content) {
+    view.finish(content);
+    this.chatBox.pushLine(""); // Add spacing
+    this.chatBox.setLine(
+      message.line,
+      this.formatMessageHeader(message, message === this.getFocusedMessage())
+    );
+    this.screen.render();
   }
 
   showError(message) {
@@ -255,32 +799,271 @@ class Screen extends EventEmitter {
     }, 3000);
   }
 
-  updateThreadList(threads) {
-    this.threadList.setContent(
-      threads
-        .map((t, i) => `${i === this.selectedThread ? "► " : "  "}${t.title}`)
-        .join("\n")
+  showMessage(message) {
+    const box = blessed.box({
+      parent: this.screen,
+      top: "center",
+      left: "center",
+      width: "50%",
+      height: 3,
+      content: message,
+      border: {
+        type: "line",
+      },
+      style: {
+        fg: "#00ffff",
+        border: {
+          fg: "#00ffff",
+        },
+      },
+    });
+
+    this.screen.render();
+    setTimeout(() => {
+      box.destroy();
+      this.screen.render();
+    }, 2000);
+  }
+
+  updateThreadList(threads, selectedId = this.currentThreadId) {
+    this.currentThreadId = selectedId ?? null;
+    this.threadTree.build(threads);
+    if (this.currentThreadId !== null) {
+      this.threadTree.reveal(this.currentThreadId);
+    }
+    this.renderThreadTree();
+  }
+
+  renderThreadTree() {
+    this.visibleThreads = this.threadTree.visible();
+
+    this.threadList.setItems(
+      this.visibleThreads.map((row) => {
+        const { conversation } = row;
+        const fold = row.hasChildren ? (row.collapsed ? "▸ " : "▾ ") : "  ";
+        const count = conversation.message_count ?? 0;
+        const activity = formatRelativeTime(
+          conversation.last_message_at || conversation.updated_at
+        );
+
+        return `${row.prefix}${fold}${blessed.escape(conversation.title)} {#666666-fg}[${count}] ${activity}{/}`;
+      })
     );
+
+    const selected = this.visibleThreads.findIndex(
+      (row) => row.conversation.id === this.currentThreadId
+    );
+    this.selectedThread = Math.max(selected, 0);
+    this.threadList.select(this.selectedThread);
     this.screen.render();
   }
 
-  updateStatus({ mode = "normal", tokens = 0 }) {
+  // Apply a fold action ("open", "close", "toggle", "openAll", "closeAll")
+  // to the selected thread
+  foldThread(action) {
+    const row = this.visibleThreads[this.threadList.selected];
+    if (!row && !action.endsWith("All")) return;
+
+    this.threadTree[action](row?.conversation.id);
+    this.renderThreadTree();
+  }
+
+  getVisibleThreads() {
+    return this.visibleThreads.map((row) => row.conversation);
+  }
+
+  updateStatus(patch = {}) {
+    // Segments persist between updates so mode changes keep the model info
+    this.status = { ...this.status, ...patch };
+    const {
+      mode = "normal",
+      content,
+      tokens = 0,
+      provider,
+      model,
+      cost,
+      context,
+      persona,
+      pendingExports,
+      search,
+      compare,
+    } = this.status;
+
     const modeColor = {
       normal: "#666",
       insert: "#00ff00",
       command: "#ffff00",
-    }[mode];
+    }[mode] || "#666";
 
-    this.statusBar.setContent(
-      `{${modeColor}-fg}${mode.toUpperCase()}{/} │ Tokens: ${tokens}`
-    );
+    const segments = [
+      `{${modeColor}-fg}${content ? blessed.escape(content) : mode.toUpperCase()}{/}`,
+    ];
+    if (model) {
+      segments.push(`Model: ${provider ? `${provider}:` : ""}${model}`);
+    }
+    if (persona) {
+      segments.push(`Persona: ${blessed.escape(persona)}`);
+    }
+    if (compare) {
+      segments.push(`{magenta-fg}Compare: ${blessed.escape(compare.join(" · "))}{/}`);
+    }
+    segments.push(`Tokens: ${formatTokens(tokens)}`);
+    if (context?.limit) {
+      const percent = Math.round((context.used / context.limit) * 100);
+      const color = percent >= 90 ? "red" : percent >= 75 ? "yellow" : "white";
+      segments.push(`{${color}-fg}Ctx: ${percent}%{/}`);
+    }
+    if (cost) {
+      segments.push(
+        `Cost: ${formatCost(cost.thread)} thread · ${formatCost(cost.today)} today`
+      );
+    }
+
+    if (search) {
+      segments.push(`{yellow-fg}Hit ${search.index}/${search.total}{/}`);
+    }
+    if (pendingExports) {
+      segments.push(`{yellow-fg}Exports: ${pendingExports} pending{/}`);
+    }
+
+    for (const [name, render] of this.statusSegments) {
+      try {
+        const segment = render(this.status);
+        if (segment) segments.push(segment);
+      } catch (error) {
+        logger.error(`Status segment ${name} failed:`, error);
+      }
+    }
+
+    this.statusBar.setContent(segments.join(" │ "));
     this.screen.render();
   }
 
+  registerStatusSegment(name, render) {
+    this.statusSegments.set(name, render);
+  }
+
+  removeStatusSegment(name) {
+    this.statusSegments.delete(name);
+  }
+
   focus() {
     this.inputBox.focus();
   }
 
+  // Puts `text` in the input box, ready to be changed and sent
+  setInput(text) {
+    this.setDraft(text);
+    this.inputBox.focus();
+    this.screen.render();
+  }
+
+  // The unsent text in the composer
+  getDraft() {
+    return this.inputBox.getValue();
+  }
+
+  setDraft(text) {
+    this.inputBox.setValue(text);
+    this.resizeComposer();
+    this.screen.render();
+  }
+
+  // Sends the composer's text once the textarea has handled the key, so an
+  // Enter send key doesn't leave its newline behind
+  sendInput() {
+    setImmediate(() => {
+      const message = this.inputBox.getValue().trim();
+      if (!message) return;
+      this.setDraft('');
+      this.emit('message', message);
+    });
+  }
+
+  // Fits the composer to its text, between one row and
+  // ui.composer.maxHeight, shrinking the panes above it to make room
+  resizeComposer() {
+    const height = composerHeight(
+      this.inputBox.getValue(),
+      this.inputBox.width - this.inputBox.iwidth,
+      this.composer.maxHeight
+    );
+    if (height === this.inputBox.height) return;
+
+    this.inputBox.height = height;
+    this.layoutBottom();
+  }
+
+  // Stacks the attachments bar, when shown, on the composer and fits the
+  // panes above them
+  layoutBottom() {
+    const bottom = this.inputBox.height + 1;
+    const bar = this.attachmentBar.hidden ? 0 : 1;
+    this.attachmentBar.bottom = bottom;
+    this.threadList.height = `100%-${bottom + bar}`;
+    this.chatBox.height = `100%-${bottom + bar}`;
+    this.screen.render();
+  }
+
+  // Lists the files that go with the next message, numbered for
+  // `:attach rm <n>`; the bar hides when there are none
+  setAttachments(attachments) {
+    if (attachments.length) {
+      const items = attachments.map(
+        (attachment, index) =>
+          `{bold}${index + 1}{/bold} ${blessed.escape(attachment.path)} {gray-fg}${formatBytes(attachment.size)}{/gray-fg}`
+      );
+      this.attachmentBar.setContent(` Files: ${items.join("  ")}`);
+      this.attachmentBar.show();
+    } else {
+      this.attachmentBar.hide();
+    }
+    this.layoutBottom();
+  }
+
+  // Opens the draft in $VISUAL or $EDITOR and puts the saved text back in
+  // the composer. An editor that exits with an error leaves the draft as
+  // it was.
+  async composeInEditor() {
+    try {
+      const text = await this.openEditor(this.inputBox.getValue());
+      if (text !== null) this.setDraft(text.replace(/\n+$/, ''));
+    } catch (error) {
+      logger.error('Failed to run editor:', error);
+      this.showError(`Editor failed: ${error.message}`);
+    }
+    this.inputBox.focus();
+    this.screen.render();
+  }
+
+  // Edits `text` in a temporary file; resolves with the saved text, or null
+  // when the editor fails
+  async openEditor(text) {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'connect-cli-'));
+    const file = path.join(directory, 'message.md');
+    const [command, ...args] = (
+      process.env.VISUAL || process.env.EDITOR || 'vi'
+    ).split(/\s+/);
+
+    try {
+      await fs.writeFile(file, text);
+      if (this.composer.bracketedPaste) {
+        this.screen.program.write(DISABLE_BRACKETED_PASTE);
+      }
+      const saved = await new Promise((resolve, reject) => {
+        this.screen.exec(command, [...args, file], {}, (error, success) =>
+          error ? reject(error) : resolve(success)
+        );
+      });
+      return saved ? await fs.readFile(file, 'utf8') : null;
+    } finally {
+      if (this.composer.bracketedPaste) {
+        this.screen.program.write(ENABLE_BRACKETED_PASTE);
+      }
+      await fs.rm(directory, { recursive: true, force: true });
+    }
+  }
+
   destroy() {
     if (this.loadingInterval) {
       clearInterval(this.loadingInterval);
@@ -292,6 +1075,9 @@ class Screen extends EventEmitter {
       this.screen.program.output.removeAllListeners();
       
       // Restore terminal state
+      if (this.composer.bracketedPaste) {
+        this.screen.program.write(DISABLE_BRACKETED_PASTE);
+      }
       this.screen.program.disableMouse();
       this.screen.program.showCursor();
       this.screen.program.normalBuffer();
@@ -302,13 +1088,17 @@ class Screen extends EventEmitter {
     }
 
     // Restore terminal
-    process.stdin.setRawMode(false);
-    process.stdin.pause();
+    this.terminal.input.setRawMode?.(false);
+    this.terminal.input.pause();
   }
 
   clearChat() {
+    this.streaming?.view.stop();
+    this.streaming = null;
     if (this.chatBox) {
       this.chatBox.setContent('');
+      this.messages = [];
+      this.focusedMessage = -1;
       this.screen.render();
     }
   }
@@ -320,6 +1110,512 @@ class Screen extends EventEmitter {
     }
   }
 
+  // Ranked search results; Enter opens the thread at the selected message
+  showSearchResults(results, { query = "", onSelect } = {}) {
+    const list = blessed.list({
+      parent: this.screen,
+      top: "center",
+      left: "center",
+      width: "90%",
+      height: "80%",
+      label: ` Search: ${blessed.escape(query)} (${results.length}) `,
+      tags: true,
+      keys: true,
+      vi: true,
+      border: {
+        type: "line",
+      },
+      style: {
+        border: {
+          fg: "#00ffff",
+        },
+        selected: {
+          bg: "#333333",
+        },
+      },
+      items: results.length
+        ? results.map(formatSearchResult)
+        : ["{#666666-fg}No matches{/}"],
+    });
+
+    const close = () => {
+      this.activePanel = null;
+      list.destroy();
+      this.screen.render();
+    };
+
+    list.on("select", (item, index) => {
+      const result = results[index];
+      close();
+      if (result) onSelect?.(result);
+    });
+    list.key(["escape", "q"], close);
+
+    this.activePanel = list;
+    list.focus();
+    this.screen.render();
+  }
+
+  // Lists a reply's code blocks to pick the one to run
+  showCodeBlockPicker(blocks, { onSelect } = {}) {
+    const list = blessed.list({
+      parent: this.screen,
+      top: "center",
+      left: "center",
+      width: "70%",
+      height: Math.min(blocks.length + 2, 20),
+      label: " Run which code block? ",
+      tags: true,
+      keys: true,
+      vi: true,
+      border: {
+        type: "line",
+      },
+      style: {
+        border: {
+          fg: "#00ffff",
+        },
+        selected: {
+          bg: "#333333",
+        },
+      },
+      items: blocks.map((block, index) => {
+        const first = block.code.split("\n").find((line) => line.trim()) || "";
+        const language = blessed.escape(block.language || "text");
+        const preview = blessed.escape(first.trim().slice(0, 60));
+        return `${index + 1}. {bold}${language}{/bold} {#666666-fg}${preview}{/}`;
+      }),
+    });
+
+    const close = () => {
+      this.activePanel = null;
+      list.destroy();
+      this.screen.render();
+    };
+
+    list.on("select", (item, index) => {
+      close();
+      onSelect?.(blocks[index], index);
+    });
+    list.key(["escape", "q"], close);
+
+    this.activePanel = list;
+    list.focus();
+    this.screen.render();
+  }
+
+  // Model picker; typing filters the list, Enter picks the selected model
+  showModelPicker(models, { query = "", onSelect } = {}) {
+    const list = blessed.list({
+      parent: this.screen,
+      top: "center",
+      left: "center",
+      width: "80%",
+      height: "80%",
+      tags: true,
+      keys: true,
+      border: {
+        type: "line",
+      },
+      style: {
+        border: {
+          fg: "#00ffff",
+        },
+        selected: {
+          bg: "#333333",
+        },
+      },
+    });
+
+    let matches = [];
+    const update = () => {
+      matches = filterModels(models, query);
+      list.setLabel(
+        ` Models: ${query || "type to filter"} (${matches.length}/${models.length}) `
+      );
+      list.setItems(
+        matches.length
+          ? matches.map(formatModelItem)
+          : ["{#666666-fg}No matching models{/}"]
+      );
+      list.select(0);
+      this.screen.render();
+    };
+
+    const close = () => {
+      this.activePanel = null;
+      list.destroy();
+      this.focus();
+      this.screen.render();
+    };
+
+    list.on("select", (item, index) => {
+      const model = matches[index];
+      close();
+      if (model) onSelect?.(model);
+    });
+    list.on("keypress", (ch, key) => {
+      if (key.name === "backspace") {
+        query = query.slice(0, -1);
+        update();
+      } else if (ch && !key.ctrl && !key.meta && /^[\x20-\x7e]$/.test(ch)) {
+        query += ch;
+        update();
+      }
+    });
+    list.key("escape", close);
+
+    this.activePanel = list;
+    list.focus();
+    update();
+  }
+
+  // Side-by-side columns over the conversation, one per compared model.
+  // Returns a handle to stream text into them; after ready(onPick) the
+  // number keys pick an answer, and onPick resolving true closes the view.
+  showComparison(labels, { onCancel } = {}) {
+    const panel = blessed.box({
+      parent: this.screen,
+      left: "30%",
+      top: 0,
+      width: "70%",
+      height: "100%-2",
+      label: " Compare ",
+      tags: true,
+      border: {
+        type: "line",
+      },
+      style: {
+        border: {
+          fg: "magenta",
+        },
+      },
+    });
+
+    const width = Math.floor(100 / labels.length);
+    const columns = labels.map((label, index) =>
+      blessed.box({
+        parent: panel,
+        top: 0,
+        left: `${index * width}%`,
+        width: index === labels.length - 1 ? `${100 - index * width}%-2` : `${width}%`,
+        height: "100%-3",
+        label: ` ${index + 1} ${blessed.escape(label)} `,
+        tags: true,
+        scrollable: true,
+        alwaysScroll: true,
+        border: {
+          type: "line",
+          fg: "#666",
+        },
+      })
+    );
+    const texts = labels.map(() => "");
+
+    const footer = blessed.box({
+      parent: panel,
+      bottom: 0,
+      left: 0,
+      width: "100%-2",
+      height: 1,
+      tags: true,
+      content: "{#666666-fg}Streaming · Esc or Ctrl-C stops{/}",
+    });
+
+    let focused = 0;
+    let onPick = null;
+    const focusColumn = (index) => {
+      columns[focused].style.border.fg = "#666";
+      focused = (index + columns.length) % columns.length;
+      columns[focused].style.border.fg = "#00ffff";
+      this.screen.render();
+    };
+
+    const close = () => {
+      this.activePanel = null;
+      panel.destroy();
+      this.focus();
+      this.screen.render();
+    };
+
+    panel.key(["escape", "q"], () => {
+      if (onPick) close();
+      else onCancel?.();
+    });
+    panel.key(["h", "left"], () => focusColumn(focused - 1));
+    panel.key(["l", "right"], () => focusColumn(focused + 1));
+    panel.key(["j", "down"], () => {
+      columns[focused].scroll(1);
+      this.screen.render();
+    });
+    panel.key(["k", "up"], () => {
+      columns[focused].scroll(-1);
+      this.screen.render();
+    });
+    panel.key(["1", "2", "3", "4", "5", "6", "7", "8", "9"], async (ch) => {
+      const index = Number(ch) - 1;
+      if (!onPick || index >= columns.length) return;
+      if (await onPick(index)) close();
+    });
+
+    this.activePanel = panel;
+    panel.focus();
+    focusColumn(0);
+
+    return {
+      append: (index, text) => {
+        if (!text) return;
+        texts[index] += text;
+        columns[index].setContent(blessed.escape(texts[index]));
+        columns[index].setScrollPerc(100);
+        this.screen.render();
+      },
+      finish: (index, result) => {
+        if (result.content != null) {
+          columns[index].setContent(blessed.escape(result.content));
+        } else if (result.error) {
+          columns[index].setContent(
+            `{red-fg}${blessed.escape(result.error.message)}{/}`
+          );
+        }
+        columns[index].setLabel(
+          ` ${index + 1} ${blessed.escape(labels[index])} · ${formatComparisonSummary(result)} `
+        );
+        this.screen.render();
+      },
+      ready: (pick) => {
+        onPick = pick;
+        footer.setContent(
+          `{#666666-fg}1-${columns.length} continue with that answer · h/l column · j/k scroll · q keep the first{/}`
+        );
+        this.screen.render();
+      },
+      close,
+    };
+  }
+
+  // Review panel for files exported by the model. `actions` provides async
+  // load(), preview(id), approve(id, force) and reject(id).
+  showExportsPanel(actions) {
+    const panel = blessed.box({
+      parent: this.screen,
+      top: "center",
+      left: "center",
+      width: "90%",
+      height: "80%",
+      label: " File exports ",
+      tags: true,
+      border: {
+        type: "line",
+      },
+      style: {
+        border: {
+          fg: "#00ffff",
+        },
+      },
+    });
+
+    const list = blessed.list({
+      parent: panel,
+      top: 0,
+      left: 0,
+      width: "35%",
+      height: "100%-3",
+      tags: true,
+      keys: true,
+      vi: true,
+      style: {
+        selected: {
+          bg: "#333333",
+        },
+      },
+    });
+
+    const preview = blessed.box({
+      parent: panel,
+      top: 0,
+      left: "35%",
+      width: "65%-2",
+      height: "100%-3",
+      tags: true,
+      scrollable: true,
+      alwaysScroll: true,
+      border: {
+        type: "line",
+        fg: "#666",
+      },
+    });
+
+    blessed.box({
+      parent: panel,
+      bottom: 0,
+      left: 0,
+      width: "100%-2",
+      height: 1,
+      tags: true,
+      content:
+        "{#666666-fg}a approve · O approve & overwrite · r reject · d toggle diff · J/K scroll · q close{/}",
+    });
+
+    let exports = [];
+    let showDiff = true;
+    const selected = () => exports[list.selected];
+
+    const renderPreview = async () => {
+      const record = selected();
+      if (!record) {
+        preview.setContent("No exported files");
+      } else {
+        try {
+          const { exists, diff } = await actions.preview(record.id);
+          preview.setContent(
+            formatExportPreview(record, exists, showDiff ? diff : null)
+          );
+        } catch (error) {
+          preview.setContent(`{red-fg}${blessed.escape(error.message)}{/}`);
+        }
+      }
+      preview.scrollTo(0);
+      this.screen.render();
+    };
+
+    const reload = async () => {
+      exports = await actions.load();
+      list.setItems(exports.map(formatExportItem));
+      list.select(Math.min(list.selected, Math.max(exports.length - 1, 0)));
+      await renderPreview();
+    };
+
+    const run = async (action) => {
+      const record = selected();
+      if (!record) return;
+      try {
+        const message = await action(record);
+        if (message) this.showMessage(message);
+      } catch (error) {
+        this.showError(error.message);
+      }
+      await reload();
+    };
+
+    list.on("select item", () => renderPreview());
+    list.key("a", () =>
+      run(async (record) => `Saved ${await actions.approve(record.id, false)}`)
+    );
+    list.key("S-o", () =>
+      run(async (record) => `Saved ${await actions.approve(record.id, true)}`)
+    );
+    list.key("r", () => run((record) => actions.reject(record.id)));
+    list.key("d", () => {
+      showDiff = !showDiff;
+      renderPreview();
+    });
+    list.key("S-j", () => {
+      preview.scroll(1);
+      this.screen.render();
+    });
+    list.key("S-k", () => {
+      preview.scroll(-1);
+      this.screen.render();
+    });
+    list.key(["escape", "q"], () => {
+      this.activePanel = null;
+      panel.destroy();
+      this.focus();
+      this.screen.render();
+    });
+
+    // Keeps vim bindings from acting on keys meant for the panel
+    this.activePanel = panel;
+    list.focus();
+    reload().catch((error) => {
+      logger.error("Failed to load exports:", error);
+      this.showError("Failed to load exports");
+    });
+  }
+
+  // Explains a failed request; R resends the message it was answering
+  showErrorPanel(error, { onResend } = {}) {
+    const panel = blessed.box({
+      parent: this.screen,
+      top: "center",
+      left: "center",
+      width: "70%",
+      height: "shrink",
+      label: " Request failed ",
+      tags: true,
+      padding: { left: 1, right: 1 },
+      content: formatProviderError(error),
+      border: {
+        type: "line",
+      },
+      style: {
+        border: {
+          fg: "red",
+        },
+      },
+    });
+
+    const close = () => {
+      this.activePanel = null;
+      panel.destroy();
+      this.focus();
+      this.screen.render();
+    };
+
+    panel.key(["escape", "q"], close);
+    panel.key("S-r", () => {
+      close();
+      onResend?.();
+    });
+
+    this.activePanel = panel;
+    panel.focus();
+    this.screen.render();
+  }
+
+  // Asks whether the model may run `tool` with `args`. Resolves with "yes",
+  // "no" or "always" (allowing the tool for the rest of the session).
+  confirmTool(tool, args) {
+    return new Promise((resolve) => {
+      const panel = blessed.box({
+        parent: this.screen,
+        top: "center",
+        left: "center",
+        width: "70%",
+        height: "shrink",
+        label: " Run tool? ",
+        tags: true,
+        padding: { left: 1, right: 1 },
+        content: formatToolConfirmation(tool, args),
+        border: {
+          type: "line",
+        },
+        style: {
+          border: {
+            fg: "yellow",
+          },
+        },
+      });
+
+      const close = (answer) => {
+        this.activePanel = null;
+        panel.destroy();
+        this.focus();
+        this.screen.render();
+        resolve(answer);
+      };
+
+      panel.key("y", () => close("yes"));
+      panel.key("a", () => close("always"));
+      panel.key(["n", "escape", "q"], () => close("no"));
+
+      this.activePanel = panel;
+      panel.focus();
+      this.screen.render();
+    });
+  }
+
   showHelp(content) {
     const helpBox = blessed.box({
       parent: this.screen,
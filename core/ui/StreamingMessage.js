@@ -0,0 +1,75 @@
+// Whether the user is looking at the end of `box`. Boxes whose content fits
+// report -1 and count as at the bottom.
+function isAtBottom(box) {
+  const percent = box.getScrollPerc(true);
+  return percent === -1 || percent >= 100;
+}
+
+// A reply streaming into the conversation pane. Its rendered text occupies
+// the box's lines from `line` onwards. `format` renders the whole reply
+// (Markdown may change earlier lines as more arrives, e.g. a table's column
+// widths); redraws are batched to one per frame and each replaces just the
+// message's lines with a single setContent, so long replies don't re-render
+// the screen for every token. `content` is text of the message already
+// written there, when streaming continues a reply.
+class StreamingMessage {
+  constructor(
+    box,
+    { line, render, frameMs = 1000 / 30, format = (text) => text, content = "" }
+  ) {
+    this.box = box;
+    this.start = line;
+    this.render = render;
+    this.frameMs = frameMs;
+    this.format = format;
+    this.content = content;
+    // Lines of the box the message currently occupies
+    this.written = content ? format(content).split("\n").length : 0;
+    this.timer = null;
+    this.lastFrame = 0;
+  }
+
+  append(delta) {
+    if (!delta) return;
+    this.content += delta;
+    if (this.timer) return;
+
+    const wait = Math.max(0, this.lastFrame + this.frameMs - Date.now());
+    this.timer = setTimeout(() => this.flush(), wait);
+  }
+
+  // Shows the text that arrived since the last frame and redraws
+  flush() {
+    this.stop();
+    this.write(this.format(this.content).split("\n"));
+    this.lastFrame = Date.now();
+    this.render();
+  }
+
+  // Replaces the message's lines with `lines`, following the end of the
+  // pane if the user was there
+  write(lines) {
+    const following = isAtBottom(this.box);
+
+    const all = [...this.box.getLines()];
+    all.splice(this.start, this.written, ...lines);
+    this.box.setContent(all.join("\n"));
+    this.written = lines.length;
+
+    if (following) this.box.setScrollPerc(100);
+  }
+
+  // Shows the final `content` and stops redrawing. The caller renders.
+  finish(content = this.content) {
+    this.stop();
+    this.content = content;
+    this.write(this.format(content).split("\n"));
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+export { StreamingMessage, isAtBottom };
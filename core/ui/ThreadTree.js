@@ -0,0 +1,111 @@
+// Builds the sidebar hierarchy from conversations' parent_id / thread_path
+// and tracks which nodes are folded.
+class ThreadTree {
+  constructor() {
+    this.nodes = new Map();
+    this.roots = [];
+    this.collapsed = new Set();
+  }
+
+  build(conversations) {
+    this.nodes = new Map(
+      conversations.map((conversation) => [
+        conversation.id,
+        { conversation, children: [] },
+      ])
+    );
+    this.roots = [];
+
+    for (const node of this.nodes.values()) {
+      const parent = this.nodes.get(node.conversation.parent_id);
+      if (parent) {
+        parent.children.push(node);
+      } else {
+        this.roots.push(node);
+      }
+    }
+
+    // Roots keep the caller's ordering (most recent first), branches are
+    // listed in the order they were created
+    for (const node of this.nodes.values()) {
+      node.children.sort(
+        (a, b) =>
+          String(a.conversation.created_at).localeCompare(
+            String(b.conversation.created_at)
+          ) || a.conversation.id - b.conversation.id
+      );
+    }
+
+    // Forget fold state for conversations that no longer exist
+    for (const id of this.collapsed) {
+      if (!this.nodes.has(id)) this.collapsed.delete(id);
+    }
+
+    return this;
+  }
+
+  visible() {
+    const rows = [];
+
+    const walk = (node, depth, prefix, isLast) => {
+      const collapsed = this.collapsed.has(node.conversation.id);
+      rows.push({
+        conversation: node.conversation,
+        depth,
+        prefix: depth === 0 ? "" : `${prefix}${isLast ? "└─" : "├─"}`,
+        hasChildren: node.children.length > 0,
+        collapsed,
+      });
+
+      if (collapsed) return;
+
+      const childPrefix = depth === 0 ? "" : `${prefix}${isLast ? "  " : "│ "}`;
+      node.children.forEach((child, i) =>
+        walk(child, depth + 1, childPrefix, i === node.children.length - 1)
+      );
+    };
+
+    this.roots.forEach((root) => walk(root, 0, "", true));
+    return rows;
+  }
+
+  open(id) {
+    this.collapsed.delete(id);
+  }
+
+  close(id) {
+    if (this.nodes.get(id)?.children.length) {
+      this.collapsed.add(id);
+    }
+  }
+
+  toggle(id) {
+    if (this.collapsed.has(id)) {
+      this.open(id);
+    } else {
+      this.close(id);
+    }
+  }
+
+  openAll() {
+    this.collapsed.clear();
+  }
+
+  closeAll() {
+    for (const [id, node] of this.nodes) {
+      if (node.children.length) this.collapsed.add(id);
+    }
+  }
+
+  // Unfold every ancestor so that the given conversation is visible
+  reveal(id) {
+    let node = this.nodes.get(id);
+    while (node) {
+      const parentId = node.conversation.parent_id;
+      this.collapsed.delete(parentId);
+      node = this.nodes.get(parentId);
+    }
+  }
+}
+
+export { ThreadTree };
@@ -10,6 +10,12 @@ const MODE_INDICATORS = {
   search: "／ SEARCH",
 };
 
+// Keys that start a two-key normal mode sequence
+const PREFIX_KEYS = ["g", "z"];
+
+// Two presses of Escape within this many milliseconds stop a streaming reply
+const DOUBLE_ESCAPE_MS = 500;
+
 class VimHandler extends EventEmitter {
   constructor(screen) {
     super();
@@ -24,6 +30,16 @@ class VimHandler extends EventEmitter {
     this.lastCommand = null;
     this.marks = new Map();
 
+    // Pending prefix for multi-key sequences ("g g", "z o", ...)
+    this.pendingKey = null;
+    this.pendingKeyHandler = null;
+
+    this.lastEscape = 0;
+
+    // Returns completions for the command line; set by the controller
+    this.completer = null;
+    this.completion = null;
+
     // Command mode history
     this.commandHistory = [];
     this.commandHistoryIndex = -1;
@@ -47,7 +63,18 @@ class VimHandler extends EventEmitter {
     }
 
     this.screen.screen.on("keypress", (ch, key) => {
-      if (!key) return;
+      // Panels such as the exports review handle their own keys
+      if (!key || this.screen.activePanel) return;
+
+      if (key.full === "escape") {
+        const now = Date.now();
+        if (now - this.lastEscape < DOUBLE_ESCAPE_MS) {
+          this.lastEscape = 0;
+          this.emit("cancel");
+        } else {
+          this.lastEscape = now;
+        }
+      }
 
       try {
         switch (this.mode) {
@@ -77,7 +104,26 @@ class VimHandler extends EventEmitter {
   }
 
   handleNormalMode(ch, key) {
-    switch (key.full) {
+    // Printable keys are matched by character so "G" and "{" work as written
+    let keyName =
+      ch && ch.length === 1 && !key.ctrl && !key.meta ? ch : key.full;
+
+    if (this.pendingKeyHandler) {
+      const handler = this.pendingKeyHandler;
+      this.pendingKeyHandler = null;
+      if (ch) handler(ch);
+      return;
+    }
+
+    if (this.pendingKey) {
+      keyName = `${this.pendingKey} ${keyName}`;
+      this.pendingKey = null;
+    } else if (PREFIX_KEYS.includes(keyName)) {
+      this.pendingKey = keyName;
+      return;
+    }
+
+    switch (keyName) {
       // Mode switches
       case "i":
         this.setMode("insert");
@@ -117,6 +163,51 @@ class VimHandler extends EventEmitter {
         this.screen.chatBox.scroll(-this.screen.chatBox.height / 2);
         break;
 
+      // Search hits in the open thread
+      case "n":
+        this.emit("searchHit", 1);
+        break;
+      case "N":
+        this.emit("searchHit", -1);
+        break;
+
+      // Message focus
+      case "{":
+        this.screen.focusMessage(-1);
+        break;
+      case "}":
+        this.screen.focusMessage(1);
+        break;
+      case "b":
+        this.emit("branch");
+        break;
+      case "P":
+        this.emit("pin");
+        break;
+      case "t":
+        this.emit("rawView");
+        break;
+      case "x":
+        this.emit("runCode");
+        break;
+
+      // Edits and alternative replies
+      case "e":
+        this.emit("edit");
+        break;
+      case "r":
+        this.emit("regenerate");
+        break;
+      case "R":
+        this.emit("resend");
+        break;
+      case "<":
+        this.emit("alternative", -1);
+        break;
+      case ">":
+        this.emit("alternative", 1);
+        break;
+
       // Thread navigation
       case "H":
         this.emit("previousThread");
@@ -125,6 +216,23 @@ class VimHandler extends EventEmitter {
         this.emit("nextThread");
         break;
 
+      // Thread tree folds
+      case "z o":
+        this.emit("fold", "open");
+        break;
+      case "z c":
+        this.emit("fold", "close");
+        break;
+      case "z a":
+        this.emit("fold", "toggle");
+        break;
+      case "z R":
+        this.emit("fold", "openAll");
+        break;
+      case "z M":
+        this.emit("fold", "closeAll");
+        break;
+
       // Marks
       case "m":
         this.waitForMarkKey((markKey) => {
@@ -154,6 +262,10 @@ class VimHandler extends EventEmitter {
     this.screen.screen.render();
   }
 
+  waitForMarkKey(callback) {
+    this.pendingKeyHandler = callback;
+  }
+
   handleInsertMode(ch, key) {
     if (key.full === "escape") {
       this.setMode("normal");
@@ -202,6 +314,9 @@ class VimHandler extends EventEmitter {
       case "backspace":
         this.commandBuffer = this.commandBuffer.slice(0, -1);
         break;
+      case "tab":
+        this.completeCommand();
+        break;
       case "up":
         if (this.commandHistoryIndex > 0) {
           this.commandHistoryIndex--;
@@ -253,13 +368,6 @@ class VimHandler extends EventEmitter {
       case "quit":
         this.emit("quit");
         break;
-      case "w":
-      case "write":
-        this.emit("save");
-        break;
-      case "model":
-        this.emit("modelChange", parts[1]);
-        break;
       case "thread":
         this.emit("threadChange", parseInt(parts[1]));
         break;
@@ -267,10 +375,28 @@ class VimHandler extends EventEmitter {
         this.showHelp();
         break;
       default:
-        this.screen.showError(`Unknown command: ${parts[0]}`);
+        // Everything else is handled by the CommandHandler
+        this.emit("command", command);
     }
   }
 
+  // Tab completes the command line; pressing it again cycles through the
+  // other candidates
+  completeCommand() {
+    if (!this.completer) return;
+
+    const current = this.completion?.candidates[this.completion.index];
+    if (this.commandBuffer === current) {
+      this.completion.index =
+        (this.completion.index + 1) % this.completion.candidates.length;
+    } else {
+      const candidates = this.completer(this.commandBuffer);
+      if (!candidates.length) return;
+      this.completion = { candidates, index: 0 };
+    }
+    this.commandBuffer = this.completion.candidates[this.completion.index];
+  }
+
   executeSearch(query) {
     this.emit("search", query);
   }
@@ -303,6 +429,25 @@ class VimHandler extends EventEmitter {
 ║   gg/G    - Top/bottom                      ║
 ║   ctrl-u/d- Half page up/down               ║
 ║                                             ║
+║ Threads:                                    ║
+║   H/L     - Previous/next thread in tree    ║
+║   zo/zc   - Open/close branch fold          ║
+║   za      - Toggle branch fold              ║
+║   zR/zM   - Open/close all folds            ║
+║                                             ║
+║ Messages:                                   ║
+║   {/}     - Focus previous/next message     ║
+║   b       - Branch from focused message     ║
+║   P       - Pin/unpin focused message       ║
+║   n/N     - Next/previous search hit        ║
+║   e       - Edit focused message and resend ║
+║   r       - Regenerate the last reply       ║
+║   R       - Resend after a failed request   ║
+║   </>     - Previous/next alternative       ║
+║   Esc Esc - Stop the reply (or Ctrl-C)      ║
+║   t       - Toggle Markdown / raw view      ║
+║   x       - Run a code block of the reply   ║
+║                                             ║
 ║ Modes:                                      ║
 ║   i       - Insert mode                     ║
 ║   v       - Visual mode                     ║
@@ -313,7 +458,10 @@ class VimHandler extends EventEmitter {
 ║   :q      - Quit                           ║
 ║   :w      - Save                           ║
 ║   :model  - Change AI model                ║
+║   :models - Pick a model from the catalog  ║
+║   Tab     - Complete the command line      ║
 ║   :thread - Switch thread                  ║
+║   :branch - Fork from focused message      ║
 ║                                             ║
 ║ Marks:                                      ║
 ║   m{a-z}  - Set mark                       ║
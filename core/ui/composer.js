@@ -0,0 +1,50 @@
+// Terminals in bracketed paste mode wrap pasted text in these markers
+const PASTE_START = "\x1b[200~";
+const PASTE_END = "\x1b[201~";
+const ENABLE_BRACKETED_PASTE = "\x1b[?2004h";
+const DISABLE_BRACKETED_PASTE = "\x1b[?2004l";
+
+// Rows the composer needs to show `text` wrapped at `width` columns, from
+// one up to `maxHeight`. Longer drafts scroll inside the composer.
+function composerHeight(text, width, maxHeight) {
+  const columns = Math.max(1, width);
+  const rows = text
+    .split("\n")
+    .reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length / columns)), 0);
+  return Math.min(Math.max(1, maxHeight), rows);
+}
+
+// Tracks whether keypresses come from a paste. `feed` sees each chunk of
+// raw input before it is split into keypresses, which happens synchronously,
+// so a paste that ends in a chunk lasts until `defer` runs after it.
+class BracketedPaste {
+  constructor(defer = setImmediate) {
+    this.defer = defer;
+    this.pasting = false;
+    this.generation = 0;
+  }
+
+  feed(data) {
+    const start = data.lastIndexOf(PASTE_START);
+    const end = data.lastIndexOf(PASTE_END);
+    if (start === -1 && end === -1) return;
+
+    this.pasting = true;
+    const generation = ++this.generation;
+    if (end > start) {
+      // A paste starting in a later chunk keeps the flag set
+      this.defer(() => {
+        if (this.generation === generation) this.pasting = false;
+      });
+    }
+  }
+}
+
+export {
+  BracketedPaste,
+  composerHeight,
+  PASTE_START,
+  PASTE_END,
+  ENABLE_BRACKETED_PASTE,
+  DISABLE_BRACKETED_PASTE,
+};
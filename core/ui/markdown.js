@@ -0,0 +1,453 @@
+// Renders Markdown as blessed-tagged text for the conversation pane:
+// headings, emphasis, inline code, links, lists, block quotes, rules,
+// tables and fenced code blocks highlighted by language. Rendering is
+// forgiving of unfinished input, so a streaming reply can be re-rendered on
+// every frame: an unclosed fence is code until it closes and unclosed
+// emphasis stays literal.
+
+// Same as blessed.escape, which this module avoids depending on
+function escapeTags(text) {
+  return text.replace(/[{}]/g, (ch) => (ch === "{" ? "{open}" : "{close}"));
+}
+
+function color(name, text) {
+  return `{${name}-fg}${text}{/${name}-fg}`;
+}
+
+// Length of tagged text as displayed
+function visibleLength(tagged) {
+  return tagged
+    .replace(/\{(open|close)\}/g, "x")
+    .replace(/\{\/?[\w\-#,;!]*\}/g, "").length;
+}
+
+const C_KEYWORDS =
+  "auto break case char const continue default do double else enum extern float for goto if int long register return short signed sizeof static struct switch typedef union unsigned void volatile while class public private protected new delete this namespace template typename using virtual override bool";
+
+// Keywords and comment syntax per language; aliases share an entry
+const LANGUAGES = {
+  javascript: {
+    aliases: ["js", "jsx", "mjs", "cjs", "ts", "typescript", "tsx", "node"],
+    keywords:
+      "async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield interface type enum implements readonly as",
+    literals: "true false null undefined NaN Infinity",
+    comment: "//",
+    block: ["/*", "*/"],
+  },
+  python: {
+    aliases: ["py", "python3"],
+    keywords:
+      "and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case",
+    literals: "True False None self",
+    comment: "#",
+  },
+  shell: {
+    aliases: ["sh", "bash", "zsh", "console", "shellscript"],
+    keywords:
+      "if then else elif fi for in do done case esac while until function return export local readonly echo exit set unset source",
+    literals: "true false",
+    comment: "#",
+  },
+  json: {
+    aliases: ["jsonc", "json5"],
+    keywords: "",
+    literals: "true false null",
+  },
+  go: {
+    aliases: ["golang"],
+    keywords:
+      "break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var",
+    literals: "true false nil iota",
+    comment: "//",
+    block: ["/*", "*/"],
+  },
+  rust: {
+    aliases: ["rs"],
+    keywords:
+      "as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return static struct super trait type unsafe use where while",
+    literals: "true false self Self None Some Ok Err",
+    comment: "//",
+    block: ["/*", "*/"],
+  },
+  c: {
+    aliases: ["h", "cpp", "c++", "cc", "hpp", "cs", "csharp", "java", "kotlin", "swift"],
+    keywords: `${C_KEYWORDS} import package extends implements final throws throw try catch finally interface abstract func let var val fun`,
+    literals: "true false null nullptr NULL nil",
+    comment: "//",
+    block: ["/*", "*/"],
+  },
+  ruby: {
+    aliases: ["rb"],
+    keywords:
+      "alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield require attr_accessor",
+    literals: "true false nil",
+    comment: "#",
+  },
+  sql: {
+    aliases: ["sqlite", "postgres", "postgresql", "mysql"],
+    keywords:
+      "select from where and or not insert into values update set delete create table index view drop alter add column primary key foreign references join left right inner outer on group by order having limit offset as distinct union all case when then else end begin commit rollback with recursive returning strict default if exists",
+    literals: "null true false",
+    comment: "--",
+    block: ["/*", "*/"],
+    ignoreCase: true,
+  },
+  yaml: {
+    aliases: ["yml"],
+    keywords: "",
+    literals: "true false null yes no on off",
+    comment: "#",
+  },
+  css: {
+    aliases: ["scss", "less"],
+    keywords: "",
+    literals: "",
+    block: ["/*", "*/"],
+  },
+};
+
+const LANGUAGE_NAMES = new Map();
+for (const [name, language] of Object.entries(LANGUAGES)) {
+  LANGUAGE_NAMES.set(name, name);
+  for (const alias of language.aliases) LANGUAGE_NAMES.set(alias, name);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Returns a function highlighting one line of code at a time, carrying
+// block comments over to the next line. Unknown languages are only escaped.
+function createHighlighter(language) {
+  const spec = LANGUAGES[LANGUAGE_NAMES.get(language?.toLowerCase())];
+  if (!spec) return (line) => escapeTags(line);
+
+  const words = (list) =>
+    new Set(
+      list
+        .split(" ")
+        .filter(Boolean)
+        .map((word) => (spec.ignoreCase ? word.toLowerCase() : word))
+    );
+  const keywords = words(spec.keywords);
+  const literals = words(spec.literals);
+
+  const tokens = [
+    spec.comment && `${escapeRegExp(spec.comment)}.*`,
+    spec.block && escapeRegExp(spec.block[0]),
+    `"(?:\\\\.|[^"\\\\])*"?`,
+    `'(?:\\\\.|[^'\\\\])*'?`,
+    "`(?:\\\\.|[^`\\\\])*`?",
+    "\\b\\d[\\w.]*",
+    "[A-Za-z_$][\\w$]*",
+  ].filter(Boolean);
+  const pattern = new RegExp(tokens.join("|"), "g");
+  let inBlock = false;
+
+  const style = (token) => {
+    const word = spec.ignoreCase ? token.toLowerCase() : token;
+    if (spec.comment && token.startsWith(spec.comment)) {
+      return color("gray", escapeTags(token));
+    }
+    if (/^["'`]/.test(token)) return color("green", escapeTags(token));
+    if (/^\d/.test(token)) return color("yellow", escapeTags(token));
+    if (keywords.has(word)) return color("magenta", escapeTags(token));
+    if (literals.has(word)) return color("cyan", escapeTags(token));
+    return escapeTags(token);
+  };
+
+  // Block comment from `from` (just past its opening) to its end or the end
+  // of the line
+  const comment = (line, start, from) => {
+    const end = line.indexOf(spec.block[1], from);
+    const stop = end === -1 ? line.length : end + spec.block[1].length;
+    inBlock = end === -1;
+    return [color("gray", escapeTags(line.slice(start, stop))), stop];
+  };
+
+  return (line) => {
+    let result = "";
+    let position = 0;
+
+    if (inBlock) {
+      [result, position] = comment(line, 0, 0);
+    }
+
+    while (position < line.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(line);
+      if (!match) break;
+
+      result += escapeTags(line.slice(position, match.index));
+      if (spec.block && match[0] === spec.block[0]) {
+        const [text, stop] = comment(
+          line,
+          match.index,
+          match.index + match[0].length
+        );
+        result += text;
+        position = stop;
+      } else {
+        result += style(match[0]);
+        position = match.index + match[0].length;
+      }
+    }
+    return result + escapeTags(line.slice(position));
+  };
+}
+
+// Code spans, bold, emphasis, strikethrough, links and autolinks
+const INLINE = new RegExp(
+  [
+    "(`+)(.+?)\\1(?!`)",
+    "\\*\\*(?=\\S)(.+?)(?<=\\S)\\*\\*",
+    "__(?=\\S)(.+?)(?<=\\S)__",
+    "\\*(?=[^\\s*])(.+?)(?<=[^\\s*])\\*",
+    "(?<!\\w)_(?=[^\\s_])(.+?)(?<=[^\\s_])_(?!\\w)",
+    "~~(?=\\S)(.+?)(?<=\\S)~~",
+    "!?\\[([^\\]]*)\\]\\(([^)\\s]+)(?:\\s+\"[^\"]*\")?\\)",
+    "<(https?://[^>\\s]+)>",
+  ].join("|"),
+  "g"
+);
+
+// Renders inline Markdown; plain text goes through `text`, which escapes
+// it (and may highlight search hits)
+function renderInline(source, text = escapeTags) {
+  let result = "";
+  let last = 0;
+
+  for (const match of source.matchAll(INLINE)) {
+    const [
+      whole,
+      ,
+      code,
+      strong,
+      strongAlt,
+      em,
+      emAlt,
+      strike,
+      label,
+      url,
+      autolink,
+    ] = match;
+    result += text(source.slice(last, match.index));
+    last = match.index + whole.length;
+
+    if (code !== undefined) {
+      result += color("yellow", escapeTags(code));
+    } else if (strong !== undefined || strongAlt !== undefined) {
+      result += `{bold}${renderInline(strong ?? strongAlt, text)}{/bold}`;
+    } else if (em !== undefined || emAlt !== undefined) {
+      result += `{underline}${renderInline(em ?? emAlt, text)}{/underline}`;
+    } else if (strike !== undefined) {
+      result += color("gray", renderInline(strike, text));
+    } else if (url !== undefined) {
+      const shown = label ? renderInline(label, text) : escapeTags(url);
+      result += `{underline}${shown}{/underline}`;
+      if (label && label !== url) {
+        result += ` ${color("gray", `(${escapeTags(url)})`)}`;
+      }
+    } else {
+      result += `{underline}${escapeTags(autolink)}{/underline}`;
+    }
+  }
+
+  return result + text(source.slice(last));
+}
+
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s*([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isTableRow(line) {
+  return line !== undefined && line.includes("|") && line.trim() !== "";
+}
+
+function splitRow(line) {
+  const cells = line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/(?<!\\)\|$/, "")
+    .split(/(?<!\\)\|/);
+  return cells.map((cell) => cell.trim().replace(/\\\|/g, "|"));
+}
+
+// Draws a table with box characters, sizing columns to their contents
+function renderTable(header, separator, rows, text) {
+  const aligns = splitRow(separator).map((cell) =>
+    cell.endsWith(":") ? (cell.startsWith(":") ? "center" : "right") : "left"
+  );
+  const grid = [header, ...rows].map((row) =>
+    splitRow(row).map((cell) => renderInline(cell, text))
+  );
+  const columns = Math.max(...grid.map((row) => row.length));
+  const widths = Array.from({ length: columns }, (_, i) =>
+    Math.max(1, ...grid.map((row) => visibleLength(row[i] ?? "")))
+  );
+
+  const pad = (cell = "", i) => {
+    const space = widths[i] - visibleLength(cell);
+    if (aligns[i] === "right") return " ".repeat(space) + cell;
+    if (aligns[i] === "center") {
+      const left = Math.floor(space / 2);
+      return " ".repeat(left) + cell + " ".repeat(space - left);
+    }
+    return cell + " ".repeat(space);
+  };
+  const line = (cells) =>
+    `${color("gray", "│")} ${widths
+      .map((_, i) => pad(cells[i], i))
+      .join(` ${color("gray", "│")} `)} ${color("gray", "│")}`;
+  const border = (left, middle, right) =>
+    color(
+      "gray",
+      left + widths.map((width) => "─".repeat(width + 2)).join(middle) + right
+    );
+
+  return [
+    border("┌", "┬", "┐"),
+    line(grid[0].map((cell) => `{bold}${cell}{/bold}`)),
+    border("├", "┼", "┤"),
+    ...grid.slice(1).map(line),
+    border("└", "┴", "┘"),
+  ];
+}
+
+// Renders one line outside code blocks and tables
+function renderLine(line, { width, text }) {
+  const heading = line.match(HEADING);
+  if (heading) {
+    const content = renderInline(heading[2], text);
+    return heading[1].length === 1
+      ? `{bold}{underline}${content}{/underline}{/bold}`
+      : `{bold}${color("cyan", content)}{/bold}`;
+  }
+
+  if (RULE.test(line)) return color("gray", "─".repeat(Math.max(3, width)));
+
+  const quote = line.match(QUOTE);
+  if (quote) {
+    const content = renderLine(quote[1], { width: width - 2, text });
+    return `${color("gray", "│")} ${color("gray", content)}`;
+  }
+
+  const item = line.match(LIST_ITEM);
+  if (item) {
+    const [, indent, marker, task, content] = item;
+    const bullet = task
+      ? task === " "
+        ? "☐"
+        : "☑"
+      : /\d/.test(marker)
+      ? marker
+      : "•";
+    return `${indent}${color("cyan", bullet)} ${renderInline(content, text)}`;
+  }
+
+  return renderInline(line, text);
+}
+
+// Renders `source` as tagged text. `width` sizes rules; `text` escapes
+// plain text and may highlight it.
+function renderMarkdown(source, { width = 80, text = escapeTags } = {}) {
+  const lines = source.split("\n");
+  const output = [];
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (fence) {
+      const closing = line.match(FENCE);
+      if (
+        closing &&
+        closing[2][0] === fence.marker[0] &&
+        closing[2].length >= fence.marker.length &&
+        !closing[3]
+      ) {
+        output.push(color("gray", "└─"));
+        fence = null;
+      } else {
+        const code = fence.highlight(line.slice(fence.indent));
+        output.push(`${color("gray", "│")} ${code}`);
+      }
+      continue;
+    }
+
+    const opening = line.match(FENCE);
+    if (opening) {
+      const [, indent, marker, language] = opening;
+      fence = {
+        indent: indent.length,
+        marker,
+        highlight: createHighlighter(language),
+      };
+      output.push(color("gray", `┌─${language ? ` ${escapeTags(language)}` : ""}`));
+      continue;
+    }
+
+    // A table starts once its separator row has arrived
+    const separator = lines[i + 1];
+    if (isTableRow(line) && separator?.includes("-") && TABLE_SEPARATOR.test(separator)) {
+      let end = i + 2;
+      while (isTableRow(lines[end]) && !FENCE.test(lines[end])) end++;
+      output.push(
+        ...renderTable(line, separator, lines.slice(i + 2, end), text)
+      );
+      i = end - 1;
+      continue;
+    }
+
+    output.push(renderLine(line, { width, text }));
+  }
+
+  return output.join("\n");
+}
+
+// The fenced code blocks in `source` as { language, code }, found the way
+// renderMarkdown() finds them. A block left open runs to the end.
+function extractCodeBlocks(source) {
+  const blocks = [];
+  let fence = null;
+
+  for (const line of source.split("\n")) {
+    const match = line.match(FENCE);
+    if (!fence) {
+      if (match) {
+        const [, indent, marker, language] = match;
+        fence = { indent: indent.length, marker, language, lines: [] };
+      }
+      continue;
+    }
+
+    if (
+      match &&
+      match[2][0] === fence.marker[0] &&
+      match[2].length >= fence.marker.length &&
+      !match[3]
+    ) {
+      blocks.push({ language: fence.language, code: fence.lines.join("\n") });
+      fence = null;
+    } else {
+      fence.lines.push(line.slice(fence.indent));
+    }
+  }
+
+  if (fence) {
+    blocks.push({ language: fence.language, code: fence.lines.join("\n") });
+  }
+  return blocks;
+}
+
+export {
+  extractCodeBlocks,
+  escapeTags,
+  visibleLength,
+  createHighlighter,
+  renderInline,
+  renderMarkdown,
+};
@@ -0,0 +1,26 @@
+import { LocalProvider } from '../core/providers/LocalProvider.js';
+
+const OLLAMA_URL = 'http://localhost:11434/v1';
+
+// Adds an `ollama` provider type: a local OpenAI-compatible provider that
+// talks to Ollama's default address, so a provider block only needs
+// `type: ollama` (or to be named `ollama`). The plugin's `baseUrl` changes
+// that default; a provider's own `baseUrl` still wins.
+const ollamaPlugin = {
+  name: 'ollama',
+  description: 'Ollama models through its OpenAI-compatible API',
+
+  init: function(config, api) {
+    const baseUrl = config.baseUrl || OLLAMA_URL;
+
+    class OllamaProvider extends LocalProvider {
+      constructor(name, providerConfig = {}) {
+        super(name, { baseUrl, ...providerConfig });
+      }
+    }
+
+    api.registerProvider('ollama', OllamaProvider);
+  }
+};
+
+export default ollamaPlugin;
@@ -0,0 +1,236 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  formatFromFilename,
+  bundleLineage,
+  serialize,
+  parseArchive,
+} from "../core/archive/formats.js";
+import { ConversationArchive } from "../core/archive/ConversationArchive.js";
+import { Database, parseMetadata } from "../core/Database.js";
+import { DRIVERS, openDriver } from "../core/storage/drivers/index.js";
+import { hashContent } from "../core/attachments/FileAttachments.js";
+
+// The first storage driver that loads here, if any
+let driver = null;
+for (const name of Object.keys(DRIVERS)) {
+  try {
+    await (await openDriver({ driver: name, path: ":memory:" })).close();
+    driver = name;
+    break;
+  } catch {
+    // Try the next one
+  }
+}
+
+const message = (id, role, content) => ({ id, role, content });
+
+const bundle = {
+  format: "connect-cli",
+  version: 1,
+  conversationId: 1,
+  conversations: [
+    {
+      id: 1,
+      parentId: null,
+      title: "Main",
+      metadata: {},
+      messages: [
+        {
+          ...message(10, "user", "Hi"),
+          metadata: { media: [{ kind: "image", hash: "abc" }] },
+          attachments: [
+            { path: "a.txt", hash: hashContent("A"), size: 1, content: "A" },
+          ],
+        },
+        message(11, "assistant", "Hello"),
+        message(12, "user", "More?"),
+      ],
+    },
+    {
+      id: 2,
+      parentId: 1,
+      title: "Fork",
+      metadata: { branchPoint: 11 },
+      messages: [message(20, "user", "Other"), message(21, "assistant", "Sure")],
+    },
+  ],
+};
+
+describe("archive formats", () => {
+  it("picks the format from the file extension", () => {
+    assert.strictEqual(formatFromFilename("chat.md"), "markdown");
+    assert.strictEqual(formatFromFilename("dir.v2/chat.JSONL"), "jsonl");
+    assert.strictEqual(formatFromFilename("chat"), null);
+  });
+
+  it("rebuilds branch lineages up to the branch point", () => {
+    assert.deepStrictEqual(
+      bundleLineage(bundle, 2).map((m) => m.id),
+      [10, 11, 20, 21]
+    );
+  });
+
+  it("follows the active alternative of each message", () => {
+    const edited = {
+      ...bundle,
+      conversations: [
+        {
+          ...bundle.conversations[0],
+          messages: [
+            { ...message(10, "user", "Hi"), parentId: null, active: true },
+            { ...message(11, "assistant", "Hello"), parentId: 10, active: false },
+            { ...message(13, "assistant", "Hey"), parentId: 10, active: true },
+          ],
+        },
+        bundle.conversations[1],
+      ],
+    };
+
+    assert.deepStrictEqual(
+      bundleLineage(edited, 1).map((m) => m.id),
+      [10, 13]
+    );
+    // Branches keep the reply they forked from
+    assert.deepStrictEqual(
+      bundleLineage(edited, 2).map((m) => m.id),
+      [10, 11, 20, 21]
+    );
+    assert.match(serialize(edited, "markdown"), /alternative 2\/2/);
+  });
+
+  it("writes one JSONL example per lineage with a reply", () => {
+    const lines = serialize(bundle, "jsonl").trim().split("\n").map(JSON.parse);
+
+    assert.strictEqual(lines.length, 2);
+    assert.deepStrictEqual(lines[1].messages.map((m) => m.content), [
+      "Hi",
+      "Hello",
+      "Other",
+      "Sure",
+    ]);
+  });
+
+  it("renders branches as their own Markdown sections", () => {
+    const markdown = serialize(bundle, "markdown");
+
+    assert.match(markdown, /^# Main/);
+    assert.match(markdown, /## Branch: Fork\n\n_Branched from "Main"_/);
+  });
+
+  it("round-trips the JSON archive", () => {
+    assert.deepStrictEqual(
+      parseArchive(serialize(bundle, "json"), "chat.json"),
+      bundle
+    );
+  });
+
+  it("imports ChatGPT exports with regenerated replies as branches", () => {
+    const node = (id, parent, children, role, text) => ({
+      id,
+      parent,
+      children,
+      message: role && {
+        author: { role },
+        content: { content_type: "text", parts: [text] },
+        create_time: 1700000000,
+      },
+    });
+    const [main, branch] = parseArchive(
+      JSON.stringify([
+        {
+          id: "abc",
+          title: "Exported",
+          current_node: "a2",
+          mapping: {
+            root: node("root", null, ["q"]),
+            q: node("q", "root", ["a1", "a2"], "user", "Question"),
+            a1: node("a1", "q", [], "assistant", "First answer"),
+            a2: node("a2", "q", [], "assistant", "Second answer"),
+          },
+        },
+      ]),
+      "conversations.json"
+    ).conversations;
+
+    assert.deepStrictEqual(main.messages.map((m) => m.content), [
+      "Question",
+      "Second answer",
+    ]);
+    assert.strictEqual(main.messages[0].createdAt, "2023-11-14 22:13:20");
+    assert.strictEqual(branch.parentId, main.id);
+    assert.strictEqual(branch.metadata.branchPoint, main.messages[0].id);
+    assert.deepStrictEqual(branch.messages.map((m) => m.content), ["First answer"]);
+  });
+});
+
+describe("ConversationArchive", { skip: !driver }, () => {
+  let directory;
+  let db;
+  let archive;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "connect-cli-archive-"));
+    db = new Database({
+      driver,
+      path: path.join(directory, "conversations.db"),
+      backupBeforeMigrate: false,
+    });
+    await db.initialize();
+    archive = new ConversationArchive(db);
+  });
+
+  after(async () => {
+    await db.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it("round-trips tool calls, media and attached files", async () => {
+    const conversationId = await db.createConversation("Tools");
+    const question = await db.saveMessage({
+      conversationId,
+      role: "user",
+      content: "What is in a.txt?",
+      metadata: { media: [{ kind: "image", hash: "abc", path: "shot.png" }] },
+    });
+    await db.saveAttachments(question, [
+      { path: "a.txt", hash: hashContent("A"), size: 1, content: "A" },
+    ]);
+    const toolCalls = [
+      { id: "c1", name: "read_file", arguments: { path: "a.txt" } },
+    ];
+    await db.saveMessage({
+      conversationId,
+      role: "tool_call",
+      content: "",
+      metadata: { toolCalls },
+    });
+    await db.saveMessage({
+      conversationId,
+      role: "tool",
+      content: "A",
+      metadata: { toolCallId: "c1", name: "read_file" },
+    });
+
+    const file = path.join(directory, "tools.json");
+    await archive.write(conversationId, file);
+    const { conversationIds } = await archive.import(file);
+
+    const lineage = await db.getConversationLineage(conversationIds[0]);
+    assert.deepStrictEqual(
+      lineage.map((m) => [m.role, parseMetadata(m.metadata)]),
+      [
+        ["user", { media: [{ kind: "image", hash: "abc", path: "shot.png" }] }],
+        ["tool_call", { toolCalls }],
+        ["tool", { toolCallId: "c1", name: "read_file" }],
+      ]
+    );
+    const attachments = await db.getAttachments([lineage[0].id]);
+    assert.deepStrictEqual(attachments.get(lineage[0].id), [
+      { path: "a.txt", hash: hashContent("A"), size: 1, content: "A" },
+    ]);
+  });
+});
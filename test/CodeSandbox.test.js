@@ -0,0 +1,89 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { CodeSandbox, languageOf } from "../core/execution/CodeSandbox.js";
+import { formatRunForModel } from "../core/execution/runOutput.js";
+
+const sandbox = new CodeSandbox({ timeout: 2000 });
+// Code only runs where it can be cut off the network
+const isolated = await sandbox.isolationPrefix().then(
+  () => true,
+  () => false
+);
+
+describe("CodeSandbox", { skip: !isolated }, () => {
+  it("runs JavaScript with console and top-level await", async () => {
+    const run = await sandbox.run(
+      "js",
+      'console.log("sum", 1 + 2);\nawait null;\nconsole.error({ ok: false });'
+    );
+    assert.deepStrictEqual(
+      [run.language, run.stdout, run.stderr, run.exitCode, run.timedOut],
+      ["javascript", "sum 3\n", "{ ok: false }\n", 0, false]
+    );
+  });
+
+  it("keeps JavaScript away from files and processes", async () => {
+    // The host's process is reachable through any constructor, so it has
+    // to be the permissions that stop this
+    const run = await sandbox.run(
+      "js",
+      [
+        'const host = globalThis.constructor.constructor("return process")();',
+        'for (const [name, attempt] of [',
+        '  ["fs", () => host.getBuiltinModule("fs").readFileSync("/etc/hostname")],',
+        '  ["child_process", () => host.getBuiltinModule("child_process").execSync("id")],',
+        ']) {',
+        "  try {",
+        "    attempt();",
+        '    console.log(name, "allowed");',
+        "  } catch (error) {",
+        "    console.log(name, error.code);",
+        "  }",
+        "}",
+      ].join("\n")
+    );
+    assert.strictEqual(
+      run.stdout,
+      "fs ERR_ACCESS_DENIED\nchild_process ERR_ACCESS_DENIED\n"
+    );
+  });
+
+  it("runs without network access", async () => {
+    const run = await sandbox.run(
+      "js",
+      'await fetch("http://1.1.1.1").then(() => console.log("reached"), () => console.log("offline"));'
+    );
+    assert.strictEqual(run.stdout, "offline\n");
+  });
+
+  it("stops code that runs too long", async () => {
+    const run = await sandbox.run("js", "while (true) {}");
+    assert.strictEqual(run.timedOut, true);
+    assert.strictEqual(run.exitCode, null);
+  });
+});
+
+describe("languageOf", () => {
+  it("refuses languages the sandbox can't run", async () => {
+    assert.strictEqual(languageOf("Python3"), "python");
+    assert.strictEqual(languageOf("rust"), null);
+    await assert.rejects(sandbox.run("rust", "fn main() {}"), /Can't run rust/);
+    await assert.rejects(sandbox.run("", "ls"), /no language/);
+  });
+});
+
+describe("formatRunForModel", () => {
+  it("describes how the run ended and what it printed", () => {
+    assert.strictEqual(
+      formatRunForModel({
+        language: "python",
+        stdout: "",
+        stderr: "Traceback\n",
+        exitCode: 1,
+        timedOut: false,
+        durationMs: 120,
+      }),
+      "Output of running the python code block (exit 1 · 0.1s):\n\nstderr:\n```text\nTraceback\n```"
+    );
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  BracketedPaste,
+  composerHeight,
+  PASTE_START,
+  PASTE_END,
+} from "../core/ui/composer.js";
+
+describe("composerHeight", () => {
+  it("counts wrapped rows up to the maximum", () => {
+    assert.strictEqual(composerHeight("", 20, 10), 1);
+    assert.strictEqual(composerHeight("a\n\nb", 20, 10), 3);
+    assert.strictEqual(composerHeight("x".repeat(45), 20, 10), 3);
+    assert.strictEqual(composerHeight("line\n".repeat(30), 20, 10), 10);
+  });
+});
+
+describe("BracketedPaste", () => {
+  // Runs deferred callbacks when the test says so
+  function manualPaste() {
+    const pending = [];
+    const paste = new BracketedPaste((fn) => pending.push(fn));
+    paste.settle = () => pending.splice(0).forEach((fn) => fn());
+    return paste;
+  }
+
+  it("lasts until the chunk that ends the paste has been handled", () => {
+    const paste = manualPaste();
+
+    paste.feed("typed");
+    assert.strictEqual(paste.pasting, false);
+
+    paste.feed(`${PASTE_START}one\r`);
+    assert.strictEqual(paste.pasting, true);
+    paste.feed(`two${PASTE_END}`);
+    assert.strictEqual(paste.pasting, true);
+
+    paste.settle();
+    assert.strictEqual(paste.pasting, false);
+  });
+
+  it("stays on when another paste starts before the last one settles", () => {
+    const paste = manualPaste();
+
+    paste.feed(`${PASTE_START}one${PASTE_END}`);
+    paste.feed(`${PASTE_START}two`);
+    paste.settle();
+
+    assert.strictEqual(paste.pasting, true);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ContextManager } from "../core/ContextManager.js";
+import { tokenizer } from "../utils/Tokenizer.js";
+
+const MODEL = "gpt-4o";
+
+const text = (word) => `${word} `.repeat(40).trim();
+const history = [
+  { id: 1, role: "system", content: "Be brief." },
+  { id: 2, role: "user", content: text("pinned"), pinned: 1 },
+  { id: 3, role: "assistant", content: text("first") },
+  { id: 4, role: "user", content: text("second") },
+  { id: 5, role: "assistant", content: text("third") },
+  { id: 6, role: "user", content: text("latest") },
+];
+
+// A context limit that fits exactly `messages`
+async function limitFor(messages) {
+  return tokenizer.countMessages(messages, MODEL);
+}
+
+function contextManager(config, { ai = {}, db = {} } = {}) {
+  return new ContextManager(ai, db, { reserveTokens: 0, ...config });
+}
+
+describe("ContextManager", () => {
+  it("drops the oldest messages until the history fits", async () => {
+    const kept = [history[0], history[1], history[4], history[5]];
+    const context = contextManager({
+      limits: { [MODEL]: await limitFor(kept) },
+    });
+
+    const { messages, used, limit } = await context.fit(history, {
+      model: MODEL,
+    });
+    assert.deepStrictEqual(messages.map((m) => m.id), [1, 2, 5, 6]);
+    assert.strictEqual(used, limit);
+  });
+
+  it("keeps the system prompt, pinned messages and the newest message", async () => {
+    const context = contextManager({ limits: { [MODEL]: 10 } });
+
+    const { messages } = await context.fit(history, { model: MODEL });
+    assert.deepStrictEqual(messages.map((m) => m.id), [1, 2, 6]);
+  });
+
+  it("keeps a window of recent messages", async () => {
+    const context = contextManager({
+      strategy: "sliding-window",
+      windowSize: 2,
+      limits: { [MODEL]: 100000 },
+    });
+
+    const { messages } = await context.fit(history, { model: MODEL });
+    assert.deepStrictEqual(messages.map((m) => m.id), [1, 2, 5, 6]);
+  });
+
+  it("summarizes older messages and saves the summary with its cost", async () => {
+    const saved = [];
+    const ai = {
+      generateResponse: async (messages) => {
+        assert.match(messages[1].content, /assistant: first/);
+        return {
+          content: "They discussed first and second.",
+          provider: "openai",
+          model: MODEL,
+          tokenUsage: { prompt: 120, completion: 8, total: 128 },
+          cost: 0.002,
+        };
+      },
+    };
+    const db = {
+      getLatestSummary: async () => null,
+      saveSummary: async (summary) => saved.push(summary),
+    };
+    const context = contextManager(
+      {
+        strategy: "summarize",
+        limits: { [MODEL]: (await limitFor(history)) - 20 },
+      },
+      { ai, db }
+    );
+
+    const { messages } = await context.fit(history, {
+      conversationId: 7,
+      model: MODEL,
+    });
+    assert.deepStrictEqual(
+      messages.map((m) => m.id),
+      [1, 2, null, 5, 6]
+    );
+    assert.match(messages[2].content, /They discussed first and second/);
+
+    const { tokenCount, ...summary } = saved[0];
+    assert.ok(tokenCount > 0);
+    assert.deepStrictEqual(summary, {
+      conversationId: 7,
+      upToMessageId: 4,
+      content: "They discussed first and second.",
+      provider: "openai",
+      model: MODEL,
+      promptTokens: 120,
+      completionTokens: 8,
+      cost: 0.002,
+    });
+  });
+
+  it("reuses a stored summary that still fits", async () => {
+    const ai = {
+      generateResponse: async () => {
+        throw new Error("should not summarize again");
+      },
+    };
+    const db = {
+      getLatestSummary: async (conversationId, ids) => {
+        assert.deepStrictEqual(ids, [1, 2, 3, 4, 5, 6]);
+        return { up_to_message_id: 4, content: "Earlier: first, second." };
+      },
+      saveSummary: async () => assert.fail("nothing new to save"),
+    };
+    const context = contextManager(
+      {
+        strategy: "summarize",
+        limits: { [MODEL]: (await limitFor(history)) - 20 },
+      },
+      { ai, db }
+    );
+
+    const { messages } = await context.fit(history, {
+      conversationId: 7,
+      model: MODEL,
+    });
+    assert.deepStrictEqual(
+      messages.map((m) => m.id),
+      [1, 2, null, 5, 6]
+    );
+    assert.match(messages[2].content, /Earlier: first, second\./);
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  FileAttachments,
+  detectMediaType,
+  findMentions,
+  includeAttachments,
+} from "../core/attachments/FileAttachments.js";
+import {
+  globToRegExp,
+  parseGitignore,
+  isIgnored,
+} from "../core/attachments/patterns.js";
+
+describe("attachment patterns", () => {
+  it("matches globs within and across directories", () => {
+    const glob = globToRegExp("src/**/*.js");
+    assert.ok(glob.test("src/a.js"));
+    assert.ok(glob.test("src/lib/deep/b.js"));
+    assert.ok(!glob.test("src/a.ts"));
+    assert.ok(!globToRegExp("*.js").test("src/a.js"));
+    assert.ok(globToRegExp("file[0-9].txt").test("file3.txt"));
+  });
+
+  it("follows .gitignore anchoring, directories and negation", () => {
+    const rules = parseGitignore(
+      ["# build output", "dist/", "*.log", "!keep.log", "/config.local.js"].join(
+        "\n"
+      )
+    );
+
+    assert.ok(isIgnored(rules, "dist/app.js"));
+    assert.ok(isIgnored(rules, "logs/debug.log"));
+    assert.ok(!isIgnored(rules, "logs/keep.log"));
+    assert.ok(isIgnored(rules, "config.local.js"));
+    assert.ok(!isIgnored(rules, "src/config.local.js"));
+    // "dist/" only names directories
+    assert.ok(!isIgnored(rules, "docs/dist"));
+  });
+});
+
+describe("FileAttachments", () => {
+  let root;
+  let files;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "connect-cli-attach-"));
+    await fs.mkdir(path.join(root, "src", "lib"), { recursive: true });
+    await fs.mkdir(path.join(root, "build"));
+    await fs.writeFile(path.join(root, ".gitignore"), "build/\n");
+    await fs.writeFile(path.join(root, "src", "a.js"), "a();\n");
+    await fs.writeFile(path.join(root, "src", "lib", "b.js"), "b();\n");
+    await fs.writeFile(path.join(root, "src", "big.txt"), "x".repeat(200));
+    await fs.writeFile(
+      path.join(root, "src", "logo.png"),
+      Buffer.from([137, 80, 0, 1])
+    );
+    await fs.writeFile(path.join(root, "build", "out.js"), "out();\n");
+    files = new FileAttachments({ maxFileBytes: 100 }, root);
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it("reads globs and directories, skipping ignored, binary and large files", async () => {
+    const { attachments, skipped } = await files.collect([
+      "src/**/*.js",
+      "src",
+      "build/out.js",
+    ]);
+
+    assert.deepStrictEqual(
+      attachments.map((a) => [a.path, a.content, a.size]),
+      [
+        ["src/a.js", "a();\n", 5],
+        ["src/lib/b.js", "b();\n", 5],
+      ]
+    );
+    assert.match(attachments[0].hash, /^[0-9a-f]{64}$/);
+    assert.deepStrictEqual(
+      skipped.map((s) => [s.path, s.reason]),
+      [
+        ["src/big.txt", "larger than 100B"],
+        ["src/logo.png", "binary file"],
+        ["build/out.js", "ignored by .gitignore"],
+      ]
+    );
+  });
+
+  it("reads images and PDFs as media with their own size limit", async () => {
+    const png = Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      Buffer.alloc(300),
+    ]);
+    await fs.writeFile(path.join(root, "diagram.png"), png);
+    await fs.writeFile(
+      path.join(root, "spec.pdf"),
+      "%PDF-1.7\n".padEnd(500, "x")
+    );
+
+    const { attachments, skipped } = await new FileAttachments(
+      { maxFileBytes: 100, maxMediaBytes: 400 },
+      root
+    ).collect(["diagram.png", "spec.pdf"]);
+
+    assert.deepStrictEqual(
+      attachments.map((a) => [a.path, a.kind, a.mediaType, a.data.length]),
+      [["diagram.png", "image", "image/png", 308]]
+    );
+    assert.deepStrictEqual(skipped, [
+      { path: "spec.pdf", reason: "larger than 400B" },
+    ]);
+    assert.strictEqual(
+      detectMediaType(Buffer.from("RIFF\0\0\0\0WEBPVP8 ", "latin1")),
+      "image/webp"
+    );
+  });
+
+  it("attaches @mentions that name files and leaves the rest", async () => {
+    const mentions = findMentions(
+      "Compare @src/a.js with @src/lib/b.js, thanks @sam. me@example.com"
+    );
+    assert.deepStrictEqual(mentions, ["src/a.js", "src/lib/b.js", "sam"]);
+
+    const { attachments, skipped } = await files.collect(mentions, {
+      existing: [{ path: "src/a.js", size: 5 }],
+      optional: true,
+    });
+    assert.deepStrictEqual(attachments.map((a) => a.path), ["src/lib/b.js"]);
+    assert.deepStrictEqual(skipped, []);
+  });
+
+  it("only attaches @mentions under the root", async () => {
+    const outside = await fs.mkdtemp(path.join(os.tmpdir(), "connect-cli-outside-"));
+    const secret = path.join(outside, "id_rsa");
+    await fs.writeFile(secret, "PRIVATE KEY\n");
+    await fs.symlink(secret, path.join(root, "key"));
+
+    try {
+      const { attachments, skipped } = await files.collect(
+        ["~/.ssh/id_rsa", secret, "../id_rsa", "key", "src/a.js"],
+        { optional: true, underRoot: true }
+      );
+      assert.deepStrictEqual(attachments.map((a) => a.path), ["src/a.js"]);
+      assert.deepStrictEqual(
+        skipped.map((s) => s.path),
+        ["~/.ssh/id_rsa", secret, "../id_rsa", "key"]
+      );
+      assert.match(skipped[0].reason, /outside the working directory, use :attach/);
+
+      // :attach still takes files from anywhere
+      const attached = await files.collect([secret]);
+      assert.deepStrictEqual(
+        attached.attachments.map((a) => [a.path, a.content]),
+        [[secret, "PRIVATE KEY\n"]]
+      );
+    } finally {
+      await fs.rm(path.join(root, "key"));
+      await fs.rm(outside, { recursive: true, force: true });
+    }
+  });
+
+  it("stops walking a glob once it matches more than maxFiles", async () => {
+    const limited = new FileAttachments({ maxFiles: 0 }, root);
+    // Files that don't match don't count towards the limit
+    assert.deepStrictEqual(await limited.resolve("**/b.js", []), {
+      files: [path.join(root, "src", "lib", "b.js")],
+      ignored: false,
+    });
+
+    const { files: found } = await new FileAttachments(
+      { maxFiles: 1 },
+      root
+    ).resolve("**/*", []);
+    assert.strictEqual(found.length, 2);
+  });
+
+  it("puts attached files before the message text", () => {
+    const [message] = includeAttachments(
+      [{ id: 1, role: "user", content: "Why?" }],
+      new Map([[1, [{ path: "a.js", content: "a();\n" }]]])
+    );
+    assert.strictEqual(
+      message.content,
+      '<file path="a.js">\na();\n</file>\n\nWhy?'
+    );
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { FileExportParser } from "../core/exports/FileExportParser.js";
+
+const REPLY =
+  'Here you go:\n<FileExport name="a.js" path="src/a.js" mode="overwrite">\n' +
+  "console.log(1);\n</FileExport>\nand <FileExport name='b.txt'>B</FileExport> done";
+
+function parseInChunks(text, size) {
+  const parser = new FileExportParser();
+  const events = [];
+  for (let i = 0; i < text.length; i += size) {
+    events.push(...parser.feed(text.slice(i, i + size)));
+  }
+  return [...events, ...parser.end()];
+}
+
+const textOf = (events) =>
+  events
+    .filter((e) => e.type === "text")
+    .map((e) => e.text)
+    .join("");
+const filesOf = (events) => events.filter((e) => e.type === "file");
+
+describe("FileExportParser", () => {
+  it("extracts multiple files with their attributes", () => {
+    const events = FileExportParser.parse(REPLY);
+
+    assert.strictEqual(textOf(events), "Here you go:\n\nand  done");
+    assert.deepStrictEqual(filesOf(events), [
+      {
+        type: "file",
+        name: "a.js",
+        path: "src/a.js",
+        mode: "overwrite",
+        content: "console.log(1);\n",
+        complete: true,
+      },
+      {
+        type: "file",
+        name: "b.txt",
+        path: "b.txt",
+        mode: "create",
+        content: "B",
+        complete: true,
+      },
+    ]);
+  });
+
+  it("handles tags split across any chunk boundary", () => {
+    const expected = FileExportParser.parse(REPLY);
+
+    for (const size of [1, 2, 3, 5, 8, 13]) {
+      const events = parseInChunks(REPLY, size);
+      assert.strictEqual(textOf(events), textOf(expected), `chunk size ${size}`);
+      assert.deepStrictEqual(filesOf(events), filesOf(expected), `chunk size ${size}`);
+    }
+  });
+
+  it("keeps text that only looks like the start of a tag", () => {
+    const events = parseInChunks("a <Fil b <FileExporter> c", 2);
+    assert.strictEqual(textOf(events), "a <Fil b <FileExporter> c");
+    assert.strictEqual(filesOf(events).length, 0);
+  });
+
+  it("reports an unterminated file as incomplete", () => {
+    const [text, file] = FileExportParser.parse('x<FileExport name="c.md">\n# partial');
+
+    assert.deepStrictEqual(text, { type: "text", text: "x" });
+    assert.strictEqual(file.content, "# partial");
+    assert.strictEqual(file.complete, false);
+  });
+});
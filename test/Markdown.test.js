@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  renderMarkdown,
+  renderInline,
+  createHighlighter,
+  visibleLength,
+  extractCodeBlocks,
+} from "../core/ui/markdown.js";
+
+// Drops tags so assertions can look at the text as displayed
+const plain = (tagged) =>
+  tagged
+    .replace(/\{open\}/g, "{")
+    .replace(/\{close\}/g, "}")
+    .replace(/\{\/?[\w\-#,;!]*\}/g, "");
+
+describe("renderInline", () => {
+  it("styles emphasis, code and links and escapes the rest", () => {
+    assert.strictEqual(
+      renderInline("**bold** `a{b}` [docs](https://x.dev)"),
+      "{bold}bold{/bold} {yellow-fg}a{open}b{close}{/yellow-fg} " +
+        "{underline}docs{/underline} {gray-fg}(https://x.dev){/gray-fg}"
+    );
+  });
+
+  it("leaves unfinished and intra-word markers alone", () => {
+    assert.strictEqual(renderInline("**still stream"), "**still stream");
+    assert.strictEqual(renderInline("snake_case_name"), "snake_case_name");
+  });
+});
+
+describe("renderMarkdown", () => {
+  it("renders headings, lists, quotes and rules", () => {
+    const lines = renderMarkdown(
+      "# Plan\n- one\n  2. two\n- [ ] todo\n> note\n***",
+      { width: 5 }
+    )
+      .split("\n")
+      .map(plain);
+
+    assert.deepStrictEqual(lines, [
+      "Plan",
+      "• one",
+      "  2. two",
+      "☐ todo",
+      "│ note",
+      "─────",
+    ]);
+  });
+
+  it("lays out tables once the separator row arrives", () => {
+    assert.strictEqual(renderMarkdown("| a | b |"), "| a | b |");
+
+    const lines = renderMarkdown("| a | bb |\n|---|--:|\n| ccc | 1 |")
+      .split("\n")
+      .map(plain);
+    assert.deepStrictEqual(lines, [
+      "┌─────┬────┐",
+      "│ a   │ bb │",
+      "├─────┼────┤",
+      "│ ccc │  1 │",
+      "└─────┴────┘",
+    ]);
+  });
+
+  it("highlights fenced code, including a fence still streaming", () => {
+    const rendered = renderMarkdown("```js\nconst a = 'x'; // note\n```\nafter");
+    assert.deepStrictEqual(rendered.split("\n").map(plain), [
+      "┌─ js",
+      "│ const a = 'x'; // note",
+      "└─",
+      "after",
+    ]);
+    assert.match(rendered, /\{magenta-fg\}const\{\/magenta-fg\}/);
+    assert.match(rendered, /\{green-fg\}'x'\{\/green-fg\}/);
+
+    const open = renderMarkdown("```py\n# not a heading");
+    assert.strictEqual(plain(open.split("\n")[1]), "│ # not a heading");
+  });
+});
+
+describe("extractCodeBlocks", () => {
+  it("finds fenced blocks with their languages", () => {
+    assert.deepStrictEqual(
+      extractCodeBlocks(
+        "Try:\n\n```py\nprint(1)\n```\n\n~~~\nplain\n~~~\n\n```sh\necho open"
+      ),
+      [
+        { language: "py", code: "print(1)" },
+        { language: "", code: "plain" },
+        { language: "sh", code: "echo open" },
+      ]
+    );
+  });
+});
+
+describe("createHighlighter", () => {
+  it("carries block comments across lines", () => {
+    const highlight = createHighlighter("c");
+    highlight("int x; /* starts");
+    assert.strictEqual(
+      highlight("ends */ return"),
+      "{gray-fg}ends */{/gray-fg} {magenta-fg}return{/magenta-fg}"
+    );
+  });
+
+  it("only escapes unknown languages", () => {
+    assert.strictEqual(createHighlighter("brainfuck")("{+}"), "{open}+{close}");
+    assert.strictEqual(visibleLength("{bold}a{open}{/bold}"), 2);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { activePath } from "../core/storage/messageTree.js";
+
+const message = (id, parent_id, active = 1) => ({ id, parent_id, active });
+
+describe("activePath", () => {
+  it("follows the active child at every step", () => {
+    const path = activePath([
+      message(1, null),
+      message(2, 1, 0),
+      message(3, 2),
+      message(4, 1),
+      message(5, 4),
+    ]);
+
+    assert.deepStrictEqual(
+      path.map((m) => [m.id, m.alternative_index, m.alternative_count]),
+      [
+        [1, 1, 1],
+        [4, 2, 2],
+        [5, 1, 1],
+      ]
+    );
+  });
+
+  it("starts from messages whose parent is elsewhere", () => {
+    // The first message of a branch follows a message in the parent thread
+    const path = activePath([message(7, 3), message(8, 7)]);
+    assert.deepStrictEqual(path.map((m) => m.id), [7, 8]);
+  });
+
+  it("falls back to the newest alternative when none is active", () => {
+    const path = activePath(
+      [
+        { id: "a", parentId: null, active: false },
+        { id: "b", parentId: null, active: false },
+      ],
+      (m) => m.parentId
+    );
+    assert.deepStrictEqual(path.map((m) => m.id), ["b"]);
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { DatabaseSync } from "node:sqlite";
+import { MigrationRunner } from "../core/storage/MigrationRunner.js";
+import { MIGRATIONS } from "../core/storage/migrations.js";
+
+const LATEST = MIGRATIONS.at(-1).version;
+
+const columns = (db, table) =>
+  db.prepare(`PRAGMA table_info(${table})`).all().map((c) => c.name);
+
+describe("MigrationRunner", () => {
+  let directory;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "connect-cli-migrations-"));
+  });
+
+  after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it("creates the full schema in an empty database", async () => {
+    const db = new DatabaseSync(":memory:");
+    const runner = new MigrationRunner(MigrationRunner.forSync(db));
+
+    const { applied } = await runner.migrate();
+
+    assert.strictEqual(applied.length, MIGRATIONS.length);
+    assert.strictEqual(await runner.currentVersion(), LATEST);
+    assert.ok(columns(db, "messages").includes("pinned"));
+    assert.deepStrictEqual((await runner.migrate()).applied, []);
+    db.close();
+  });
+
+  it("upgrades a database created before migrations and backs it up", async () => {
+    const file = path.join(directory, "legacy.db");
+    const db = new DatabaseSync(file);
+    db.exec(`
+      CREATE TABLE conversations (id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL, parent_id INTEGER, thread_path TEXT, metadata TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP);
+      CREATE TABLE messages (id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL, role TEXT NOT NULL,
+        content TEXT NOT NULL, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        token_count INTEGER, model TEXT, metadata TEXT, provider TEXT);
+      INSERT INTO conversations (title) VALUES ('Old');
+      INSERT INTO messages (conversation_id, role, content)
+      VALUES (1, 'user', 'remember the backoff settings'),
+             (1, 'assistant', 'noted');
+    `);
+
+    const { backup } = await new MigrationRunner(MigrationRunner.forSync(db), {
+      path: file,
+    }).migrate();
+
+    assert.ok(columns(db, "messages").includes("completion_tokens"));
+    assert.strictEqual(
+      db
+        .prepare("SELECT rowid FROM messages_fts WHERE messages_fts MATCH 'backoff'")
+        .all().length,
+      1
+    );
+    assert.deepStrictEqual(
+      db.prepare("SELECT id, parent_id, active FROM messages ORDER BY id").all()
+        .map((m) => ({ ...m })),
+      [
+        { id: 1, parent_id: null, active: 1 },
+        { id: 2, parent_id: 1, active: 1 },
+      ]
+    );
+
+    const copy = new DatabaseSync(backup);
+    assert.strictEqual(copy.prepare("PRAGMA user_version").get().user_version, 0);
+    assert.ok(!columns(copy, "messages").includes("pinned"));
+    copy.close();
+    db.close();
+  });
+
+  it("rolls back a failing migration and keeps the previous version", async () => {
+    const db = new DatabaseSync(":memory:");
+    const runner = new MigrationRunner(MigrationRunner.forSync(db), {
+      migrations: [
+        { version: 1, name: "ok", up: (d) => d.exec("CREATE TABLE a (x)") },
+        {
+          version: 2,
+          name: "broken",
+          up: (d) => d.exec("CREATE TABLE b (x); SELECT * FROM missing"),
+        },
+      ],
+    });
+
+    await assert.rejects(runner.migrate(), /Migration 2 \(broken\) failed/);
+    assert.strictEqual(await runner.currentVersion(), 1);
+    assert.deepStrictEqual(
+      db.prepare("SELECT name FROM sqlite_master WHERE name = 'b'").all(),
+      []
+    );
+    db.close();
+  });
+
+  it("refuses databases from a newer version", async () => {
+    const db = new DatabaseSync(":memory:");
+    db.exec(`PRAGMA user_version = ${LATEST + 1}`);
+
+    await assert.rejects(
+      new MigrationRunner(MigrationRunner.forSync(db)).migrate(),
+      /newer/
+    );
+    db.close();
+  });
+});
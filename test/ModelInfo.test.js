@@ -0,0 +1,112 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  normalizeModel,
+  modelModalities,
+  fuzzyScore,
+  filterModels,
+  formatContextLength,
+} from "../core/models/modelInfo.js";
+
+describe("normalizeModel", () => {
+  it("converts OpenRouter per-token prices to USD per million", () => {
+    const model = normalizeModel(
+      {
+        id: "openai/gpt-4o",
+        name: "OpenAI: GPT-4o",
+        context_length: 128000,
+        pricing: { prompt: "0.0000025", completion: "0.00001" },
+      },
+      "openrouter"
+    );
+
+    assert.deepStrictEqual(model, {
+      id: "openai/gpt-4o",
+      provider: "openrouter",
+      name: "OpenAI: GPT-4o",
+      contextLength: 128000,
+      pricing: { prompt: 2.5, completion: 10 },
+    });
+  });
+
+  it("keeps what bare model lists provide", () => {
+    const anthropic = normalizeModel(
+      { id: "claude-3-5-haiku-latest", display_name: "Claude Haiku 3.5" },
+      "anthropic"
+    );
+    assert.strictEqual(anthropic.name, "Claude Haiku 3.5");
+    assert.strictEqual(anthropic.contextLength, null);
+    assert.strictEqual(anthropic.pricing, null);
+
+    const variable = normalizeModel(
+      { id: "openrouter/auto", pricing: { prompt: "-1", completion: "-1" } },
+      "openrouter"
+    );
+    assert.strictEqual(variable.pricing, null);
+  });
+});
+
+describe("modelModalities", () => {
+  it("prefers the provider's metadata and falls back to model families", () => {
+    const listed = normalizeModel(
+      {
+        id: "acme/seer",
+        architecture: { input_modalities: ["text", "image", "file"] },
+      },
+      "openrouter"
+    );
+    assert.deepStrictEqual(modelModalities(listed.id, listed), [
+      "text",
+      "image",
+      "pdf",
+    ]);
+
+    assert.deepStrictEqual(modelModalities("openai/gpt-4o-mini"), [
+      "text",
+      "image",
+      "pdf",
+    ]);
+    assert.deepStrictEqual(modelModalities("claude-3-opus-latest"), [
+      "text",
+      "image",
+    ]);
+    assert.deepStrictEqual(modelModalities("o3-mini"), ["text"]);
+    assert.deepStrictEqual(modelModalities("gpt-3.5-turbo"), ["text"]);
+  });
+});
+
+describe("filterModels", () => {
+  const models = [
+    { id: "gpt-4o-mini", provider: "openai" },
+    { id: "gpt-4o", provider: "openai" },
+    { id: "claude-3-5-sonnet-latest", provider: "anthropic" },
+    { id: "openai/gpt-4o", provider: "openrouter" },
+  ];
+
+  it("matches characters in order and ranks word starts first", () => {
+    assert.strictEqual(fuzzyScore("xyz", "gpt-4o"), null);
+    assert.ok(fuzzyScore("4o", "gpt-4o") > fuzzyScore("4o", "gpt-4-turbo-o"));
+
+    assert.deepStrictEqual(
+      filterModels(models, "gpt4o").map((model) => model.id),
+      ["gpt-4o", "gpt-4o-mini", "openai/gpt-4o"]
+    );
+  });
+
+  it("filters on provider names and returns everything without a query", () => {
+    assert.deepStrictEqual(
+      filterModels(models, "anth son").map((model) => model.id),
+      ["claude-3-5-sonnet-latest"]
+    );
+    assert.strictEqual(filterModels(models, " ").length, models.length);
+  });
+});
+
+describe("formatContextLength", () => {
+  it("shortens token counts", () => {
+    assert.strictEqual(formatContextLength(128000), "128k");
+    assert.strictEqual(formatContextLength(1048576), "1M");
+    assert.strictEqual(formatContextLength(2000000), "2M");
+    assert.strictEqual(formatContextLength(null), "?");
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, before, after, beforeEach } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Database } from "../core/Database.js";
+import { Controller } from "../core/Controller.js";
+import { CommandHandler } from "../utils/Commands.js";
+import { DRIVERS, openDriver } from "../core/storage/drivers/index.js";
+
+// The first storage driver that loads here, if any
+let driver = null;
+for (const name of Object.keys(DRIVERS)) {
+  try {
+    await (await openDriver({ driver: name, path: ":memory:" })).close();
+    driver = name;
+    break;
+  } catch {
+    // Try the next one
+  }
+}
+
+describe("Personas", { skip: !driver }, () => {
+  let directory;
+  let db;
+  let controller;
+  let screen;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "connect-cli-personas-"));
+    db = new Database({
+      driver,
+      path: path.join(directory, "conversations.db"),
+      backupBeforeMigrate: false,
+    });
+    await db.initialize();
+  });
+
+  after(async () => {
+    await db.close();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    screen = {
+      messages: [],
+      errors: [],
+      status: null,
+      showMessage: (message) => screen.messages.push(message),
+      showError: (message) => screen.errors.push(message),
+      showHelp: (text) => screen.messages.push(text),
+      updateStatus: (status) => (screen.status = status),
+      updateThreadList: () => {},
+    };
+    controller = new Controller({ ai: { defaultPersona: "terse" } });
+    controller.db = db;
+    controller.screen = screen;
+    controller.ai = { defaultProvider: "openai", defaultModel: "gpt-4o" };
+    controller.commands = new CommandHandler(controller);
+  });
+
+  it("saves personas from :persona add and lists them", async () => {
+    await controller.commands.execute(
+      ":persona add reviewer --model gpt-4.1 --temperature 0.2 Review the code carefully."
+    );
+    await controller.commands.execute(":persona add terse Answer in one line.");
+    await controller.commands.execute(":persona add reviewer");
+    await controller.commands.execute(":persona add hot --temperature 3 Go wild.");
+
+    assert.deepStrictEqual(screen.errors, [
+      "Persona prompt required",
+      "Temperature must be between 0 and 2",
+    ]);
+    assert.deepStrictEqual(
+      (await db.listPersonas()).map((p) => [
+        p.name,
+        p.prompt,
+        p.model,
+        p.temperature,
+      ]),
+      [
+        ["reviewer", "Review the code carefully.", "gpt-4.1", 0.2],
+        ["terse", "Answer in one line.", null, null],
+      ]
+    );
+
+    // Saving again under the same name replaces the persona
+    await db.savePersona({ name: "terse", prompt: "Be terse." });
+    assert.strictEqual((await db.getPersona("terse")).prompt, "Be terse.");
+  });
+
+  it("sends the persona's prompt ahead of the history", async () => {
+    const settings = await controller.getConversationSettings();
+    assert.strictEqual(settings.persona.name, "terse");
+
+    const messages = [{ id: 1, role: "user", content: "Hi" }];
+    assert.deepStrictEqual(controller.withSystemPrompt(messages, settings), [
+      { id: null, role: "system", content: "Be terse." },
+      ...messages,
+    ]);
+    assert.strictEqual(controller.withSystemPrompt(messages, {}), messages);
+  });
+
+  it("switches personas per conversation", async () => {
+    const first = await db.createConversation("First");
+    const second = await db.createConversation("Second");
+
+    controller.currentConversationId = first;
+    await controller.commands.execute(":persona reviewer");
+    assert.deepStrictEqual(screen.messages, ["Using persona: reviewer"]);
+    assert.strictEqual(screen.status.persona, "reviewer");
+    // The persona's model and temperature back the conversation's
+    const settings = await controller.getConversationSettings();
+    assert.deepStrictEqual(
+      [settings.persona.name, settings.model, settings.temperature],
+      ["reviewer", "gpt-4.1", 0.2]
+    );
+
+    controller.currentConversationId = second;
+    assert.strictEqual(
+      (await controller.getConversationSettings()).persona.name,
+      "terse"
+    );
+    await controller.commands.execute(":persona none");
+    assert.strictEqual((await controller.getConversationSettings()).persona, null);
+
+    controller.currentConversationId = first;
+    assert.strictEqual(
+      (await controller.getConversationSettings()).persona.name,
+      "reviewer"
+    );
+
+    await controller.commands.execute(":persona missing");
+    assert.deepStrictEqual(screen.errors, ["Unknown persona: missing"]);
+  });
+
+  it("deletes personas", async () => {
+    await controller.commands.execute(":persona rm reviewer");
+    await controller.commands.execute(":persona rm reviewer");
+    assert.deepStrictEqual(screen.messages, ["Deleted persona: reviewer"]);
+    assert.deepStrictEqual(screen.errors, ["Unknown persona: reviewer"]);
+    assert.strictEqual(await db.getPersona("reviewer"), undefined);
+  });
+});
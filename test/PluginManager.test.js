@@ -0,0 +1,167 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { PluginManager } from "../core/PluginManager.js";
+import { ProviderRegistry } from "../core/providers/ProviderRegistry.js";
+import { LocalProvider } from "../core/providers/LocalProvider.js";
+import { ToolRegistry } from "../core/tools/ToolRegistry.js";
+import { CommandHandler } from "../utils/Commands.js";
+
+const PLUGINS = {
+  "good.js": `
+    export default {
+      name: "good",
+      description: "Registers one of everything",
+      init(config, api) {
+        class BoxProvider {
+          constructor(name, options) {
+            this.name = name;
+            this.options = options;
+          }
+        }
+        api.registerProvider("box", BoxProvider);
+        api.registerCommand("hello", { handler: () => config.greeting });
+        api.registerTool({ name: "ping", run: () => "pong" });
+        api.addHook("beforeSend", (messages) => [...messages, config.greeting]);
+        api.registerStatusSegment("good", () => "good");
+      },
+      destroy() {
+        globalThis.goodDestroyed = true;
+      },
+    };
+  `,
+  "broken.js": `
+    export default {
+      name: "broken",
+      init() {
+        throw new Error("missing API key");
+      },
+    };
+  `,
+  "nameless.js": "export default { init() {} };",
+  "nested/index.js": `export default { name: "nested", init() {} };`,
+  "override.js": `
+    export default {
+      name: "override",
+      init(config, api) {
+        api.registerProvider("local", class {});
+      },
+    };
+  `,
+};
+
+describe("PluginManager", () => {
+  let directory;
+  let controller;
+  let manager;
+
+  before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "connect-cli-plugins-"));
+    for (const [file, source] of Object.entries(PLUGINS)) {
+      await fs.mkdir(path.dirname(path.join(directory, file)), { recursive: true });
+      await fs.writeFile(path.join(directory, file), source);
+    }
+
+    const segments = new Map();
+    controller = {
+      ai: {
+        providers: new ProviderRegistry({
+          providers: {
+            box: { type: "box" },
+            local: { type: "local", baseUrl: "http://localhost:1234/v1" },
+            ollama: {},
+            remote: { type: "ollama", baseUrl: "http://gpu-box:11434/v1" },
+          },
+        }),
+      },
+      tools: new ToolRegistry(),
+      screen: {
+        segments,
+        registerStatusSegment: (name, render) => segments.set(name, render),
+        removeStatusSegment: (name) => segments.delete(name),
+      },
+    };
+    controller.commands = new CommandHandler(controller);
+
+    manager = new PluginManager(controller, {
+      directory,
+      good: { greeting: "hi" },
+      nested: { enabled: false },
+    });
+    // Resolves even though one plugin fails and another is invalid
+    await manager.loadAll();
+  });
+
+  after(async () => {
+    await manager.shutdown();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it("discovers plugin files and directories and skips invalid ones", () => {
+    const plugins = manager.list();
+    assert.deepStrictEqual(
+      plugins.map((plugin) => [plugin.name, plugin.status]),
+      [
+        ["ollama", "enabled"],
+        ["broken", "failed"],
+        ["good", "enabled"],
+        ["nested", "disabled"],
+        ["override", "enabled"],
+      ]
+    );
+    assert.match(plugins[1].error, /missing API key/);
+  });
+
+  it("registers what a plugin contributes with its config", async () => {
+    assert.ok(controller.ai.providers.get("box").options);
+    assert.strictEqual(
+      controller.commands.findCommand("hello").handler(),
+      "hi"
+    );
+    assert.strictEqual(
+      (await controller.tools.run({ name: "ping", arguments: {} })).content,
+      "pong"
+    );
+    assert.deepStrictEqual(await manager.runHook("beforeSend", ["a"]), ["a", "hi"]);
+    assert.ok(controller.screen.segments.has("good"));
+  });
+
+  it("removes everything a plugin registered when it is disabled", async () => {
+    await manager.disable("good");
+
+    assert.strictEqual(globalThis.goodDestroyed, true);
+    assert.throws(() => controller.ai.providers.get("box"), /Unknown provider type/);
+    assert.strictEqual(controller.commands.findCommand("hello"), null);
+    assert.strictEqual(controller.tools.get("ping"), null);
+    assert.deepStrictEqual(await manager.runHook("beforeSend", ["a"]), ["a"]);
+    assert.ok(!controller.screen.segments.has("good"));
+
+    await manager.enable("good");
+    assert.ok(controller.commands.findCommand("hello"));
+  });
+
+  it("adds the bundled ollama provider type", () => {
+    const { providers } = controller.ai;
+    assert.ok(providers.get("ollama") instanceof LocalProvider);
+    assert.strictEqual(
+      providers.get("ollama").http.defaults.baseURL,
+      "http://localhost:11434/v1"
+    );
+    assert.strictEqual(
+      providers.get("remote").http.defaults.baseURL,
+      "http://gpu-box:11434/v1"
+    );
+  });
+
+  it("keeps built-in provider types when a plugin replacing one is disabled", async () => {
+    assert.ok(!(controller.ai.providers.get("local") instanceof LocalProvider));
+    await manager.disable("override");
+    assert.ok(controller.ai.providers.get("local") instanceof LocalProvider);
+  });
+
+  it("refuses to enable plugins it doesn't know", async () => {
+    await assert.rejects(manager.enable("missing"), /Unknown plugin: missing/);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { Pricing, formatCost } from "../utils/Pricing.js";
+import { Controller } from "../core/Controller.js";
+
+const ai = {
+  pricing: {
+    "gpt-4o": { prompt: 2.5, completion: 10 },
+  },
+  providers: {
+    lmstudio: {
+      type: "local",
+      pricing: { "gpt-4o": { prompt: 0, completion: 0 } },
+    },
+  },
+};
+
+describe("Pricing", () => {
+  const catalog = {
+    find: (model, provider) =>
+      model === "llama-3" && provider === "openrouter"
+        ? { pricing: { prompt: 0.2, completion: 0.4 } }
+        : null,
+  };
+  const pricing = new Pricing(ai, catalog);
+
+  it("prefers the provider's own prices over the shared table", () => {
+    assert.deepStrictEqual(pricing.priceFor("lmstudio", "gpt-4o"), {
+      prompt: 0,
+      completion: 0,
+    });
+    assert.deepStrictEqual(pricing.priceFor("openai", "gpt-4o"), {
+      prompt: 2.5,
+      completion: 10,
+    });
+  });
+
+  it("matches router models without their prefix", () => {
+    assert.strictEqual(pricing.priceFor("openrouter", "openai/gpt-4o").prompt, 2.5);
+  });
+
+  it("falls back to prices from the model catalog", () => {
+    assert.strictEqual(pricing.priceFor("openrouter", "llama-3").completion, 0.4);
+    assert.strictEqual(pricing.priceFor("openai", "llama-3"), null);
+    assert.strictEqual(pricing.priceFor("openai", null), null);
+  });
+
+  it("computes the cost of a request per million tokens", () => {
+    const cost = pricing.costOf({ prompt: 1000, completion: 500 }, "openai", "gpt-4o");
+    assert.ok(Math.abs(cost - 0.0075) < 1e-12);
+    assert.strictEqual(pricing.costOf({ prompt: 1000 }, "lmstudio", "gpt-4o"), 0);
+    assert.strictEqual(pricing.costOf({ prompt: 1000 }, "openai", "unknown"), null);
+    assert.strictEqual(pricing.costOf(null, "openai", "gpt-4o"), null);
+  });
+
+  it("formats costs", () => {
+    assert.strictEqual(formatCost(0.0075), "$0.0075");
+    assert.strictEqual(formatCost(12.5), "$12.50");
+    assert.strictEqual(formatCost(null), "$?");
+  });
+});
+
+describe("Budgets", () => {
+  // Spend so far: $2 today, $0.6 in conversation 7
+  function controller(budgets) {
+    const shown = [];
+    const instance = new Controller({ ai: { budgets } });
+    instance.currentConversationId = 7;
+    instance.db = {
+      getCostReport: async ({ period, conversationId }) => ({
+        cost: period === "today" ? 2 : conversationId === 7 ? 0.6 : 0,
+      }),
+    };
+    instance.screen = {
+      showMessage: (message) => shown.push(["message", message]),
+      showError: (message) => shown.push(["error", message]),
+    };
+    return { instance, shown };
+  }
+
+  it("does nothing without budgets", async () => {
+    const { instance, shown } = controller(undefined);
+    assert.deepStrictEqual(await instance.checkBudget(), []);
+    assert.strictEqual(await instance.confirmBudget(), true);
+    assert.deepStrictEqual(shown, []);
+  });
+
+  it("warns past a soft limit and still sends", async () => {
+    const { instance, shown } = controller({
+      daily: { soft: 1, hard: 5 },
+      thread: { soft: 0.5 },
+    });
+    assert.strictEqual(await instance.confirmBudget(), true);
+    assert.deepStrictEqual(shown, [
+      [
+        "message",
+        "Daily spend $2.00 is over the $1.00 soft limit · " +
+          "Thread spend $0.6000 is over the $0.5000 soft limit",
+      ],
+    ]);
+  });
+
+  it("refuses to send at a hard limit", async () => {
+    const { instance, shown } = controller({
+      daily: { soft: 1 },
+      thread: { hard: 0.6 },
+    });
+    await assert.rejects(instance.checkBudget(), /Thread budget of \$0.6000 reached/);
+    assert.strictEqual(await instance.confirmBudget(), false);
+    assert.deepStrictEqual(shown, [
+      ["error", "Thread budget of $0.6000 reached (spent $0.6000)"],
+    ]);
+  });
+
+  it("skips the thread budget outside a conversation", async () => {
+    const { instance } = controller({ thread: { hard: 0.1 } });
+    instance.currentConversationId = null;
+    assert.deepStrictEqual(await instance.checkBudget(), []);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  openAIContent,
+  openAIMessage,
+  collectToolCallDeltas,
+  finishToolCalls,
+} from "../core/providers/OpenAIProvider.js";
+import {
+  anthropicContent,
+  anthropicMessages,
+} from "../core/providers/AnthropicProvider.js";
+
+const message = {
+  role: "user",
+  content: "What does this show?",
+  media: [
+    { kind: "image", mediaType: "image/png", path: "shots/a.png", data: "iVBO" },
+    { kind: "pdf", mediaType: "application/pdf", path: "spec.pdf", data: "JVBE" },
+  ],
+};
+
+describe("message content parts", () => {
+  it("keeps plain text for messages without media", () => {
+    assert.strictEqual(openAIContent({ content: "hi" }), "hi");
+    assert.strictEqual(anthropicContent({ content: "hi", media: [] }), "hi");
+  });
+
+  it("encodes images and PDFs for OpenAI-compatible APIs", () => {
+    assert.deepStrictEqual(openAIContent(message), [
+      { type: "image_url", image_url: { url: "data:image/png;base64,iVBO" } },
+      {
+        type: "file",
+        file: {
+          filename: "spec.pdf",
+          file_data: "data:application/pdf;base64,JVBE",
+        },
+      },
+      { type: "text", text: "What does this show?" },
+    ]);
+  });
+
+  it("encodes images and PDFs as Anthropic content blocks", () => {
+    assert.deepStrictEqual(anthropicContent(message), [
+      {
+        type: "image",
+        source: { type: "base64", media_type: "image/png", data: "iVBO" },
+      },
+      {
+        type: "document",
+        source: { type: "base64", media_type: "application/pdf", data: "JVBE" },
+      },
+      { type: "text", text: "What does this show?" },
+    ]);
+  });
+});
+
+describe("tool calls", () => {
+  const history = [
+    {
+      role: "assistant",
+      content: "",
+      toolCalls: [{ id: "c1", name: "grep", arguments: { pattern: "x" } }],
+    },
+    { role: "tool", toolCallId: "c1", content: "a.js:1: x" },
+  ];
+
+  it("replays calls and results for OpenAI-compatible APIs", () => {
+    assert.deepStrictEqual(history.map(openAIMessage), [
+      {
+        role: "assistant",
+        content: null,
+        tool_calls: [
+          {
+            id: "c1",
+            type: "function",
+            function: { name: "grep", arguments: '{"pattern":"x"}' },
+          },
+        ],
+      },
+      { role: "tool", tool_call_id: "c1", content: "a.js:1: x" },
+    ]);
+  });
+
+  it("replays calls and results as Anthropic content blocks", () => {
+    assert.deepStrictEqual(anthropicMessages(history), [
+      {
+        role: "assistant",
+        content: [
+          { type: "tool_use", id: "c1", name: "grep", input: { pattern: "x" } },
+        ],
+      },
+      {
+        role: "user",
+        content: [
+          { type: "tool_result", tool_use_id: "c1", content: "a.js:1: x" },
+        ],
+      },
+    ]);
+  });
+
+  it("assembles streamed OpenAI tool call fragments", () => {
+    const calls = [];
+    collectToolCallDeltas(calls, [
+      { index: 0, id: "c1", function: { name: "read_file", arguments: "" } },
+    ]);
+    collectToolCallDeltas(calls, [{ index: 0, function: { arguments: '{"pa' } }]);
+    collectToolCallDeltas(calls, [{ index: 0, function: { arguments: 'th":"a"}' } }]);
+    collectToolCallDeltas(calls, [
+      { index: 1, function: { name: "grep", arguments: "{oops" } },
+    ]);
+
+    assert.deepStrictEqual(finishToolCalls(calls), [
+      { id: "c1", name: "read_file", arguments: { path: "a" } },
+      { id: "call_1", name: "grep", arguments: "{oops" },
+    ]);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import {
+  ProviderError,
+  classifyError,
+  parseRetryAfter,
+} from "../core/providers/errors.js";
+
+const httpError = (status, data = {}, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data, headers },
+  });
+
+describe("provider errors", () => {
+  it("classifies errors by status, code and message", () => {
+    const kinds = [
+      httpError(429),
+      httpError(401),
+      httpError(400, {
+        error: { message: "This model's maximum context length is 8192 tokens" },
+      }),
+      httpError(529),
+      Object.assign(new Error("connect ECONNREFUSED"), { code: "ECONNREFUSED" }),
+      Object.assign(new Error("canceled"), { code: "ERR_CANCELED" }),
+      new Error("API key not found for provider: openai"),
+      new Error("something else"),
+    ].map((error) => classifyError(error).kind);
+
+    assert.deepStrictEqual(kinds, [
+      "rate_limit",
+      "auth",
+      "context_length",
+      "server",
+      "network",
+      "cancelled",
+      "auth",
+      "unknown",
+    ]);
+  });
+
+  it("keeps the provider's message and marks what is retryable", () => {
+    const error = classifyError(
+      httpError(429, { error: { message: "Slow down" } }, { "retry-after": "2" }),
+      { provider: "openai", model: "gpt-4o" }
+    );
+
+    assert.ok(error instanceof ProviderError);
+    assert.strictEqual(error.message, "Slow down");
+    assert.strictEqual(error.retryAfter, 2000);
+    assert.strictEqual(error.retryable, true);
+    assert.strictEqual(classifyError(httpError(401)).retryable, false);
+    assert.strictEqual(classifyError(error), error);
+  });
+
+  it("reads Retry-After as milliseconds, seconds or a date", () => {
+    const now = Date.parse("2024-06-01T12:00:00Z");
+
+    assert.strictEqual(parseRetryAfter({ "retry-after-ms": "250" }, now), 250);
+    assert.strictEqual(parseRetryAfter({ "retry-after": "3" }, now), 3000);
+    assert.strictEqual(
+      parseRetryAfter({ "retry-after": "Sat, 01 Jun 2024 12:00:05 GMT" }, now),
+      5000
+    );
+    assert.strictEqual(
+      parseRetryAfter(new Headers({ "Retry-After": "1" }), now),
+      1000
+    );
+    assert.strictEqual(parseRetryAfter({}, now), null);
+  });
+});
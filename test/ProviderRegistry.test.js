@@ -0,0 +1,156 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ProviderRegistry } from "../core/providers/ProviderRegistry.js";
+import { BaseProvider } from "../core/providers/BaseProvider.js";
+import { OpenAIProvider } from "../core/providers/OpenAIProvider.js";
+import { AnthropicProvider } from "../core/providers/AnthropicProvider.js";
+import { LocalProvider } from "../core/providers/LocalProvider.js";
+import { parseSSE } from "../core/providers/sse.js";
+
+async function collect(iterator) {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+}
+
+describe("ProviderRegistry", () => {
+  const registry = () =>
+    new ProviderRegistry(
+      {
+        providers: {
+          openai: { apiKey: "sk-test" },
+          anthropic: { apiKey: "sk-ant-test" },
+          lmstudio: { type: "local", baseUrl: "http://localhost:1234/v1" },
+          groq: { apiKey: "gsk-test", baseUrl: "https://api.groq.com/openai/v1" },
+          custom: { type: "missing" },
+        },
+      },
+      { timeout: 5000 }
+    );
+
+  it("picks the implementation by type, then by name", () => {
+    const providers = registry();
+    assert.ok(providers.get("openai") instanceof OpenAIProvider);
+    assert.ok(providers.get("anthropic") instanceof AnthropicProvider);
+    assert.ok(providers.get("lmstudio") instanceof LocalProvider);
+    assert.strictEqual(providers.get("lmstudio").type, "local");
+  });
+
+  it("treats unknown provider names as OpenAI-compatible", () => {
+    const groq = registry().get("groq");
+    assert.ok(groq instanceof OpenAIProvider);
+    assert.strictEqual(groq.name, "groq");
+  });
+
+  it("merges defaults under each provider's config and caches instances", () => {
+    const providers = registry();
+    const openai = providers.get("openai");
+    assert.strictEqual(openai.timeout, 5000);
+    assert.strictEqual(providers.get("openai"), openai);
+  });
+
+  it("lists configured providers and rejects unknown ones", () => {
+    const providers = registry();
+    assert.deepStrictEqual(providers.list(), [
+      "openai",
+      "anthropic",
+      "lmstudio",
+      "groq",
+      "custom",
+    ]);
+    assert.ok(providers.has("groq"));
+    assert.ok(!providers.has("mistral"));
+    assert.throws(() => providers.get("mistral"), /Unknown provider: mistral/);
+    assert.throws(
+      () => providers.get("custom"),
+      /Unknown provider type "missing" for provider: custom\. Known types: openai, anthropic, local/
+    );
+  });
+
+  it("uses registered types and drops their instances when unregistered", () => {
+    class EchoProvider extends BaseProvider {}
+    const providers = registry();
+    providers.registerType("missing", EchoProvider);
+    assert.ok(providers.get("custom") instanceof EchoProvider);
+
+    providers.unregisterType("missing");
+    assert.throws(() => providers.get("custom"), /Unknown provider type/);
+  });
+});
+
+describe("BaseProvider backoff", () => {
+  it("backs off exponentially without Retry-After, up to 8 seconds", async (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    const provider = new BaseProvider("test", { maxRetries: 5 });
+    const delays = [];
+    let calls = 0;
+
+    const result = provider.withRetries(
+      async () => {
+        if (++calls <= 5) {
+          throw Object.assign(new Error("Bad gateway"), { status: 502 });
+        }
+        return "ok";
+      },
+      {
+        onRetry: ({ delay, error }) => {
+          delays.push([delay, error.kind]);
+          // Let the sleep start, then skip past it
+          setImmediate(() => t.mock.timers.tick(delay));
+        },
+      }
+    );
+
+    assert.strictEqual(await result, "ok");
+    assert.deepStrictEqual(delays, [
+      [1000, "server"],
+      [2000, "server"],
+      [4000, "server"],
+      [8000, "server"],
+      [8000, "server"],
+    ]);
+  });
+});
+
+describe("parseSSE", () => {
+  it("yields JSON data lines until [DONE]", async () => {
+    const stream = [
+      ": keep-alive\n",
+      'data: {"n":1}\n\nevent: ping\ndata: not json\n',
+      'data: {"n":2}\n',
+      "data: [DONE]\n",
+      'data: {"n":3}\n',
+    ];
+    assert.deepStrictEqual(await collect(parseSSE(stream)), [{ n: 1 }, { n: 2 }]);
+  });
+
+  it("joins lines split across chunks", async () => {
+    const stream = ['data: {"te', 'xt":"hel', 'lo"}\r\n', 'data: {"text":"!"}\n'];
+    assert.deepStrictEqual(await collect(parseSSE(stream)), [
+      { text: "hello" },
+      { text: "!" },
+    ]);
+  });
+
+  it("keeps multi-byte characters split across chunks", async () => {
+    const bytes = Buffer.from('data: {"text":"héllo 👋"}\n');
+    // Split inside "é" and inside the emoji
+    const cuts = [bytes.indexOf(0xc3) + 1, bytes.indexOf(0xf0) + 2];
+    const stream = [
+      bytes.subarray(0, cuts[0]),
+      bytes.subarray(cuts[0], cuts[1]),
+      bytes.subarray(cuts[1]),
+    ];
+    assert.deepStrictEqual(await collect(parseSSE(stream)), [{ text: "héllo 👋" }]);
+  });
+
+  it("parses a last line without a trailing newline", async () => {
+    const bytes = Buffer.from('data: {"n":1}\ndata: {"text":"👋"}');
+    const stream = [bytes.subarray(0, -3), bytes.subarray(-3)];
+    assert.deepStrictEqual(await collect(parseSSE(stream)), [
+      { n: 1 },
+      { text: "👋" },
+    ]);
+    assert.deepStrictEqual(await collect(parseSSE(["data: [DONE]"])), []);
+  });
+});
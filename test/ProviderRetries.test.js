@@ -0,0 +1,77 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { BaseProvider } from "../core/providers/BaseProvider.js";
+
+const rateLimited = () =>
+  Object.assign(new Error("Too many requests"), {
+    status: 429,
+    headers: { "retry-after-ms": "1" },
+  });
+
+describe("BaseProvider#withRetries", () => {
+  it("retries retryable failures and reports each retry", async () => {
+    const provider = new BaseProvider("test", { maxRetries: 2 });
+    const retries = [];
+    let calls = 0;
+
+    const result = await provider.withRetries(
+      async () => {
+        calls++;
+        if (calls < 3) throw rateLimited();
+        return "ok";
+      },
+      { model: "m", onRetry: (retry) => retries.push(retry) }
+    );
+
+    assert.strictEqual(result, "ok");
+    assert.deepStrictEqual(
+      retries.map(({ attempt, delay, error }) => [attempt, delay, error.kind]),
+      [
+        [1, 1, "rate_limit"],
+        [2, 1, "rate_limit"],
+      ]
+    );
+  });
+
+  it("gives up after maxRetries with the number of retries made", async () => {
+    const provider = new BaseProvider("test", { maxRetries: 1 });
+
+    await assert.rejects(
+      provider.withRetries(async () => {
+        throw rateLimited();
+      }),
+      (error) =>
+        error.kind === "rate_limit" &&
+        error.retries === 1 &&
+        error.provider === "test"
+    );
+  });
+
+  it("does not retry errors a retry cannot fix", async () => {
+    const provider = new BaseProvider("test", { maxRetries: 3 });
+    let calls = 0;
+
+    await assert.rejects(
+      provider.withRetries(async () => {
+        calls++;
+        throw Object.assign(new Error("Invalid API key"), { status: 401 });
+      }),
+      (error) => error.kind === "auth"
+    );
+    assert.strictEqual(calls, 1);
+  });
+
+  it("fails at once when Retry-After is longer than maxRetryDelay", async () => {
+    const provider = new BaseProvider("test", {
+      maxRetries: 3,
+      maxRetryDelay: 1000,
+    });
+
+    await assert.rejects(
+      provider.withRetries(async () => {
+        throw Object.assign(rateLimited(), { headers: { "retry-after": "30" } });
+      }),
+      (error) => error.retries === 0 && error.retryAfter === 30000
+    );
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import { PassThrough } from "stream";
+import { setTimeout as sleep } from "timers/promises";
+import { Screen } from "../core/ui/Screen.js";
+
+// Ctrl-C as the terminal sends it
+const CTRL_C = "\x03";
+
+describe("Screen", () => {
+  let input;
+  let screen;
+  let events;
+
+  before(async () => {
+    input = new PassThrough();
+    const output = Object.assign(new PassThrough(), {
+      isTTY: true,
+      columns: 100,
+      rows: 30,
+    });
+    output.resume();
+
+    screen = new Screen({}, { input, output });
+    await screen.initialize();
+    events = [];
+    screen.on("cancel", () => events.push("cancel"));
+    screen.on("quit", () => events.push("quit"));
+  });
+
+  after(() => {
+    screen.destroy();
+  });
+
+  it("cancels the reply on Ctrl-C while loading, without quitting", async () => {
+    screen.startLoading();
+    input.write(CTRL_C);
+    await sleep(20);
+    screen.stopLoading();
+
+    assert.deepStrictEqual(events, ["cancel"]);
+  });
+
+  it("quits on Ctrl-C otherwise", async () => {
+    events.length = 0;
+    input.write(CTRL_C);
+    await sleep(20);
+
+    assert.deepStrictEqual(events, ["quit"]);
+  });
+});
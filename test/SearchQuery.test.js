@@ -0,0 +1,37 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { parseSearchQuery, highlightPattern } from "../core/search/SearchQuery.js";
+
+describe("parseSearchQuery", () => {
+  it("separates filters from search terms", () => {
+    const query = parseSearchQuery(
+      'retry "exponential delay" model:gpt-4o role:assistant after:2024-05-01'
+    );
+
+    assert.strictEqual(query.match, '"retry" "exponential delay"');
+    assert.deepStrictEqual(query.filters, {
+      model: "gpt-4o",
+      role: "assistant",
+      after: "2024-05-01",
+    });
+  });
+
+  it("quotes FTS5 syntax and keeps prefix searches", () => {
+    assert.strictEqual(
+      parseSearchQuery('back* NEAR( say"hi"').match,
+      '"back"* "NEAR(" "say""hi"""'
+    );
+  });
+
+  it("treats unknown keys as text and rejects bad filter values", () => {
+    assert.strictEqual(parseSearchQuery("http://example.com").match, '"http://example.com"');
+    assert.throws(() => parseSearchQuery("role:robot"), /role/);
+    assert.throws(() => parseSearchQuery("before:yesterday"), /YYYY-MM-DD/);
+  });
+
+  it("builds a highlight pattern matching longer terms first", () => {
+    const pattern = highlightPattern(parseSearchQuery("re retry").terms);
+    assert.deepStrictEqual("Retry re".match(pattern), ["Retry", "re"]);
+    assert.strictEqual(highlightPattern([]), null);
+  });
+});
@@ -0,0 +1,502 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Database } from "../core/Database.js";
+import { DRIVERS, openDriver } from "../core/storage/drivers/index.js";
+import { parseSearchQuery } from "../core/search/SearchQuery.js";
+
+// The sqlite3 driver is optional, so only drivers that load here are tested
+const available = {};
+for (const driver of Object.keys(DRIVERS)) {
+  try {
+    await (await openDriver({ driver, path: ":memory:" })).close();
+    available[driver] = true;
+  } catch {
+    available[driver] = false;
+  }
+}
+
+for (const driver of Object.keys(DRIVERS)) {
+  describe(`${driver} storage driver`, { skip: !available[driver] }, () => {
+    let directory;
+    let db;
+
+    before(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), `connect-cli-${driver}-`));
+      db = new Database({
+        driver,
+        path: path.join(directory, "conversations.db"),
+        backupBeforeMigrate: false,
+      });
+      await db.initialize();
+    });
+
+    after(async () => {
+      await db.close();
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it("binds parameters and reports inserted rows the same way", async () => {
+      const { lastID, changes } = await db.db.run(
+        "INSERT INTO personas (name, prompt, model) VALUES (?, ?, ?)",
+        ["terse", "Be brief", undefined]
+      );
+
+      assert.strictEqual(changes, 1);
+      assert.strictEqual(typeof lastID, "number");
+      assert.strictEqual(
+        (await db.db.get("SELECT model FROM personas WHERE id = ?", [lastID])).model,
+        null
+      );
+      assert.strictEqual(
+        await db.db.get("SELECT * FROM personas WHERE name = ?", ["missing"]),
+        undefined
+      );
+    });
+
+    it("creates STRICT tables that reject mistyped values", async () => {
+      const tables = await db.db.all(
+        "SELECT name FROM pragma_table_list WHERE strict = 1 ORDER BY name"
+      );
+      assert.deepStrictEqual(
+        tables.map((t) => t.name),
+        [
+          "attachment_contents",
+          "attachments",
+          "code_runs",
+          "comparison_results",
+          "comparisons",
+          "conversations",
+          "drafts",
+          "exports",
+          "messages",
+          "personas",
+          "summaries",
+        ]
+      );
+
+      await assert.rejects(
+        db.db.run(
+          "INSERT INTO messages (conversation_id, role, content, token_count) VALUES (?, ?, ?, ?)",
+          [1, "user", "hi", "many"]
+        )
+      );
+    });
+
+    it("stores branches, pins and searchable messages", async () => {
+      const conversationId = await db.createConversation("Contract");
+      const question = await db.saveMessage({
+        conversationId,
+        role: "user",
+        content: "How should retries back off?",
+      });
+      await db.saveMessage({
+        conversationId,
+        role: "assistant",
+        content: "Exponentially.",
+        model: "gpt-4o",
+        tokenCount: 12,
+        cost: 0.001,
+      });
+      await db.setMessagePinned(question, true);
+
+      const branchId = await db.createBranch(conversationId, question, "Fork");
+      await db.saveMessage({ conversationId: branchId, role: "user", content: "Linearly?" });
+
+      const lineage = await db.getConversationLineage(branchId);
+      assert.deepStrictEqual(
+        lineage.map((m) => [m.content, Boolean(m.inherited), m.pinned]),
+        [
+          ["How should retries back off?", true, 1],
+          ["Linearly?", false, 0],
+        ]
+      );
+
+      const hits = await db.searchMessages(parseSearchQuery("retry"));
+      assert.deepStrictEqual(hits.map((h) => h.id), [question]);
+    });
+
+    it("branches from any message in a thread's lineage", async () => {
+      const rootId = await db.createConversation("Plan");
+      const first = await db.saveMessage({ conversationId: rootId, role: "user", content: "One" });
+      const reply = await db.saveMessage({
+        conversationId: rootId,
+        role: "assistant",
+        content: "Two",
+      });
+      await db.saveMessage({ conversationId: rootId, role: "user", content: "Three" });
+
+      const branchId = await db.createBranch(rootId, reply);
+      const branch = await db.getConversation(branchId);
+      assert.strictEqual(branch.title, "Plan (branch)");
+      assert.strictEqual(branch.parent_id, rootId);
+      const branchReply = await db.saveMessage({
+        conversationId: branchId,
+        role: "user",
+        content: "Four",
+      });
+
+      // A branch of a branch inherits from both, up to each fork
+      const nestedId = await db.createBranch(branchId, branchReply, "Nested");
+      await db.saveMessage({ conversationId: nestedId, role: "user", content: "Five" });
+      assert.deepStrictEqual(
+        (await db.getConversationLineage(nestedId)).map((m) => [
+          m.content,
+          Boolean(m.inherited),
+        ]),
+        [
+          ["One", true],
+          ["Two", true],
+          ["Four", true],
+          ["Five", false],
+        ]
+      );
+
+      // Regenerating the forked reply in the parent leaves the branch alone
+      await db.saveMessage({
+        conversationId: rootId,
+        role: "assistant",
+        content: "Deux",
+        parentId: first,
+      });
+      assert.deepStrictEqual(
+        (await db.getConversationLineage(rootId)).map((m) => m.content),
+        ["One", "Deux"]
+      );
+      assert.deepStrictEqual(
+        (await db.getConversationLineage(branchId)).map((m) => m.content),
+        ["One", "Two", "Four"]
+      );
+    });
+
+    it("refuses to branch from messages outside the thread", async () => {
+      const conversationId = await db.createConversation("Branch errors");
+      const other = await db.createConversation("Other");
+      const message = await db.saveMessage({
+        conversationId: other,
+        role: "user",
+        content: "Elsewhere",
+      });
+
+      await assert.rejects(
+        db.createBranch(conversationId, message),
+        new RegExp(`Message ${message} is not part of conversation ${conversationId}`)
+      );
+      await assert.rejects(db.createBranch(999999, message), /Conversation 999999 not found/);
+      assert.deepStrictEqual(await db.getConversationLineage(999999), []);
+    });
+
+    it("keeps edits and regenerations as alternatives", async () => {
+      const conversationId = await db.createConversation("Alternatives");
+      const question = await db.saveMessage({
+        conversationId,
+        role: "user",
+        content: "Name a color",
+      });
+      const red = await db.saveMessage({
+        conversationId,
+        role: "assistant",
+        content: "Red",
+      });
+      const blue = await db.saveMessage({
+        conversationId,
+        role: "assistant",
+        content: "Blue",
+        parentId: question,
+      });
+
+      const history = await db.getConversationHistory(conversationId);
+      assert.deepStrictEqual(
+        history.map((m) => [m.content, m.alternative_index, m.alternative_count]),
+        [
+          ["Name a color", 1, 1],
+          ["Blue", 2, 2],
+        ]
+      );
+
+      await db.activateMessage(red);
+      assert.deepStrictEqual(
+        (await db.getAlternatives(blue)).map((m) => [m.id, m.active]),
+        [
+          [red, 1],
+          [blue, 0],
+        ]
+      );
+      assert.deepStrictEqual(
+        (await db.getConversationHistory(conversationId)).map((m) => m.content),
+        ["Name a color", "Red"]
+      );
+    });
+
+    it("adds continuations to truncated replies", async () => {
+      const conversationId = await db.createConversation("Truncated");
+      const reply = await db.saveMessage({
+        conversationId,
+        role: "assistant",
+        content: "The first half",
+        tokenCount: 10,
+        cost: 0.002,
+        truncated: true,
+      });
+
+      await db.appendToMessage(reply, {
+        content: " and the rest.",
+        tokenCount: 5,
+        cost: 0.001,
+      });
+
+      const message = await db.getMessage(reply);
+      assert.strictEqual(message.content, "The first half and the rest.");
+      assert.strictEqual(message.token_count, 15);
+      assert.ok(Math.abs(message.cost - 0.003) < 1e-9);
+      assert.strictEqual(message.truncated, 0);
+    });
+
+    it("records comparisons with their answers and failures", async () => {
+      const conversationId = await db.createConversation("Compared");
+      const prompt = await db.saveMessage({
+        conversationId,
+        role: "user",
+        content: "Which is faster?",
+      });
+      const answer = await db.saveMessage({
+        conversationId,
+        role: "assistant",
+        content: "Neither",
+        model: "gpt-4o",
+        promptTokens: 12,
+        completionTokens: 3,
+        parentId: prompt,
+      });
+
+      const id = await db.saveComparison({
+        conversationId,
+        promptMessageId: prompt,
+        results: [
+          { provider: "openai", model: "gpt-4o", messageId: answer, latencyMs: 900 },
+          { provider: "anthropic", model: "claude", error: "Rate limited", latencyMs: 80 },
+        ],
+      });
+      await db.setComparisonWinner(id, answer);
+
+      const [comparison] = await db.getComparisons(conversationId);
+      assert.strictEqual(comparison.winner_message_id, answer);
+      assert.deepStrictEqual(
+        comparison.results.map((r) => [r.model, r.completion_tokens, r.error]),
+        [
+          ["gpt-4o", 3, null],
+          ["claude", null, "Rate limited"],
+        ]
+      );
+    });
+
+    it("stores attachments once per content hash", async () => {
+      const conversationId = await db.createConversation("Attached");
+      const first = await db.saveMessage({
+        conversationId,
+        role: "user",
+        content: "Review",
+      });
+      const second = await db.saveMessage({
+        conversationId,
+        role: "user",
+        content: "Again",
+      });
+      const file = { path: "src/a.js", hash: "abc", size: 4, content: "a();" };
+
+      await db.saveAttachments(first, [
+        file,
+        { ...file, path: "b.js", hash: "def" },
+      ]);
+      await db.saveAttachments(second, [file]);
+
+      const attachments = await db.getAttachments([first, second]);
+      assert.deepStrictEqual(
+        attachments.get(first).map((a) => [a.path, a.content]),
+        [
+          ["src/a.js", "a();"],
+          ["b.js", "a();"],
+        ]
+      );
+      assert.strictEqual(attachments.get(second)[0].hash, "abc");
+      const { count } = await db.db.get(
+        "SELECT COUNT(*) AS count FROM attachment_contents"
+      );
+      assert.strictEqual(count, 2);
+    });
+
+    it("keeps one draft per conversation and drops blank ones", async () => {
+      const conversationId = await db.createConversation("Drafted");
+      const before = await db.getConversation(conversationId);
+
+      await db.saveDraft(conversationId, "first line");
+      await db.saveDraft(conversationId, "first line\nsecond line");
+      assert.strictEqual(
+        await db.getDraft(conversationId),
+        "first line\nsecond line"
+      );
+      assert.strictEqual(
+        (await db.getConversation(conversationId)).updated_at,
+        before.updated_at
+      );
+
+      await db.saveDraft(conversationId, "  \n");
+      assert.strictEqual(await db.getDraft(conversationId), "");
+    });
+
+    it("logs code runs under the reply they came from", async () => {
+      const conversationId = await db.createConversation("Runs");
+      const reply = await db.saveMessage({
+        conversationId,
+        role: "assistant",
+        content: "```py\nprint(1)\n```",
+      });
+      await db.saveCodeRun({
+        conversationId,
+        messageId: reply,
+        language: "python",
+        code: "print(1)\n",
+        stdout: "1\n",
+        stderr: "",
+        exitCode: 0,
+        timedOut: false,
+        durationMs: 40,
+      });
+      await db.saveCodeRun({
+        conversationId,
+        messageId: reply,
+        language: "python",
+        code: "while True: pass\n",
+        stdout: "",
+        stderr: "",
+        exitCode: null,
+        timedOut: true,
+        durationMs: 10000,
+      });
+
+      const runs = (await db.getCodeRuns([reply])).get(reply);
+      assert.deepStrictEqual(
+        runs.map((run) => [run.stdout, run.exitCode, run.timedOut]),
+        [
+          ["1\n", 0, false],
+          ["", null, true],
+        ]
+      );
+    });
+
+    it("counts what tool-call rounds cost with the replies", async () => {
+      const conversationId = await db.createConversation("Tool costs");
+      await db.saveMessage({ conversationId, role: "user", content: "ls?" });
+      await db.saveMessage({
+        conversationId,
+        role: "tool_call",
+        content: "",
+        model: "gpt-4o",
+        promptTokens: 100,
+        completionTokens: 10,
+        cost: 0.002,
+        metadata: { toolCalls: [] },
+      });
+      await db.saveMessage({ conversationId, role: "tool", content: "a.js" });
+      await db.saveMessage({
+        conversationId,
+        role: "assistant",
+        content: "One file.",
+        model: "gpt-4o",
+        promptTokens: 120,
+        completionTokens: 5,
+        cost: 0.001,
+      });
+
+      const report = await db.getCostReport({ conversationId });
+      assert.deepStrictEqual(
+        [report.messages, report.prompt_tokens, report.completion_tokens],
+        [2, 220, 15]
+      );
+      assert.ok(Math.abs(report.cost - 0.003) < 1e-9);
+    });
+
+    it("counts what context summaries cost", async () => {
+      const conversationId = await db.createConversation("Summary costs");
+      const question = await db.saveMessage({
+        conversationId,
+        role: "user",
+        content: "Long story",
+      });
+      await db.saveSummary({
+        conversationId,
+        upToMessageId: question,
+        content: "A long story.",
+        provider: "openai",
+        model: "gpt-4o-mini",
+        promptTokens: 500,
+        completionTokens: 20,
+        cost: 0.0004,
+      });
+
+      const report = await db.getCostReport({ conversationId });
+      assert.deepStrictEqual(
+        [report.messages, report.prompt_tokens, report.cost],
+        [1, 500, 0.0004]
+      );
+      assert.strictEqual(report.byModel[0].model, "gpt-4o-mini");
+    });
+
+    it("reports costs by model and by day", async () => {
+      const conversationId = await db.createConversation("Model costs");
+      for (const [model, cost] of [
+        ["gpt-4o", 0.01],
+        ["gpt-4o-mini", 0.001],
+        ["gpt-4o", 0.02],
+        ["local-model", null],
+      ]) {
+        await db.saveMessage({
+          conversationId,
+          role: "assistant",
+          content: "Reply",
+          provider: "openai",
+          model,
+          promptTokens: 10,
+          completionTokens: 1,
+          cost,
+        });
+      }
+
+      const report = await db.getCostReport({ period: "today", conversationId });
+      assert.deepStrictEqual(
+        [report.messages, report.unpriced, report.prompt_tokens],
+        [4, 1, 40]
+      );
+      assert.ok(Math.abs(report.cost - 0.031) < 1e-9);
+      assert.deepStrictEqual(
+        report.byModel.map((row) => [row.model, row.messages]),
+        [
+          ["gpt-4o", 2],
+          ["gpt-4o-mini", 1],
+          ["local-model", 1],
+        ]
+      );
+      assert.strictEqual(report.byDay.length, 1);
+      assert.strictEqual(report.byDay[0].messages, 4);
+      await assert.rejects(db.getCostReport({ period: "decade" }), /Unknown cost period/);
+    });
+
+    it("rolls back failed transactions", async () => {
+      await assert.rejects(
+        db.transaction(async () => {
+          await db.createConversation("Discarded");
+          throw new Error("abort");
+        }),
+        /abort/
+      );
+
+      const row = await db.db.get(
+        "SELECT COUNT(*) as count FROM conversations WHERE title = ?",
+        ["Discarded"]
+      );
+      assert.strictEqual(row.count, 0);
+    });
+  });
+}
@@ -0,0 +1,92 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { StreamingMessage } from "../core/ui/StreamingMessage.js";
+
+// The parts of a blessed box the widget uses
+function fakeBox(lines = ["header"], scrollPerc = -1) {
+  return {
+    lines,
+    scrollPerc,
+    scrolledToEnd: false,
+    contentUpdates: 0,
+    getLines() {
+      return this.lines;
+    },
+    setContent(content) {
+      this.lines = content.split("\n");
+      this.contentUpdates++;
+    },
+    getScrollPerc() {
+      return this.scrollPerc;
+    },
+    setScrollPerc(percent) {
+      this.scrolledToEnd = percent === 100;
+    },
+  };
+}
+
+describe("StreamingMessage", () => {
+  it("appends deltas to the message's own lines, one render per frame", () => {
+    const box = fakeBox();
+    let renders = 0;
+    const message = new StreamingMessage(box, {
+      line: 1,
+      render: () => renders++,
+      frameMs: 1000,
+    });
+
+    message.append("Hel");
+    message.append("lo\nwor");
+    message.flush();
+    message.append("ld");
+    message.append("\n<b>");
+    message.flush();
+    message.stop();
+
+    assert.deepStrictEqual(box.lines, ["header", "Hello", "world", "<b>"]);
+    assert.strictEqual(renders, 2);
+    assert.strictEqual(box.contentUpdates, 2);
+    assert.ok(box.scrolledToEnd);
+  });
+
+  it("keeps the scroll position when the user scrolled up", () => {
+    const box = fakeBox(["header"], 40);
+    const message = new StreamingMessage(box, { line: 1, render: () => {} });
+
+    message.append("text");
+    message.flush();
+
+    assert.strictEqual(box.scrolledToEnd, false);
+  });
+
+  it("re-renders the whole reply and finishes in place", () => {
+    const box = fakeBox();
+    const message = new StreamingMessage(box, {
+      line: 1,
+      render: () => {},
+      format: (text) => text.toUpperCase(),
+    });
+
+    message.append("one\ntwo\nthree");
+    message.flush();
+    assert.deepStrictEqual(box.lines, ["header", "ONE", "TWO", "THREE"]);
+
+    message.finish("done");
+    assert.deepStrictEqual(box.lines, ["header", "DONE"]);
+    assert.strictEqual(message.timer, null);
+  });
+
+  it("continues a message already in the box", () => {
+    const box = fakeBox(["header", "cut off", "mid"]);
+    const message = new StreamingMessage(box, {
+      line: 1,
+      render: () => {},
+      content: "cut off\nmid",
+    });
+
+    message.append("dle");
+    message.flush();
+
+    assert.deepStrictEqual(box.lines, ["header", "cut off", "middle"]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { ThreadTree } from "../core/ui/ThreadTree.js";
+
+const conversations = [
+  { id: 2, title: "Second", parent_id: null, created_at: "2024-01-02" },
+  { id: 1, title: "First", parent_id: null, created_at: "2024-01-01" },
+  { id: 3, title: "Branch A", parent_id: 1, thread_path: "1", created_at: "2024-01-03" },
+  { id: 4, title: "Branch B", parent_id: 1, thread_path: "1", created_at: "2024-01-04" },
+  { id: 5, title: "Nested", parent_id: 3, thread_path: "1.3", created_at: "2024-01-05" },
+];
+
+const ids = (rows) => rows.map((row) => row.conversation.id);
+
+describe("ThreadTree", () => {
+  it("renders branches beneath their parent in creation order", () => {
+    const rows = new ThreadTree().build(conversations).visible();
+
+    assert.deepStrictEqual(ids(rows), [2, 1, 3, 5, 4]);
+    assert.deepStrictEqual(
+      rows.map((row) => row.depth),
+      [0, 0, 1, 2, 1]
+    );
+    assert.strictEqual(rows[2].prefix, "├─");
+    assert.strictEqual(rows[3].prefix, "│ └─");
+    assert.strictEqual(rows[4].prefix, "└─");
+  });
+
+  it("hides the children of folded nodes", () => {
+    const tree = new ThreadTree().build(conversations);
+
+    tree.close(1);
+    assert.deepStrictEqual(ids(tree.visible()), [2, 1]);
+
+    tree.toggle(1);
+    tree.closeAll();
+    assert.deepStrictEqual(ids(tree.visible()), [2, 1]);
+
+    tree.openAll();
+    assert.deepStrictEqual(ids(tree.visible()), [2, 1, 3, 5, 4]);
+  });
+
+  it("ignores folds on leaves and reveals nested branches", () => {
+    const tree = new ThreadTree().build(conversations);
+
+    tree.close(2);
+    assert.strictEqual(tree.collapsed.has(2), false);
+
+    tree.closeAll();
+    tree.reveal(5);
+    assert.deepStrictEqual(ids(tree.visible()), [2, 1, 3, 5, 4]);
+  });
+});
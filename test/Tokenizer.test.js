@@ -0,0 +1,50 @@
+import { describe, it } from "node:test";
+import assert from "node:assert";
+import { Tokenizer } from "../utils/Tokenizer.js";
+
+describe("Tokenizer", () => {
+  const tokenizer = new Tokenizer();
+
+  it("picks an encoding per model family", () => {
+    assert.strictEqual(tokenizer.encodingFor("gpt-4o-mini"), "o200k_base");
+    assert.strictEqual(tokenizer.encodingFor("openai/gpt-4o"), "o200k_base");
+    assert.strictEqual(tokenizer.encodingFor("gpt-4-turbo"), "cl100k_base");
+    assert.strictEqual(tokenizer.encodingFor("claude-3-5-sonnet"), "cl100k_base");
+    assert.strictEqual(tokenizer.encodingFor(), "cl100k_base");
+  });
+
+  it("counts tokens", async () => {
+    assert.strictEqual(await tokenizer.count("hello world", "gpt-4"), 2);
+    assert.strictEqual(await tokenizer.count("", "gpt-4"), 0);
+    assert.strictEqual(await tokenizer.count(null, "gpt-4"), 0);
+    // Special tokens in text are not treated as control tokens
+    assert.ok((await tokenizer.count("<|endoftext|>", "gpt-4")) > 1);
+  });
+
+  it("counts chat formatting overhead for messages", async () => {
+    const messages = [
+      { role: "system", content: "hello world" },
+      { role: "user", content: "" },
+    ];
+    // 3 to prime the reply, then 3 per message plus role and content
+    assert.strictEqual(await tokenizer.countMessages(messages, "gpt-4"), 3 + 6 + 4);
+    assert.strictEqual(await tokenizer.countMessages([], "gpt-4"), 3);
+  });
+
+  it("estimates from length when an encoding can't be loaded", async () => {
+    const offline = new Tokenizer();
+    let loads = 0;
+    offline.loadRanks = async () => {
+      loads++;
+      throw new Error("Cannot find module");
+    };
+
+    assert.strictEqual(await offline.count("a".repeat(10), "gpt-4"), 3);
+    assert.strictEqual(
+      await offline.countMessages([{ role: "user", content: "abcdefgh" }], "gpt-4"),
+      3 + 3 + 1 + 2
+    );
+    // The failure is remembered rather than retried on every count
+    assert.strictEqual(loads, 1);
+  });
+});
@@ -0,0 +1,213 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { ToolRegistry } from "../core/tools/ToolRegistry.js";
+import {
+  builtinTools,
+  splitCommand,
+  isAllowedCommand,
+} from "../core/tools/builtinTools.js";
+import {
+  replayToolMessages,
+  pairToolMessages,
+  flattenToolMessages,
+} from "../core/tools/toolMessages.js";
+import { FileAttachments } from "../core/attachments/FileAttachments.js";
+
+describe("ToolRegistry", () => {
+  const registry = new ToolRegistry({ maxOutputChars: 10 });
+  let ran = 0;
+  registry.register({
+    name: "echo",
+    parameters: { type: "object", properties: { text: { type: "string" } } },
+    run: ({ text }) => text,
+  });
+  registry.register({
+    name: "touch",
+    sideEffects: true,
+    run: () => {
+      ran++;
+      return "done";
+    },
+  });
+
+  it("describes its tools to the model", () => {
+    assert.deepStrictEqual(registry.definitions()[0], {
+      name: "echo",
+      description: "",
+      parameters: { type: "object", properties: { text: { type: "string" } } },
+    });
+  });
+
+  it("reports bad calls as results rather than throwing", async () => {
+    assert.ok((await registry.run({ name: "nope", arguments: {} })).isError);
+    assert.match(
+      (await registry.run({ name: "echo", arguments: "{broken" })).content,
+      /JSON object/
+    );
+
+    const long = await registry.run({
+      name: "echo",
+      arguments: { text: "x".repeat(25) },
+    });
+    assert.strictEqual(long.content, `${"x".repeat(10)}\n[… 15 more characters]`);
+  });
+
+  it("runs tools with side effects only once confirmed", async () => {
+    const declined = await registry.run(
+      { name: "touch", arguments: {} },
+      { confirm: async () => false }
+    );
+    assert.ok(declined.declined);
+    assert.strictEqual(ran, 0);
+
+    const result = await registry.run(
+      { name: "touch", arguments: {} },
+      { confirm: async () => true }
+    );
+    assert.deepStrictEqual(result, { content: "done", isError: false });
+    assert.strictEqual(ran, 1);
+  });
+});
+
+describe("built-in tools", () => {
+  let root;
+  let tools;
+  const run = (name, args) => tools.find((tool) => tool.name === name).run(args);
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), "connect-cli-tools-"));
+    await fs.mkdir(path.join(root, "src"));
+    await fs.writeFile(path.join(root, ".gitignore"), ".env\n");
+    await fs.writeFile(path.join(root, ".env"), "SECRET=1\n");
+    await fs.writeFile(
+      path.join(root, "src", "a.js"),
+      "one();\ntwo();\nthree();\n"
+    );
+    await fs.symlink(os.tmpdir(), path.join(root, "tmp"));
+    tools = builtinTools({
+      files: new FileAttachments({}, root),
+      db: null,
+      config: { commands: ["ls", "pwd", "git status", "git diff"] },
+    });
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it("reads files and line ranges under the root only", async () => {
+    assert.strictEqual(
+      await run("read_file", { path: "src/a.js" }),
+      "one();\ntwo();\nthree();\n"
+    );
+    assert.strictEqual(
+      await run("read_file", { path: "src/a.js", start_line: 2, end_line: 3 }),
+      "2: two();\n3: three();"
+    );
+    await assert.rejects(run("read_file", { path: "../outside" }), /outside/);
+    await assert.rejects(run("read_file", { path: ".env" }), /\.gitignore/);
+    await assert.rejects(run("list_directory", { path: "tmp" }), /links outside/);
+  });
+
+  it("lists directories and greps without ignored files", async () => {
+    assert.strictEqual(
+      await run("list_directory", {}),
+      ".gitignore\nsrc/\ntmp"
+    );
+    assert.strictEqual(
+      await run("grep", { pattern: "t[wh]" }),
+      "src/a.js:2: two();\nsrc/a.js:3: three();"
+    );
+    assert.strictEqual(await run("grep", { pattern: "SECRET" }), "No matches");
+  });
+
+  it("runs allowed commands without a shell", async () => {
+    assert.deepStrictEqual(splitCommand(`git log --format="%h %s" 'a b'`), [
+      "git",
+      "log",
+      "--format=%h %s",
+      "a b",
+    ]);
+    assert.ok(isAllowedCommand(["git", "status", "-s"], ["git status"]));
+    assert.ok(!isAllowedCommand(["git", "push"], ["git status"]));
+
+    assert.strictEqual(
+      await run("run_command", { command: "pwd" }),
+      await fs.realpath(root)
+    );
+    await assert.rejects(
+      run("run_command", { command: "rm -rf src" }),
+      /not an allowed command/
+    );
+  });
+
+  it("refuses arguments that write files or leave the root", async () => {
+    for (const [command, error] of [
+      ["git diff --output=../written", /--output is not allowed/],
+      ["git status -ofile", /-o is not allowed/],
+      ["ls ..", /outside/],
+      ["ls /etc", /outside/],
+      ["ls tmp/", /outside/],
+      ["git diff --no-index --relative=/etc src", /outside/],
+    ]) {
+      await assert.rejects(run("run_command", { command }), error);
+    }
+    assert.strictEqual(await run("run_command", { command: "ls src" }), "a.js");
+  });
+});
+
+describe("tool messages", () => {
+  const stored = [
+    { id: 1, role: "user", content: "What is in a.js?" },
+    {
+      id: 2,
+      role: "tool_call",
+      content: "Let me look.",
+      metadata: JSON.stringify({
+        toolCalls: [
+          { id: "c1", name: "read_file", arguments: { path: "a.js" } },
+          { id: "c2", name: "grep", arguments: { pattern: "x" } },
+        ],
+      }),
+    },
+    {
+      id: 3,
+      role: "tool",
+      content: "one();",
+      metadata: JSON.stringify({ toolCallId: "c1", name: "read_file" }),
+    },
+  ];
+
+  it("replays stored calls and results for providers", () => {
+    const replayed = replayToolMessages(stored);
+    assert.strictEqual(replayed[1].role, "assistant");
+    assert.strictEqual(replayed[1].toolCalls.length, 2);
+    assert.strictEqual(replayed[2].toolCallId, "c1");
+    assert.strictEqual(replayed[2].isError, false);
+  });
+
+  it("drops calls without results and results without calls", () => {
+    const replayed = replayToolMessages(stored);
+    const paired = pairToolMessages(replayed);
+    assert.deepStrictEqual(paired[1].toolCalls.map((call) => call.id), ["c1"]);
+
+    // Trimming took the call away but left its result
+    const orphaned = pairToolMessages([replayed[0], replayed[2]]);
+    assert.deepStrictEqual(orphaned, [replayed[0]]);
+  });
+
+  it("writes calls out as text for requests without tools", () => {
+    const flat = flattenToolMessages(replayToolMessages(stored));
+    assert.strictEqual(
+      flat[1].content,
+      'Let me look.\n[Called read_file {"path":"a.js"}]\n[Called grep {"pattern":"x"}]'
+    );
+    assert.deepStrictEqual(
+      [flat[2].role, flat[2].content],
+      ["user", "[Result of read_file]\none();"]
+    );
+  });
+});
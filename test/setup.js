@@ -1,8 +1,12 @@
 import path from "path";
 import fs from "fs/promises";
-import { Database } from "node:sqlite";
+import { fileURLToPath } from "url";
+import { DatabaseSync } from "node:sqlite";
 import { logger } from "../utils/Logger.js";
 import { DEFAULT_PATHS } from "../utils/paths.js";
+import { MigrationRunner } from "../core/storage/MigrationRunner.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 class TestEnvironment {
   constructor() {
@@ -16,12 +20,14 @@ class TestEnvironment {
       await this.cleanup();
 
       // Create test database
-      this.db = new Database(this.testDbPath, {
+      this.db = new DatabaseSync(this.testDbPath, {
         enableForeignKeyConstraints: true,
       });
 
-      // Initialize schema (copied from Database.js)
-      await this.initializeSchema();
+      // Same migrations as the application database
+      await new MigrationRunner(MigrationRunner.forSync(this.db), {
+        backup: false,
+      }).migrate();
 
       // Set up test data
       await this.seedTestData();
@@ -49,44 +55,6 @@ class TestEnvironment {
     }
   }
 
-  async initializeSchema() {
-    this.db.exec(`
-      -- Conversations table
-      CREATE TABLE IF NOT EXISTS conversations (
-        id INTEGER PRIMARY KEY,
-        title TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        parent_id INTEGER,
-        thread_path TEXT,
-        metadata TEXT,
-        FOREIGN KEY(parent_id) REFERENCES conversations(id)
-      ) STRICT;
-
-      -- Messages table
-      CREATE TABLE IF NOT EXISTS messages (
-        id INTEGER PRIMARY KEY,
-        conversation_id INTEGER NOT NULL,
-        role TEXT NOT NULL,
-        content TEXT NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        token_count INTEGER,
-        model TEXT,
-        metadata TEXT,
-        FOREIGN KEY(conversation_id) REFERENCES conversations(id)
-      ) STRICT;
-
-      -- Triggers for updated_at
-      CREATE TRIGGER IF NOT EXISTS conversations_update_trigger
-      AFTER UPDATE ON conversations
-      BEGIN
-        UPDATE conversations 
-        SET updated_at = CURRENT_TIMESTAMP 
-        WHERE id = NEW.id;
-      END;
-    `);
-  }
-
   async seedTestData() {
     // Create some test conversations
     const conv1 = this.db
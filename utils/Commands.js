@@ -1,5 +1,7 @@
 import { EventEmitter } from "events";
 import { logger } from "./Logger.js";
+import { formatCost } from "./Pricing.js";
+import { FORMATS } from "../core/archive/formats.js";
 
 // Command metadata for help and autocompletion
 const COMMANDS = {
@@ -11,26 +13,96 @@ const COMMANDS = {
   },
   write: {
     aliases: ["w", "save"],
-    description: "Save current conversation",
-    usage: ":write [filename]",
+    description: "Export this conversation and its branches (.md, .json or .jsonl)",
+    usage: ":write [filename] [--format markdown|json|jsonl]",
+    args: ["filename"],
+    category: "conversation",
+  },
+  import: {
+    aliases: [],
+    description: "Import conversations from a JSON, JSONL or ChatGPT export",
+    usage: ":import <filename>",
+    args: ["filename"],
     category: "conversation",
   },
   model: {
     aliases: ["m"],
-    description: "Switch AI model",
-    usage: ":model <model-name>",
+    description: "Switch this conversation's model, or pick one from a list",
+    usage: ":model [name]",
     args: ["model-name"],
     category: "ai",
     completion: {
-      model: [
-        "openai/gpt-3.5-turbo",
-        "openai/gpt-4",
-        "anthropic/claude-2",
-        "google/palm-2",
-        "meta-llama/llama-2-70b-chat",
+      // Completed from the model catalog
+      "model-name": (controller) => [
+        ...new Set(controller.ai.catalog.models().map((model) => model.id)),
       ],
     },
   },
+  models: {
+    aliases: [],
+    description: "Browse the model catalog, or refetch it from the providers",
+    usage: ":models [filter|refresh]",
+    args: ["filter"],
+    category: "ai",
+    subcommands: {
+      refresh: { description: "Refetch every provider's model list" },
+    },
+  },
+  compare: {
+    aliases: [],
+    description: "Send each message to several models side by side",
+    usage: ":compare <model> <model> [...]|off|results",
+    category: "ai",
+    subcommands: {
+      off: { description: "Leave compare mode" },
+      results: { description: "Show this thread's comparisons" },
+    },
+  },
+  provider: {
+    aliases: ["p"],
+    description: "Switch AI provider for this conversation",
+    usage: ":provider [name] [model]",
+    args: ["name", "model"],
+    category: "ai",
+  },
+  persona: {
+    aliases: [],
+    description: "Attach a persona (system prompt) to this conversation",
+    usage: ":persona [name|none|list|add|rm]",
+    category: "ai",
+    subcommands: {
+      list: { description: "List saved personas" },
+      add: {
+        description:
+          "Save a persona: add <name> [--model m] [--temperature t] <prompt>",
+        args: ["name", "prompt"],
+      },
+      rm: { description: "Delete a persona", args: ["name"] },
+      none: { description: "Send this conversation without a persona" },
+    },
+  },
+  pin: {
+    aliases: [],
+    description: "Pin or unpin the focused message so it is never trimmed",
+    usage: ":pin",
+    category: "conversation",
+  },
+  cost: {
+    aliases: [],
+    description: "Show spend for today, this thread or this month",
+    usage: ":cost [today|thread|month]",
+    args: ["period"],
+    category: "ai",
+    completion: {
+      period: ["today", "thread", "month"],
+    },
+  },
+  exports: {
+    aliases: [],
+    description: "Review files exported by the model: preview, diff, approve or reject",
+    usage: ":exports",
+    category: "conversation",
+  },
   thread: {
     aliases: ["t"],
     description: "Switch or manage threads",
@@ -42,13 +114,94 @@ const COMMANDS = {
       delete: { description: "Delete thread", args: ["thread-id"] },
     },
   },
+  edit: {
+    aliases: [],
+    description: "Compose the message in $EDITOR (also Ctrl-x Ctrl-e)",
+    usage: ":edit",
+    category: "conversation",
+  },
+  attach: {
+    aliases: ["a"],
+    description: "Attach files, images, PDFs, directories or globs to the next message (or @mention them)",
+    usage: ":attach <path|glob> [...]|list|rm <n|path>|clear",
+    args: ["path"],
+    category: "conversation",
+    subcommands: {
+      list: { description: "List the files going with the next message" },
+      rm: { description: "Remove an attachment", args: ["n"] },
+      clear: { description: "Remove every attachment" },
+    },
+  },
+  tools: {
+    aliases: [],
+    description: "List the tools the model may call, or turn tool calling on or off",
+    usage: ":tools [list|on|off]",
+    category: "ai",
+    subcommands: {
+      list: { description: "List the tools and whether they ask first" },
+      on: { description: "Offer the tools to the model" },
+      off: { description: "Send messages without tools" },
+    },
+  },
+  run: {
+    aliases: [],
+    description: "Run a code block of the focused or last reply in a sandbox, or send the output to the model",
+    usage: ":run [n|send]",
+    category: "conversation",
+    subcommands: {
+      send: { description: "Send the latest run's output as your next message" },
+    },
+  },
+  editmsg: {
+    aliases: [],
+    description: "Edit the focused message and resend it; the original is kept",
+    usage: ":editmsg",
+    category: "conversation",
+  },
+  regenerate: {
+    aliases: ["regen"],
+    description: "Regenerate the last reply, optionally with another model or temperature",
+    usage: ":regenerate [model] [--temperature t]",
+    args: ["model"],
+    category: "ai",
+  },
+  continue: {
+    aliases: [],
+    description: "Resume the last reply after it was stopped",
+    usage: ":continue",
+    category: "ai",
+  },
+  branch: {
+    aliases: ["b"],
+    description: "Fork the conversation at the focused message",
+    usage: ":branch [title]",
+    args: ["title"],
+    category: "conversation",
+  },
   search: {
     aliases: ["s"],
-    description: "Search conversations",
-    usage: ":search <query>",
+    description: "Search messages; filters: model:, role:, before:, after:",
+    usage: ":search <terms> [model:m] [role:r] [before:YYYY-MM-DD] [after:YYYY-MM-DD]",
     args: ["query"],
     category: "conversation",
   },
+  nohlsearch: {
+    aliases: ["noh"],
+    description: "Clear search highlighting",
+    usage: ":nohlsearch",
+    category: "conversation",
+  },
+  plugin: {
+    aliases: [],
+    description: "List, enable or disable plugins",
+    usage: ":plugin [list|enable|disable] [name]",
+    category: "application",
+    subcommands: {
+      list: { description: "List plugins and their status" },
+      enable: { description: "Enable a plugin", args: ["name"] },
+      disable: { description: "Disable a plugin", args: ["name"] },
+    },
+  },
   help: {
     aliases: ["h"],
     description: "Show help information",
@@ -67,12 +220,52 @@ const COMMANDS = {
   },
 };
 
+// Words that cannot be used as persona names
+const PERSONA_SUBCOMMANDS = ["list", "add", "rm", "none"];
+
 class CommandHandler extends EventEmitter {
   constructor(controller) {
     super();
     this.controller = controller;
     this.commandHistory = [];
     this.maxHistory = 100;
+    this.customCommands = new Map();
+  }
+
+  // Commands contributed by plugins. `spec` carries the same metadata as
+  // COMMANDS plus a `handler(args, controller)` function.
+  registerCommand(name, spec) {
+    if (COMMANDS[name] || this.findCommand(name)) {
+      throw new Error(`Command already exists: ${name}`);
+    }
+    if (typeof spec?.handler !== "function") {
+      throw new Error(`Command ${name} must have a handler`);
+    }
+
+    this.customCommands.set(name, {
+      aliases: [],
+      description: "",
+      usage: `:${name}`,
+      category: "plugin",
+      ...spec,
+    });
+  }
+
+  unregisterCommand(name) {
+    this.customCommands.delete(name);
+  }
+
+  findCommand(name) {
+    for (const [commandName, spec] of this.customCommands) {
+      if (commandName === name || spec.aliases.includes(name)) {
+        return spec;
+      }
+    }
+    return null;
+  }
+
+  getCommands() {
+    return { ...COMMANDS, ...Object.fromEntries(this.customCommands) };
   }
 
   async execute(cmdString) {
@@ -99,7 +292,11 @@ class CommandHandler extends EventEmitter {
         case "write":
         case "w":
         case "save":
-          await this.handleSave(args[0]);
+          await this.handleSave(args);
+          break;
+
+        case "import":
+          await this.handleImport(args.join(" "));
           break;
 
         case "model":
@@ -107,16 +304,85 @@ class CommandHandler extends EventEmitter {
           await this.handleModelChange(args[0]);
           break;
 
+        case "models":
+          await this.handleModels(args);
+          break;
+
+        case "compare":
+          await this.handleCompare(args);
+          break;
+
+        case "provider":
+        case "p":
+          await this.handleProviderChange(args[0], args[1]);
+          break;
+
+        case "persona":
+          await this.handlePersona(args);
+          break;
+
+        case "pin":
+          await this.controller.togglePin();
+          break;
+
+        case "cost":
+          await this.handleCost(args[0]);
+          break;
+
+        case "exports":
+          await this.controller.openExportsPanel();
+          break;
+
         case "thread":
         case "t":
           await this.handleThreadCommand(subcommand, args);
           break;
 
+        case "edit":
+          await this.controller.screen.composeInEditor();
+          break;
+
+        case "attach":
+        case "a":
+          await this.handleAttach(args);
+          break;
+
+        case "tools":
+          this.handleTools(subcommand);
+          break;
+
+        case "run":
+          await this.handleRun(subcommand);
+          break;
+
+        case "editmsg":
+          await this.controller.editMessage();
+          break;
+
+        case "regenerate":
+        case "regen":
+          await this.handleRegenerate(args);
+          break;
+
+        case "continue":
+          await this.controller.continueReply();
+          break;
+
+        case "branch":
+        case "b":
+          await this.controller.branchConversation(args.join(" ") || null);
+          break;
+
         case "search":
         case "s":
           await this.handleSearch(args.join(" "));
           break;
 
+        case "nohlsearch":
+        case "noh":
+          await this.controller.clearSearch();
+          break;
+
         case "help":
         case "h":
           this.showHelp(args[0]);
@@ -126,8 +392,17 @@ class CommandHandler extends EventEmitter {
           await this.handleSet(args[0], args[1]);
           break;
 
-        default:
-          throw new Error(`Unknown command: ${command}`);
+        case "plugin":
+          await this.handlePluginCommand(subcommand, args[1]);
+          break;
+
+        default: {
+          const custom = this.findCommand(command);
+          if (!custom) {
+            throw new Error(`Unknown command: ${command}`);
+          }
+          await custom.handler(args, this.controller);
+        }
       }
 
       logger.info("Command executed successfully:", cmdString);
@@ -149,37 +424,319 @@ class CommandHandler extends EventEmitter {
     };
   }
 
-  async handleSave(filename) {
-    if (!this.controller.currentConversationId) {
+  async handleSave(args) {
+    const conversationId = this.controller.currentConversationId;
+    if (!conversationId) {
       throw new Error("No active conversation to save");
     }
 
-    await this.controller.db.exportConversation(
-      this.controller.currentConversationId,
-      filename
-    );
+    let format = null;
+    const words = [];
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--format") {
+        format = args[++i];
+        if (!FORMATS.includes(format)) {
+          throw new Error(`Format must be one of: ${FORMATS.join(", ")}`);
+        }
+      } else {
+        words.push(args[i]);
+      }
+    }
 
-    this.controller.screen.showMessage("Conversation saved successfully");
+    const extension = { json: "json", jsonl: "jsonl" }[format] || "md";
+    const filename = words.join(" ") || `conversation-${conversationId}.${extension}`;
+    const result = await this.controller.archive.write(conversationId, filename, {
+      format,
+    });
+
+    this.controller.screen.showMessage(`Saved ${result.format} to ${result.path}`);
+  }
+
+  async handleImport(filename) {
+    if (!filename) {
+      throw new Error("Usage: :import <filename>");
+    }
+    await this.controller.importConversations(filename);
+  }
+
+  async handleRegenerate(args) {
+    const overrides = {};
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "--temperature") {
+        overrides.temperature = parseFloat(args[++i]);
+        if (
+          isNaN(overrides.temperature) ||
+          overrides.temperature < 0 ||
+          overrides.temperature > 2
+        ) {
+          throw new Error("Temperature must be between 0 and 2");
+        }
+      } else if (!overrides.model) {
+        overrides.model = args[i];
+      } else {
+        throw new Error("Usage: :regenerate [model] [--temperature t]");
+      }
+    }
+    await this.controller.regenerate(overrides);
   }
 
   async handleModelChange(modelName) {
     if (!modelName) {
-      throw new Error("Model name required");
+      await this.controller.openModelPicker();
+      return;
+    }
+
+    const model = await this.controller.setConversationModel(modelName);
+    this.controller.screen.showMessage(`Switched to model: ${model}`);
+  }
+
+  async handleModels(args) {
+    if (args[0] === "refresh") {
+      const { catalog } = this.controller.ai;
+      const failed = await catalog.refresh({ force: true });
+      const count = catalog.models().length;
+      if (failed.length) {
+        this.controller.screen.showError(
+          `Could not fetch models from ${failed.join(", ")} (${count} cached)`
+        );
+      } else {
+        this.controller.screen.showMessage(`Fetched ${count} models`);
+      }
+      return;
     }
 
-    // Validate model name
-    const availableModels = this.controller.ai.getAvailableModels();
-    if (!availableModels.includes(modelName)) {
-      throw new Error(
-        `Invalid model: ${modelName}. Available models: ${availableModels.join(
-          ", "
-        )}`
+    await this.controller.openModelPicker(args.join(" "));
+  }
+
+  async handleCompare(args) {
+    const { screen } = this.controller;
+
+    if (args.length === 0) {
+      const models = this.controller.compareModels;
+      screen.showMessage(
+        models
+          ? `Comparing ${models.map((m) => `${m.provider}:${m.model}`).join(", ")} · :compare off to stop`
+          : "Usage: :compare <model> <model> [...]"
       );
+      return;
+    }
+
+    if (args[0] === "off") {
+      await this.controller.setCompareModels([]);
+      screen.showMessage("Compare mode off");
+      return;
+    }
+
+    if (args[0] === "results") {
+      await this.showComparisons();
+      return;
+    }
+
+    const models = await this.controller.setCompareModels(args);
+    screen.showMessage(
+      `Comparing ${models.map((m) => `${m.provider}:${m.model}`).join(", ")}`
+    );
+  }
+
+  async handleAttach(args) {
+    const { controller } = this;
+
+    switch (args[0]) {
+      case undefined:
+      case "list": {
+        const files = controller.pendingAttachments;
+        controller.screen.showMessage(
+          files.length
+            ? `Attached: ${files.map((file) => file.path).join(", ")}`
+            : "No attachments · :attach <path|glob> or @path in a message"
+        );
+        break;
+      }
+
+      case "rm":
+        if (!args[1]) {
+          throw new Error("Usage: :attach rm <n|path>");
+        }
+        controller.detachFile(args[1]);
+        break;
+
+      case "clear":
+        controller.clearAttachments();
+        controller.screen.showMessage("Attachments cleared");
+        break;
+
+      default:
+        await controller.attachFiles(args);
+    }
+  }
+
+  async showComparisons() {
+    const { currentConversationId, db } = this.controller;
+    if (!currentConversationId) {
+      throw new Error("No active conversation");
+    }
+
+    const comparisons = await db.getComparisons(currentConversationId);
+    const blocks = comparisons.map((comparison) => {
+      const rows = comparison.results.map((result) => {
+        const name = `${result.provider || "?"}:${result.model || "?"}`;
+        const marker =
+          result.message_id && result.message_id === comparison.winner_message_id
+            ? "★"
+            : " ";
+        const outcome = result.error
+          ? `failed: ${result.error}`
+          : `${result.prompt_tokens ?? "?"} in / ${result.completion_tokens ?? "?"} out · ${formatCost(result.cost)}${result.truncated ? " · truncated" : ""}`;
+        const latency = `${((result.latency_ms ?? 0) / 1000).toFixed(1)}s`;
+        return `║  ${marker} ${name.padEnd(40)} ${latency.padStart(6)}  ${outcome}`;
+      });
+      return `║ ${comparison.created_at}\n${rows.join("\n")}`;
+    });
+
+    this.controller.screen.showHelp(`
+╔════ Comparisons ═════════════════════════════════════
+║
+${blocks.join("\n║\n") || "║ (none)"}
+║
+║ ★ picked answer
+╚══════════════════════════════════════════════════════`);
+  }
+
+  async handleProviderChange(name, model) {
+    if (!name) {
+      const providers = this.controller.ai.listProviders();
+      this.controller.screen.showMessage(`Providers: ${providers.join(", ")}`);
+      return;
+    }
+
+    await this.controller.setConversationProvider(name, model || null);
+    this.controller.screen.showMessage(
+      `Switched to provider: ${name}${model ? ` (${model})` : ""}`
+    );
+  }
+
+  async handlePersona(args) {
+    const { db, screen } = this.controller;
+    const [subcommand, name, ...rest] = args;
+
+    switch (subcommand) {
+      case undefined:
+      case "list": {
+        const personas = await db.listPersonas();
+        const { persona: current } =
+          await this.controller.getConversationSettings();
+
+        screen.showHelp(`
+╔════ Personas ════════════════════════════════════════
+║
+${
+  personas.length
+    ? personas
+        .map(
+          (p) =>
+            `║ ${p.name === current?.name ? "►" : " "} ${p.name.padEnd(16)} ${[
+              p.model,
+              p.temperature !== null && `t=${p.temperature}`,
+            ]
+              .filter(Boolean)
+              .join(" ")}\n║     ${p.prompt.slice(0, 60)}${p.prompt.length > 60 ? "…" : ""}`
+        )
+        .join("\n")
+    : "║ No personas yet"
+}
+║
+║ :persona add <name> [--model m] [--temperature t] <prompt>
+╚══════════════════════════════════════════════════════`);
+        break;
+      }
+
+      case "add": {
+        if (!name || PERSONA_SUBCOMMANDS.includes(name)) {
+          throw new Error("Usage: :persona add <name> [--model m] [--temperature t] <prompt>");
+        }
+
+        const options = {};
+        const words = [];
+        for (let i = 0; i < rest.length; i++) {
+          if (rest[i] === "--model") {
+            options.model = rest[++i];
+          } else if (rest[i] === "--temperature") {
+            options.temperature = parseFloat(rest[++i]);
+            if (
+              isNaN(options.temperature) ||
+              options.temperature < 0 ||
+              options.temperature > 2
+            ) {
+              throw new Error("Temperature must be between 0 and 2");
+            }
+          } else {
+            words.push(rest[i]);
+          }
+        }
+        if (words.length === 0) {
+          throw new Error("Persona prompt required");
+        }
+
+        await db.savePersona({ name, prompt: words.join(" "), ...options });
+        screen.showMessage(`Saved persona: ${name}`);
+        break;
+      }
+
+      case "rm":
+        if (!name) {
+          throw new Error("Persona name required");
+        }
+        if (!(await db.deletePersona(name))) {
+          throw new Error(`Unknown persona: ${name}`);
+        }
+        screen.showMessage(`Deleted persona: ${name}`);
+        break;
+
+      case "none":
+        await this.controller.setConversationPersona(null);
+        screen.showMessage("Persona removed from this conversation");
+        break;
+
+      default:
+        await this.controller.setConversationPersona(subcommand);
+        screen.showMessage(`Using persona: ${subcommand}`);
+    }
+  }
+
+  async handleCost(period = "today") {
+    const filters = {
+      today: { period: "today" },
+      month: { period: "month" },
+      thread: { conversationId: this.controller.currentConversationId },
+    };
+    if (!filters[period]) {
+      throw new Error("Cost period must be one of: today, thread, month");
+    }
+    if (period === "thread" && !this.controller.currentConversationId) {
+      throw new Error("No active conversation");
     }
 
-    this.controller.ai.setModel(modelName);
-    this.controller.screen.updateStatus({ model: modelName });
-    this.controller.screen.showMessage(`Switched to model: ${modelName}`);
+    const report = await this.controller.db.getCostReport(filters[period]);
+    const models = report.byModel.map(
+      (row) =>
+        `║   ${formatCost(row.cost).padEnd(10)} ${`${row.provider || "?"}:${row.model || "?"}`.padEnd(40)} ${row.prompt_tokens} in / ${row.completion_tokens} out`
+    );
+    const days = report.byDay.map(
+      (row) => `║   ${row.day}  ${formatCost(row.cost).padEnd(10)} ${row.messages} replies`
+    );
+
+    this.controller.screen.showHelp(`
+╔════ Cost: ${period} ═════════════════════════════════
+║
+║ Total: ${formatCost(report.cost)} over ${report.messages} replies
+║ Tokens: ${report.prompt_tokens} in / ${report.completion_tokens} out
+${report.unpriced ? `║ ${report.unpriced} replies have no price configured\n` : ""}║
+║ By model:
+${models.join("\n") || "║   (none)"}
+║
+║ By day:
+${days.join("\n") || "║   (none)"}
+╚══════════════════════════════════════════════════════`);
   }
 
   async handleThreadCommand(subcommand, args) {
@@ -218,8 +775,7 @@ class CommandHandler extends EventEmitter {
       throw new Error("Search query required");
     }
 
-    const results = await this.controller.db.searchConversations(query);
-    this.controller.screen.showSearchResults(results);
+    await this.controller.search(query);
   }
 
   async handleSet(option, value) {
@@ -258,9 +814,101 @@ class CommandHandler extends EventEmitter {
     this.controller.screen.showMessage(`Set ${option} to ${value}`);
   }
 
+  async handleRun(target) {
+    if (target === "send") {
+      await this.controller.sendCodeRun();
+    } else if (target === undefined) {
+      await this.controller.runCode();
+    } else if (/^\d+$/.test(target)) {
+      await this.controller.runCode(Number(target));
+    } else {
+      throw new Error(`Unknown run subcommand: ${target}`);
+    }
+  }
+
+  handleTools(subcommand = "list") {
+    const { controller } = this;
+
+    switch (subcommand) {
+      case "list": {
+        const tools = controller.tools.list();
+        controller.screen.showHelp(`
+╔════ Tools (${controller.toolsEnabled ? "on" : "off"}) ═════════════════════════════════════
+║
+${tools
+  .map(
+    (tool) =>
+      `║ ${tool.name.padEnd(22)} ${
+        tool.sideEffects
+          ? controller.allowedTools.has(tool.name)
+            ? "allowed "
+            : "asks    "
+          : "        "
+      } ${tool.description || ""}`
+  )
+  .join("\n")}
+║
+║ :tools on|off
+╚══════════════════════════════════════════════════════`);
+        break;
+      }
+
+      case "on":
+      case "off":
+        controller.setToolsEnabled(subcommand === "on");
+        break;
+
+      default:
+        throw new Error(`Unknown tools subcommand: ${subcommand}`);
+    }
+  }
+
+  async handlePluginCommand(subcommand = "list", name) {
+    const { plugins, screen } = this.controller;
+
+    switch (subcommand) {
+      case "list": {
+        const entries = plugins.list();
+        screen.showHelp(`
+╔════ Plugins ═════════════════════════════════════════
+║
+${
+  entries.length
+    ? entries
+        .map(
+          (p) =>
+            `║ ${p.name.padEnd(16)} ${p.status.padEnd(9)} ${p.description}${
+              p.error ? ` (${p.error})` : ""
+            }`
+        )
+        .join("\n")
+    : "║ No plugins found"
+}
+║
+║ :plugin enable|disable <name>
+╚══════════════════════════════════════════════════════`);
+        break;
+      }
+
+      case "enable":
+      case "disable":
+        if (!name) {
+          throw new Error("Plugin name required");
+        }
+        await plugins[subcommand](name);
+        await this.controller.refreshStatus();
+        screen.showMessage(`Plugin ${name} ${subcommand}d`);
+        break;
+
+      default:
+        throw new Error(`Unknown plugin subcommand: ${subcommand}`);
+    }
+  }
+
   showHelp(command) {
+    const commands = this.getCommands();
     if (command) {
-      const cmd = COMMANDS[command];
+      const cmd = commands[command];
       if (!cmd) {
         throw new Error(`Unknown command: ${command}`);
       }
@@ -286,7 +934,7 @@ ${
       const helpText = `
 ╔════ Available Commands ════════════════════════════════
 ║
-${Object.entries(COMMANDS)
+${Object.entries(commands)
   .map(([name, cmd]) => `║ ${cmd.usage.padEnd(30)} ${cmd.description}`)
   .join("\n")}
 ║
@@ -297,26 +945,36 @@ ${Object.entries(COMMANDS)
     }
   }
 
+  // Candidates for the command line; argument sources may be functions of
+  // the controller so they can come from the model catalog
   getCompletions(partial) {
     const [cmd, ...args] = partial.slice(1).split(/\s+/);
 
+    const commands = this.getCommands();
+
     // Complete command names
     if (!args.length) {
-      return Object.entries(COMMANDS)
+      return Object.entries(commands)
         .flatMap(([name, cmd]) => [name, ...cmd.aliases])
         .filter((name) => name.startsWith(cmd))
         .map((name) => ":" + name);
     }
 
     // Complete command arguments
-    const command = COMMANDS[cmd];
+    const command =
+      commands[cmd] ||
+      Object.values(commands).find((entry) => entry.aliases?.includes(cmd));
     if (!command?.completion) return [];
 
     const argIndex = args.length - 1;
     const argName = Object.keys(command.completion)[argIndex];
     if (!argName) return [];
 
-    return command.completion[argName]
+    const source = command.completion[argName];
+    const values =
+      typeof source === "function" ? source(this.controller) : source;
+
+    return values
       .filter((value) => value.startsWith(args[argIndex]))
       .map((value) => `:${cmd} ${args.slice(0, -1).join(" ")} ${value}`.trim());
   }
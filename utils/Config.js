@@ -7,15 +7,53 @@ import { logger } from "./Logger.js";
 // Default configuration values
 const DEFAULT_CONFIG = {
   database: {
+    driver: "native",
     path: "./data/conversations.db",
     maxConnections: 10,
     enableWAL: true,
+    backupBeforeMigrate: true,
   },
   ai: {
     defaultProvider: "openai",
     defaultModel: "gpt-3.5-turbo",
     maxTokens: 4096,
     temperature: 0.7,
+    // Name of a saved persona applied to conversations that have none
+    defaultPersona: null,
+    // USD per million tokens; provider blocks may override with `pricing`
+    pricing: {
+      "gpt-4o": { prompt: 2.5, completion: 10 },
+      "gpt-4o-mini": { prompt: 0.15, completion: 0.6 },
+      "gpt-4": { prompt: 30, completion: 60 },
+      "gpt-3.5-turbo": { prompt: 0.5, completion: 1.5 },
+      "claude-3-5-sonnet-latest": { prompt: 3, completion: 15 },
+      "claude-3-5-haiku-latest": { prompt: 0.8, completion: 4 },
+    },
+    // Soft limits warn, hard limits refuse to send (USD)
+    budgets: {},
+    // Tried in order when a request fails: [{ provider, model }, ...]
+    fallbacks: [],
+    // Inputs per model id, e.g. { llava: ["text", "image"] }, for models
+    // the catalog and built-in list get wrong
+    modalities: {},
+    // Model lists fetched from the providers are refetched after this long
+    models: {
+      refreshHours: 24,
+    },
+    context: {
+      strategy: "truncate-oldest",
+      reserveTokens: 1024,
+      windowSize: 20,
+      defaultLimit: 8192,
+      limits: {
+        "gpt-4o": 128000,
+        "gpt-4o-mini": 128000,
+        "gpt-4": 8192,
+        "gpt-3.5-turbo": 16385,
+        "claude-3-5-sonnet-latest": 200000,
+        "claude-3-5-haiku-latest": 200000,
+      },
+    },
     providers: {
       openai: {
         baseUrl: "https://api.openai.com/v1",
@@ -24,9 +62,16 @@ const DEFAULT_CONFIG = {
       },
       anthropic: {
         baseUrl: "https://api.anthropic.com",
+        defaultModel: "claude-3-5-sonnet-latest",
         timeout: 30000,
         maxRetries: 3,
       },
+      local: {
+        type: "local",
+        baseUrl: "http://localhost:1234/v1",
+        timeout: 120000,
+        maxRetries: 0,
+      },
     },
   },
   ui: {
@@ -55,6 +100,17 @@ const DEFAULT_CONFIG = {
         height: 1,
       },
     },
+    // Streamed replies are redrawn at most this many times per second
+    streaming: {
+      frameRate: 30,
+    },
+    // The message input grows with its text up to maxHeight rows; Enter
+    // inserts a newline and sendKey sends
+    composer: {
+      sendKey: "C-s",
+      maxHeight: 10,
+      bracketedPaste: true,
+    },
     vim: {
       enabledModes: ["normal", "insert", "command"],
       shortcuts: {
@@ -66,6 +122,30 @@ const DEFAULT_CONFIG = {
       },
     },
   },
+  // Files attached with :attach or @path; bigger ones are skipped. Images
+  // and PDFs have their own size limit and are stored in mediaDirectory
+  // (default: media/ in the data directory).
+  attachments: {
+    maxFileBytes: 102400,
+    maxTotalBytes: 524288,
+    maxMediaBytes: 5242880,
+    maxFiles: 50,
+  },
+  tools: {
+    enabled: true,
+    maxSteps: 8,
+    maxOutputChars: 16384,
+    commands: ["ls", "pwd", "git status", "git diff", "git log"],
+    commandTimeout: 10000,
+  },
+  execution: {
+    timeout: 10000,
+    memoryMb: 256,
+    network: false,
+    maxOutputChars: 16384,
+    interpreters: {},
+  },
+  plugins: {},
   system: {
     logLevel: "info",
     logPath: "./logs",
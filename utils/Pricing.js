@@ -0,0 +1,47 @@
+// Prices are USD per million tokens, looked up per provider first
+// (`ai.providers.<name>.pricing`), then in the shared `ai.pricing` table and
+// finally in the model catalog, for providers that publish prices.
+class Pricing {
+  constructor(aiConfig = {}, catalog = null) {
+    this.config = aiConfig;
+    this.catalog = catalog;
+  }
+
+  priceFor(provider, model) {
+    if (!model) return null;
+
+    const tables = [
+      this.config.providers?.[provider]?.pricing,
+      this.config.pricing,
+    ].filter(Boolean);
+
+    // Match "openai/gpt-4o" as written first, then without the router prefix
+    const names = [model, model.split("/").pop()];
+    for (const table of tables) {
+      for (const name of names) {
+        if (table[name]) return table[name];
+      }
+    }
+
+    return this.catalog?.find(model, provider)?.pricing || null;
+  }
+
+  // Cost of one request in USD, or null when the model has no known price
+  costOf(usage, provider, model) {
+    const price = this.priceFor(provider, model);
+    if (!price || !usage) return null;
+
+    return (
+      ((usage.prompt || 0) * (price.prompt || 0) +
+        (usage.completion || 0) * (price.completion || 0)) /
+      1_000_000
+    );
+  }
+}
+
+function formatCost(cost) {
+  if (cost === null || cost === undefined) return "$?";
+  return `$${cost < 1 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
+
+export { Pricing, formatCost };
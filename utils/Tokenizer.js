@@ -0,0 +1,81 @@
+import { Tiktoken } from "js-tiktoken/lite";
+import { logger } from "./Logger.js";
+
+// Encoding per model family. Anthropic, Llama, Mistral and others ship no
+// offline tokenizer, so they fall back to cl100k_base, which is close enough
+// for accounting when the provider does not report usage itself.
+const MODEL_ENCODINGS = [
+  { pattern: /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt-4o|o1|o3|o4)/, encoding: "o200k_base" },
+  { pattern: /^(gpt-4|gpt-3\.5|text-embedding)/, encoding: "cl100k_base" },
+];
+const DEFAULT_ENCODING = "cl100k_base";
+
+// Chat formatting overhead per message and for priming the reply, as
+// documented for OpenAI chat models
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+// Rough characters per token, for when an encoding can't be loaded
+const CHARS_PER_TOKEN = 4;
+
+class Tokenizer {
+  constructor() {
+    this.encoders = new Map();
+  }
+
+  encodingFor(model = "") {
+    // Strip router prefixes such as "openai/gpt-4o"
+    const name = model.toLowerCase().split("/").pop();
+    return (
+      MODEL_ENCODINGS.find(({ pattern }) => pattern.test(name))?.encoding ||
+      DEFAULT_ENCODING
+    );
+  }
+
+  async loadRanks(encoding) {
+    // Rank tables are large, so only load the ones actually used
+    const { default: ranks } = await import(`js-tiktoken/ranks/${encoding}`);
+    return ranks;
+  }
+
+  // The encoder for `encoding`, or null when its ranks can't be loaded
+  async getEncoder(encoding) {
+    if (!this.encoders.has(encoding)) {
+      try {
+        this.encoders.set(encoding, new Tiktoken(await this.loadRanks(encoding)));
+        logger.debug("Loaded tokenizer", { encoding });
+      } catch (error) {
+        logger.warn(`Failed to load tokenizer ${encoding}, estimating:`, error);
+        this.encoders.set(encoding, null);
+      }
+    }
+    return this.encoders.get(encoding);
+  }
+
+  async count(text, model) {
+    if (!text) return 0;
+    const encoder = await this.getEncoder(this.encodingFor(model));
+    if (!encoder) return Math.ceil(text.length / CHARS_PER_TOKEN);
+    // Special tokens in user text are counted as plain text
+    return encoder.encode(text, [], []).length;
+  }
+
+  async countMessage(message, model) {
+    return (
+      TOKENS_PER_MESSAGE +
+      (await this.count(message.role, model)) +
+      (await this.count(message.content, model))
+    );
+  }
+
+  async countMessages(messages, model) {
+    let total = TOKENS_PER_REPLY;
+    for (const message of messages) {
+      total += await this.countMessage(message, model);
+    }
+    return total;
+  }
+}
+
+const tokenizer = new Tokenizer();
+
+export { tokenizer, Tokenizer };
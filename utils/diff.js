@@ -0,0 +1,50 @@
+// Above this many line pairs the LCS table gets too large to build
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Line diff of two texts as [{ type: " " | "-" | "+", line }], based on the
+// longest common subsequence. Very large inputs degrade to a full replace.
+function diffLines(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((line) => ({ type: "-", line })),
+      ...b.map((line) => ({ type: "+", line })),
+    ];
+  }
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () =>
+    new Uint32Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        a[i] === b[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      result.push({ type: " ", line: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ type: "-", line: a[i++] });
+    } else {
+      result.push({ type: "+", line: b[j++] });
+    }
+  }
+  while (i < a.length) result.push({ type: "-", line: a[i++] });
+  while (j < b.length) result.push({ type: "+", line: b[j++] });
+
+  return result;
+}
+
+export { diffLines };
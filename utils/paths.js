@@ -8,8 +8,20 @@ export const DEFAULT_PATHS = {
   get CONFIG_PATH() {
     return path.join(this.CONFIG_DIR, "config.yaml");
   },
+  get PLUGINS_DIR() {
+    return path.join(this.CONFIG_DIR, "plugins");
+  },
   get DB_PATH() {
     return path.join(this.DATA_DIR, "conversations.db");
+  },
+  get EXPORTS_DIR() {
+    return path.join(this.DATA_DIR, "exports");
+  },
+  get MODELS_CACHE() {
+    return path.join(this.DATA_DIR, "models.json");
+  },
+  get MEDIA_DIR() {
+    return path.join(this.DATA_DIR, "media");
   }
 };
 